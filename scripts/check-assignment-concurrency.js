@@ -0,0 +1,183 @@
+require("dotenv").config();
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { connectDB } = require("../src/config/db");
+const User = require("../src/models/User");
+const Client = require("../src/models/Client");
+const Destination = require("../src/models/Destination");
+const Ride = require("../src/models/Ride");
+const RideEvent = require("../src/models/RideEvent");
+const Notification = require("../src/models/Notification");
+const { assignRide, assignScheduledBooking } = require("../src/controllers/rideController");
+const { ROLES, DRIVER_STATUS, RIDE_STATUS } = require("../src/utils/constants");
+
+/**
+ * Manual concurrency check for ride assignment.
+ * Fires N simultaneous assignments at the controllers and verifies that
+ * exactly one wins:
+ *   1. N managers assign new rides to the same free driver
+ *   2. N managers assign the same scheduled booking to N different drivers
+ *
+ * Not an automated test: it is not run by any npm script and needs a
+ * running MongoDB. Run it by hand against a development database after
+ * changing the assignment code.
+ *
+ * Creates throwaway users/clients/destinations and removes them afterwards.
+ * Usage: MONGO_URI=... node scripts/check-assignment-concurrency.js [N]
+ */
+
+const N = Number(process.argv[2] || 10);
+const tag = `cc-${crypto.randomBytes(4).toString("hex")}`;
+
+// Call a controller and resolve with { status, body }
+function call(handler, req) {
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+      },
+    };
+    handler(req, res, (err) =>
+      resolve({ status: err.status || 500, body: { code: err.code, message: err.message } })
+    );
+  });
+}
+
+function makeUser(role, i) {
+  return User.create({
+    username: `${tag}-${role}-${i}`,
+    email: `${tag}-${role}-${i}@example.com`,
+    password: "Concurrency1",
+    fullName: `${tag} ${role} ${i}`,
+    phone: "+10000000000",
+    role,
+    status: DRIVER_STATUS.FREE,
+    termsAccepted: true,
+  });
+}
+
+function summarize(label, results, expectWinners) {
+  const winners = results.filter((r) => r.status < 300);
+  const codes = {};
+  for (const r of results) {
+    const key = r.status < 300 ? r.status : `${r.status} ${r.body.code}`;
+    codes[key] = (codes[key] || 0) + 1;
+  }
+  const ok = winners.length === expectWinners;
+  console.log(`${ok ? "PASS" : "FAIL"} ${label}: ${winners.length}/${results.length} succeeded`, codes);
+  return ok;
+}
+
+async function run() {
+  const managers = await Promise.all(
+    Array.from({ length: N }, (_, i) => makeUser(ROLES.MANAGER, i))
+  );
+  const drivers = await Promise.all(
+    Array.from({ length: N }, (_, i) => makeUser(ROLES.DRIVER, i))
+  );
+  const client = await Client.create({ name: `${tag} client`, createdBy: managers[0]._id });
+  const [from, to] = await Promise.all(
+    ["from", "to"].map((n) =>
+      Destination.create({ name: `${tag} ${n}`, address: n, createdBy: managers[0]._id })
+    )
+  );
+  // Due soon, so assignments claim the driver (see DRIVER_CLAIM_LEAD_MINUTES)
+  const scheduledTime = new Date(Date.now() + 5 * 60 * 1000);
+  const actor = (m) => ({ id: String(m._id), role: m.role, fullName: m.fullName });
+
+  // 1. Same driver, N new rides
+  const target = drivers[0];
+  const first = await Promise.all(
+    managers.map((m) =>
+      call(assignRide, {
+        user: actor(m),
+        body: {
+          clients: [String(client._id)],
+          from: String(from._id),
+          to: String(to._id),
+          scheduledTime,
+          driver: String(target._id),
+        },
+      })
+    )
+  );
+  let ok = summarize("same driver, N rides", first, 1);
+  const activeForDriver = await Ride.countDocuments({
+    driver: target._id,
+    status: RIDE_STATUS.ASSIGNED,
+  });
+  if (activeForDriver !== 1) {
+    console.log(`FAIL driver has ${activeForDriver} assigned rides`);
+    ok = false;
+  }
+
+  // 2. Same booking, N drivers (driver 0 is busy now, use the others)
+  const booking = await Ride.create({
+    rideId: `${tag}-booking`,
+    bookingType: "scheduled",
+    clients: [client._id],
+    from: from._id,
+    to: to._id,
+    scheduledTime,
+    passengers: 1,
+    fare: { total: 0, perPerson: 0, halfFare: 0, gst: 0 },
+    assignedBy: managers[0]._id,
+    status: RIDE_STATUS.SCHEDULED,
+  });
+  const others = drivers.slice(1);
+  const second = await Promise.all(
+    others.map((d, i) =>
+      call(assignScheduledBooking, {
+        user: actor(managers[i]),
+        params: { id: String(booking._id) },
+        body: { driver: String(d._id) },
+      })
+    )
+  );
+  ok = summarize("same booking, N drivers", second, 1) && ok;
+  const busy = await User.countDocuments({
+    _id: { $in: others.map((d) => d._id) },
+    status: DRIVER_STATUS.ON_RIDE,
+  });
+  if (busy !== 1) {
+    console.log(`FAIL ${busy} drivers left on_ride after the booking race (expected 1)`);
+    ok = false;
+  }
+
+  return ok;
+}
+
+async function cleanup() {
+  const users = await User.find({ username: new RegExp(`^${tag}-`) }).select("_id");
+  const userIds = users.map((u) => u._id);
+  const rides = await Ride.find({ assignedBy: { $in: userIds } }).select("_id rideId");
+  await Promise.all([
+    RideEvent.deleteMany({ ride: { $in: rides.map((r) => r._id) } }),
+    Ride.deleteMany({ _id: { $in: rides.map((r) => r._id) } }),
+    // Includes the copies sent to real admins
+    Notification.deleteMany({ "data.rideId": { $in: rides.map((r) => r.rideId) } }),
+    Notification.deleteMany({ user: { $in: userIds } }),
+    Client.deleteMany({ name: new RegExp(`^${tag}`) }),
+    Destination.deleteMany({ name: new RegExp(`^${tag}`) }),
+  ]);
+  await User.deleteMany({ _id: { $in: userIds } });
+}
+
+(async () => {
+  let ok = false;
+  try {
+    await connectDB(process.env.MONGO_URI);
+    ok = await run();
+  } catch (e) {
+    console.error("Concurrency check failed:", e);
+  } finally {
+    await cleanup().catch((e) => console.error("Cleanup failed:", e.message));
+    await mongoose.disconnect();
+  }
+  process.exit(ok ? 0 : 1);
+})();
@@ -0,0 +1,62 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { connectDB } = require("../src/config/db");
+const Client = require("../src/models/Client");
+const PlanManager = require("../src/models/PlanManager");
+
+/**
+ * Migration: Client.planManager used to be free text; it now references a
+ * PlanManager. Creates one PlanManager per distinct name (case-insensitive)
+ * and points the clients at it. Empty values become null.
+ *
+ * Reads the raw collection, since the model can no longer load the strings.
+ * Safe to run more than once.
+ * Usage: MONGO_URI=... node scripts/migrate-plan-managers.js
+ */
+
+async function migratePlanManagers() {
+  const clients = await Client.collection
+    .find({ planManager: { $type: "string" } })
+    .project({ planManager: 1, createdBy: 1 })
+    .toArray();
+
+  const byName = new Map();
+  for (const client of clients) {
+    const name = client.planManager.trim();
+    if (!name) {
+      await Client.collection.updateOne({ _id: client._id }, { $set: { planManager: null } });
+      continue;
+    }
+    const key = name.toLowerCase();
+    if (!byName.has(key)) byName.set(key, { name, createdBy: client.createdBy, ids: [] });
+    byName.get(key).ids.push(client._id);
+  }
+
+  let created = 0;
+  for (const { name, createdBy, ids } of byName.values()) {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    let pm = await PlanManager.findOne({ name: new RegExp(`^${escaped}$`, "i") });
+    if (!pm) {
+      pm = await PlanManager.create({ name, createdBy });
+      created++;
+    }
+    await Client.collection.updateMany({ _id: { $in: ids } }, { $set: { planManager: pm._id } });
+  }
+
+  console.log(
+    `Linked ${clients.length} client(s) to ${byName.size} plan manager(s) (${created} created)`
+  );
+}
+
+if (require.main === module) {
+  connectDB()
+    .then(migratePlanManagers)
+    .then(() => mongoose.disconnect())
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("Migration failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migratePlanManagers };
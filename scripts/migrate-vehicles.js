@@ -0,0 +1,72 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { connectDB } = require("../src/config/db");
+const Shift = require("../src/models/Shift");
+const DriverReport = require("../src/models/DriverReport");
+const User = require("../src/models/User");
+const Vehicle = require("../src/models/Vehicle");
+const { normalizeTaxiNumber } = require("../src/models/Vehicle");
+const { ROLES } = require("../src/utils/constants");
+
+/**
+ * Migration: shifts and driver reports only recorded a free-text taxiNumber;
+ * shifts now start in a registered Vehicle. Creates one vehicle per distinct
+ * taxi number (case-insensitive) and links the shifts and reports to it.
+ * Vehicles are created by the first admin and have no plate or expiries yet.
+ *
+ * Safe to run more than once.
+ * Usage: MONGO_URI=... node scripts/migrate-vehicles.js
+ */
+
+async function migrateVehicles() {
+  const [shiftNumbers, reportNumbers] = await Promise.all([
+    Shift.collection.distinct("taxiNumber", { vehicle: { $exists: false } }),
+    DriverReport.collection.distinct("taxiNumber", { vehicle: { $exists: false } }),
+  ]);
+  const numbers = new Map();
+  for (const raw of [...shiftNumbers, ...reportNumbers]) {
+    const number = normalizeTaxiNumber(raw);
+    if (!number) continue;
+    if (!numbers.has(number)) numbers.set(number, []);
+    numbers.get(number).push(raw);
+  }
+  if (!numbers.size) {
+    console.log("No unlinked taxi numbers");
+    return;
+  }
+
+  const admin = await User.findOne({ role: ROLES.ADMIN }).sort({ createdAt: 1 }).select("_id");
+  if (!admin) throw new Error("An admin user is needed to create vehicles");
+
+  let created = 0;
+  let shifts = 0;
+  let reports = 0;
+  for (const [taxiNumber, raws] of numbers) {
+    let vehicle = await Vehicle.findOne({ taxiNumber });
+    if (!vehicle) {
+      vehicle = await Vehicle.create({ taxiNumber, createdBy: admin._id });
+      created++;
+    }
+    const filter = { taxiNumber: { $in: raws }, vehicle: { $exists: false } };
+    const update = { $set: { vehicle: vehicle._id } };
+    shifts += (await Shift.collection.updateMany(filter, update)).modifiedCount;
+    reports += (await DriverReport.collection.updateMany(filter, update)).modifiedCount;
+  }
+
+  console.log(
+    `Linked ${shifts} shift(s) and ${reports} report(s) to ${numbers.size} vehicle(s) (${created} created)`
+  );
+}
+
+if (require.main === module) {
+  connectDB()
+    .then(migrateVehicles)
+    .then(() => mongoose.disconnect())
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("Migration failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateVehicles };
@@ -57,15 +57,23 @@ app.use("/api/users", require("./routes/users"));
 // App feature routes - protected by agreement approval for drivers
 app.use("/api/profile", authenticateToken, requireApprovedDriver, require("./routes/profile"));
 app.use("/api/clients", authenticateToken, requireApprovedDriver, require("./routes/clients"));
+app.use("/api/plan-managers", authenticateToken, requireApprovedDriver, require("./routes/planManagers"));
+app.use("/api/accounts", authenticateToken, requireApprovedDriver, require("./routes/accounts"));
+app.use("/api/vehicles", authenticateToken, requireApprovedDriver, require("./routes/vehicles"));
 app.use("/api/destinations", authenticateToken, requireApprovedDriver, require("./routes/destinations"));
 app.use("/api/rides", authenticateToken, requireApprovedDriver, require("./routes/rides"));
 app.use("/api/reports", authenticateToken, requireApprovedDriver, require("./routes/reports"));
+app.use("/api/claims", authenticateToken, requireApprovedDriver, require("./routes/claims"));
+app.use("/api/invoices", authenticateToken, requireApprovedDriver, require("./routes/invoices"));
 app.use("/api/driver-reports", authenticateToken, requireApprovedDriver, require("./routes/driverReports"));
 app.use("/api/settings", authenticateToken, requireApprovedDriver, require("./routes/settings"));
 app.use("/api/notifications", authenticateToken, require("./routes/notifications"));
 app.use("/api/shifts", authenticateToken, require("./routes/shifts"));
 app.use("/api/agreements", require("./routes/agreements"));
 app.use("/api/admin/agreements", require("./routes/adminAgreements"));
+app.use("/api/admin/agreement-templates", require("./routes/adminAgreementTemplates"));
+app.use("/api/admin/auth", require("./routes/adminAuth"));
+app.use("/api/roles", require("./routes/roles"));
 
 // ✅ Back-compat: stop 404 spam from old builds calling /notifications/stream
 // Option A: mount the same router under /notifications
@@ -0,0 +1,257 @@
+const mongoose = require("mongoose");
+const Account = require("../models/Account");
+const AccountStatement = require("../models/AccountStatement");
+const { getAccountBalance } = require("../services/accountService");
+const {
+  issueStatement,
+  markStatementPaid,
+  voidStatement,
+} = require("../services/accountStatementService");
+
+const FIELDS = [
+  "name",
+  "abn",
+  "billingAddress",
+  "contacts",
+  "billingCycle",
+  "creditLimit",
+  "status",
+  "notes",
+];
+
+function pick(body) {
+  const data = {};
+  for (const field of FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+  if (typeof data.abn === "string") data.abn = data.abn.replace(/\s/g, "");
+  if (data.creditLimit === "") data.creditLimit = null;
+  return data;
+}
+
+async function loadById(Model, id, res, label) {
+  const doc = mongoose.Types.ObjectId.isValid(id) ? await Model.findById(id) : null;
+  if (!doc) {
+    res.status(404).json({
+      success: false,
+      code: "NOT_FOUND",
+      message: `${label} not found`,
+    });
+  }
+  return doc;
+}
+
+/**
+ * GET /api/accounts
+ * Permission: accounts.manage
+ * Query: q, status, page, limit
+ */
+async function listAccounts(req, res, next) {
+  try {
+    const { q, status, page = 1, limit = 20 } = req.query;
+    const filter = {};
+    if (q) filter.name = new RegExp(q, "i");
+    if (status) filter.status = status;
+
+    const [items, total] = await Promise.all([
+      Account.find(filter)
+        .sort({ name: 1 })
+        .skip((+page - 1) * +limit)
+        .limit(+limit),
+      Account.countDocuments(filter),
+    ]);
+
+    res.json({ success: true, items, total, page: +page, limit: +limit });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * POST /api/accounts
+ * Permission: accounts.manage
+ * Body: { name, abn?, billingAddress?, contacts[]?, billingCycle?: { closingDay, paymentTermsDays },
+ *         creditLimit? (null = no limit), notes? }
+ */
+async function createAccount(req, res, next) {
+  try {
+    const data = pick(req.body || {});
+    if (!data.name) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: "name is required",
+      });
+    }
+
+    const account = await Account.create({ ...data, createdBy: req.user.id });
+    res.status(201).json({ success: true, account });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * GET /api/accounts/:id
+ * Permission: accounts.manage
+ * The account with its balance against the credit limit
+ */
+async function getAccount(req, res, next) {
+  try {
+    const account = await loadById(Account, req.params.id, res, "Account");
+    if (!account) return;
+
+    const balance = await getAccountBalance(account._id);
+    res.json({ success: true, account, balance });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * PATCH /api/accounts/:id
+ * Permission: accounts.manage
+ * Body: any of the create fields, plus status (active | suspended | closed)
+ */
+async function updateAccount(req, res, next) {
+  try {
+    const account = await loadById(Account, req.params.id, res, "Account");
+    if (!account) return;
+
+    const data = pick(req.body || {});
+    // Partial billing cycle: keep the other setting
+    if (data.billingCycle) {
+      data.billingCycle = { ...account.billingCycle.toObject(), ...data.billingCycle };
+    }
+    account.set(data);
+    await account.save();
+    res.json({ success: true, account });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * GET /api/accounts/:id/statements
+ * Permission: accounts.manage
+ * Query: status, page, limit. Lines are left out.
+ */
+async function listStatements(req, res, next) {
+  try {
+    const account = await loadById(Account, req.params.id, res, "Account");
+    if (!account) return;
+
+    const { status, page = 1, limit = 20 } = req.query;
+    const filter = { account: account._id };
+    if (status) filter.status = status;
+
+    const [items, total] = await Promise.all([
+      AccountStatement.find(filter)
+        .sort({ periodEnd: -1, createdAt: -1 })
+        .skip((+page - 1) * +limit)
+        .limit(+limit)
+        .select("-lines"),
+      AccountStatement.countDocuments(filter),
+    ]);
+
+    res.json({ success: true, items, total, page: +page, limit: +limit });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * POST /api/accounts/:id/statements
+ * Permission: accounts.manage
+ * Body: { periodEnd? } - issue now instead of waiting for the job
+ * (default: the latest closed period)
+ */
+async function createStatement(req, res, next) {
+  try {
+    const account = await loadById(Account, req.params.id, res, "Account");
+    if (!account) return;
+
+    const { periodEnd } = req.body || {};
+    if (periodEnd !== undefined && isNaN(new Date(periodEnd))) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: "periodEnd must be a date",
+      });
+    }
+
+    const statement = await issueStatement(account, { periodEnd }, req.user.id);
+    if (!statement) {
+      return res.status(400).json({
+        success: false,
+        code: "NOTHING_TO_BILL",
+        message: "No unbilled account rides before the period end",
+      });
+    }
+    res.status(201).json({ success: true, statement });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * GET /api/accounts/statements/:statementId
+ * Permission: accounts.manage
+ */
+async function getStatement(req, res, next) {
+  try {
+    const statement = await loadById(AccountStatement, req.params.statementId, res, "Statement");
+    if (!statement) return;
+
+    await statement.populate("account", "name abn billingAddress contacts");
+    res.json({ success: true, statement });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * POST /api/accounts/statements/:statementId/paid
+ * Permission: accounts.manage
+ * Body: { reference? }
+ */
+async function payStatement(req, res, next) {
+  try {
+    const statement = await loadById(AccountStatement, req.params.statementId, res, "Statement");
+    if (!statement) return;
+
+    await markStatementPaid(statement, { reference: req.body?.reference }, req.user.id);
+    res.json({ success: true, statement });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * POST /api/accounts/statements/:statementId/void
+ * Permission: accounts.manage
+ * Unpaid statements only; their rides go on the next statement
+ */
+async function cancelStatement(req, res, next) {
+  try {
+    const statement = await loadById(AccountStatement, req.params.statementId, res, "Statement");
+    if (!statement) return;
+
+    await voidStatement(statement, req.user.id);
+    res.json({ success: true, statement });
+  } catch (e) {
+    next(e);
+  }
+}
+
+module.exports = {
+  listAccounts,
+  createAccount,
+  getAccount,
+  updateAccount,
+  listStatements,
+  createStatement,
+  getStatement,
+  payStatement,
+  cancelStatement,
+};
@@ -4,7 +4,7 @@ const User = require('../models/User');
 // Get all agreements with pagination and filtering
 exports.getAgreements = async (req, res) => {
   try {
-    const { status, search, page = 1, limit = 10 } = req.query;
+    const { status, search, renewal, page = 1, limit = 10 } = req.query;
     const skip = (page - 1) * limit;
 
 
@@ -13,6 +13,9 @@ exports.getAgreements = async (req, res) => {
     if (status) {
       query.status = status;
     }
+    // renewal=true: renewed documents only; renewal=false: first submissions
+    if (renewal === 'true') query.renewalOf = { $ne: null };
+    if (renewal === 'false') query.renewalOf = null;
 
     // Add search functionality if provided
     if (search) {
@@ -94,13 +97,19 @@ exports.updateStatus = async (req, res) => {
 
     await agreement.save();
 
+    // A rejected renewal leaves the agreement it renews in force
+    const keepsApproval =
+      status === 'rejected' &&
+      agreement.renewalOf &&
+      (await DriverAgreement.exists({ _id: agreement.renewalOf, status: 'approved' }));
+
     // Update user's agreement status (only if user still exists)
     const user = await User.findById(agreement.driver);
     if (user) {
       if (status === 'approved') {
         user.agreementAccepted = true;
         user.agreementAcceptedAt = new Date();
-      } else {
+      } else if (!keepsApproval) {
         user.agreementAccepted = false;
         user.agreementAcceptedAt = null;
       }
@@ -110,9 +119,13 @@ exports.updateStatus = async (req, res) => {
       // Send notification to driver
       const { sendNotification } = require('../services/notificationService');
       await sendNotification(user._id, `agreement_${status}`, {
-        message: status === 'approved' 
-          ? 'Your driver agreement has been approved! You now have full access to the app.'
-          : 'Your driver agreement was rejected. Please review the notes and resubmit.',
+        message: agreement.renewalOf
+          ? status === 'approved'
+            ? 'Your renewed documents have been approved.'
+            : 'Your renewed documents were rejected. Please review the notes and upload them again.'
+          : status === 'approved' 
+            ? 'Your driver agreement has been approved! You now have full access to the app.'
+            : 'Your driver agreement was rejected. Please review the notes and resubmit.',
         agreementId: agreement._id,
         status: status,
         reviewNotes: notes || '',
@@ -0,0 +1,135 @@
+const mongoose = require("mongoose");
+const AuthEvent = require("../models/AuthEvent");
+const LoginThrottle = require("../models/LoginThrottle");
+const User = require("../models/User");
+const { unlockAccount, recordAuthEvent } = require("../services/loginGuardService");
+
+/**
+ * GET /api/admin/auth/events
+ * Roles: admin
+ * Query: username, userId, event, success=true|false, fromDate, toDate, page, limit
+ */
+async function listAuthEvents(req, res, next) {
+  try {
+    const { username, userId, event, success, fromDate, toDate, page = 1, limit = 50 } =
+      req.query;
+
+    const filter = {};
+    if (username) filter.username = String(username).trim();
+    if (userId) {
+      if (typeof userId !== "string" || !mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({
+          success: false,
+          code: "VALIDATION_ERROR",
+          message: "Invalid userId",
+        });
+      }
+      filter.user = userId;
+    }
+    if (event) filter.event = String(event);
+    if (success !== undefined) filter.success = success === "true" || success === true;
+    if (fromDate || toDate) {
+      filter.createdAt = {};
+      for (const [field, value, op] of [
+        ["fromDate", fromDate, "$gte"],
+        ["toDate", toDate, "$lte"],
+      ]) {
+        if (!value) continue;
+        const date = new Date(value);
+        if (typeof value !== "string" || isNaN(date)) {
+          return res.status(400).json({
+            success: false,
+            code: "VALIDATION_ERROR",
+            message: `${field} must be a date`,
+          });
+        }
+        filter.createdAt[op] = date;
+      }
+    }
+
+    // page 0 or a negative page would make .skip() fail
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+    const [items, total] = await Promise.all([
+      AuthEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * pageSize)
+        .limit(pageSize)
+        .populate("user", "username fullName role")
+        .populate("actor", "fullName")
+        .lean(),
+      AuthEvent.countDocuments(filter),
+    ]);
+
+    res.json({ success: true, items, total, page: pageNum, limit: pageSize });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * GET /api/admin/auth/locks
+ * Roles: admin
+ * Usernames that are currently locked out
+ */
+async function listLockedAccounts(req, res, next) {
+  try {
+    const locks = await LoginThrottle.find({ lockedUntil: { $gt: new Date() } })
+      .sort({ lockedUntil: -1 })
+      .lean();
+
+    res.json({ success: true, locks });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * POST /api/admin/auth/unlock
+ * Roles: admin
+ * Body: { username } or { userId }
+ */
+async function unlockLogin(req, res, next) {
+  try {
+    const { username, userId } = req.body || {};
+
+    let target = username ? String(username).trim() : null;
+    let user = null;
+    if (!target && userId) {
+      user = await User.findById(userId).select("username");
+      if (!user) {
+        return res
+          .status(404)
+          .json({ success: false, code: "NOT_FOUND", message: "User not found" });
+      }
+      target = user.username;
+    }
+
+    if (!target) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: "username or userId is required",
+      });
+    }
+
+    const cleared = await unlockAccount(target);
+    await recordAuthEvent("account_unlocked", {
+      username: target,
+      user,
+      req,
+      actor: req.user.id,
+      metadata: { hadLock: cleared },
+    });
+
+    res.json({
+      success: true,
+      message: cleared ? "Account unlocked" : "Account was not locked",
+      username: target,
+    });
+  } catch (e) {
+    next(e);
+  }
+}
+
+module.exports = { listAuthEvents, listLockedAccounts, unlockLogin };
@@ -1,6 +1,21 @@
 const DriverAgreement = require('../models/DriverAgreement');
 const User = require('../models/User');
 const { uploadPhoto } = require('../services/photoUploadService');
+const {
+  findCurrentAgreement,
+  findLatestRenewal,
+  documentExpiries,
+  submitRenewal,
+} = require('../services/driverDocumentService');
+const {
+  getEffectiveTemplates,
+  getUpcomingTemplate,
+  acceptedVersion,
+  needsReacceptance,
+  findAcceptedTemplate,
+  acceptanceOf,
+  recordAcceptance,
+} = require('../services/agreementTemplateService');
 
 // Get driver agreement status
 exports.getStatus = async (req, res) => {
@@ -11,16 +26,30 @@ exports.getStatus = async (req, res) => {
     }
 
 
-    // Find the latest agreement submission for this driver
-    const latestAgreement = await DriverAgreement.findOne({ driver: userId })
-      .sort({ createdAt: -1 });
+    // Find the agreement in force (a pending renewal does not replace it)
+    const latestAgreement = await findCurrentAgreement(userId);
 
     let status = 'not_submitted';
     let canAccessApp = false;
+    let documents = [];
+    let renewal = null;
 
     if (latestAgreement) {
       status = latestAgreement.status;
+      documents = documentExpiries(latestAgreement);
+      if (status === 'approved' && documents.some((d) => d.expired)) status = 'expired';
+      if (status === 'approved' && (await needsReacceptance(latestAgreement))) status = 'reaccept_required';
       canAccessApp = status === 'approved';
+
+      const latestRenewal = await findLatestRenewal(userId);
+      if (latestRenewal && latestRenewal.createdAt > latestAgreement.createdAt) {
+        renewal = {
+          status: latestRenewal.status,
+          submittedAt: latestRenewal.submittedAt,
+          reviewedAt: latestRenewal.reviewedAt,
+          reviewNotes: latestRenewal.reviewNotes
+        };
+      }
     } else {
     }
 
@@ -30,7 +59,10 @@ exports.getStatus = async (req, res) => {
       canAccessApp,
       lastSubmittedAt: latestAgreement ? latestAgreement.submittedAt : null,
       reviewedAt: latestAgreement ? latestAgreement.reviewedAt : null,
-      reviewNotes: latestAgreement ? latestAgreement.reviewNotes : null
+      reviewNotes: latestAgreement ? latestAgreement.reviewNotes : null,
+      documents,
+      renewal,
+      acceptedVersion: latestAgreement ? acceptedVersion(latestAgreement) : null
     });
   } catch (error) {
     return res.status(500).json({ error: 'Failed to get agreement status' });
@@ -40,25 +72,70 @@ exports.getStatus = async (req, res) => {
 // Get agreement text
 exports.getAgreementText = async (req, res) => {
   try {
-    // In a real implementation, this might come from a database or CMS
-    // For now, we'll return a static agreement
+    const { current } = await getEffectiveTemplates();
+    if (!current) {
+      return res.status(503).json({ error: 'No agreement text is published', code: 'NO_AGREEMENT_TEXT' });
+    }
+
+    // Tell drivers with an approved agreement whether they need to accept this text
+    const userId = req.user?._id || req.user?.id;
+    const agreement = userId ? await findCurrentAgreement(userId) : null;
+    const upcoming = await getUpcomingTemplate();
+
     return res.json({
-      version: "1.0",
-      title: "Driver Services Agreement",
-      body: `<h1>Driver Services Agreement</h1>
-      <p>This Driver Services Agreement ("Agreement") is entered into between Taxiologists ("Company") and the undersigned Driver ("Driver").</p>
-      <p>1. <strong>Services.</strong> Driver agrees to provide transportation services using the Company's platform.</p>
-      <p>2. <strong>Compliance.</strong> Driver agrees to comply with all applicable laws, regulations, and Company policies.</p>
-      <p>3. <strong>Independent Contractor.</strong> Driver acknowledges that they are an independent contractor and not an employee of the Company.</p>
-      <p>4. <strong>Term.</strong> This Agreement shall commence on the date of acceptance and continue until terminated by either party.</p>
-      <p>5. <strong>Termination.</strong> Either party may terminate this Agreement with written notice.</p>
-      <p>By submitting this form, Driver acknowledges that they have read, understood, and agree to be bound by the terms of this Agreement.</p>`
+      version: current.version,
+      title: current.title,
+      body: current.body,
+      contentHash: current.contentHash,
+      effectiveFrom: current.effectiveFrom,
+      mandatory: current.mandatory,
+      acceptedVersion: agreement ? acceptedVersion(agreement) : null,
+      requiresAcceptance: agreement?.status === 'approved' ? await needsReacceptance(agreement) : false,
+      upcoming: upcoming
+        ? {
+          version: upcoming.version,
+          title: upcoming.title,
+          body: upcoming.body,
+          contentHash: upcoming.contentHash,
+          effectiveFrom: upcoming.effectiveFrom,
+          mandatory: upcoming.mandatory
+        }
+        : null
     });
   } catch (error) {
     return res.status(500).json({ error: 'Failed to get agreement text' });
   }
 };
 
+// Accept a newer version of the agreement text (approved drivers). The
+// agreement stays approved.
+exports.acceptAgreementText = async (req, res) => {
+  try {
+    const userId = req.user?._id || req.user?.id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { templateVersion, contentHash } = req.body || {};
+    const template = await findAcceptedTemplate({ templateVersion, contentHash });
+    const agreement = await recordAcceptance(await findCurrentAgreement(userId), template, {
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    return res.json({
+      success: true,
+      agreementId: agreement._id,
+      acceptedVersion: acceptedVersion(agreement)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+    }
+    return res.status(500).json({ error: 'Failed to accept agreement', details: error.message });
+  }
+};
+
 // Submit agreement
 exports.submitAgreement = async (req, res) => {
   try {
@@ -87,10 +164,13 @@ exports.submitAgreement = async (req, res) => {
       licenseNumber,
       licenseExpiry,
       driverAccreditationNumber,
+      driverAccreditationExpiry,
       abn,
       gstRegistered,
       currentPoliceCheck,
-      photos
+      photos,
+      templateVersion,
+      contentHash
     } = req.body;
 
     console.log('📋 Received agreement data:', {
@@ -128,6 +208,18 @@ exports.submitAgreement = async (req, res) => {
       return res.status(400).json({ error: 'License expiry date must be in the future' });
     }
 
+    // Accreditation expiry is optional; when given it must be in the future too
+    if (driverAccreditationExpiry) {
+      const accreditationExpiryDate = new Date(driverAccreditationExpiry);
+      if (isNaN(accreditationExpiryDate) || accreditationExpiryDate < new Date()) {
+        return res.status(400).json({ error: 'Accreditation expiry date must be in the future' });
+      }
+    }
+
+    // The agreement text accepted: the version shown to the driver, or the current one
+    const template = await findAcceptedTemplate({ templateVersion, contentHash });
+    const acceptance = acceptanceOf(template, { ipAddress: req.ip, userAgent: req.headers['user-agent'] });
+
     // Create new agreement
     const agreement = new DriverAgreement({
       driver: userId,
@@ -141,6 +233,7 @@ exports.submitAgreement = async (req, res) => {
         licenseNumber,
         licenseExpiry,
         driverAccreditationNumber,
+        driverAccreditationExpiry: driverAccreditationExpiry || undefined,
         abn,
         gstRegistered: Boolean(gstRegistered),
         currentPoliceCheck: currentPoliceCheck ? Boolean(currentPoliceCheck) : undefined
@@ -152,9 +245,13 @@ exports.submitAgreement = async (req, res) => {
         driverAccreditation: photos.driverAccreditation,
         policeCheck: photos.policeCheck || undefined
       },
+      template: template._id,
+      templateVersion: template.version,
+      contentHash: template.contentHash,
+      acceptances: [acceptance],
       ipAddress: req.ip,
       userAgent: req.headers['user-agent'],
-      metadata: { agreementVersion: '1.1' }
+      metadata: { agreementVersion: String(template.version) }
     });
 
     await agreement.save();
@@ -179,12 +276,42 @@ exports.submitAgreement = async (req, res) => {
       next: 'awaiting_approval'
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+    }
     console.error('❌ Error submitting agreement:', error.message);
     console.error('Stack trace:', error.stack);
     return res.status(500).json({ error: 'Failed to submit agreement', details: error.message });
   }
 };
 
+// Submit renewed licence/accreditation documents for review. The approved
+// agreement stays in force until the renewal is approved.
+exports.submitRenewal = async (req, res) => {
+  try {
+    const userId = req.user?._id || req.user?.id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const renewal = await submitRenewal(userId, req.body || {}, {
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    return res.status(201).json({
+      success: true,
+      agreementId: renewal._id,
+      next: 'awaiting_approval'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    return res.status(500).json({ error: 'Failed to submit renewal', details: error.message });
+  }
+};
+
 // Upload agreement photo
 exports.uploadAgreementPhoto = async (req, res) => {
   try {
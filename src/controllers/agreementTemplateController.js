@@ -0,0 +1,143 @@
+const mongoose = require("mongoose");
+const AgreementTemplate = require("../models/AgreementTemplate");
+const { TEMPLATE_STATUS } = require("../models/AgreementTemplate");
+const DriverAgreement = require("../models/DriverAgreement");
+const {
+  listTemplates,
+  createDraft,
+  updateDraft,
+  deleteDraft,
+  publishTemplate,
+} = require("../services/agreementTemplateService");
+
+async function loadTemplate(id, res) {
+  const template = mongoose.Types.ObjectId.isValid(id) ? await AgreementTemplate.findById(id) : null;
+  if (!template) {
+    res.status(404).json({
+      success: false,
+      code: "NOT_FOUND",
+      message: "Agreement template not found",
+    });
+  }
+  return template;
+}
+
+/**
+ * GET /api/admin/agreement-templates
+ * Permission: agreements.templates
+ * Query: status (draft | published)
+ */
+async function getTemplates(req, res, next) {
+  try {
+    const { status } = req.query;
+    if (status && !Object.values(TEMPLATE_STATUS).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: `status must be one of: ${Object.values(TEMPLATE_STATUS).join(", ")}`,
+      });
+    }
+    const items = await listTemplates({ status });
+    res.json({ success: true, items });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * GET /api/admin/agreement-templates/:id
+ * Permission: agreements.templates
+ * A published version also has how many approved agreements accepted it
+ */
+async function getTemplate(req, res, next) {
+  try {
+    const template = await loadTemplate(req.params.id, res);
+    if (!template) return;
+
+    const accepted =
+      template.status === TEMPLATE_STATUS.PUBLISHED
+        ? await DriverAgreement.countDocuments({
+          status: "approved",
+          "acceptances.version": template.version,
+        })
+        : null;
+    res.json({ success: true, template, accepted });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * POST /api/admin/agreement-templates
+ * Permission: agreements.templates
+ * Body: { title?, body? (HTML; both default to the latest published text),
+ *         changeSummary?, mandatory? (default true), effectiveFrom? }
+ */
+async function createTemplate(req, res, next) {
+  try {
+    const template = await createDraft(req.body || {}, req.user.id);
+    res.status(201).json({ success: true, template });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * PATCH /api/admin/agreement-templates/:id
+ * Permission: agreements.templates
+ * Body: any of the create fields. Drafts only.
+ */
+async function updateTemplate(req, res, next) {
+  try {
+    const template = await loadTemplate(req.params.id, res);
+    if (!template) return;
+
+    await updateDraft(template, req.body || {}, req.user.id);
+    res.json({ success: true, template });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * POST /api/admin/agreement-templates/:id/publish
+ * Permission: agreements.templates
+ * Body: { effectiveFrom? (default: the draft's, else now), mandatory? }
+ */
+async function publish(req, res, next) {
+  try {
+    const template = await loadTemplate(req.params.id, res);
+    if (!template) return;
+
+    await publishTemplate(template, req.body || {}, req.user.id);
+    res.json({ success: true, template });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * DELETE /api/admin/agreement-templates/:id
+ * Permission: agreements.templates
+ * Drafts only
+ */
+async function removeTemplate(req, res, next) {
+  try {
+    const template = await loadTemplate(req.params.id, res);
+    if (!template) return;
+
+    await deleteDraft(template);
+    res.json({ success: true, message: "Draft deleted" });
+  } catch (e) {
+    next(e);
+  }
+}
+
+module.exports = {
+  getTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  publish,
+  removeTemplate,
+};
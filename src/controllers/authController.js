@@ -1,5 +1,77 @@
-const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+} = require("../services/tokenService");
+const {
+  requestPasswordReset,
+  resetPasswordWithToken,
+} = require("../services/passwordResetService");
+const {
+  getActiveLock,
+  registerFailedLogin,
+  clearFailedLogins,
+  recordAuthEvent,
+} = require("../services/loginGuardService");
+const { validatePasswordStrength } = require("../utils/password");
+
+function requestMeta(req) {
+  return { ip: req.ip, userAgent: req.headers["user-agent"] };
+}
+
+function lockedResponse(res, lock) {
+  res.set("Retry-After", String(lock.retryAfterSeconds));
+  return res.status(429).json({
+    success: false,
+    code: "ACCOUNT_LOCKED",
+    message: "Too many failed attempts. Try again later.",
+    retryAfterSeconds: lock.retryAfterSeconds,
+    lockedUntil: lock.lockedUntil,
+  });
+}
+
+/**
+ * Shared credential check for login and accept-terms.
+ * Applies the per-username lockout and writes the audit trail.
+ * @returns {Object} { user } on success, { lock } when locked, {} on bad credentials
+ */
+async function verifyCredentials(req, username, password, source) {
+  const lock = await getActiveLock(username);
+  if (lock) {
+    await recordAuthEvent("login_blocked", {
+      username,
+      req,
+      reason: "locked",
+      metadata: { source, lockedUntil: lock.lockedUntil },
+    });
+    return { lock };
+  }
+
+  const user = await User.findOne({ username: String(username) });
+  const ok = user ? await user.comparePassword(password) : false;
+
+  if (!ok) {
+    const throttle = await registerFailedLogin(username);
+    await recordAuthEvent("login_failure", {
+      username,
+      user,
+      req,
+      reason: user ? "bad_password" : "unknown_user",
+      metadata: {
+        source,
+        failedCount: throttle.failedCount,
+        lockedUntil: throttle.lockedUntil,
+      },
+    });
+    return {};
+  }
+
+  await clearFailedLogins(username);
+  await recordAuthEvent("login_success", { username, user, req, metadata: { source } });
+  return { user };
+}
 
 async function login(req, res, next) {
   try {
@@ -13,7 +85,8 @@ async function login(req, res, next) {
       });
     }
 
-    const user = await User.findOne({ username });
+    const { user, lock } = await verifyCredentials(req, username, password, "login");
+    if (lock) return lockedResponse(res, lock);
 
     if (!user) {
       return res.status(401).json({
@@ -23,16 +96,6 @@ async function login(req, res, next) {
       });
     }
 
-    const ok = await user.comparePassword(password);
-
-    if (!ok) {
-      return res.status(401).json({
-        success: false,
-        code: "UNAUTHORIZED",
-        message: "Invalid credentials",
-      });
-    }
-
     // Check terms acceptance for drivers only (managers don't need terms)
     if (user.role === "driver" && !user.termsAccepted) {
       return res.json({
@@ -40,20 +103,19 @@ async function login(req, res, next) {
         user: user.toJSON(),
         token: null,
         needsTerms: true,
+        mustChangePassword: user.mustChangePassword,
       });
     }
 
-    const payload = {
-      id: user._id.toString(),
-      role: user.role,
-      fullName: user.fullName,
-    };
+    const tokens = await issueTokens(user, requestMeta(req));
 
-    const token = jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRES_IN || "7d",
+    res.json({
+      success: true,
+      ...tokens,
+      user: user.toJSON(),
+      needsTerms: false,
+      mustChangePassword: user.mustChangePassword,
     });
-
-    res.json({ success: true, token, user: user.toJSON(), needsTerms: false });
   } catch (e) {
     next(e);
   }
@@ -70,11 +132,13 @@ async function acceptTerms(req, res, next) {
       });
     }
 
-    const user = await User.findOne({ username });
+    const { user, lock } = await verifyCredentials(req, username, password, "accept_terms");
+    if (lock) return lockedResponse(res, lock);
+
     if (!user) {
-      return res.status(404).json({
+      return res.status(401).json({
         success: false,
-        message: "User not found",
+        message: "Invalid credentials",
       });
     }
 
@@ -85,33 +149,226 @@ async function acceptTerms(req, res, next) {
       });
     }
 
-    const ok = await user.comparePassword(password);
-    if (!ok) {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid credentials",
-      });
-    }
-
     user.termsAccepted = true;
     user.termsAcceptedAt = new Date();
     await user.save();
 
-    const token = jwt.sign(
-      { id: user._id.toString(), role: user.role, fullName: user.fullName },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || "7d" }
-    );
+    const tokens = await issueTokens(user, requestMeta(req));
 
     return res.json({
       success: true,
       message: "Terms accepted successfully",
       user: user.toJSON(),
-      token,
+      ...tokens,
+      mustChangePassword: user.mustChangePassword,
+    });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * POST /api/auth/refresh
+ * Body: { refreshToken }
+ * Rotates the refresh token and returns a new access token.
+ */
+async function refresh(req, res, next) {
+  try {
+    const { refreshToken } = req.body || {};
+    const result = await rotateRefreshToken(refreshToken, requestMeta(req));
+
+    res.json({
+      success: true,
+      token: result.token,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn,
+      user: result.user.toJSON(),
+    });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * POST /api/auth/logout
+ * Body: { refreshToken }
+ * Revokes the refresh token of this device. Idempotent.
+ */
+async function logout(req, res, next) {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: "refreshToken is required",
+      });
+    }
+
+    await revokeRefreshToken(refreshToken);
+    res.json({ success: true, message: "Logged out successfully" });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * POST /api/auth/forgot-password
+ * Body: { username | email, channel?: 'email' | 'sms' }
+ * Always answers the same way so usernames cannot be probed.
+ */
+async function forgotPassword(req, res, next) {
+  try {
+    const { username, email, channel } = req.body || {};
+    if (!username && !email) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: "username or email is required",
+      });
+    }
+
+    const user = await User.findOne(
+      username ? { username } : { email: String(email).toLowerCase() }
+    );
+    if (user) {
+      // A failed delivery (e.g. no email or phone on file) must answer like
+      // any other request, or it would show that the account exists
+      let sent = null;
+      try {
+        sent = await requestPasswordReset(user, channel);
+      } catch (e) {
+        console.warn(`Password reset delivery for ${user.username} failed:`, e?.message || e);
+      }
+      await recordAuthEvent("password_reset_requested", {
+        username: user.username,
+        user,
+        req,
+        metadata: { channel: sent?.channel || null, delivered: Boolean(sent) },
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "If the account exists, a reset code has been sent",
+    });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * POST /api/auth/reset-password
+ * Body: { token, newPassword }
+ */
+async function resetPassword(req, res, next) {
+  try {
+    const { token, newPassword } = req.body || {};
+    if (!token || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: "token and newPassword are required",
+      });
+    }
+
+    const errors = validatePasswordStrength(newPassword);
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        code: "WEAK_PASSWORD",
+        message: errors[0],
+        errors,
+      });
+    }
+
+    const user = await resetPasswordWithToken(token, newPassword);
+    await clearFailedLogins(user.username);
+    await recordAuthEvent("password_reset", { username: user.username, user, req });
+    res.json({ success: true, message: "Password has been reset. Please sign in." });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * POST /api/auth/change-password
+ * Roles: any authenticated user
+ * Body: { currentPassword, newPassword }
+ * Used for the forced change at first login (not gated by agreement approval).
+ */
+async function changePassword(req, res, next) {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: "currentPassword and newPassword are required",
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, code: "NOT_FOUND", message: "User not found" });
+    }
+
+    const ok = await user.comparePassword(currentPassword);
+    if (!ok) {
+      return res.status(400).json({
+        success: false,
+        code: "INVALID_PASSWORD",
+        message: "Current password is incorrect",
+      });
+    }
+
+    const errors = validatePasswordStrength(newPassword);
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        code: "WEAK_PASSWORD",
+        message: errors[0],
+        errors,
+      });
+    }
+    if (await user.comparePassword(newPassword)) {
+      return res.status(400).json({
+        success: false,
+        code: "WEAK_PASSWORD",
+        message: "New password must be different from the current password",
+      });
+    }
+
+    user.password = newPassword;
+    user.mustChangePassword = false;
+    user.passwordChangedAt = new Date();
+    await user.save();
+
+    // Sign out other devices, then hand this one a fresh pair
+    await revokeAllSessions(user._id);
+    const fresh = await User.findById(user._id);
+    const tokens = await issueTokens(fresh, requestMeta(req));
+
+    res.json({
+      success: true,
+      message: "Password changed successfully",
+      ...tokens,
+      user: fresh.toJSON(),
+      mustChangePassword: false,
     });
   } catch (e) {
     next(e);
   }
 }
 
-module.exports = { login, acceptTerms };
+module.exports = {
+  login,
+  acceptTerms,
+  refresh,
+  logout,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+};
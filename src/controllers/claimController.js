@@ -0,0 +1,180 @@
+const mongoose = require("mongoose");
+const ClaimBatch = require("../models/ClaimBatch");
+const {
+  createClaimBatch,
+  lodgeBatch,
+  markBatchPaid,
+  voidBatch,
+  toCsv,
+  toFixedWidth,
+} = require("../services/claimBatchService");
+
+async function loadBatch(req, res) {
+  const { id } = req.params;
+  const batch = mongoose.Types.ObjectId.isValid(id) ? await ClaimBatch.findById(id) : null;
+  if (!batch) {
+    res.status(404).json({
+      success: false,
+      code: "NOT_FOUND",
+      message: "Claim batch not found",
+    });
+  }
+  return batch;
+}
+
+/**
+ * POST /api/claims/batches
+ * Permission: claims.manage
+ * Body: { from: "YYYY-MM-DD", to: "YYYY-MM-DD", notes?, dryRun? }
+ * Claims every valid unclaimed MPTP trip picked up in the period. Trips
+ * failing validation are listed in `excluded` and stay claimable.
+ * With dryRun: true nothing is recorded (preview).
+ */
+async function createBatch(req, res, next) {
+  try {
+    const { from, to, notes } = req.body || {};
+    const dryRun = req.body?.dryRun === true;
+    const { batch, excluded } = await createClaimBatch({ from, to, notes, dryRun }, req.user.id);
+
+    res.status(dryRun ? 200 : 201).json({ success: true, dryRun, batch, excluded });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * GET /api/claims/batches
+ * Permission: claims.manage
+ * Query: status, page, limit. Lines are left out; fetch a batch for them.
+ */
+async function listBatches(req, res, next) {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+
+    const [items, total] = await Promise.all([
+      ClaimBatch.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((+page - 1) * +limit)
+        .limit(+limit)
+        .select("-lines")
+        .populate("createdBy lodgedBy paidBy voidedBy", "fullName"),
+      ClaimBatch.countDocuments(filter),
+    ]);
+
+    res.json({ success: true, items, total, page: +page, limit: +limit });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * GET /api/claims/batches/:id
+ * Permission: claims.manage
+ */
+async function getBatch(req, res, next) {
+  try {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+
+    await batch.populate("createdBy lodgedBy paidBy voidedBy", "fullName");
+    res.json({ success: true, batch });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * GET /api/claims/batches/:id/export?format=csv|txt
+ * Permission: claims.manage
+ * Claim file download: CSV (default) or the scheme's fixed-width text layout
+ */
+async function exportBatch(req, res, next) {
+  try {
+    const format = req.query.format || "csv";
+    if (!["csv", "txt"].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: "Query param 'format' must be csv or txt",
+      });
+    }
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+
+    const filename = `mptp-claim-${batch.batchNumber}.${format}`;
+    const body = format === "csv" ? await toCsv(batch) : toFixedWidth(batch);
+
+    res.setHeader(
+      "Content-Type",
+      format === "csv" ? "text/csv; charset=utf-8" : "text/plain; charset=utf-8"
+    );
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.send(body);
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * POST /api/claims/batches/:id/lodge
+ * Permission: claims.manage
+ * Body: { reference? } - the scheme's lodgement reference
+ */
+async function lodgeClaimBatch(req, res, next) {
+  try {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+
+    await lodgeBatch(batch, { reference: req.body?.reference }, req.user.id);
+    res.json({ success: true, batch });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * POST /api/claims/batches/:id/paid
+ * Permission: claims.manage
+ * Body: { amount?, reference? } - amount defaults to the claimed total
+ */
+async function markClaimBatchPaid(req, res, next) {
+  try {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+
+    const { amount, reference } = req.body || {};
+    await markBatchPaid(batch, { amount, reference }, req.user.id);
+    res.json({ success: true, batch });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * POST /api/claims/batches/:id/void
+ * Permission: claims.manage
+ * Only batches not yet lodged; their trips can be claimed again
+ */
+async function voidClaimBatch(req, res, next) {
+  try {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+
+    await voidBatch(batch, req.user.id);
+    res.json({ success: true, batch });
+  } catch (e) {
+    next(e);
+  }
+}
+
+module.exports = {
+  createBatch,
+  listBatches,
+  getBatch,
+  exportBatch,
+  lodgeClaimBatch,
+  markClaimBatchPaid,
+  voidClaimBatch,
+};
@@ -1,5 +1,20 @@
 // server/src/controllers/clientController.js
+const mongoose = require("mongoose");
 const Client = require("../models/Client");
+const PlanManager = require("../models/PlanManager");
+
+// planManager must be null/"" (none) or an existing PlanManager id
+async function validatePlanManager(planManager) {
+  if (planManager === undefined || planManager === null || planManager === "") return;
+  const exists =
+    mongoose.Types.ObjectId.isValid(planManager) && (await PlanManager.exists({ _id: planManager }));
+  if (!exists) {
+    const err = new Error("Plan manager not found");
+    err.status = 400;
+    err.code = "INVALID_PLAN_MANAGER";
+    throw err;
+  }
+}
 
 async function listClients(req, res, next) {
   try {
@@ -11,14 +26,16 @@ async function listClients(req, res, next) {
         { phone: new RegExp(q, "i") },
         { email: new RegExp(q, "i") },
         { mptpCardNumber: new RegExp(q, "i") },
-        { planManager: new RegExp(q, "i") },
       ];
+      const planManagers = await PlanManager.find({ name: new RegExp(q, "i") }).distinct("_id");
+      if (planManagers.length) filter.$or.push({ planManager: { $in: planManagers } });
     }
 
     const docs = await Client.find(filter)
       .sort({ createdAt: -1 })
       .skip((+page - 1) * +limit)
-      .limit(+limit);
+      .limit(+limit)
+      .populate("planManager", "name");
 
     const total = await Client.countDocuments(filter);
     res.json({ success: true, items: docs, total, page: +page, limit: +limit });
@@ -39,6 +56,7 @@ async function createClient(req, res, next) {
         message: "name is required",
       });
     }
+    await validatePlanManager(planManager);
 
     const doc = await Client.create({
       name,
@@ -46,7 +64,7 @@ async function createClient(req, res, next) {
       email,
       address,
       mptpCardNumber,
-      planManager,
+      planManager: planManager || null,
       createdBy: req.user.id,
     });
 
@@ -58,7 +76,7 @@ async function createClient(req, res, next) {
 
 async function getClient(req, res, next) {
   try {
-    const doc = await Client.findById(req.params.id);
+    const doc = await Client.findById(req.params.id).populate("planManager", "name email");
     if (!doc)
       return res.status(404).json({
         success: false,
@@ -82,7 +100,10 @@ async function updateClient(req, res, next) {
     if (email !== undefined) update.email = email;
     if (address !== undefined) update.address = address;
     if (mptpCardNumber !== undefined) update.mptpCardNumber = mptpCardNumber;
-    if (planManager !== undefined) update.planManager = planManager;
+    if (planManager !== undefined) {
+      await validatePlanManager(planManager);
+      update.planManager = planManager || null;
+    }
 
     const doc = await Client.findByIdAndUpdate(req.params.id, update, {
       new: true,
@@ -121,6 +142,7 @@ async function getAdminClients(req, res, next) {
   try {
     const clients = await Client.find({ isDriverAdded: { $ne: true } })
       .select("_id name phone mptpCardNumber planManager")
+      .populate("planManager", "name")
       .sort({ name: 1 });
 
     res.json({ success: true, clients });
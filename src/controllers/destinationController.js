@@ -22,7 +22,7 @@ async function listDestinations(req, res, next) {
 
 async function createDestination(req, res, next) {
   try {
-    const { name, address, coordinates } = req.body || {};
+    const { name, address, coordinates, isAirport } = req.body || {};
     if (!name || !address) {
       return res
         .status(400)
@@ -36,6 +36,7 @@ async function createDestination(req, res, next) {
     const destinationData = {
       name,
       address,
+      isAirport: isAirport === true,
       createdBy: req.user.id,
     };
     
@@ -70,10 +71,11 @@ async function getDestination(req, res, next) {
 
 async function updateDestination(req, res, next) {
   try {
-    const { name, address, coordinates } = req.body || {};
+    const { name, address, coordinates, isAirport } = req.body || {};
     const update = {};
     if (name) update.name = name;
     if (address) update.address = address;
+    if (isAirport !== undefined) update.isAirport = isAirport === true;
     if (coordinates && coordinates.lat != null && coordinates.lng != null)
       update.coordinates = coordinates;
 
@@ -12,16 +12,49 @@ const {
   validateCalculations,
   calculateReconciliation,
 } = require("../services/reportCalculationService");
+const {
+  applyShiftFigures,
+  figureDifferences,
+  reconcileReport,
+} = require("../services/shiftReportService");
+const reportVersionService = require("../services/reportVersionService");
+const {
+  evaluateAutoApproval,
+  applyAutoApproval,
+} = require("../services/reportAutoApprovalService");
 const {
   uploadReportPhoto: uploadPhotoToStorage,
   deleteReportPhoto,
   validatePhotoUrl,
 } = require("../services/photoUploadService");
 
+/**
+ * The report in req.params, if the user may view it (drivers: own reports);
+ * sends 404/403 and returns null otherwise
+ */
+async function loadViewableReport(req, res) {
+  const report = await DriverReport.findOne({ reportId: req.params.reportId });
+  if (!report) {
+    res
+      .status(404)
+      .json({ success: false, code: "REPORT_NOT_FOUND", message: "Driver report not found" });
+    return null;
+  }
+  if (req.user.role === "driver" && report.driver.toString() !== req.user.id) {
+    res
+      .status(403)
+      .json({ success: false, code: "ACCESS_DENIED", message: "You can only view your own reports" });
+    return null;
+  }
+  return report;
+}
+
 /**
  * ADMIN LIST
  * GET /api/driver-reports
  * Role: admin | manager
+ * Query: page, limit, status, driverId, startDate, endDate, search,
+ * autoApproved (true | false), sortBy, sortOrder
  */
 async function listReports(req, res, next) {
   try {
@@ -33,11 +66,15 @@ async function listReports(req, res, next) {
       startDate,
       endDate,
       search,
+      autoApproved,
       sortBy = "date",
       sortOrder = "desc",
     } = req.query;
 
     const filter = {};
+    if (autoApproved !== undefined) {
+      filter["autoApproval.rule"] = autoApproved === "true" ? { $ne: null } : null;
+    }
     if (status) {
       const normalized =
         String(status).toLowerCase() === "pending"
@@ -96,11 +133,14 @@ async function listReports(req, res, next) {
  * POST /api/driver-reports
  * Create new driver report
  * Role: driver
+ * Body: report fields, shift?, fromShift? - true drafts the report from the
+ * shift's rides: counts and per-method totals pre-filled (fields sent in the
+ * body win), start and end meters taken from the shift
  */
 async function createDriverReport(req, res, next) {
   try {
     const driverId = req.user.id;
-    let { date, taxiNumber, shift: shiftId, ...reportData } = req.body;
+    let { date, taxiNumber, shift: shiftId, fromShift, ...reportData } = req.body;
 
     // If shiftId is provided, use that shift (even if not active anymore)
     // Otherwise, require an active shift
@@ -162,25 +202,43 @@ async function createDriverReport(req, res, next) {
       });
     }
 
-    const startOfDay = new Date(reportDate.toDateString());
-    const endOfDay = new Date(reportDate.getTime() + 24 * 60 * 60 * 1000);
-
-    const associatedRides = await Ride.find({
-      driver: driverId,
-      status: "completed",
-      scheduledTime: { $gte: startOfDay, $lt: endOfDay },
-    }).populate("from to clients");
-
     const newReport = new DriverReport({
       driver: driverId,
       date: reportDate,
       taxiNumber: String(taxiNumber).trim(),
-      associatedRides: associatedRides.map((ride) => ride._id),
       status: "draft",
       shift: targetShift._id, // <-- link shift
       ...reportData,
+      vehicle: targetShift.vehicle,
     });
 
+    if (fromShift) {
+      if (newReport.shiftStartTotal?.amount == null) {
+        newReport.shiftStartTotal = {
+          amount: targetShift.startMeter,
+          photoUrl: newReport.shiftStartTotal?.photoUrl || targetShift.startMeterPhoto,
+        };
+      }
+      // Recorded when the shift was ended
+      if (newReport.shiftEndTotal?.amount == null && targetShift.endMeter != null) {
+        newReport.shiftEndTotal = {
+          amount: targetShift.endMeter,
+          photoUrl: newReport.shiftEndTotal?.photoUrl || targetShift.endMeterPhoto,
+        };
+      }
+      await applyShiftFigures(newReport, targetShift, reportData);
+    } else {
+      const startOfDay = new Date(reportDate.toDateString());
+      const endOfDay = new Date(reportDate.getTime() + 24 * 60 * 60 * 1000);
+
+      const associatedRides = await Ride.find({
+        driver: driverId,
+        status: "completed",
+        scheduledTime: { $gte: startOfDay, $lt: endOfDay },
+      }).select("_id");
+      newReport.associatedRides = associatedRides.map((ride) => ride._id);
+    }
+
     // Pre-calc only if both meter totals present
     if (newReport.shiftStartTotal?.amount && newReport.shiftEndTotal?.amount) {
       const calculations = await calculateReportTotals(newReport);
@@ -194,7 +252,8 @@ async function createDriverReport(req, res, next) {
       success: true,
       message: "Driver report created successfully",
       report: newReport,
-      associatedRidesCount: associatedRides.length,
+      associatedRidesCount: newReport.associatedRides.length,
+      differences: figureDifferences(newReport),
     });
   } catch (error) {
     if (error.name === "ValidationError") {
@@ -311,7 +370,38 @@ async function getReportById(req, res, next) {
     }
 
     const reconciliation = await calculateReconciliation(report, report.associatedRides);
-    res.json({ success: true, report, reconciliation });
+    res.json({ success: true, report, reconciliation, differences: figureDifferences(report) });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/driver-reports/:reportId/reconciliation
+ * Report figures against the rides of its shift, for the review screen
+ * Role: admin | manager
+ */
+async function getReportReconciliation(req, res, next) {
+  try {
+    const { reportId } = req.params;
+
+    const report = await DriverReport.findOne({ reportId }).populate(
+      "driver",
+      "fullName username"
+    );
+    if (!report) {
+      return res
+        .status(404)
+        .json({ success: false, code: "REPORT_NOT_FOUND", message: "Driver report not found" });
+    }
+
+    const reconciliation = await reconcileReport(report);
+    res.json({
+      success: true,
+      report,
+      reconciliation,
+      flaggedOnSubmission: report.reconciliationFlag,
+    });
   } catch (error) {
     next(error);
   }
@@ -387,7 +477,12 @@ async function updateDriverReport(req, res, next) {
     await report.save();
     await report.populate("driver", "fullName username");
 
-    res.json({ success: true, message: "Driver report updated successfully", report });
+    res.json({
+      success: true,
+      message: "Driver report updated successfully",
+      report,
+      differences: figureDifferences(report),
+    });
   } catch (error) {
     if (error.name === "ValidationError") {
       return res.status(400).json({
@@ -404,6 +499,60 @@ async function updateDriverReport(req, res, next) {
   }
 }
 
+/**
+ * POST /api/driver-reports/:reportId/shift-figures
+ * Re-derive a draft's figures from its shift's rides (e.g. rides completed
+ * after the draft was made). Fields the driver changed are kept.
+ * Role: driver
+ */
+async function refreshShiftFigures(req, res, next) {
+  try {
+    const { reportId } = req.params;
+    const driverId = req.user.id;
+
+    const report = await DriverReport.findOne({ reportId, driver: driverId });
+    if (!report) {
+      return res
+        .status(404)
+        .json({ success: false, code: "REPORT_NOT_FOUND", message: "Driver report not found" });
+    }
+
+    if (!report.canEdit()) {
+      return res.status(400).json({
+        success: false,
+        code: "REPORT_NOT_EDITABLE",
+        message: `Cannot edit report with status: ${report.status}`,
+      });
+    }
+
+    const shift = report.shift ? await Shift.findById(report.shift) : null;
+    if (!shift) {
+      return res.status(400).json({
+        success: false,
+        code: "NO_SHIFT",
+        message: "Report is not linked to a shift",
+      });
+    }
+
+    await applyShiftFigures(report, shift);
+    if (report.shiftStartTotal?.amount && report.shiftEndTotal?.amount) {
+      report.calculations = await calculateReportTotals(report);
+    }
+
+    await report.save();
+    await report.populate("driver", "fullName username");
+
+    res.json({
+      success: true,
+      message: "Report figures refreshed from shift",
+      report,
+      differences: figureDifferences(report),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * POST /api/driver-reports/:reportId/submit
  * Submit draft for review (driver)
@@ -453,10 +602,28 @@ async function submitReport(req, res, next) {
     report.calculations = calculations;
     report.submittedAt = new Date();
 
+    // Flag for review when it does not reconcile with the shift's rides
+    const reconciliation = await reconcileReport(report);
+    report.reconciliationFlag = {
+      flagged: !!reconciliation.flags?.requiresReview,
+      reasons: reconciliation.flags?.reasons || [],
+      checkedAt: new Date(),
+    };
+
+    const autoApproval = await evaluateAutoApproval(report, reconciliation);
+    if (autoApproval.approve) applyAutoApproval(report, autoApproval);
+
     await report.save();
     await report.populate("driver", "fullName username");
 
-    res.json({ success: true, message: "Driver report submitted successfully", report });
+    res.json({
+      success: true,
+      message: autoApproval.approve
+        ? "Driver report submitted and approved automatically"
+        : "Driver report submitted successfully",
+      report,
+      autoApproval,
+    });
   } catch (error) {
     next(error);
   }
@@ -519,7 +686,10 @@ async function uploadReportPhoto(req, res, next) {
         return res.status(400).json({ success: false, code: "INVALID_PHOTO_TYPE", message: "Invalid photo type" });
     }
 
-    if (oldPhotoUrl) await deleteReportPhoto(oldPhotoUrl);
+    // Earlier versions of the report keep their photos
+    if (oldPhotoUrl && !(await reportVersionService.isPhotoInVersions(report, oldPhotoUrl))) {
+      await deleteReportPhoto(oldPhotoUrl);
+    }
 
     await report.save();
 
@@ -609,6 +779,7 @@ async function updateReportPhotoUrl(req, res, next) {
 /**
  * GET /api/driver-reports/admin/pending
  * Role: admin | manager
+ * Reports flagged on submission come first; reconciliationFlag.reasons says why
  */
 async function getPendingReports(req, res, next) {
   try {
@@ -642,6 +813,7 @@ async function getPendingReports(req, res, next) {
 /**
  * PUT /api/driver-reports/:reportId/review
  * Approve or reject (admin | manager)
+ * Also overrides an auto-approval: reject it, or approve to confirm it
  */
 async function reviewReport(req, res, next) {
   try {
@@ -661,14 +833,22 @@ async function reviewReport(req, res, next) {
     );
     if (!report)
       return res.status(404).json({ success: false, code: "REPORT_NOT_FOUND", message: "Driver report not found" });
-    if (report.status !== "submitted") {
+    const isAutoApproved =
+      report.status === "approved" && report.autoApproval?.rule && !report.autoApproval.overriddenAt;
+    if (report.status !== "submitted" && !isAutoApproved) {
       return res
         .status(400)
         .json({ success: false, code: "INVALID_STATUS", message: `Cannot review report with status: ${report.status}` });
     }
 
+    if (isAutoApproved) {
+      report.autoApproval.overriddenBy = reviewerId;
+      report.autoApproval.overriddenAt = new Date();
+      report.autoApproval.overrideAction = action;
+    }
     report.status = action === "approve" ? "approved" : "rejected";
     report.reviewedBy = reviewerId;
+    report.reviewedByRole = req.user.role;
     report.reviewedAt = new Date();
     report.reviewNotes = notes || "";
     if (action === "reject") report.rejectionReason = notes || "No reason provided";
@@ -682,6 +862,105 @@ async function reviewReport(req, res, next) {
   }
 }
 
+/**
+ * POST /api/driver-reports/:reportId/reopen
+ * Back to draft so the driver can fix and resubmit it (driver)
+ * Body: { reason? }. Rejected reports, or submitted ones when the
+ * allowReportEditsAfterSubmission setting is on.
+ */
+async function reopenReport(req, res, next) {
+  try {
+    const { reportId } = req.params;
+    const driverId = req.user.id;
+
+    const report = await DriverReport.findOne({ reportId, driver: driverId });
+    if (!report) {
+      return res
+        .status(404)
+        .json({ success: false, code: "REPORT_NOT_FOUND", message: "Driver report not found" });
+    }
+
+    await reportVersionService.reopenReport(report, { reason: req.body?.reason }, driverId);
+    await report.populate("driver", "fullName username");
+
+    res.json({ success: true, message: "Driver report reopened as a draft", report });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/driver-reports/:reportId/amend
+ * Correct an approved report (admin | manager)
+ * Body: { reason, ...any of taxiNumber, shiftStartTotal, shiftEndTotal, liftings,
+ *         cashFares, totalEFTPOS, totalAccountTrips, cashExpenses, totalTripsCount, notes }
+ */
+async function amendReport(req, res, next) {
+  try {
+    const { reportId } = req.params;
+    const { reason, ...changes } = req.body || {};
+
+    const report = await DriverReport.findOne({ reportId });
+    if (!report) {
+      return res
+        .status(404)
+        .json({ success: false, code: "REPORT_NOT_FOUND", message: "Driver report not found" });
+    }
+
+    await reportVersionService.amendReport(report, changes, { reason }, req.user.id);
+    await report.populate("driver", "fullName username");
+
+    res.json({ success: true, message: "Driver report amended", report });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/driver-reports/:reportId/versions
+ * Earlier versions and the current one, oldest first
+ * Role: driver (own) | admin | manager
+ */
+async function listReportVersions(req, res, next) {
+  try {
+    const report = await loadViewableReport(req, res);
+    if (!report) return;
+
+    const versions = await reportVersionService.listVersions(report);
+    res.json({ success: true, reportId: report.reportId, versions });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/driver-reports/:reportId/versions/diff
+ * Query: from, to (version numbers; default: previous version → current)
+ * Role: driver (own) | admin | manager
+ */
+async function diffReportVersions(req, res, next) {
+  try {
+    const report = await loadViewableReport(req, res);
+    if (!report) return;
+
+    const current = report.version || 1;
+    const to = req.query.to !== undefined ? parseInt(req.query.to, 10) : current;
+    const from = req.query.from !== undefined ? parseInt(req.query.from, 10) : to - 1;
+    if (![from, to].every((v) => Number.isInteger(v) && v >= 1 && v <= current)) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: `from and to must be versions between 1 and ${current}`,
+      });
+    }
+
+    const diff = await reportVersionService.diffVersions(report, from, to);
+    res.json({ success: true, reportId: report.reportId, ...diff });
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * DELETE /api/driver-reports/:reportId
  * Delete draft (driver)
@@ -702,6 +981,14 @@ async function deleteReport(req, res, next) {
       });
     }
 
+    if (report.version > 1) {
+      return res.status(409).json({
+        success: false,
+        code: "REPORT_HAS_VERSIONS",
+        message: "A reopened report keeps its history and cannot be deleted",
+      });
+    }
+
     const photosToDelete = [
       report.shiftStartTotal?.photoUrl,
       report.shiftEndTotal?.photoUrl,
@@ -723,11 +1010,17 @@ module.exports = {
   createDriverReport,
   getMyReports,
   getReportById,
+  getReportReconciliation,
   updateDriverReport,
+  refreshShiftFigures,
   submitReport,
   uploadReportPhoto,
   updateReportPhotoUrl,
   getPendingReports,
   reviewReport,
+  reopenReport,
+  amendReport,
+  listReportVersions,
+  diffReportVersions,
   deleteReport,
 };
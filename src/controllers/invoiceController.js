@@ -0,0 +1,200 @@
+const mongoose = require("mongoose");
+const Invoice = require("../models/Invoice");
+const invoiceService = require("../services/invoiceService");
+const { renderInvoicePdf, buildInvoiceWorkbook } = require("../services/invoiceDocumentService");
+
+async function loadInvoice(req, res) {
+  const { id } = req.params;
+  const invoice = mongoose.Types.ObjectId.isValid(id) ? await Invoice.findById(id) : null;
+  if (!invoice) {
+    res.status(404).json({
+      success: false,
+      code: "NOT_FOUND",
+      message: "Invoice not found",
+    });
+  }
+  return invoice;
+}
+
+/**
+ * POST /api/invoices/generate
+ * Permission: invoices.manage
+ * Body: { month: "YYYY-MM" }
+ * One draft invoice per plan manager for the month's rides not yet invoiced.
+ */
+async function generateInvoices(req, res, next) {
+  try {
+    const invoices = await invoiceService.generateMonthlyInvoices(req.body?.month, req.user.id);
+    res.status(invoices.length ? 201 : 200).json({ success: true, invoices });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * GET /api/invoices
+ * Permission: invoices.manage
+ * Query: status, planManagerId, month, page, limit. Lines are left out.
+ */
+async function listInvoices(req, res, next) {
+  try {
+    const { status, planManagerId, month, page = 1, limit = 20 } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    if (planManagerId) filter.planManager = planManagerId;
+    if (month) filter.month = month;
+
+    const [items, total] = await Promise.all([
+      Invoice.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((+page - 1) * +limit)
+        .limit(+limit)
+        .select("-lines")
+        .populate("planManager", "name"),
+      Invoice.countDocuments(filter),
+    ]);
+
+    res.json({ success: true, items, total, page: +page, limit: +limit });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * GET /api/invoices/:id
+ * Permission: invoices.manage
+ */
+async function getInvoice(req, res, next) {
+  try {
+    const invoice = await loadInvoice(req, res);
+    if (!invoice) return;
+
+    await invoice.populate([
+      { path: "planManager", select: "name email" },
+      { path: "createdBy regeneratedBy sentBy paidBy voidedBy", select: "fullName" },
+    ]);
+    res.json({ success: true, invoice });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * GET /api/invoices/:id/pdf
+ * Permission: invoices.manage
+ */
+async function downloadInvoicePdf(req, res, next) {
+  try {
+    const invoice = await loadInvoice(req, res);
+    if (!invoice) return;
+
+    const pdf = await renderInvoicePdf(invoice);
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${invoice.invoiceNumber}.pdf"`);
+    res.send(pdf);
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * GET /api/invoices/:id/excel
+ * Permission: invoices.manage
+ */
+async function downloadInvoiceExcel(req, res, next) {
+  try {
+    const invoice = await loadInvoice(req, res);
+    if (!invoice) return;
+
+    const workbook = buildInvoiceWorkbook(invoice);
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+    res.setHeader("Content-Disposition", `attachment; filename="${invoice.invoiceNumber}.xlsx"`);
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * POST /api/invoices/:id/regenerate
+ * Permission: invoices.manage
+ * Drafts only: rebuilds the lines from the current rides and details
+ */
+async function regenerateInvoice(req, res, next) {
+  try {
+    const invoice = await loadInvoice(req, res);
+    if (!invoice) return;
+
+    await invoiceService.regenerateInvoice(invoice, req.user.id);
+    res.json({ success: true, invoice });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * POST /api/invoices/:id/send
+ * Permission: invoices.manage
+ * Marks a draft as sent (issue and due dates start from today)
+ */
+async function sendInvoice(req, res, next) {
+  try {
+    const invoice = await loadInvoice(req, res);
+    if (!invoice) return;
+
+    await invoiceService.markInvoiceSent(invoice, req.user.id);
+    res.json({ success: true, invoice });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * POST /api/invoices/:id/paid
+ * Permission: invoices.manage
+ * Body: { reference? }
+ */
+async function markInvoicePaid(req, res, next) {
+  try {
+    const invoice = await loadInvoice(req, res);
+    if (!invoice) return;
+
+    await invoiceService.markInvoicePaid(invoice, { reference: req.body?.reference }, req.user.id);
+    res.json({ success: true, invoice });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * POST /api/invoices/:id/void
+ * Permission: invoices.manage
+ * Body: { reason? }. Unpaid invoices only; their rides can be invoiced again.
+ */
+async function voidInvoice(req, res, next) {
+  try {
+    const invoice = await loadInvoice(req, res);
+    if (!invoice) return;
+
+    await invoiceService.voidInvoice(invoice, { reason: req.body?.reason }, req.user.id);
+    res.json({ success: true, invoice });
+  } catch (e) {
+    next(e);
+  }
+}
+
+module.exports = {
+  generateInvoices,
+  listInvoices,
+  getInvoice,
+  downloadInvoicePdf,
+  downloadInvoiceExcel,
+  regenerateInvoice,
+  sendInvoice,
+  markInvoicePaid,
+  voidInvoice,
+};
@@ -0,0 +1,159 @@
+const mongoose = require("mongoose");
+const PlanManager = require("../models/PlanManager");
+const Client = require("../models/Client");
+const Invoice = require("../models/Invoice");
+
+const FIELDS = ["name", "email", "phone", "abn", "billingAddress", "isActive"];
+
+function pick(body) {
+  const data = {};
+  for (const field of FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+  // ABNs are often written with spaces ("51 824 753 556")
+  if (typeof data.abn === "string") data.abn = data.abn.replace(/\s/g, "");
+  return data;
+}
+
+async function loadPlanManager(req, res) {
+  const { id } = req.params;
+  const pm = mongoose.Types.ObjectId.isValid(id) ? await PlanManager.findById(id) : null;
+  if (!pm) {
+    res.status(404).json({
+      success: false,
+      code: "NOT_FOUND",
+      message: "Plan manager not found",
+    });
+  }
+  return pm;
+}
+
+/**
+ * GET /api/plan-managers
+ * Permission: clients.read
+ * Query: q, active, page, limit
+ */
+async function listPlanManagers(req, res, next) {
+  try {
+    const { q, active, page = 1, limit = 20 } = req.query;
+    const filter = {};
+    if (q) {
+      filter.$or = [
+        { name: new RegExp(q, "i") },
+        { email: new RegExp(q, "i") },
+        { abn: new RegExp(q.replace(/\s/g, ""), "i") },
+      ];
+    }
+    if (active !== undefined) filter.isActive = active === "true";
+
+    const [items, total] = await Promise.all([
+      PlanManager.find(filter)
+        .sort({ name: 1 })
+        .skip((+page - 1) * +limit)
+        .limit(+limit),
+      PlanManager.countDocuments(filter),
+    ]);
+
+    res.json({ success: true, items, total, page: +page, limit: +limit });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * POST /api/plan-managers
+ * Permission: clients.write
+ * Body: { name, email?, phone?, abn?, billingAddress? }
+ */
+async function createPlanManager(req, res, next) {
+  try {
+    const data = pick(req.body || {});
+    if (!data.name) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: "name is required",
+      });
+    }
+
+    const pm = await PlanManager.create({ ...data, createdBy: req.user.id });
+    res.status(201).json({ success: true, planManager: pm });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * GET /api/plan-managers/:id
+ * Permission: clients.read
+ * The plan manager with its clients
+ */
+async function getPlanManager(req, res, next) {
+  try {
+    const pm = await loadPlanManager(req, res);
+    if (!pm) return;
+
+    const clients = await Client.find({ planManager: pm._id })
+      .select("name phone mptpCardNumber")
+      .sort({ name: 1 });
+    res.json({ success: true, planManager: pm, clients });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * PATCH /api/plan-managers/:id
+ * Permission: clients.write
+ * Body: any of { name, email, phone, abn, billingAddress, isActive }.
+ * Invoices already issued keep the details they were issued with.
+ */
+async function updatePlanManager(req, res, next) {
+  try {
+    const pm = await loadPlanManager(req, res);
+    if (!pm) return;
+
+    pm.set(pick(req.body || {}));
+    await pm.save();
+    res.json({ success: true, planManager: pm });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * DELETE /api/plan-managers/:id
+ * Permission: clients.write
+ * Only when no client or invoice refers to it; deactivate it otherwise.
+ */
+async function deletePlanManager(req, res, next) {
+  try {
+    const pm = await loadPlanManager(req, res);
+    if (!pm) return;
+
+    const [clients, invoices] = await Promise.all([
+      Client.countDocuments({ planManager: pm._id }),
+      Invoice.countDocuments({ planManager: pm._id }),
+    ]);
+    if (clients || invoices) {
+      return res.status(409).json({
+        success: false,
+        code: "PLAN_MANAGER_IN_USE",
+        message: `Plan manager has ${clients} client(s) and ${invoices} invoice(s). Set isActive: false instead.`,
+      });
+    }
+
+    await pm.deleteOne();
+    res.json({ success: true, message: "Plan manager deleted successfully" });
+  } catch (e) {
+    next(e);
+  }
+}
+
+module.exports = {
+  listPlanManagers,
+  createPlanManager,
+  getPlanManager,
+  updatePlanManager,
+  deletePlanManager,
+};
@@ -1,5 +1,7 @@
 const User = require("../models/User");
 const bcrypt = require("bcryptjs");
+const { validatePasswordStrength } = require("../utils/password");
+const { issueTokens, revokeAllSessions } = require("../services/tokenService");
 
 async function getProfile(req, res, next) {
   try {
@@ -51,9 +53,32 @@ async function updateProfile(req, res, next) {
           });
       }
 
+      const passwordErrors = validatePasswordStrength(newPassword);
+      if (passwordErrors.length) {
+        return res
+          .status(400)
+          .json({
+            success: false,
+            code: "WEAK_PASSWORD",
+            message: passwordErrors[0],
+            errors: passwordErrors,
+          });
+      }
+      if (await user.comparePassword(newPassword)) {
+        return res
+          .status(400)
+          .json({
+            success: false,
+            code: "WEAK_PASSWORD",
+            message: "New password must be different from the current password",
+          });
+      }
+
       // Hash new password
       const salt = await bcrypt.genSalt(10);
       update.password = await bcrypt.hash(newPassword, salt);
+      update.mustChangePassword = false;
+      update.passwordChangedAt = new Date();
     }
 
     if (username) {
@@ -95,8 +120,14 @@ async function updateProfile(req, res, next) {
     const updatedUser = await User.findByIdAndUpdate(req.user.id, update, {
       new: true,
     });
+    if (!newPassword) return res.json({ success: true, user: updatedUser });
 
-    res.json({ success: true, user: updatedUser });
+    // Same as POST /api/auth/change-password: sign out other devices, then
+    // hand this one a fresh pair
+    await revokeAllSessions(user._id);
+    const fresh = await User.findById(user._id);
+    const tokens = await issueTokens(fresh, { ip: req.ip, userAgent: req.headers["user-agent"] });
+    res.json({ success: true, ...tokens, user: fresh.toJSON() });
   } catch (e) {
     next(e);
   }
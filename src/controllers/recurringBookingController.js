@@ -0,0 +1,272 @@
+const mongoose = require("mongoose");
+const RecurringBooking = require("../models/RecurringBooking");
+const { RECURRING_STATUS } = require("../models/RecurringBooking");
+const Ride = require("../models/Ride");
+const Client = require("../models/Client");
+const Destination = require("../models/Destination");
+const {
+  toDayKey,
+  parseRule,
+  materializeSeries,
+  skipOccurrence,
+  pauseSeries,
+  resumeSeries,
+  endSeries,
+  updateFutureOccurrences,
+} = require("../services/recurringBookingService");
+
+async function validateRefs({ clients, from, to }) {
+  if (clients !== undefined) {
+    const ids = Array.isArray(clients) ? clients : [];
+    const count = ids.length
+      ? await Client.countDocuments({ _id: { $in: ids } })
+      : -1;
+    if (count !== ids.length) {
+      const err = new Error("One or more clients not found");
+      err.status = 400;
+      err.code = "INVALID_CLIENTS";
+      throw err;
+    }
+  }
+  for (const dest of [from, to]) {
+    if (dest === undefined) continue;
+    if (!(await Destination.exists({ _id: dest }))) {
+      const err = new Error("Invalid destination(s)");
+      err.status = 400;
+      err.code = "INVALID_DESTINATION";
+      throw err;
+    }
+  }
+}
+
+async function loadSeries(req, res) {
+  const { id } = req.params;
+  const series = mongoose.Types.ObjectId.isValid(id)
+    ? await RecurringBooking.findById(id)
+    : null;
+  if (!series) {
+    res.status(404).json({
+      success: false,
+      code: "NOT_FOUND",
+      message: "Recurring booking not found",
+    });
+  }
+  return series;
+}
+
+function ensureNotEnded(series, res) {
+  if (series.status !== RECURRING_STATUS.ENDED) return true;
+  res.status(409).json({
+    success: false,
+    code: "SERIES_ENDED",
+    message: "This recurring booking has ended",
+  });
+  return false;
+}
+
+/**
+ * POST /api/rides/recurring
+ * Permission: rides.schedule
+ * Body: { clients[], from, to, daysOfWeek[], time: "HH:mm", startDate?, endDate?, notes?, autoAssign? }
+ * Creates the series and materialises its upcoming rides right away.
+ */
+async function createRecurringBooking(req, res, next) {
+  try {
+    const { clients, from, to, daysOfWeek, time, notes } = req.body || {};
+    if (!Array.isArray(clients) || !clients.length || !from || !to || !daysOfWeek || !time) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: "clients[], from, to, daysOfWeek[], time are required",
+      });
+    }
+
+    const rule = parseRule({ startDate: toDayKey(new Date()), ...req.body });
+    await validateRefs({ clients, from, to });
+
+    const series = await RecurringBooking.create({
+      clients,
+      from,
+      to,
+      notes: notes || "",
+      autoAssign: req.body.autoAssign === true,
+      ...rule,
+      createdBy: req.user.id,
+    });
+    const created = await materializeSeries(series, { actor: req.user });
+
+    res.status(201).json({ success: true, recurringBooking: series, ridesCreated: created });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * GET /api/rides/recurring
+ * Permission: rides.schedule
+ * Query: status, clientId, page, limit
+ */
+async function listRecurringBookings(req, res, next) {
+  try {
+    const { status, clientId, page = 1, limit = 20 } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    if (clientId) filter.clients = clientId;
+
+    const [items, total] = await Promise.all([
+      RecurringBooking.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((+page - 1) * +limit)
+        .limit(+limit)
+        .populate("clients", "name phone")
+        .populate("from to", "name address")
+        .populate("createdBy", "fullName"),
+      RecurringBooking.countDocuments(filter),
+    ]);
+
+    res.json({ success: true, items, total, page: +page, limit: +limit });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * GET /api/rides/recurring/:id
+ * Permission: rides.schedule
+ * The series with its upcoming rides
+ */
+async function getRecurringBooking(req, res, next) {
+  try {
+    const series = await loadSeries(req, res);
+    if (!series) return;
+
+    await series.populate([
+      { path: "clients", select: "name phone" },
+      { path: "from to", select: "name address" },
+      { path: "createdBy updatedBy", select: "fullName" },
+    ]);
+    const upcoming = await Ride.find({
+      recurringBooking: series._id,
+      occurrenceDate: { $gte: toDayKey(new Date()) },
+    })
+      .sort({ scheduledTime: 1 })
+      .select("rideId status occurrenceDate scheduledTime driver")
+      .populate("driver", "fullName");
+
+    res.json({ success: true, recurringBooking: series, upcoming });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * PUT /api/rides/recurring/:id
+ * Permission: rides.schedule
+ * Body: any of { clients[], from, to, notes, autoAssign, daysOfWeek[], time, startDate, endDate }
+ * Edits the series and all future occurrences that have no driver yet.
+ */
+async function updateRecurringBooking(req, res, next) {
+  try {
+    const series = await loadSeries(req, res);
+    if (!series || !ensureNotEnded(series, res)) return;
+
+    const body = req.body || {};
+    const changes = parseRule(body, series);
+    for (const field of ["clients", "from", "to", "notes"]) {
+      if (body[field] !== undefined) changes[field] = body[field];
+    }
+    if (body.autoAssign !== undefined) changes.autoAssign = body.autoAssign === true;
+    if (!Object.keys(changes).length) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: "Nothing to update",
+      });
+    }
+    await validateRefs(changes);
+
+    const result = await updateFutureOccurrences(series, changes, req.user);
+    res.json({ success: true, recurringBooking: series, ...result });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * POST /api/rides/recurring/:id/pause
+ * Permission: rides.schedule
+ * Stops generating rides and removes the upcoming unassigned ones
+ */
+async function pauseRecurringBooking(req, res, next) {
+  try {
+    const series = await loadSeries(req, res);
+    if (!series || !ensureNotEnded(series, res)) return;
+
+    const result = await pauseSeries(series, req.user);
+    res.json({ success: true, recurringBooking: series, ...result });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * POST /api/rides/recurring/:id/resume
+ * Permission: rides.schedule
+ */
+async function resumeRecurringBooking(req, res, next) {
+  try {
+    const series = await loadSeries(req, res);
+    if (!series || !ensureNotEnded(series, res)) return;
+
+    const result = await resumeSeries(series, req.user);
+    res.json({ success: true, recurringBooking: series, ...result });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * POST /api/rides/recurring/:id/skip
+ * Permission: rides.schedule
+ * Body: { date: "YYYY-MM-DD" }
+ */
+async function skipRecurringOccurrence(req, res, next) {
+  try {
+    const series = await loadSeries(req, res);
+    if (!series || !ensureNotEnded(series, res)) return;
+
+    const { date } = req.body || {};
+    const result = await skipOccurrence(series, date, req.user);
+    res.json({ success: true, skipped: date, ...result });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * DELETE /api/rides/recurring/:id
+ * Permission: rides.schedule
+ * Ends the series; past rides and assigned upcoming rides are kept
+ */
+async function endRecurringBooking(req, res, next) {
+  try {
+    const series = await loadSeries(req, res);
+    if (!series || !ensureNotEnded(series, res)) return;
+
+    const result = await endSeries(series, req.user);
+    res.json({ success: true, recurringBooking: series, ...result });
+  } catch (e) {
+    next(e);
+  }
+}
+
+module.exports = {
+  createRecurringBooking,
+  listRecurringBookings,
+  getRecurringBooking,
+  updateRecurringBooking,
+  pauseRecurringBooking,
+  resumeRecurringBooking,
+  skipRecurringOccurrence,
+  endRecurringBooking,
+};
@@ -945,6 +945,157 @@ async function downloadClientTrips(req, res, next) {
   }
 }
 
+// ---------- MPTP subsidy claims ----------
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Sum the subsidised fare lines of completed rides, grouped by `groupBy`
+ * (an aggregation expression over the unwound `fareLines`).
+ * @param {Object} match - ride filter
+ * @param {*} groupBy
+ * @param {ObjectId} clientId - only this client's lines
+ */
+async function subsidyTotals(match, groupBy, clientId = null) {
+  const lineMatch = { "fareLines.subsidy": { $gt: 0 } };
+  if (clientId) lineMatch["fareLines.client"] = clientId;
+
+  const rows = await Ride.aggregate([
+    { $match: { status: "completed", "fareLines.subsidy": { $gt: 0 }, ...match } },
+    { $unwind: "$fareLines" },
+    { $match: lineMatch },
+    {
+      $group: {
+        _id: groupBy,
+        trips: { $sum: 1 },
+        fareTotal: { $sum: "$fareLines.share" },
+        subsidy: { $sum: "$fareLines.subsidy" },
+        clientPaid: { $sum: "$fareLines.clientPaid" },
+        claimable: { $sum: "$fareLines.claimable" },
+        cardNumbers: { $addToSet: "$fareLines.mptpCardNumber" },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+  return rows.map((r) => ({
+    ...r,
+    fareTotal: round2(r.fareTotal),
+    subsidy: round2(r.subsidy),
+    clientPaid: round2(r.clientPaid),
+    claimable: round2(r.claimable),
+  }));
+}
+
+function sumRows(rows) {
+  return rows.reduce(
+    (t, r) => ({
+      trips: t.trips + r.trips,
+      fareTotal: round2(t.fareTotal + r.fareTotal),
+      subsidy: round2(t.subsidy + r.subsidy),
+      clientPaid: round2(t.clientPaid + r.clientPaid),
+      claimable: round2(t.claimable + r.claimable),
+    }),
+    { trips: 0, fareTotal: 0, subsidy: 0, clientPaid: 0, claimable: 0 }
+  );
+}
+
+/**
+ * GET /api/reports/mptp/:month
+ * Roles: admin | manager
+ * Subsidy claim totals per MPTP client for a month
+ */
+async function getMptpClaimsByClient(req, res, next) {
+  try {
+    const { month } = req.params;
+    const { start, end } = monthRange(month);
+
+    const rows = await subsidyTotals(
+      { scheduledTime: { $gte: start, $lt: end } },
+      "$fareLines.client"
+    );
+    const clients = await Client.find({ _id: { $in: rows.map((r) => r._id) } })
+      .select("name mptpCardNumber")
+      .lean();
+    const byId = new Map(clients.map((c) => [String(c._id), c]));
+
+    const items = rows
+      .map(({ _id, ...r }) => ({
+        clientId: String(_id),
+        clientName: byId.get(String(_id))?.name || "",
+        ...r,
+      }))
+      .sort((a, b) => a.clientName.localeCompare(b.clientName));
+
+    return res.json({
+      success: true,
+      report: { month, type: "mptp", totals: sumRows(rows), clients: items },
+    });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * GET /api/reports/mptp/client/:clientId?year=YYYY
+ * Roles: admin | manager
+ * Subsidy claim totals per month for one client (defaults to this year)
+ */
+async function getMptpClaimsByMonth(req, res, next) {
+  try {
+    const { clientId } = req.params;
+    const year = req.query.year || String(new Date().getFullYear());
+
+    if (!mongoose.Types.ObjectId.isValid(clientId)) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: "Invalid clientId",
+      });
+    }
+    if (!/^\d{4}$/.test(year)) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: "Query param 'year' must be in format YYYY",
+      });
+    }
+
+    const client = await Client.findById(clientId).select("name mptpCardNumber");
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        code: "NOT_FOUND",
+        message: "Client not found",
+      });
+    }
+
+    const start = monthRange(`${year}-01`).start;
+    const end = monthRange(`${year}-12`).end;
+    const clientObjectId = new mongoose.Types.ObjectId(clientId);
+    const rows = await subsidyTotals(
+      { clients: clientObjectId, scheduledTime: { $gte: start, $lt: end } },
+      { $dateToString: { format: "%Y-%m", date: "$scheduledTime" } },
+      clientObjectId
+    );
+
+    return res.json({
+      success: true,
+      report: {
+        clientId: client._id.toString(),
+        clientName: client.name,
+        mptpCardNumber: client.mptpCardNumber || null,
+        year,
+        totals: sumRows(rows),
+        months: rows.map(({ _id, ...r }) => ({ month: _id, ...r })),
+      },
+    });
+  } catch (e) {
+    next(e);
+  }
+}
+
 /**
  * Helper function to generate Excel for driver earnings
  */
@@ -1141,4 +1292,6 @@ module.exports = {
   downloadMonthlyReportExcel,
   getClientTrips,
   downloadClientTrips,
+  getMptpClaimsByClient,
+  getMptpClaimsByMonth,
 };
@@ -1,39 +1,38 @@
+const mongoose = require("mongoose");
 const Ride = require("../models/Ride");
 const User = require("../models/User");
 const Client = require("../models/Client");
 const Destination = require("../models/Destination");
 const Shift = require("../models/Shift");
+const RecurringBooking = require("../models/RecurringBooking");
 const { genRideId } = require("../utils/id");
-const { sendNotification } = require("../services/notificationService");
-const { ROLES, DRIVER_STATUS } = require("../utils/constants");
+const {
+  sendNotification,
+  notifyAdmins,
+} = require("../services/notificationService");
+const {
+  assertTransition,
+  transitionRide,
+  withAssignableDriver,
+} = require("../services/rideLifecycleService");
+const {
+  snapshotRide,
+  recordRideEvent,
+  recordRideEdits,
+  getRideHistory: loadRideHistory,
+} = require("../services/rideEventService");
+const { suggestDrivers } = require("../services/driverSuggestionService");
+const { estimateRideFare, bookingEstimate, priceRide } = require("../services/tariffService");
+const { applyFareSplit } = require("../services/fareSplitService");
+const { resolvePayment, paymentForBooking } = require("../services/accountService");
+const { recordRidePayment } = require("../services/ridePaymentService");
+const { hasPermission } = require("../services/permissionService");
+const { PERMISSIONS } = require("../utils/permissions");
+const { conflictOverrideFor } = require("../services/bookingConflictService");
+const { ROLES, DRIVER_STATUS, RIDE_STATUS } = require("../utils/constants");
 const { calculateGST } = require("./settingsController");
 
-// Helper to notify all admins
-async function notifyAdmins(type, payload) {
-  const admins = await User.find({ role: ROLES.ADMIN }).select("_id");
-  await Promise.all(
-    admins.map((admin) => sendNotification(admin._id, type, payload))
-  );
-}
-
 // Helpers
-async function ensureDriverFree(driverId) {
-  const driver = await User.findById(driverId);
-  if (!driver || driver.role !== ROLES.DRIVER) {
-    const err = new Error("Invalid driver selected");
-    err.status = 400;
-    err.code = "INVALID_DRIVER";
-    throw err;
-  }
-  if (driver.status !== DRIVER_STATUS.FREE) {
-    const err = new Error("Driver is not available");
-    err.status = 400;
-    err.code = "DRIVER_NOT_FREE";
-    throw err;
-  }
-  return driver;
-}
-
 async function validateRefs(clientIds = [], from, to) {
   const clientsCount = await Client.countDocuments({ _id: { $in: clientIds } });
   if (clientsCount !== clientIds.length) {
@@ -52,10 +51,34 @@ async function validateRefs(clientIds = [], from, to) {
   }
 }
 
+// Optional driver-entered trip distance (km); null when absent
+function parseDistanceKm(value) {
+  if (value == null || value === "") return null;
+  const km = Number(value);
+  if (!Number.isFinite(km) || km < 0) {
+    const err = new Error("distanceKm must be a non-negative number");
+    err.status = 400;
+    err.code = "VALIDATION_ERROR";
+    throw err;
+  }
+  return km;
+}
+
+async function notifyFareFlagged(ride, actor) {
+  if (!ride.fareCheck?.flagged) return;
+  const { enteredTotal, estimateTotal, deviationPercent } = ride.fareCheck;
+  await notifyAdmins("fare_flagged", {
+    rideId: ride.rideId,
+    driverName: actor.fullName || actor.username,
+    message: `Fare $${enteredTotal} for ride ${ride.rideId} is ${deviationPercent}% off the $${estimateTotal} estimate`,
+  });
+}
+
 // Controllers
 async function assignRide(req, res, next) {
   try {
-    const { clients, from, to, scheduledTime, driver, notes } = req.body || {};
+    const { clients, from, to, scheduledTime, driver, notes, account, paymentMethod, force } =
+      req.body || {};
     // No fare validation here - manager doesn't set fare
     if (
       !Array.isArray(clients) ||
@@ -73,7 +96,8 @@ async function assignRide(req, res, next) {
     }
 
     await validateRefs(clients, from, to);
-    await ensureDriverFree(driver);
+    // Blocks accounts that are suspended or over their credit limit
+    const payment = await paymentForBooking({ account, paymentMethod });
 
     // Initialize zeroed fare so schema requirements are satisfied
     const zeroFare = {
@@ -83,23 +107,45 @@ async function assignRide(req, res, next) {
       gst: 0,
     };
 
-    const ride = await Ride.create({
-      rideId: genRideId(),
-      clients,
-      from,
-      to,
-      scheduledTime: new Date(scheduledTime),
-      passengers: clients.length,
-      fare: zeroFare, // ✅ manager doesn't set fare
+    // Under the driver's schedule lock: 409 BOOKING_CONFLICT on overlapping
+    // rides (unless forced), claim the driver (free -> on_ride) when the ride
+    // is due soon, then create it
+    const slot = { from, to, scheduledTime: new Date(scheduledTime) };
+    // Counts against the account's credit limit while the ride is open
+    const fareEstimate = await bookingEstimate(slot);
+    const ride = await withAssignableDriver(
+      slot,
       driver,
-      assignedBy: req.user.id,
-      status: "assigned",
-      notes: notes || "",
+      (overridden) =>
+        Ride.create({
+          rideId: genRideId(),
+          clients,
+          from,
+          to,
+          scheduledTime: slot.scheduledTime,
+          passengers: clients.length,
+          fare: zeroFare, // ✅ manager doesn't set fare
+          fareEstimate,
+          driver,
+          assignedBy: req.user.id,
+          status: RIDE_STATUS.ASSIGNED,
+          notes: notes || "",
+          conflictOverride: overridden.length ? conflictOverrideFor(overridden, req.user) : undefined,
+          ...payment,
+        }),
+      { force: force === true }
+    );
+    await recordRideEvent(ride, "created", {
+      actor: req.user,
+      toStatus: ride.status,
+      metadata: {
+        driver,
+        ...(ride.conflictOverride?.conflicts?.length
+          ? { conflictOverride: ride.conflictOverride.conflicts }
+          : {}),
+      },
     });
 
-    // Set driver to on_ride
-    await User.findByIdAndUpdate(driver, { status: DRIVER_STATUS.ON_RIDE });
-
     const populated = await Ride.findById(ride._id)
       .populate("clients", "name phone")
       .populate("from to", "name address")
@@ -136,6 +182,9 @@ async function listRides(req, res, next) {
       toDate,
       isQuickTrip,
       isSelfAssigned,
+      fareFlagged,
+      accountId,
+      paymentMethod,
       page = 1,
       limit = 20,
     } = req.query;
@@ -143,6 +192,8 @@ async function listRides(req, res, next) {
     if (status) filter.status = status;
     if (driverId) filter.driver = driverId;
     if (clientId) filter.clients = clientId;
+    if (accountId) filter.account = accountId;
+    if (paymentMethod) filter.paymentMethod = paymentMethod;
     if (fromDate || toDate) {
       filter.scheduledTime = {};
       if (fromDate) filter.scheduledTime.$gte = new Date(fromDate);
@@ -157,6 +208,10 @@ async function listRides(req, res, next) {
       filter.isSelfAssigned =
         isSelfAssigned === "true" || isSelfAssigned === true;
     }
+    // Fares that deviate from the tariff estimate
+    if (fareFlagged !== undefined) {
+      filter["fareCheck.flagged"] = fareFlagged === "true" || fareFlagged === true;
+    }
 
     const docs = await Ride.find(filter)
       .sort({ createdAt: -1 })
@@ -165,7 +220,8 @@ async function listRides(req, res, next) {
       .populate("clients", "name phone")
       .populate("from to", "name address")
       .populate("driver", "fullName phone")
-      .populate("assignedBy", "fullName");
+      .populate("assignedBy", "fullName")
+      .populate("account", "name");
 
     const total = await Ride.countDocuments(filter);
     res.json({ success: true, items: docs, total, page: +page, limit: +limit });
@@ -206,11 +262,19 @@ async function getDriverRides(req, res, next) {
   }
 }
 
+// PUT /:id/status body value -> lifecycle action
+const STATUS_ACTIONS = {
+  [RIDE_STATUS.ACCEPTED]: "accept",
+  [RIDE_STATUS.CANCELLED]: "cancel",
+  [RIDE_STATUS.COMPLETED]: "complete",
+};
+
 async function updateRideStatus(req, res, next) {
   try {
     const { id } = req.params;
     const { status } = req.body || {};
-    if (!["accepted", "cancelled", "completed"].includes(status)) {
+    const action = STATUS_ACTIONS[status];
+    if (!action) {
       return res.status(400).json({
         success: false,
         code: "VALIDATION_ERROR",
@@ -224,133 +288,10 @@ async function updateRideStatus(req, res, next) {
         .status(404)
         .json({ success: false, code: "NOT_FOUND", message: "Ride not found" });
 
-    // Only the assigned driver (or admin/manager) can change status
-    const isSelfDriver =
-      req.user.role === ROLES.DRIVER && req.user.id === ride.driver.toString();
-    const isStaff =
-      req.user.role === ROLES.ADMIN || req.user.role === ROLES.MANAGER;
-    if (!isSelfDriver && !isStaff) {
-      return res
-        .status(403)
-        .json({ success: false, code: "FORBIDDEN", message: "Not allowed" });
-    }
-
-    // Enforce transitions (and set timestamps consistently)
-    if (ride.status === "assigned" && status === "accepted") {
-      ride.status = "accepted";
-      if (!ride.acceptedAt) ride.acceptedAt = new Date(); // ⬅️ ensure acceptedAt
-      await ride.save();
-
-      const populated = await Ride.findById(ride._id).populate(
-        "driver",
-        "fullName"
-      );
-
-      const notificationPayload = {
-        rideId: ride.rideId,
-        status: "accepted",
-        message: `Driver ${populated.driver?.fullName} accepted ride ${ride.rideId}`,
-      };
-
-      // notify assigner
-      if (ride.assignedBy) {
-        await sendNotification(
-          ride.assignedBy,
-          "ride_status",
-          notificationPayload
-        );
-      }
-
-      // notify admins
-      await notifyAdmins("ride_status", notificationPayload);
-
-      return res.json({ success: true, ride });
-    }
-
-    if (
-      ["assigned", "accepted", "started"].includes(ride.status) &&
-      status === "cancelled"
-    ) {
-      ride.status = "cancelled";
-      if (!ride.cancelledAt) ride.cancelledAt = new Date(); // ⬅️ ensure cancelledAt
-      await ride.save();
-      // free driver
-      await User.findByIdAndUpdate(ride.driver, { status: DRIVER_STATUS.FREE });
-
-      const populated = await Ride.findById(ride._id).populate(
-        "driver",
-        "fullName"
-      );
-
-      const notificationPayload = {
-        rideId: ride.rideId,
-        status: "cancelled",
-        message: `Driver ${populated.driver?.fullName} cancelled ride ${ride.rideId}`,
-      };
-
-      // notify assigner
-      if (ride.assignedBy) {
-        await sendNotification(
-          ride.assignedBy,
-          "ride_status",
-          notificationPayload
-        );
-      }
-
-      // notify admins
-      await notifyAdmins("ride_status", notificationPayload);
-
-      return res.json({ success: true, ride });
-    }
+    // Only the assigned driver (or a dispatcher) can change status
+    await transitionRide(ride, action, { actor: req.user });
 
-    // 🔒 STRICT: Can only complete a "started" ride
-    if (ride.status === "started" && status === "completed") {
-      // Double-check startedAt exists
-      if (!ride.startedAt) {
-        return res.status(409).json({
-          success: false,
-          code: "RIDE_NOT_STARTED",
-          message: "Ride must be started (pickup recorded) before completion",
-        });
-      }
-
-      ride.status = "completed";
-      if (!ride.droppedAt) ride.droppedAt = new Date();
-      await ride.save();
-      // free driver
-      await User.findByIdAndUpdate(ride.driver, { status: DRIVER_STATUS.FREE });
-
-      const populated = await Ride.findById(ride._id).populate(
-        "driver",
-        "fullName"
-      );
-
-      const notificationPayload = {
-        rideId: ride.rideId,
-        status: "completed",
-        message: `Driver ${populated.driver?.fullName} completed ride ${ride.rideId}`,
-      };
-
-      // notify assigner
-      if (ride.assignedBy) {
-        await sendNotification(
-          ride.assignedBy,
-          "ride_status",
-          notificationPayload
-        );
-      }
-
-      // notify admins
-      await notifyAdmins("ride_status", notificationPayload);
-
-      return res.json({ success: true, ride });
-    }
-
-    return res.status(409).json({
-      success: false,
-      code: "INVALID_TRANSITION",
-      message: `Cannot transition from ${ride.status} to ${status}`,
-    });
+    return res.json({ success: true, ride });
   } catch (e) {
     next(e);
   }
@@ -359,7 +300,7 @@ async function updateRideStatus(req, res, next) {
 async function reassignRide(req, res, next) {
   try {
     const { id } = req.params;
-    const { driver: newDriverId } = req.body || {};
+    const { driver: newDriverId, force } = req.body || {};
     if (!newDriverId) {
       return res.status(400).json({
         success: false,
@@ -374,45 +315,38 @@ async function reassignRide(req, res, next) {
         .status(404)
         .json({ success: false, code: "NOT_FOUND", message: "Ride not found" });
 
-    if (ride.status !== "assigned") {
-      return res.status(409).json({
+    if (String(ride.driver) === String(newDriverId)) {
+      return res.status(400).json({
         success: false,
-        code: "INVALID_TRANSITION",
-        message: "Only assigned rides can be reassigned",
+        code: "VALIDATION_ERROR",
+        message: "Ride is already assigned to this driver",
       });
     }
 
-    const oldDriverId = ride.driver.toString();
-
-    // free current driver
-    await User.findByIdAndUpdate(oldDriverId, { status: DRIVER_STATUS.FREE });
-
-    // ensure new driver free
-    await ensureDriverFree(newDriverId);
+    // Check the transition before touching either driver
+    await assertTransition(ride, "reassign", req.user);
 
-    // set new driver
-    ride.driver = newDriverId;
-    await ride.save();
-
-    // set new driver on_ride
-    await User.findByIdAndUpdate(newDriverId, {
-      status: DRIVER_STATUS.ON_RIDE,
-    });
-
-    // notify new driver
-    await sendNotification(newDriverId, "ride_reassigned", {
-      rideId: ride.rideId,
-      from: ride.from?.name,
-      to: ride.to?.name,
-      message: `Ride reassigned to you: ${ride.from?.name} → ${ride.to?.name}`,
-    });
-
-    // notify old driver
-    await sendNotification(oldDriverId, "ride_status", {
-      rideId: ride.rideId,
-      status: "reassigned",
-      message: `Ride reassigned away from you`,
-    });
+    // Under the new driver's schedule lock: 409 BOOKING_CONFLICT if they have
+    // overlapping rides (unless forced), claim them when the ride is due
+    // soon, then reassign; the transition frees the old driver and notifies
+    // both. A concurrent change to the ride releases the claim.
+    await withAssignableDriver(
+      ride,
+      newDriverId,
+      (overridden) => {
+        if (overridden.length) {
+          ride.conflictOverride = conflictOverrideFor(overridden, req.user);
+        }
+        return transitionRide(ride, "reassign", {
+          actor: req.user,
+          changes: { driver: newDriverId },
+          metadata: overridden.length
+            ? { conflictOverride: ride.conflictOverride.conflicts }
+            : undefined,
+        });
+      },
+      { force: force === true }
+    );
 
     const populated = await Ride.findById(ride._id)
       .populate("clients", "name phone")
@@ -504,23 +438,8 @@ async function acceptRide(req, res, next) {
       });
     }
 
-    // Only assigned driver can accept
-    if (req.user.id !== ride.driver.toString()) {
-      return res.status(403).json({
-        success: false,
-        code: "FORBIDDEN",
-        message: "Not authorized to accept this ride",
-      });
-    }
-
-    // 🔒 STRICT: Only "assigned" rides can be accepted
-    if (ride.status !== "assigned") {
-      return res.status(409).json({
-        success: false,
-        code: "INVALID_STATUS",
-        message: "Only assigned rides can be accepted",
-      });
-    }
+    // Only assigned driver can accept, and only "assigned" rides
+    await assertTransition(ride, "accept", req.user);
 
     // Check for active shift
     const activeShift = await Shift.findOne({
@@ -535,29 +454,10 @@ async function acceptRide(req, res, next) {
       });
     }
 
-    // Update ride status, timestamp, and link to shift
-    ride.status = "accepted";
-    ride.acceptedAt = new Date();
-    ride.shift = activeShift._id;
-    await ride.save();
-
-    // Ensure driver is marked as on_ride
-    await User.findByIdAndUpdate(ride.driver, {
-      status: DRIVER_STATUS.ON_RIDE,
-    });
-
-    // Notify manager
-    if (ride.assignedBy) {
-      await sendNotification(ride.assignedBy, "ride_accepted", {
-        rideId: ride.rideId,
-        message: `Driver accepted ride ${ride.rideId}`,
-      });
-    }
-
-    // Notify admins
-    await notifyAdmins("ride_accepted", {
-      rideId: ride.rideId,
-      message: `Driver accepted ride ${ride.rideId}`,
+    // Accept and link to shift (marks the driver on_ride, notifies manager/admins)
+    await transitionRide(ride, "accept", {
+      actor: req.user,
+      changes: { shift: activeShift._id },
     });
 
     const populated = await Ride.findById(ride._id)
@@ -584,38 +484,8 @@ async function rejectRide(req, res, next) {
       });
     }
 
-    // Only assigned driver can reject
-    if (req.user.id !== ride.driver.toString()) {
-      return res.status(403).json({
-        success: false,
-        code: "FORBIDDEN",
-        message: "Not authorized to reject this ride",
-      });
-    }
-
-    if (ride.status !== "assigned") {
-      return res.status(409).json({
-        success: false,
-        code: "INVALID_STATUS",
-        message: "Only assigned rides can be rejected",
-      });
-    }
-
-    // Update ride status and timestamp
-    ride.status = "rejected";
-    ride.rejectedAt = new Date();
-    await ride.save();
-
-    // Free up the driver
-    await User.findByIdAndUpdate(ride.driver, { status: DRIVER_STATUS.FREE });
-
-    // Notify manager
-    if (ride.assignedBy) {
-      await sendNotification(ride.assignedBy, "ride_rejected", {
-        rideId: ride.rideId,
-        message: `Driver rejected ride ${ride.rideId}`,
-      });
-    }
+    // Only assigned driver can reject; frees the driver and notifies manager
+    await transitionRide(ride, "reject", { actor: req.user });
 
     res.json({ success: true, message: "Ride rejected successfully" });
   } catch (e) {
@@ -628,12 +498,17 @@ async function dropRide(req, res, next) {
     const { id } = req.params;
     const {
       fareTotal,
+      distanceKm,
       driverNotes,
       from,
       to,
       passengers,
       additionalClientIds,
       additionalClients,
+      paymentMethod,
+      payments,
+      surcharge,
+      tip,
     } = req.body || {};
 
     const ride = await Ride.findById(id);
@@ -645,45 +520,22 @@ async function dropRide(req, res, next) {
       });
     }
 
-    // Only assigned driver can drop
-    if (req.user.id !== ride.driver.toString()) {
-      return res.status(403).json({
-        success: false,
-        code: "FORBIDDEN",
-        message: "Not authorized to complete this ride",
-      });
-    }
-
-    // 🔒 STRICT: Must be "started" before completion
-    if (ride.status !== "started") {
-      return res.status(409).json({
-        success: false,
-        code: "INVALID_STATUS",
-        message:
-          "Only started rides can be completed. Please start the ride first.",
-      });
-    }
+    const before = snapshotRide(ride);
 
-    // Double-check startedAt exists
-    if (!ride.startedAt) {
-      return res.status(400).json({
-        success: false,
-        code: "RIDE_NOT_STARTED",
-        message:
-          "You must start the ride (pickup recorded) before completing it.",
-      });
-    }
+    // Only "started" rides with a recorded pickup can be completed
+    await assertTransition(ride, "complete", req.user);
 
-    // Check for active shift
+    // The ride's driver needs an active shift, also when a dispatcher
+    // completes the ride for them
     const activeShift = await Shift.findOne({
-      driver: req.user.id,
+      driver: ride.driver,
       isActive: true,
     });
     if (!activeShift) {
       return res.status(400).json({
         success: false,
         code: "NO_ACTIVE_SHIFT",
-        message: "You must have an active shift to complete rides",
+        message: "The ride's driver must have an active shift to complete rides",
       });
     }
 
@@ -770,7 +622,7 @@ async function dropRide(req, res, next) {
     }
 
     // Handle fare updates and always recalculate perPerson
-    let updatedTotal = ride.fare.total;
+    let enteredTotal = null;
     if (fareTotal != null) {
       const parsedFareTotal = parseFloat(fareTotal);
       if (isNaN(parsedFareTotal) || parsedFareTotal < 0) {
@@ -780,54 +632,38 @@ async function dropRide(req, res, next) {
           message: "Fare total must be a non-negative number",
         });
       }
-      updatedTotal = parsedFareTotal;
+      enteredTotal = parsedFareTotal;
     }
 
-    // Use total client count (original + additional selected) for per-person calculation
-    const totalClientCount = ride.clients.length;
-    const farePerPerson =
-      totalClientCount > 0
-        ? Number((updatedTotal / totalClientCount).toFixed(2))
-        : 0;
-    const halfFare = Number((updatedTotal / 2).toFixed(2));
-    const gst = await calculateGST(farePerPerson);
+    // Check the entered fare against the tariff; without one, use the estimate
+    const priced = await priceRide(ride, enteredTotal, {
+      distanceKm: parseDistanceKm(distanceKm),
+    });
+    const updatedTotal = priced.total ?? ride.fare.total;
 
+    // Use total client count (original + additional selected) for the split:
+    // one fare line per client, MPTP subsidy applied to cardholders
+    const totalClientCount = ride.clients.length;
     ride.fare.total = updatedTotal;
-    ride.fare.perPerson = farePerPerson;
-    ride.fare.halfFare = halfFare;
-    ride.fare.gst = gst;
+    ride.fare.halfFare = Number((updatedTotal / 2).toFixed(2));
+    await applyFareSplit(ride);
+    ride.fare.gst = await calculateGST(ride.fare.perPerson);
 
     // Always update passengers to match total clients
     ride.passengers = totalClientCount;
 
+    // How the ride was paid (the account is set by the booking, not the driver)
+    await recordRidePayment(ride, { paymentMethod, payments, surcharge, tip });
+
     // Add driver notes if provided
     if (driverNotes) {
       ride.driverNotes = driverNotes.trim();
     }
 
-    // Update ride status and timestamp
-    ride.status = "completed";
-    ride.droppedAt = new Date();
-
-    // Save ride with all updates including any selected clients
-    await ride.save();
-
-    // Free up the driver
-    await User.findByIdAndUpdate(ride.driver, { status: DRIVER_STATUS.FREE });
-
-    // Notify manager
-    if (ride.assignedBy) {
-      await sendNotification(ride.assignedBy, "ride_completed", {
-        rideId: ride.rideId,
-        message: `Ride ${ride.rideId} completed successfully`,
-      });
-    }
-
-    // Notify admins
-    await notifyAdmins("ride_completed", {
-      rideId: ride.rideId,
-      message: `Ride ${ride.rideId} completed successfully`,
-    });
+    // Complete and save with all updates including any selected clients
+    await transitionRide(ride, "complete", { actor: req.user });
+    await recordRideEdits(ride, before, req.user, { source: "drop" });
+    await notifyFareFlagged(ride, req.user);
 
     const populated = await Ride.findById(ride._id)
       .populate("clients", "name phone")
@@ -882,67 +718,20 @@ async function cancelOngoingRide(req, res, next) {
       });
     }
 
-    // Only assigned driver can cancel
-    if (req.user.id !== ride.driver.toString()) {
-      return res.status(403).json({
-        success: false,
-        code: "FORBIDDEN",
-        message: "Not authorized to cancel this ride",
-      });
-    }
-
-    // Can cancel assigned, accepted, and started rides
-    if (!["assigned", "accepted", "started"].includes(ride.status)) {
-      return res.status(409).json({
-        success: false,
-        code: "INVALID_STATUS",
-        message: "Only assigned, accepted, or started rides can be cancelled",
-      });
-    }
-
-    // Update ride with cancellation details
-    ride.status = "cancelled";
-    ride.cancelledAt = new Date();
-    ride.cancellationReason = reason;
-    if (note) {
-      ride.cancellationNote = note;
-    }
-    await ride.save();
-
-    // Free up the driver
-    await User.findByIdAndUpdate(ride.driver, { status: DRIVER_STATUS.FREE });
+    // Cancel assigned, accepted or started rides with the reason recorded
+    await transitionRide(ride, "cancel", {
+      actor: req.user,
+      reason,
+      note,
+      changes: { cancellationReason: reason, ...(note && { cancellationNote: note }) },
+    });
 
-    // Get populated ride for notifications
     const populated = await Ride.findById(ride._id)
       .populate("clients", "name phone")
       .populate("from to", "name address")
       .populate("driver", "fullName")
       .populate("assignedBy", "fullName");
 
-    const reasonText = reason
-      .replace(/_/g, " ")
-      .replace(/\b\w/g, (l) => l.toUpperCase());
-    const notificationPayload = {
-      rideId: ride.rideId,
-      status: "cancelled",
-      reason: reasonText,
-      message: `Driver ${populated.driver?.fullName} cancelled ride ${
-        ride.rideId
-      } - Reason: ${reasonText}${note ? ` (${note})` : ""}`,
-    };
-
-    // Notify manager
-    if (ride.assignedBy) {
-      await sendNotification(
-        ride.assignedBy,
-        "ride_cancelled",
-        notificationPayload
-      );
-    }
-
-    // Notify admins
-    await notifyAdmins("ride_cancelled", notificationPayload);
-
     res.json({
       success: true,
       message: "Ride cancelled successfully",
@@ -971,33 +760,8 @@ async function startRide(req, res, next) {
       });
     }
 
-    // Only assigned driver can start the ride
-    if (req.user.id !== ride.driver.toString()) {
-      return res.status(403).json({
-        success: false,
-        code: "FORBIDDEN",
-        message: "Not authorized to start this ride",
-      });
-    }
-
-    // 🔒 STRICT: Can only start an "accepted" ride
-    if (ride.status !== "accepted") {
-      return res.status(409).json({
-        success: false,
-        code: "INVALID_STATUS",
-        message:
-          "Only accepted rides can be started. Please accept the ride first.",
-      });
-    }
-
-    // Check if already started
-    if (ride.startedAt) {
-      return res.status(409).json({
-        success: false,
-        code: "ALREADY_STARTED",
-        message: "Ride has already been started",
-      });
-    }
+    // Only assigned driver can start, and only an "accepted" ride
+    await assertTransition(ride, "start", req.user);
 
     // Check for active shift
     const activeShift = await Shift.findOne({
@@ -1017,24 +781,8 @@ async function startRide(req, res, next) {
       ride.shift = activeShift._id;
     }
 
-    // Update ride with start timestamp (pickup time) and status
-    ride.startedAt = new Date();
-    ride.status = "started";
-    await ride.save();
-
-    // Notify manager
-    if (ride.assignedBy) {
-      await sendNotification(ride.assignedBy, "ride_started", {
-        rideId: ride.rideId,
-        message: `Driver started ride ${ride.rideId} (client picked up)`,
-      });
-    }
-
-    // Notify admins
-    await notifyAdmins("ride_started", {
-      rideId: ride.rideId,
-      message: `Driver started ride ${ride.rideId} (client picked up)`,
-    });
+    // Record pickup time (startedAt) and notify manager/admins
+    await transitionRide(ride, "start", { actor: req.user });
 
     const populated = await Ride.findById(ride._id)
       .populate("clients", "name phone")
@@ -1081,7 +829,7 @@ async function updateRideDestinations(req, res, next) {
     }
 
     // Only allow updates for accepted or started rides
-    if (ride.status !== "accepted" && ride.status !== "started") {
+    if (![RIDE_STATUS.ACCEPTED, RIDE_STATUS.STARTED].includes(ride.status)) {
       return res.status(409).json({
         success: false,
         code: "INVALID_STATUS",
@@ -1089,6 +837,8 @@ async function updateRideDestinations(req, res, next) {
       });
     }
 
+    const before = snapshotRide(ride);
+
     // Handle custom 'from' destination
     if (customFrom && customFrom.trim()) {
       try {
@@ -1146,6 +896,7 @@ async function updateRideDestinations(req, res, next) {
     }
 
     await ride.save();
+    await recordRideEdits(ride, before, req.user, { source: "update_destinations" });
 
     // Populate the updated ride for response
     const updatedRide = await Ride.findById(ride._id)
@@ -1190,7 +941,8 @@ async function updateRideDestinations(req, res, next) {
  */
 async function createScheduledBooking(req, res, next) {
   try {
-    const { clients, from, to, scheduledTime, notes } = req.body || {};
+    const { clients, from, to, scheduledTime, notes, autoAssign, account, paymentMethod } =
+      req.body || {};
 
     if (
       !Array.isArray(clients) ||
@@ -1217,6 +969,8 @@ async function createScheduledBooking(req, res, next) {
     }
 
     await validateRefs(clients, from, to);
+    // Blocks accounts that are suspended or over their credit limit
+    const payment = await paymentForBooking({ account, paymentMethod });
 
     // Initialize zeroed fare
     const zeroFare = {
@@ -1235,10 +989,18 @@ async function createScheduledBooking(req, res, next) {
       scheduledTime: scheduleDate,
       passengers: clients.length,
       fare: zeroFare,
+      // Counts against the account's credit limit while the booking is open
+      fareEstimate: await bookingEstimate({ from, to, scheduledTime: scheduleDate }),
       driver: null, // No driver assigned yet
       assignedBy: req.user.id,
-      status: "scheduled",
+      status: RIDE_STATUS.SCHEDULED,
       notes: notes || "",
+      autoAssign: autoAssign === true,
+      ...payment,
+    });
+    await recordRideEvent(booking, "created", {
+      actor: req.user,
+      toStatus: booking.status,
     });
 
     const populated = await Ride.findById(booking._id)
@@ -1273,7 +1035,7 @@ async function listScheduledBookings(req, res, next) {
     const { fromDate, toDate, page = 1, limit = 20 } = req.query;
 
     const filter = {
-      status: "scheduled",
+      status: RIDE_STATUS.SCHEDULED,
       bookingType: "scheduled",
     };
 
@@ -1305,6 +1067,40 @@ async function listScheduledBookings(req, res, next) {
   }
 }
 
+/**
+ * GET /api/rides/scheduled/:id/suggested-drivers
+ * Permission: rides.schedule + rides.assign
+ * Free, approved drivers ranked for this booking (best first).
+ * Query: limit
+ */
+async function getSuggestedDrivers(req, res, next) {
+  try {
+    const { id } = req.params;
+    const limit = Math.max(0, parseInt(req.query.limit, 10) || 0);
+
+    const booking = await Ride.findById(id).populate("from", "name address coordinates");
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        code: "NOT_FOUND",
+        message: "Scheduled booking not found",
+      });
+    }
+    if (booking.status !== RIDE_STATUS.SCHEDULED) {
+      return res.status(409).json({
+        success: false,
+        code: "INVALID_STATUS",
+        message: "Only scheduled bookings can be assigned",
+      });
+    }
+
+    const suggestions = await suggestDrivers(booking, { limit });
+    res.json({ success: true, rideId: booking.rideId, suggestions });
+  } catch (e) {
+    next(e);
+  }
+}
+
 /**
  * POST /api/rides/scheduled/:id/assign
  * Roles: manager, admin
@@ -1313,7 +1109,7 @@ async function listScheduledBookings(req, res, next) {
 async function assignScheduledBooking(req, res, next) {
   try {
     const { id } = req.params;
-    const { driver: driverId } = req.body || {};
+    const { driver: driverId, force } = req.body || {};
 
     if (!driverId) {
       return res.status(400).json({
@@ -1323,7 +1119,7 @@ async function assignScheduledBooking(req, res, next) {
       });
     }
 
-    const booking = await Ride.findById(id);
+    const booking = await Ride.findById(id).populate("from to", "name address");
     if (!booking) {
       return res.status(404).json({
         success: false,
@@ -1332,25 +1128,33 @@ async function assignScheduledBooking(req, res, next) {
       });
     }
 
-    if (booking.status !== "scheduled") {
-      return res.status(409).json({
-        success: false,
-        code: "INVALID_STATUS",
-        message: "Only scheduled bookings can be assigned",
-      });
-    }
-
-    // Ensure driver is free
-    await ensureDriverFree(driverId);
+    // Only scheduled bookings can be assigned
+    await assertTransition(booking, "assign", req.user);
 
-    // Update booking to assigned status
-    booking.driver = driverId;
-    booking.status = "assigned";
-    booking.bookingType = "immediate"; // Now it's an immediate assignment
-    await booking.save();
-
-    // Set driver to on_ride
-    await User.findByIdAndUpdate(driverId, { status: DRIVER_STATUS.ON_RIDE });
+    // Under the driver's schedule lock: 409 BOOKING_CONFLICT if they have
+    // overlapping rides (unless forced), claim them when the booking is due
+    // soon, then assign; if another request assigned the booking first, the
+    // transition fails and the driver is released again
+    await withAssignableDriver(
+      booking,
+      driverId,
+      (overridden) => {
+        if (overridden.length) {
+          booking.conflictOverride = conflictOverrideFor(overridden, req.user);
+        }
+        return transitionRide(booking, "assign", {
+          actor: req.user,
+          changes: {
+            driver: driverId,
+            bookingType: "immediate", // Now it's an immediate assignment
+          },
+          metadata: overridden.length
+            ? { conflictOverride: booking.conflictOverride.conflicts }
+            : undefined,
+        });
+      },
+      { force: force === true }
+    );
 
     const populated = await Ride.findById(booking._id)
       .populate("clients", "name phone")
@@ -1358,23 +1162,6 @@ async function assignScheduledBooking(req, res, next) {
       .populate("driver", "fullName phone")
       .populate("assignedBy", "fullName");
 
-    const notificationPayload = {
-      rideId: populated.rideId,
-      from: populated.from?.name,
-      to: populated.to?.name,
-      message: `Scheduled ride assigned: ${populated.from?.name} → ${populated.to?.name}`,
-      driver: populated.driver?.fullName,
-    };
-
-    // Notify driver
-    await sendNotification(driverId, "ride_assigned", notificationPayload);
-
-    // Notify admins
-    await notifyAdmins("ride_assigned", {
-      ...notificationPayload,
-      message: `Scheduled ride assigned to ${populated.driver?.fullName}: ${populated.from?.name} → ${populated.to?.name}`,
-    });
-
     res.json({ success: true, ride: populated });
   } catch (e) {
     next(e);
@@ -1399,7 +1186,7 @@ async function deleteScheduledBooking(req, res, next) {
       });
     }
 
-    if (booking.status !== "scheduled") {
+    if (booking.status !== RIDE_STATUS.SCHEDULED) {
       return res.status(409).json({
         success: false,
         code: "INVALID_STATUS",
@@ -1407,7 +1194,24 @@ async function deleteScheduledBooking(req, res, next) {
       });
     }
 
+    // Deleting an occurrence of a recurring series skips its date, or the
+    // job would create it again
+    const occurrence = booking.recurringBooking && booking.occurrenceDate;
+    if (occurrence) {
+      await RecurringBooking.updateOne(
+        { _id: booking.recurringBooking },
+        { $addToSet: { exceptions: booking.occurrenceDate }, updatedBy: req.user.id }
+      );
+    }
+
     await Ride.findByIdAndDelete(id);
+    await recordRideEvent(booking, "deleted", {
+      actor: req.user,
+      fromStatus: booking.status,
+      metadata: occurrence
+        ? { recurringBooking: booking.recurringBooking, skippedDate: booking.occurrenceDate }
+        : undefined,
+    });
 
     res.json({
       success: true,
@@ -1426,7 +1230,8 @@ async function deleteScheduledBooking(req, res, next) {
 async function updateScheduledBooking(req, res, next) {
   try {
     const { id } = req.params;
-    const { clients, from, to, scheduledTime, notes } = req.body || {};
+    const { clients, from, to, scheduledTime, notes, autoAssign, account, paymentMethod } =
+      req.body || {};
 
     const booking = await Ride.findById(id);
     if (!booking) {
@@ -1437,7 +1242,7 @@ async function updateScheduledBooking(req, res, next) {
       });
     }
 
-    if (booking.status !== "scheduled") {
+    if (booking.status !== RIDE_STATUS.SCHEDULED) {
       return res.status(409).json({
         success: false,
         code: "INVALID_STATUS",
@@ -1445,6 +1250,8 @@ async function updateScheduledBooking(req, res, next) {
       });
     }
 
+    const before = snapshotRide(booking);
+
     // Update fields if provided
     if (clients && Array.isArray(clients) && clients.length > 0) {
       await validateRefs(clients, booking.from, booking.to);
@@ -1492,7 +1299,21 @@ async function updateScheduledBooking(req, res, next) {
       booking.notes = notes;
     }
 
+    if (autoAssign !== undefined) {
+      booking.autoAssign = autoAssign === true;
+      booking.autoAssignFailedAt = null;
+    }
+
+    if (from || to || scheduledTime) {
+      booking.fareEstimate = await bookingEstimate(booking);
+    }
+
+    if (account !== undefined || paymentMethod !== undefined) {
+      booking.set(await paymentForBooking({ account, paymentMethod }, booking));
+    }
+
     await booking.save();
+    await recordRideEdits(booking, before, req.user, { source: "update_booking" });
 
     const populated = await Ride.findById(booking._id)
       .populate("clients", "name phone")
@@ -1548,77 +1369,123 @@ async function abortRide(req, res, next) {
       });
     }
 
-    // Only managers can abort rides
-    if (req.user.role !== "manager") {
-      return res.status(403).json({
+    // Abort assigned or accepted rides; frees the driver and notifies them
+    await transitionRide(ride, "abort", {
+      actor: req.user,
+      reason,
+      note,
+      changes: {
+        abortedBy: req.user.id,
+        abortReason: reason,
+        ...(note && { abortNote: note }),
+      },
+    });
+
+    // Populate for response
+    const populated = await Ride.findById(ride._id)
+      .populate("clients driver assignedBy abortedBy from to")
+      .lean();
+
+    res.json({
+      success: true,
+      message: "Ride aborted successfully",
+      ride: populated,
+    });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * POST /api/rides/:id/fare-estimate
+ * Permission: rides.read, or the ride's own driver
+ * Body: { distanceKm?, durationMinutes?, pickupTime? } - override what the
+ * tariff engine would otherwise work out from the ride's destinations
+ */
+async function estimateFare(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { distanceKm, durationMinutes, pickupTime } = req.body || {};
+
+    const ride = await Ride.findById(id);
+    if (!ride) {
+      return res.status(404).json({
         success: false,
-        code: "FORBIDDEN",
-        message: "Only managers can abort rides",
+        code: "NOT_FOUND",
+        message: "Ride not found",
       });
     }
 
-    // Can abort assigned or accepted rides (not completed, rejected, or already cancelled/aborted)
-    if (!["assigned", "accepted"].includes(ride.status)) {
-      return res.status(409).json({
+    const isOwnRide = ride.driver && String(ride.driver) === String(req.user.id);
+    if (!isOwnRide && !(await hasPermission(req.user.role, PERMISSIONS.RIDES_READ))) {
+      return res.status(403).json({
         success: false,
-        code: "INVALID_STATUS",
-        message: "Only assigned or accepted rides can be aborted",
+        code: "FORBIDDEN",
+        message: "Not authorized to view this ride",
       });
     }
 
-    // Update ride with abort details
-    ride.status = "aborted";
-    ride.abortedAt = new Date();
-    ride.abortedBy = req.user.id;
-    ride.abortReason = reason;
-    if (note) {
-      ride.abortNote = note;
+    if (
+      durationMinutes != null &&
+      (!Number.isFinite(Number(durationMinutes)) || Number(durationMinutes) < 0)
+    ) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: "durationMinutes must be a non-negative number",
+      });
     }
-    await ride.save();
-
-    // Free the driver if assigned
-    if (ride.driver) {
-      await User.findByIdAndUpdate(ride.driver, {
-        status: DRIVER_STATUS.FREE,
+    if (pickupTime != null && isNaN(new Date(pickupTime))) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: "pickupTime must be a date",
       });
     }
 
-    // Populate for response
-    const populated = await Ride.findById(ride._id)
-      .populate("clients driver assignedBy abortedBy from to")
-      .lean();
-
-    // Format reason for notification
-    const reasonText = reason
-      .replace(/_/g, " ")
-      .replace(/\b\w/g, (l) => l.toUpperCase());
+    const estimate = await estimateRideFare(ride, {
+      distanceKm: parseDistanceKm(distanceKm),
+      durationMinutes: durationMinutes != null ? Number(durationMinutes) : null,
+      pickupTime: pickupTime ? new Date(pickupTime) : null,
+    });
 
-    const managerName = req.user.fullName || req.user.username;
-    const notificationPayload = {
-      rideId: ride.rideId,
-      status: "aborted",
-      reason: reasonText,
-      message: `Manager ${managerName} aborted ride ${
-        ride.rideId
-      } - Reason: ${reasonText}${note ? ` (${note})` : ""}`,
-    };
+    res.json({ success: true, rideId: ride.rideId, estimate });
+  } catch (e) {
+    next(e);
+  }
+}
 
-    // Notify the driver if assigned
-    if (ride.driver) {
-      await sendNotification(
-        ride.driver._id,
-        "ride_aborted",
-        notificationPayload
-      );
+/**
+ * GET /api/rides/:id/history
+ * Permission: rides.read
+ * Every recorded transition and edit of the ride, oldest first
+ */
+async function getRideHistory(req, res, next) {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: "Invalid ride id",
+      });
     }
 
-    // Notify admins
-    await notifyAdmins("ride_aborted", notificationPayload);
+    // Deleted bookings keep their history, so the ride itself may be gone
+    const ride = await Ride.findById(id).select("rideId status driver").lean();
+    const events = await loadRideHistory(id);
+    if (!ride && events.length === 0) {
+      return res.status(404).json({
+        success: false,
+        code: "NOT_FOUND",
+        message: "Ride not found",
+      });
+    }
 
     res.json({
       success: true,
-      message: "Ride aborted successfully",
-      ride: populated,
+      ride: ride || { _id: id, rideId: events[0].rideId, deleted: true },
+      events,
     });
   } catch (e) {
     next(e);
@@ -1635,10 +1502,8 @@ async function abortRide(req, res, next) {
  */
 async function createQuickTrip(req, res, next) {
   try {
-    const { driverId, notes } = req.body;
-
-    // Validate driver
-    const driver = await ensureDriverFree(driverId);
+    const { driverId, notes, account, paymentMethod, force } = req.body;
+    const payment = await paymentForBooking({ account, paymentMethod });
 
     // Find active shift for driver
     const activeShift = await Shift.findOne({
@@ -1649,34 +1514,50 @@ async function createQuickTrip(req, res, next) {
     // Generate ride ID
     const rideId = await genRideId();
 
-    // Create quick trip with minimal details
-    const ride = await Ride.create({
-      rideId,
-      isQuickTrip: true,
-      bookingType: "immediate",
-      driver: driverId,
-      shift: activeShift?._id,
-      assignedBy: req.user.id,
-      scheduledTime: new Date(), // Immediate
-      passengers: 1, // Default
-      fare: {
-        total: 0, // Driver will update after trip
-        perPerson: 0,
-        halfFare: 0,
-        gst: 0,
-      },
-      status: "assigned",
-      notes: notes || "Quick trip - details to be completed by driver",
-      quickTripDetails: {
-        completedByDriver: false,
+    // Check the driver's schedule and claim them (free -> on_ride, same as
+    // regular rides), then create the quick trip with minimal details
+    const slot = { scheduledTime: new Date() }; // Immediate
+    const ride = await withAssignableDriver(
+      slot,
+      driverId,
+      (overridden) =>
+        Ride.create({
+          rideId,
+          isQuickTrip: true,
+          bookingType: "immediate",
+          driver: driverId,
+          shift: activeShift?._id,
+          assignedBy: req.user.id,
+          scheduledTime: slot.scheduledTime,
+          passengers: 1, // Default
+          fare: {
+            total: 0, // Driver will update after trip
+            perPerson: 0,
+            halfFare: 0,
+            gst: 0,
+          },
+          status: RIDE_STATUS.ASSIGNED,
+          notes: notes || "Quick trip - details to be completed by driver",
+          quickTripDetails: {
+            completedByDriver: false,
+          },
+          conflictOverride: overridden.length ? conflictOverrideFor(overridden, req.user) : undefined,
+          ...payment,
+        }),
+      { force: force === true }
+    );
+    await recordRideEvent(ride, "created", {
+      actor: req.user,
+      toStatus: ride.status,
+      metadata: {
+        isQuickTrip: true,
+        driver: driverId,
+        ...(ride.conflictOverride?.conflicts?.length
+          ? { conflictOverride: ride.conflictOverride.conflicts }
+          : {}),
       },
     });
 
-    // Update driver status to ON_RIDE (same as regular rides)
-    await User.findByIdAndUpdate(driverId, {
-      status: DRIVER_STATUS.ON_RIDE,
-    });
-
     // Populate for response
     const populated = await Ride.findById(ride._id)
       .populate("driver", "fullName phone username")
@@ -1691,7 +1572,7 @@ async function createQuickTrip(req, res, next) {
     // Notify admins
     await notifyAdmins("quick_trip_created", {
       rideId: ride.rideId,
-      driver: driver.fullName || driver.username,
+      driver: populated.driver?.fullName || populated.driver?.username,
       manager: req.user.fullName || req.user.username,
     });
 
@@ -1716,7 +1597,12 @@ async function completeQuickTripDetails(req, res, next) {
       pickupLocation,
       dropoffLocation,
       fareTotal,
+      distanceKm,
       driverNotes,
+      paymentMethod,
+      payments,
+      surcharge,
+      tip,
     } = req.body;
 
     const ride = await Ride.findById(id).populate("driver");
@@ -1737,36 +1623,9 @@ async function completeQuickTripDetails(req, res, next) {
       });
     }
 
-    // Verify driver owns this ride
-    if (
-      req.user.role === ROLES.DRIVER &&
-      ride.driver._id.toString() !== req.user.id
-    ) {
-      return res.status(403).json({
-        success: false,
-        code: "FORBIDDEN",
-        message: "You can only complete your own rides",
-      });
-    }
-
-    // 🔒 STRICT: Quick trips must be "started" before completion
-    if (ride.status !== "started") {
-      return res.status(400).json({
-        success: false,
-        code: "INVALID_STATUS",
-        message:
-          "Quick trip must be started before completion. Please start the ride first.",
-      });
-    }
-
-    // Double-check startedAt exists
-    if (!ride.startedAt) {
-      return res.status(400).json({
-        success: false,
-        code: "RIDE_NOT_STARTED",
-        message: "Quick trip must be started before adding details",
-      });
-    }
+    // Own rides only, and only once started (pickup recorded)
+    await assertTransition(ride, "complete", req.user);
+    const before = snapshotRide(ride);
 
     // Validate required fields for quick trip completion
     if (!clientName || !clientName.trim()) {
@@ -1839,32 +1698,32 @@ async function completeQuickTripDetails(req, res, next) {
       completedAt: new Date(),
     };
 
+    // Flag the fare if it is far off the tariff estimate
+    await priceRide(ride, parsedFare, { distanceKm: parseDistanceKm(distanceKm) });
+
     // Calculate GST
     const gst = await calculateGST(parsedFare);
 
-    // Update fare
+    // Update fare (single driver-added client, so a single fare line)
     ride.fare = {
       total: parsedFare,
       perPerson: parsedFare,
       halfFare: parsedFare / 2,
       gst: gst,
     };
+    await applyFareSplit(ride);
+
+    await recordRidePayment(ride, { paymentMethod, payments, surcharge, tip });
 
     // Update driver notes if provided
     if (driverNotes && driverNotes.trim()) {
       ride.driverNotes = driverNotes.trim();
     }
 
-    // Mark ride as completed
-    ride.status = "completed";
-    ride.droppedAt = new Date();
-
-    await ride.save();
-
-    // Set driver status back to FREE
-    await User.findByIdAndUpdate(ride.driver._id, {
-      status: DRIVER_STATUS.FREE,
-    });
+    // Mark ride as completed (frees the driver, notifies manager/admins)
+    await transitionRide(ride, "complete", { actor: req.user });
+    await recordRideEdits(ride, before, req.user, { source: "complete_quick_trip" });
+    await notifyFareFlagged(ride, req.user);
 
     const populated = await Ride.findById(ride._id)
       .populate("driver", "fullName phone username")
@@ -1872,21 +1731,6 @@ async function completeQuickTripDetails(req, res, next) {
       .populate("from to", "name address")
       .populate("assignedBy", "fullName username");
 
-    // Notify manager
-    if (ride.assignedBy) {
-      await sendNotification(ride.assignedBy, "ride_completed", {
-        rideId: ride.rideId,
-        message: `Quick trip ${ride.rideId} completed by driver`,
-      });
-    }
-
-    // Notify admins
-    await notifyAdmins("ride_completed", {
-      rideId: ride.rideId,
-      driverName: ride.driver.fullName || ride.driver.username,
-      isQuickTrip: true,
-    });
-
     res.json({
       success: true,
       message: "Quick trip completed successfully",
@@ -1906,8 +1750,13 @@ async function createSelfAssignedRide(req, res, next) {
       dropoffLocation,
       scheduledTime,
       fareTotal,
+      distanceKm,
       passengers,
       driverNotes,
+      paymentMethod,
+      payments,
+      surcharge,
+      tip,
     } = req.body;
 
     // Verify user is a driver
@@ -1976,6 +1825,9 @@ async function createSelfAssignedRide(req, res, next) {
       });
     }
 
+    // Self-assigned rides have no account, so "account" is rejected here
+    const payment = await resolvePayment({ paymentMethod });
+
     // Create driver-generated client
     const client = await Client.create({
       name: clientName.trim(),
@@ -2003,10 +1855,9 @@ async function createSelfAssignedRide(req, res, next) {
     const perPersonFare = parseFloat(
       (parsedFare / parsedPassengers).toFixed(2)
     );
-    const halfFare = parseFloat((perPersonFare / 2).toFixed(2));
 
     // Create the ride
-    const ride = await Ride.create({
+    const ride = new Ride({
       rideId: await genRideId(),
       isSelfAssigned: true,
       clients: [client._id],
@@ -2017,15 +1868,28 @@ async function createSelfAssignedRide(req, res, next) {
       fare: {
         total: parsedFare,
         perPerson: perPersonFare,
-        halfFare: halfFare,
+        halfFare: parseFloat((perPersonFare / 2).toFixed(2)),
         gst: gst,
       },
       driver: req.user.id,
       shift: activeShift._id,
-      status: "accepted", // Self-assigned rides start as accepted
+      status: RIDE_STATUS.ACCEPTED, // Self-assigned rides start as accepted
       driverNotes: driverNotes?.trim() || "",
       acceptedAt: new Date(),
+      paymentMethod: payment.paymentMethod,
+    });
+    await priceRide(ride, parsedFare, { distanceKm: parseDistanceKm(distanceKm) });
+    // perPerson becomes the named client's fare line share
+    await applyFareSplit(ride);
+    // Can be recorded now or at drop-off (dropRide)
+    await recordRidePayment(ride, { payments, surcharge, tip });
+    await ride.save();
+    await recordRideEvent(ride, "created", {
+      actor: req.user,
+      toStatus: ride.status,
+      metadata: { isSelfAssigned: true },
     });
+    await notifyFareFlagged(ride, req.user);
 
     // Update driver status to ON_RIDE
     await User.findByIdAndUpdate(req.user.id, {
@@ -2074,10 +1938,15 @@ module.exports = {
   createScheduledBooking,
   listScheduledBookings,
   assignScheduledBooking,
+  getSuggestedDrivers,
   deleteScheduledBooking,
   updateScheduledBooking,
   // Manager abort
   abortRide,
+  // History
+  getRideHistory,
+  // Tariff
+  estimateFare,
   // Quick trips
   createQuickTrip,
   completeQuickTripDetails,
@@ -0,0 +1,79 @@
+const Role = require("../models/Role");
+const { ROLES } = require("../utils/constants");
+const {
+  PERMISSIONS,
+  PERMISSION_DESCRIPTIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  LOCKED_ROLE_PERMISSIONS,
+} = require("../utils/permissions");
+const { updateRolePermissions } = require("../services/permissionService");
+
+/**
+ * GET /api/roles
+ * Permission: roles.manage
+ * Every role with its current permissions (defaults for roles not yet seeded)
+ */
+async function listRoles(req, res, next) {
+  try {
+    const docs = await Role.find().populate("updatedBy", "fullName").lean();
+    const byName = new Map(docs.map((d) => [d.name, d]));
+
+    const roles = Object.values(ROLES).map((name) => {
+      const doc = byName.get(name);
+      return {
+        name,
+        description: doc?.description || `Built-in ${name} role`,
+        permissions: doc ? doc.permissions : DEFAULT_ROLE_PERMISSIONS[name] || [],
+        lockedPermissions: LOCKED_ROLE_PERMISSIONS[name] || [],
+        updatedBy: doc?.updatedBy || null,
+        updatedAt: doc?.updatedAt || null,
+      };
+    });
+
+    res.json({ success: true, roles });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * GET /api/roles/permissions
+ * Permission: roles.manage
+ * The permission catalog, for building the role editor
+ */
+async function listPermissions(req, res, next) {
+  try {
+    const permissions = Object.values(PERMISSIONS).map((key) => ({
+      key,
+      description: PERMISSION_DESCRIPTIONS[key] || "",
+    }));
+    res.json({ success: true, permissions });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * PUT /api/roles/:name
+ * Permission: roles.manage
+ * Body: { permissions: string[] } — replaces the role's permissions
+ */
+async function updateRole(req, res, next) {
+  try {
+    const { permissions } = req.body || {};
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: "permissions must be an array",
+      });
+    }
+
+    const role = await updateRolePermissions(req.params.name, permissions, req.user.id);
+    res.json({ success: true, role });
+  } catch (e) {
+    next(e);
+  }
+}
+
+module.exports = { listRoles, listPermissions, updateRole };
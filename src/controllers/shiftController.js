@@ -3,30 +3,57 @@ const Shift = require('../models/Shift');
 const User = require('../models/User');
 const Ride = require('../models/Ride');
 const { notifyAdminsAndManagers } = require('../services/notificationService');
+const { summarisePayments } = require('../services/ridePaymentService');
+const { resolveShiftVehicle } = require('../services/vehicleService');
+
+// Optional non-negative reading: undefined when not sent, NaN when invalid
+function parseReading(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : NaN;
+}
+
+// Meter takings and km driven, once the shift has both readings
+function shiftTotals(shift) {
+  const diff = (start, end) =>
+    start != null && end != null ? parseFloat((end - start).toFixed(2)) : null;
+  return {
+    meterTotal: diff(shift.startMeter, shift.endMeter),
+    kmDriven: diff(shift.startOdometer, shift.endOdometer),
+  };
+}
 
 /**
  * POST /api/shifts/start
- * fields: taxiNumber, startMeter
+ * fields: taxiNumber (or vehicle id) of a registered, active vehicle, startMeter,
+ * startOdometer (km, optional)
  * file: startMeterPhoto  (multer fields upload)
  */
 exports.startShift = async (req, res) => {
   try {
     const driverId = req.user.id;
-    const { taxiNumber, startMeter, startMeterPhoto } = req.body;
+    const { taxiNumber, vehicle: vehicleId, startMeter, startMeterPhoto } = req.body;
 
-    if (!taxiNumber || typeof taxiNumber !== 'string') {
+    if ((!taxiNumber || typeof taxiNumber !== 'string') && !vehicleId) {
       return res.status(400).json({ success: false, message: 'taxiNumber is required' });
     }
     const startMeterNum = Number(startMeter);
     if (Number.isNaN(startMeterNum) || startMeterNum < 0) {
       return res.status(400).json({ success: false, message: 'startMeter must be a non-negative number' });
     }
+    const startOdometer = parseReading(req.body.startOdometer);
+    if (Number.isNaN(startOdometer)) {
+      return res.status(400).json({ success: false, message: 'startOdometer must be a non-negative number' });
+    }
 
     const existing = await Shift.findOne({ driver: driverId, isActive: true });
     if (existing) {
       return res.status(400).json({ success: false, message: 'You already have an active shift', data: existing });
     }
 
+    // Known, active and not in another driver's shift
+    const vehicle = await resolveShiftVehicle({ vehicle: vehicleId, taxiNumber }, driverId);
+
     // Support both file upload (legacy) and URL (Supabase)
     let photoUrl = startMeterPhoto; // From request body (Supabase URL)
     
@@ -41,9 +68,11 @@ exports.startShift = async (req, res) => {
     // Photo is optional now (can be updated later via PATCH)
     const shift = await Shift.create({
       driver: driverId,
-      taxiNumber: taxiNumber.trim(),
+      vehicle: vehicle._id,
+      taxiNumber: vehicle.taxiNumber,
       startMeter: startMeterNum,
       startMeterPhoto: photoUrl || 'pending',
+      startOdometer,
       isActive: true,
     });
 
@@ -68,6 +97,22 @@ exports.startShift = async (req, res) => {
 
     return res.status(201).json({ success: true, data: shift });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({
+        success: false,
+        code: err.code,
+        message: err.message,
+        ...(err.details && { details: err.details }),
+      });
+    }
+    // Another driver started a shift in the same vehicle at the same time
+    if (err.code === 11000 && err.keyPattern?.vehicle) {
+      return res.status(409).json({
+        success: false,
+        code: 'VEHICLE_IN_USE',
+        message: 'This vehicle is already in an active shift',
+      });
+    }
     return res.status(500).json({ success: false, message: 'Failed to start shift', error: err.message });
   }
 };
@@ -75,23 +120,28 @@ exports.startShift = async (req, res) => {
 /**
  * PATCH /api/shifts/:shiftId
  * Update shift details (e.g., photo URL from Supabase)
+ * Body: startMeterPhoto and/or endMeterPhoto (URLs)
  */
 exports.updateShift = async (req, res) => {
   try {
     const { shiftId } = req.params;
     const driverId = req.user.id;
-    const { startMeterPhoto } = req.body;
+    const { startMeterPhoto, endMeterPhoto } = req.body;
 
-    if (!startMeterPhoto) {
+    if (!startMeterPhoto && !endMeterPhoto) {
       return res.status(400).json({ 
         success: false, 
-        message: 'startMeterPhoto URL is required' 
+        message: 'startMeterPhoto or endMeterPhoto URL is required' 
       });
     }
 
+    const update = {};
+    if (startMeterPhoto) update.startMeterPhoto = startMeterPhoto;
+    if (endMeterPhoto) update.endMeterPhoto = endMeterPhoto;
+
     const shift = await Shift.findOneAndUpdate(
       { _id: shiftId, driver: driverId },
-      { startMeterPhoto },
+      update,
       { new: true }
     );
 
@@ -114,15 +164,61 @@ exports.updateShift = async (req, res) => {
 
 /**
  * POST /api/shifts/:shiftId/end
+ * fields: endMeter (>= startMeter), endMeterPhoto (URL), startOdometer (if not
+ * given at start), endOdometer (>= startOdometer) - all optional
+ * file: endMeterPhoto  (multer fields upload)
  */
 exports.endShift = async (req, res) => {
   try {
     const { shiftId } = req.params;
     const driverId = req.user.id;
+    const body = req.body || {};
+
+    const active = await Shift.findOne({ _id: shiftId, driver: driverId, isActive: true });
+    if (!active) {
+      return res.status(404).json({ success: false, message: 'Active shift not found' });
+    }
+
+    const readings = {
+      endMeter: parseReading(body.endMeter),
+      startOdometer: parseReading(body.startOdometer),
+      endOdometer: parseReading(body.endOdometer),
+    };
+    for (const [field, value] of Object.entries(readings)) {
+      if (Number.isNaN(value)) {
+        return res.status(400).json({ success: false, message: `${field} must be a non-negative number` });
+      }
+    }
+    if (readings.endMeter !== undefined && readings.endMeter < active.startMeter) {
+      return res.status(400).json({
+        success: false,
+        message: `endMeter cannot be less than the start meter (${active.startMeter})`,
+      });
+    }
+    const startOdometer = readings.startOdometer ?? active.startOdometer;
+    if (readings.endOdometer !== undefined && startOdometer != null && readings.endOdometer < startOdometer) {
+      return res.status(400).json({
+        success: false,
+        message: `endOdometer cannot be less than the start odometer (${startOdometer})`,
+      });
+    }
+
+    // Support both file upload (legacy) and URL (Supabase)
+    let endMeterPhoto = body.endMeterPhoto;
+    if (!endMeterPhoto) {
+      const file = req?.files?.endMeterPhoto?.[0];
+      if (file) endMeterPhoto = file.url || file.path || file.location || '';
+    }
+
+    const update = { isActive: false, endTime: new Date() };
+    for (const [field, value] of Object.entries(readings)) {
+      if (value !== undefined) update[field] = value;
+    }
+    if (endMeterPhoto) update.endMeterPhoto = endMeterPhoto;
 
     const shift = await Shift.findOneAndUpdate(
       { _id: shiftId, driver: driverId, isActive: true },
-      { isActive: false, endTime: new Date() },
+      update,
       { new: true }
     );
 
@@ -158,7 +254,7 @@ exports.endShift = async (req, res) => {
       message: `${driver?.fullName || 'Driver'} ended shift in Taxi ${shift.taxiNumber} at ${endTime} (Duration: ${durationStr})`
     });
 
-    return res.json({ success: true, data: shift });
+    return res.json({ success: true, data: shift, totals: shiftTotals(shift) });
   } catch (err) {
     return res.status(500).json({ success: false, message: 'Failed to end shift', error: err.message });
   }
@@ -240,6 +336,7 @@ exports.getShiftTimeline = async (req, res) => {
       
       return {
         ...shift,
+        ...shiftTotals(shift),
         duration,
         durationMs
       };
@@ -297,6 +394,7 @@ exports.getDriverShiftHistory = async (req, res) => {
       
       return {
         ...shift,
+        ...shiftTotals(shift),
         duration,
         durationMs
       };
@@ -324,7 +422,9 @@ exports.getDriverShiftHistory = async (req, res) => {
 /**
  * GET /api/shifts/:shiftId/ride-statistics
  * Get ride statistics for a specific shift
- * Returns: totalTripsCount and totalAccountTrips (sum of completed ride fares)
+ * Returns: totalTripsCount, totalAccountTrips (sum of completed ride fares, kept for
+ * older app versions) and payments: totals per method, tips, surcharges and rides
+ * without a recorded payment (see ridePaymentService.summarisePayments)
  */
 exports.getShiftRideStatistics = async (req, res) => {
   try {
@@ -345,7 +445,7 @@ exports.getShiftRideStatistics = async (req, res) => {
       shift: shiftId,
       driver: driverId,
       status: 'completed'
-    }).select('fare').lean();
+    }).select('fare payments paymentMethod').lean();
 
     // Calculate statistics
     const totalTripsCount = completedRides.length;
@@ -358,7 +458,8 @@ exports.getShiftRideStatistics = async (req, res) => {
       data: {
         shiftId,
         totalTripsCount,
-        totalAccountTrips: parseFloat(totalAccountTrips.toFixed(2))
+        totalAccountTrips: parseFloat(totalAccountTrips.toFixed(2)),
+        payments: summarisePayments(completedRides)
       }
     });
   } catch (err) {
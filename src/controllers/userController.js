@@ -1,8 +1,14 @@
+const bcrypt = require("bcryptjs");
 const User = require("../models/User");
+const RefreshToken = require("../models/RefreshToken");
 const { ROLES, DRIVER_STATUS } = require("../utils/constants");
+const { revokeAllSessions } = require("../services/tokenService");
+const { validatePasswordStrength } = require("../utils/password");
+const { hasPermission } = require("../services/permissionService");
+const { PERMISSIONS } = require("../utils/permissions");
 
-function forbidManagerCreatingAdmin(req) {
-  return req.user.role === ROLES.MANAGER;
+function canAssignRoles(req) {
+  return hasPermission(req.user.role, PERMISSIONS.USERS_ROLES_ASSIGN);
 }
 
 async function listUsers(req, res, next) {
@@ -34,6 +40,7 @@ async function createUser(req, res, next) {
       phone,
       role = ROLES.DRIVER,
       status = DRIVER_STATUS.FREE,
+      mustChangePassword = true,
     } = req.body || {};
     if (!username || !email || !password || !fullName || !phone) {
       return res
@@ -44,13 +51,25 @@ async function createUser(req, res, next) {
           message: "Missing required fields",
         });
     }
-    if (forbidManagerCreatingAdmin(req) && role === ROLES.ADMIN) {
+    if (role === ROLES.ADMIN && !(await canAssignRoles(req))) {
       return res
         .status(403)
         .json({
           success: false,
           code: "FORBIDDEN",
-          message: "Managers cannot create admins",
+          message: "Insufficient permissions to create admins",
+        });
+    }
+
+    const passwordErrors = validatePasswordStrength(password);
+    if (passwordErrors.length) {
+      return res
+        .status(400)
+        .json({
+          success: false,
+          code: "WEAK_PASSWORD",
+          message: passwordErrors[0],
+          errors: passwordErrors,
         });
     }
 
@@ -74,6 +93,8 @@ async function createUser(req, res, next) {
       role,
       status: role === ROLES.DRIVER ? status : undefined,
       createdBy: req.user.id,
+      // Admin-chosen passwords are temporary unless explicitly opted out
+      mustChangePassword: mustChangePassword !== false,
     });
 
     res.status(201).json({ success: true, user: doc.toJSON() });
@@ -108,18 +129,42 @@ async function updateUser(req, res, next) {
         });
     }
 
-    const { role, status, fullName, phone, email } = req.body || {};
+    const { role, status, fullName, phone, email, password, mustChangePassword } =
+      req.body || {};
     const update = {};
 
+    // Admin-initiated reset: set a temporary password the user must replace
+    if (password) {
+      const passwordErrors = validatePasswordStrength(password);
+      if (passwordErrors.length) {
+        return res
+          .status(400)
+          .json({
+            success: false,
+            code: "WEAK_PASSWORD",
+            message: passwordErrors[0],
+            errors: passwordErrors,
+          });
+      }
+      const salt = await bcrypt.genSalt(10);
+      update.password = await bcrypt.hash(password, salt);
+      update.mustChangePassword = mustChangePassword !== false;
+      update.passwordChangedAt = new Date();
+      update.passwordResetTokenHash = null;
+      update.passwordResetExpiresAt = null;
+    } else if (typeof mustChangePassword === "boolean") {
+      update.mustChangePassword = mustChangePassword;
+    }
+
     if (role) {
-      // Only admin can change roles; managers cannot escalate anyone to admin
-      if (req.user.role !== ROLES.ADMIN) {
+      // Changing roles needs users.roles.assign so nobody can escalate themselves
+      if (!(await canAssignRoles(req))) {
         return res
           .status(403)
           .json({
             success: false,
             code: "FORBIDDEN",
-            message: "Only admin can change roles",
+            message: "Insufficient permissions to change roles",
           });
       }
       update.role = role;
@@ -130,14 +175,21 @@ async function updateUser(req, res, next) {
     if (phone) update.phone = phone;
     if (email) update.email = email;
 
-    const user = await User.findByIdAndUpdate(req.params.id, update, {
-      new: true,
-    });
-    if (!user)
+    const previous = await User.findById(req.params.id).select("role");
+    if (!previous)
       return res
         .status(404)
         .json({ success: false, code: "NOT_FOUND", message: "User not found" });
 
+    const user = await User.findByIdAndUpdate(req.params.id, update, {
+      new: true,
+    });
+
+    // A role change or password reset must not leave old sessions alive
+    if (update.password || (update.role && update.role !== previous.role)) {
+      await revokeAllSessions(user._id);
+    }
+
     res.json({ success: true, user });
   } catch (e) {
     next(e);
@@ -166,6 +218,7 @@ async function deleteUser(req, res, next) {
     // Cascade delete: Remove all agreements for this driver
     const DriverAgreement = require('../models/DriverAgreement');
     const deletedAgreements = await DriverAgreement.deleteMany({ driver: req.params.id });
+    await RefreshToken.deleteMany({ user: req.params.id });
 
     res.json({ 
       success: true, 
@@ -177,4 +230,36 @@ async function deleteUser(req, res, next) {
   }
 }
 
-module.exports = { listUsers, createUser, getUser, updateUser, deleteUser };
+/**
+ * POST /api/users/:id/revoke-sessions
+ * Roles: admin
+ * Signs the user out everywhere (refresh + access tokens).
+ */
+async function revokeUserSessions(req, res, next) {
+  try {
+    const user = await User.findById(req.params.id).select("_id");
+    if (!user)
+      return res
+        .status(404)
+        .json({ success: false, code: "NOT_FOUND", message: "User not found" });
+
+    const revoked = await revokeAllSessions(user._id);
+
+    res.json({
+      success: true,
+      message: "All sessions revoked",
+      revokedRefreshTokens: revoked,
+    });
+  } catch (e) {
+    next(e);
+  }
+}
+
+module.exports = {
+  listUsers,
+  createUser,
+  getUser,
+  updateUser,
+  deleteUser,
+  revokeUserSessions,
+};
@@ -0,0 +1,285 @@
+const mongoose = require("mongoose");
+const Vehicle = require("../models/Vehicle");
+const Shift = require("../models/Shift");
+const {
+  complianceStatus,
+  setComplianceItem,
+  removeComplianceItem,
+  findExpiringVehicles,
+} = require("../services/vehicleComplianceService");
+
+const FIELDS = [
+  "taxiNumber",
+  "plate",
+  "make",
+  "model",
+  "owner",
+  "operator",
+  "registrationExpiry",
+  "insuranceExpiry",
+  "isActive",
+  "notes",
+];
+
+function pick(body) {
+  const data = {};
+  for (const field of FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+  if (data.plate === "") data.plate = null;
+  for (const field of ["registrationExpiry", "insuranceExpiry"]) {
+    if (data[field] === "") data[field] = null;
+  }
+  return data;
+}
+
+function invalidDate(data) {
+  return ["registrationExpiry", "insuranceExpiry"].find(
+    (field) => data[field] != null && isNaN(new Date(data[field]))
+  );
+}
+
+function duplicateResponse(e, res) {
+  if (e.code !== 11000) return false;
+  const field = Object.keys(e.keyPattern || {})[0] || "taxiNumber";
+  res.status(409).json({
+    success: false,
+    code: "DUPLICATE",
+    message: `A vehicle with this ${field} already exists`,
+  });
+  return true;
+}
+
+async function loadVehicle(id, res) {
+  const vehicle = mongoose.Types.ObjectId.isValid(id) ? await Vehicle.findById(id) : null;
+  if (!vehicle) {
+    res.status(404).json({
+      success: false,
+      code: "NOT_FOUND",
+      message: "Vehicle not found",
+    });
+  }
+  return vehicle;
+}
+
+/**
+ * GET /api/vehicles
+ * Permission: vehicles.read
+ * Query: q (taxi number, plate, make or model), active (true | false), page, limit
+ */
+async function listVehicles(req, res, next) {
+  try {
+    const { q, active, page = 1, limit = 50 } = req.query;
+    const filter = {};
+    if (q) {
+      const re = new RegExp(q, "i");
+      filter.$or = [{ taxiNumber: re }, { plate: re }, { make: re }, { model: re }];
+    }
+    if (active === "true" || active === "false") filter.isActive = active === "true";
+
+    const [items, total] = await Promise.all([
+      Vehicle.find(filter)
+        .sort({ taxiNumber: 1 })
+        .skip((+page - 1) * +limit)
+        .limit(+limit),
+      Vehicle.countDocuments(filter),
+    ]);
+
+    res.json({ success: true, items, total, page: +page, limit: +limit });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * POST /api/vehicles
+ * Permission: vehicles.manage
+ * Body: { taxiNumber, plate?, make?, model?, owner?: { name, phone, email },
+ *         operator?: { name, phone, email }, registrationExpiry?, insuranceExpiry?, notes? }
+ */
+async function createVehicle(req, res, next) {
+  try {
+    const data = pick(req.body || {});
+    if (!data.taxiNumber || !String(data.taxiNumber).trim()) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: "taxiNumber is required",
+      });
+    }
+    const badDate = invalidDate(data);
+    if (badDate) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: `${badDate} must be a date`,
+      });
+    }
+
+    const vehicle = await Vehicle.create({ ...data, createdBy: req.user.id });
+    res.status(201).json({ success: true, vehicle });
+  } catch (e) {
+    if (duplicateResponse(e, res)) return;
+    next(e);
+  }
+}
+
+/**
+ * GET /api/vehicles/:id
+ * Permission: vehicles.read
+ * The vehicle with its compliance status and the active shift it is in, if any
+ */
+async function getVehicle(req, res, next) {
+  try {
+    const vehicle = await loadVehicle(req.params.id, res);
+    if (!vehicle) return;
+
+    const activeShift = await Shift.findOne({ vehicle: vehicle._id, isActive: true })
+      .select("driver startTime taxiNumber")
+      .populate("driver", "fullName");
+    res.json({ success: true, vehicle, compliance: complianceStatus(vehicle), activeShift });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * PATCH /api/vehicles/:id
+ * Permission: vehicles.manage
+ * Body: any of the create fields, plus isActive. Renaming the taxi number
+ * does not change the taxiNumber recorded on past shifts.
+ */
+async function updateVehicle(req, res, next) {
+  try {
+    const vehicle = await loadVehicle(req.params.id, res);
+    if (!vehicle) return;
+
+    const data = pick(req.body || {});
+    const badDate = invalidDate(data);
+    if (badDate) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: `${badDate} must be a date`,
+      });
+    }
+    // Partial owner/operator: keep the other details
+    for (const party of ["owner", "operator"]) {
+      if (data[party]) data[party] = { ...vehicle[party]?.toObject?.(), ...data[party] };
+    }
+    vehicle.set(data);
+    await vehicle.save();
+    res.json({ success: true, vehicle });
+  } catch (e) {
+    if (duplicateResponse(e, res)) return;
+    next(e);
+  }
+}
+
+/**
+ * DELETE /api/vehicles/:id
+ * Permission: vehicles.manage
+ * Only vehicles no shift was driven in; otherwise set isActive to false.
+ */
+async function deleteVehicle(req, res, next) {
+  try {
+    const vehicle = await loadVehicle(req.params.id, res);
+    if (!vehicle) return;
+
+    if (await Shift.exists({ vehicle: vehicle._id })) {
+      return res.status(409).json({
+        success: false,
+        code: "VEHICLE_IN_USE",
+        message: "Shifts were driven in this vehicle. Deactivate it (isActive: false) instead.",
+      });
+    }
+    await vehicle.deleteOne();
+    res.json({ success: true, message: "Vehicle deleted" });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * GET /api/vehicles/compliance/expiring
+ * Permission: vehicles.manage
+ * Query: days (default 30) - active vehicles with items expired or expiring within it
+ */
+async function listExpiringCompliance(req, res, next) {
+  try {
+    const days = req.query.days === undefined ? undefined : Number(req.query.days);
+    if (days !== undefined && (!Number.isInteger(days) || days < 0)) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: "days must be a whole number of days",
+      });
+    }
+    const items = await findExpiringVehicles(days);
+    res.json({ success: true, items });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * GET /api/vehicles/:id/compliance
+ * Permission: vehicles.read
+ */
+async function getCompliance(req, res, next) {
+  try {
+    const vehicle = await loadVehicle(req.params.id, res);
+    if (!vehicle) return;
+
+    res.json({ success: true, items: complianceStatus(vehicle) });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * PUT /api/vehicles/:id/compliance/:type
+ * Permission: vehicles.manage
+ * type: registration | ctp_insurance | taxi_licence | safety_inspection
+ * Body: { expiresAt (required for a new item), reference?, notes?, documentUrl? }
+ * file: photo (optional document photo, multipart)
+ */
+async function putComplianceItem(req, res, next) {
+  try {
+    const vehicle = await loadVehicle(req.params.id, res);
+    if (!vehicle) return;
+
+    await setComplianceItem(vehicle, req.params.type, req.body || {}, req.file, req.user.id);
+    res.json({ success: true, items: complianceStatus(vehicle) });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * DELETE /api/vehicles/:id/compliance/:type
+ * Permission: vehicles.manage
+ */
+async function deleteComplianceItem(req, res, next) {
+  try {
+    const vehicle = await loadVehicle(req.params.id, res);
+    if (!vehicle) return;
+
+    await removeComplianceItem(vehicle, req.params.type);
+    res.json({ success: true, items: complianceStatus(vehicle) });
+  } catch (e) {
+    next(e);
+  }
+}
+
+module.exports = {
+  listVehicles,
+  createVehicle,
+  getVehicle,
+  updateVehicle,
+  deleteVehicle,
+  listExpiringCompliance,
+  getCompliance,
+  putComplianceItem,
+  deleteComplianceItem,
+};
@@ -1,8 +1,14 @@
 const jwt = require("jsonwebtoken");
 const { ROLES } = require("../utils/constants");
-const DriverAgreement = require('../models/DriverAgreement');
+const User = require("../models/User");
+const { findCurrentAgreement, expiredDocuments } = require('../services/driverDocumentService');
+const { needsReacceptance, acceptedVersion, getEffectiveTemplates } = require('../services/agreementTemplateService');
+const { getRolePermissions } = require("../services/permissionService");
+
+async function authenticateToken(req, res, next) {
+  // Already verified earlier in the chain (app-level + router-level mounts)
+  if (req.user) return next();
 
-function authenticateToken(req, res, next) {
   const authHeader = req.headers["authorization"] || "";
 
   // Try to get token from Authorization header first, then from query parameter (for SSE)
@@ -19,15 +25,9 @@ function authenticateToken(req, res, next) {
       .json({ success: false, code: "UNAUTHORIZED", message: "Missing token" });
   }
 
+  let payload;
   try {
-    const payload = jwt.verify(token, process.env.JWT_SECRET);
-
-    // payload is expected to be { id, role, fullName }
-    req.user = payload;
-    // ✅ normalize so legacy code using _id keeps working
-    if (!req.user._id && req.user.id) req.user._id = req.user.id;
-
-    next();
+    payload = jwt.verify(token, process.env.JWT_SECRET);
   } catch (e) {
     return res
       .status(401)
@@ -37,6 +37,35 @@ function authenticateToken(req, res, next) {
         message: "Invalid or expired token",
       });
   }
+
+  try {
+    // Reject tokens of deleted users, revoked sessions and stale roles
+    const user = await User.findById(payload.id).select("role tokenVersion");
+    if (!user) {
+      return res
+        .status(401)
+        .json({ success: false, code: "UNAUTHORIZED", message: "Account no longer exists" });
+    }
+    if ((payload.tv || 0) !== (user.tokenVersion || 0)) {
+      return res
+        .status(401)
+        .json({ success: false, code: "SESSION_REVOKED", message: "Session has been revoked" });
+    }
+    if (payload.role !== user.role) {
+      return res
+        .status(401)
+        .json({ success: false, code: "ROLE_CHANGED", message: "Role has changed, please sign in again" });
+    }
+  } catch (e) {
+    return next(e);
+  }
+
+  // payload is expected to be { id, role, fullName, tv }
+  req.user = payload;
+  // ✅ normalize so legacy code using _id keeps working
+  if (!req.user._id && req.user.id) req.user._id = req.user.id;
+
+  next();
 }
 
 function requireRole(roles) {
@@ -55,14 +84,41 @@ function requireRole(roles) {
   };
 }
 
-// Blocks all app features for drivers until approved.
+// Requires every listed permission on the caller's role (see utils/permissions)
+function requirePermission(...permissions) {
+  const required = permissions.flat();
+  return async (req, res, next) => {
+    try {
+      const granted = req.user ? await getRolePermissions(req.user.role) : new Set();
+      const missing = required.filter((p) => !granted.has(p));
+      if (missing.length) {
+        return res
+          .status(403)
+          .json({
+            success: false,
+            code: "FORBIDDEN",
+            message: "Insufficient permissions",
+            missing,
+          });
+      }
+      next();
+    } catch (e) {
+      next(e);
+    }
+  };
+}
+
+// Blocks all app features for drivers until approved, once their licence
+// or accreditation has expired, and until they accept a new mandatory
+// version of the agreement text.
 // Agreement endpoints are mounted WITHOUT this middleware.
 async function requireApprovedDriver(req, res, next) {
   try {
     if (req.user.role !== ROLES.DRIVER) return next();
 
     // NOTE: because we normalized _id above, either id or _id works.
-    const latest = await DriverAgreement.findOne({ driver: req.user._id }).sort({ createdAt: -1 });
+    // Pending renewals do not replace the approved agreement
+    const latest = await findCurrentAgreement(req.user._id);
     const status = latest?.status || 'not_submitted';
 
     const approved = status === 'approved';
@@ -77,6 +133,33 @@ async function requireApprovedDriver(req, res, next) {
           // client can route to AgreementGate/Status page based on this payload
         });
     }
+
+    const expired = expiredDocuments(latest);
+    if (expired.length) {
+      return res
+        .status(403)
+        .json({
+          success: false,
+          code: "DOCUMENTS_EXPIRED",
+          message: `Your ${expired.map((d) => d.label).join(" and ")} expired. Upload the renewed documents to continue.`,
+          status: 'expired',
+          expired: expired.map(({ document, expiresAt }) => ({ document, expiresAt })),
+        });
+    }
+
+    const { required } = await getEffectiveTemplates();
+    if (await needsReacceptance(latest, required)) {
+      return res
+        .status(403)
+        .json({
+          success: false,
+          code: "AGREEMENT_UPDATE_REQUIRED",
+          message: "Please review and accept the updated driver agreement to continue.",
+          status: 'reaccept_required',
+          acceptedVersion: acceptedVersion(latest),
+          requiredVersion: required.version,
+        });
+    }
     next();
   } catch (e) {
     return res
@@ -89,8 +172,4 @@ async function requireApprovedDriver(req, res, next) {
   }
 }
 
-// convenience guards
-const isAdmin = requireRole(ROLES.ADMIN);
-const isAdminOrManager = requireRole([ROLES.ADMIN, ROLES.MANAGER]);
-
-module.exports = { authenticateToken, requireRole, isAdmin, isAdminOrManager, requireApprovedDriver };
+module.exports = { authenticateToken, requireRole, requirePermission, requireApprovedDriver };
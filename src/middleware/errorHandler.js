@@ -6,10 +6,20 @@ function notFound(req, res, next) {
 
 function errorHandler(err, req, res, next) {
   // eslint-disable-line
+  // Optimistic concurrency conflict on save (document changed since loaded)
+  if (err.name === "VersionError") {
+    return res.status(409).json({
+      success: false,
+      code: "CONFLICT",
+      message: "Record was changed by another request. Reload and try again.",
+    });
+  }
   const status = err.status || 500;
   const code = err.code || "INTERNAL_ERROR";
   const message = err.message || "Internal server error";
-  res.status(status).json({ success: false, code, message });
+  const body = { success: false, code, message };
+  if (err.details) body.details = err.details;
+  res.status(status).json(body);
 }
 
 module.exports = { notFound, errorHandler };
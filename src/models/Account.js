@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+
+const ACCOUNT_STATUS = {
+  ACTIVE: "active",
+  SUSPENDED: "suspended", // no new bookings; existing rides still billed
+  CLOSED: "closed",
+};
+
+const contactSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    email: { type: String, trim: true, lowercase: true },
+    phone: { type: String, trim: true },
+    position: { type: String, trim: true },
+    receivesStatements: { type: Boolean, default: false },
+  },
+  { _id: true }
+);
+
+/**
+ * Corporate (account) client: rides booked on the account with payment
+ * method "account" are billed on a monthly statement (see
+ * accountStatementService) instead of being paid in the taxi.
+ */
+const accountSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true }, // company name
+    abn: {
+      type: String,
+      trim: true,
+      match: [/^\d{11}$/, "ABN must be 11 digits"],
+    },
+    billingAddress: { type: String, trim: true },
+    contacts: { type: [contactSchema], default: [] },
+    billingCycle: {
+      // Statement period closes on this day of each month (1 = calendar months)
+      closingDay: { type: Number, min: 1, max: 28, default: 1 },
+      paymentTermsDays: { type: Number, min: 0, default: 14 },
+    },
+    // Unpaid + unbilled + booked amount allowed; null = no limit
+    creditLimit: { type: Number, min: 0, default: null },
+    status: {
+      type: String,
+      enum: Object.values(ACCOUNT_STATUS),
+      default: ACCOUNT_STATUS.ACTIVE,
+      index: true,
+    },
+    notes: { type: String, trim: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  },
+  { timestamps: true }
+);
+
+accountSchema.index({ name: 1 });
+
+module.exports = mongoose.model("Account", accountSchema);
+module.exports.ACCOUNT_STATUS = ACCOUNT_STATUS;
@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+
+const STATEMENT_STATUS = {
+  ISSUED: "issued",
+  PAID: "paid",
+  VOID: "void", // released; its rides go on the next statement
+};
+
+const statementLineSchema = new mongoose.Schema(
+  {
+    ride: { type: mongoose.Schema.Types.ObjectId, ref: "Ride", required: true },
+    rideId: { type: String, required: true },
+    date: { type: Date, required: true },
+    passengers: { type: String, trim: true }, // client names
+    from: { type: String, trim: true },
+    to: { type: String, trim: true },
+    amount: { type: Number, required: true, min: 0 }, // incl. GST
+    gst: { type: Number, default: 0, min: 0 },
+  },
+  { _id: false }
+);
+
+/**
+ * Monthly statement of an Account's rides. Billed rides point back here
+ * (Ride.accountStatement), so a ride is only on one statement that is not void.
+ */
+const accountStatementSchema = new mongoose.Schema(
+  {
+    statementNumber: { type: String, required: true, unique: true },
+    account: { type: mongoose.Schema.Types.ObjectId, ref: "Account", required: true },
+    periodStart: { type: Date, required: true },
+    periodEnd: { type: Date, required: true }, // exclusive
+    status: {
+      type: String,
+      enum: Object.values(STATEMENT_STATUS),
+      default: STATEMENT_STATUS.ISSUED,
+      index: true,
+    },
+    lines: { type: [statementLineSchema], default: [] },
+    // Unpaid charges of earlier statements, at the time of issue
+    previousBalance: { type: Number, default: 0 },
+    charges: { type: Number, default: 0 },
+    gst: { type: Number, default: 0 },
+    amountDue: { type: Number, default: 0 }, // previousBalance + charges
+    issueDate: { type: Date, required: true },
+    dueDate: { type: Date, required: true },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // null: job
+    paidAt: { type: Date },
+    paidBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    paymentReference: { type: String, trim: true },
+    voidedAt: { type: Date },
+    voidedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+accountStatementSchema.index({ account: 1, periodEnd: -1 });
+
+module.exports = mongoose.model("AccountStatement", accountStatementSchema);
+module.exports.STATEMENT_STATUS = STATEMENT_STATUS;
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+const TEMPLATE_STATUS = {
+  DRAFT: "draft",
+  PUBLISHED: "published",
+};
+
+/**
+ * Driver agreement text. Drafts can be edited; publishing numbers the
+ * version and freezes it (services/agreementTemplateService).
+ */
+const agreementTemplateSchema = new mongoose.Schema(
+  {
+    // 1, 2, 3... assigned on publish
+    version: { type: Number, default: null },
+    status: {
+      type: String,
+      enum: Object.values(TEMPLATE_STATUS),
+      default: TEMPLATE_STATUS.DRAFT,
+      index: true,
+    },
+    title: { type: String, required: true, trim: true },
+    body: { type: String, required: true }, // HTML
+    changeSummary: { type: String, trim: true },
+    // Approved drivers must accept a mandatory version once it is in effect
+    mandatory: { type: Boolean, default: true },
+    effectiveFrom: { type: Date, default: null },
+    // sha256 of title and body, set on publish
+    contentHash: { type: String, default: null },
+    publishedAt: { type: Date, default: null },
+    publishedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+agreementTemplateSchema.index(
+  { version: 1 },
+  { unique: true, partialFilterExpression: { version: { $type: "number" } } }
+);
+agreementTemplateSchema.index({ status: 1, effectiveFrom: -1 });
+
+module.exports = mongoose.model("AgreementTemplate", agreementTemplateSchema);
+module.exports.TEMPLATE_STATUS = TEMPLATE_STATUS;
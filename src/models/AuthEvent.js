@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+const AUTH_EVENTS = [
+  "login_success",
+  "login_failure",
+  "login_blocked",
+  "account_unlocked",
+  "password_reset_requested",
+  "password_reset",
+];
+
+const authEventSchema = new mongoose.Schema(
+  {
+    event: { type: String, enum: AUTH_EVENTS, required: true, index: true },
+    // Username as typed (kept even when no such user exists)
+    username: { type: String, trim: true, index: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    success: { type: Boolean, default: false },
+    reason: { type: String, trim: true }, // e.g. unknown_user | bad_password | locked
+    ip: { type: String, trim: true },
+    userAgent: { type: String, trim: true },
+    // Admin who performed the action (unlock), if any
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: true }
+);
+
+authEventSchema.index({ createdAt: -1 });
+authEventSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model("AuthEvent", authEventSchema);
+module.exports.AUTH_EVENTS = AUTH_EVENTS;
@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+
+const CLAIM_BATCH_STATUS = {
+  GENERATED: "generated",
+  LODGED: "lodged",
+  PAID: "paid",
+  VOID: "void", // released; its rides can be claimed again
+};
+
+const claimLineSchema = new mongoose.Schema(
+  {
+    ride: { type: mongoose.Schema.Types.ObjectId, ref: "Ride", required: true },
+    rideId: { type: String, required: true },
+    client: { type: mongoose.Schema.Types.ObjectId, ref: "Client", required: true },
+    clientName: { type: String, trim: true },
+    mptpCardNumber: { type: String, required: true },
+    pickupAt: { type: Date, required: true },
+    dropoffAt: { type: Date, required: true },
+    taxiNumber: { type: String, required: true },
+    driverName: { type: String, trim: true },
+    fare: { type: Number, required: true, min: 0 }, // the client's share
+    subsidy: { type: Number, required: true, min: 0 },
+    clientPaid: { type: Number, required: true, min: 0 },
+    claimable: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+/**
+ * A set of MPTP fare lines lodged together with the scheme.
+ * Each claimed fare line on the Ride points back here (fareLines.claimBatch),
+ * so a line can only be in one batch that is not void.
+ */
+const claimBatchSchema = new mongoose.Schema(
+  {
+    batchNumber: { type: String, required: true, unique: true },
+    scheme: { type: String, default: "mptp" },
+    periodStart: { type: String, required: true }, // "YYYY-MM-DD"
+    periodEnd: { type: String, required: true },
+    status: {
+      type: String,
+      enum: Object.values(CLAIM_BATCH_STATUS),
+      default: CLAIM_BATCH_STATUS.GENERATED,
+      index: true,
+    },
+    lines: { type: [claimLineSchema], default: [] },
+    totals: {
+      lines: { type: Number, default: 0 },
+      fare: { type: Number, default: 0 },
+      claimable: { type: Number, default: 0 },
+    },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    lodgedAt: { type: Date },
+    lodgedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    lodgementReference: { type: String, trim: true },
+    paidAt: { type: Date },
+    paidBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    paidAmount: { type: Number, min: 0 },
+    paymentReference: { type: String, trim: true },
+    voidedAt: { type: Date },
+    voidedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    notes: { type: String, trim: true },
+  },
+  { timestamps: true }
+);
+
+claimBatchSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model("ClaimBatch", claimBatchSchema);
+module.exports.CLAIM_BATCH_STATUS = CLAIM_BATCH_STATUS;
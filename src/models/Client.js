@@ -10,7 +10,7 @@ const clientSchema = new mongoose.Schema(
 
     // NEW optional fields
     mptpCardNumber: { type: String, trim: true },
-    planManager: { type: String, trim: true },
+    planManager: { type: mongoose.Schema.Types.ObjectId, ref: "PlanManager", default: null },
 
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -25,5 +25,6 @@ const clientSchema = new mongoose.Schema(
 // helpful indexes
 clientSchema.index({ name: 1, phone: 1 });
 clientSchema.index({ mptpCardNumber: 1 }, { sparse: true });
+clientSchema.index({ planManager: 1 });
 
 module.exports = mongoose.model("Client", clientSchema);
@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+/**
+ * Named sequences (e.g. invoice numbers)
+ */
+const counterSchema = new mongoose.Schema(
+  {
+    _id: { type: String, required: true },
+    seq: { type: Number, default: 0 },
+  },
+  { versionKey: false }
+);
+
+const Counter = mongoose.model("Counter", counterSchema);
+
+/**
+ * Next value of sequence `name` (1, 2, 3...)
+ */
+async function nextSequence(name) {
+  const doc = await Counter.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  return doc.seq;
+}
+
+module.exports = Counter;
+module.exports.nextSequence = nextSequence;
@@ -14,6 +14,8 @@ const destinationSchema = new mongoose.Schema(
       required: true,
     },
     isDriverGenerated: { type: Boolean, default: false },
+    // Trips to or from an airport attract the tariff's airport fee
+    isAirport: { type: Boolean, default: false },
   },
   { timestamps: true }
 );
@@ -8,6 +8,10 @@ const DriverAgreementSchema = new mongoose.Schema({
   reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   reviewNotes: String,
 
+  // Set on renewed documents: the approved agreement they replace once
+  // approved (services/driverDocumentService)
+  renewalOf: { type: mongoose.Schema.Types.ObjectId, ref: 'DriverAgreement', default: null },
+
   personalInfo: {
     fullName: { type: String, required: true },
     driverId: { type: String, required: true },
@@ -23,6 +27,7 @@ const DriverAgreementSchema = new mongoose.Schema({
     licenseNumber: { type: String, required: true },
     licenseExpiry: { type: Date, required: true },
     driverAccreditationNumber: { type: String, required: true },
+    driverAccreditationExpiry: Date,
     abn: String,
     gstRegistered: { type: Boolean, required: true },
     currentPoliceCheck: { type: Boolean }
@@ -37,13 +42,32 @@ const DriverAgreementSchema = new mongoose.Schema({
     policeCheck: { type: String }
   },
 
+  // Agreement text accepted (AgreementTemplate); later versions accepted by
+  // an approved driver update these and are added to acceptances
+  template: { type: mongoose.Schema.Types.ObjectId, ref: 'AgreementTemplate' },
+  templateVersion: Number, // missing on submissions before templates: version 1
+  contentHash: String,
+  acceptances: [{
+    _id: false,
+    template: { type: mongoose.Schema.Types.ObjectId, ref: 'AgreementTemplate' },
+    version: Number,
+    contentHash: String,
+    acceptedAt: { type: Date, default: Date.now },
+    ipAddress: String,
+    userAgent: String
+  }],
+
   // System
   ipAddress: String,
   userAgent: String,
-  metadata: mongoose.Schema.Types.Mixed // e.g., { agreementVersion: '1.0' }
+  metadata: mongoose.Schema.Types.Mixed, // e.g., { agreementVersion: '1.0' }
+
+  // Expiry warnings already sent, e.g. "license_30" (days before expiry)
+  expiryAlertsSent: { type: [String], default: [] }
 }, { timestamps: true });
 
 DriverAgreementSchema.index({ driver: 1, status: 1 });
 DriverAgreementSchema.index({ status: 1, submittedAt: 1 });
+DriverAgreementSchema.index({ renewalOf: 1 });
 
 module.exports = mongoose.model('DriverAgreement', DriverAgreementSchema);
\ No newline at end of file
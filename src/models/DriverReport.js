@@ -45,6 +45,12 @@ const driverReportSchema = new mongoose.Schema(
       required: true,
       trim: true 
     },
+    // Vehicle of the shift (older reports only have taxiNumber)
+    vehicle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Vehicle",
+      index: true
+    },
 
     // Meter readings with photo proof (mandatory)
     shiftStartTotal: {
@@ -188,11 +194,36 @@ const driverReportSchema = new mongoose.Schema(
       index: true
     },
 
+    // Set on submission when reconciliation with the shift's rides needs
+    // a closer look (thresholds in driver report settings)
+    reconciliationFlag: {
+      flagged: { type: Boolean, default: false, index: true },
+      reasons: [{ type: String }],
+      checkedAt: { type: Date }
+    },
+
+    // Set when the report was approved on submission by a rule
+    // (services/reportAutoApprovalService) rather than by a reviewer
+    autoApproval: {
+      rule: { type: String, default: null, index: true },
+      approvedAt: { type: Date },
+      checks: { type: mongoose.Schema.Types.Mixed },
+      // An admin's later review of the auto-approval
+      overriddenBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      overriddenAt: { type: Date },
+      overrideAction: { type: String, enum: ["approve", "reject"] }
+    },
+
     // Admin review fields
     reviewedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User"
     },
+    // Reviewer's role; "system" (with no reviewedBy) for auto-approvals
+    reviewedByRole: {
+      type: String,
+      trim: true
+    },
     reviewedAt: {
       type: Date
     },
@@ -211,6 +242,36 @@ const driverReportSchema = new mongoose.Schema(
       ref: "Ride" 
     }],
 
+    // Goes up each time the report is reopened or amended; earlier
+    // versions are kept as DriverReportVersion
+    version: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+
+    // "shift": drafted from the shift's rides (services/shiftReportService)
+    source: {
+      type: String,
+      enum: ["manual", "shift"],
+      default: "manual"
+    },
+
+    // Figures derived from the shift's completed rides, kept next to the
+    // driver-entered ones above so differences stay visible
+    systemFigures: {
+      cashFares: { type: Number },
+      totalEFTPOS: { type: Number },
+      totalAccountTrips: { type: Number }, // account + voucher payments
+      totalTripsCount: { type: Number },
+      totalFares: { type: Number },
+      surcharges: { type: Number },
+      tips: { type: Number },
+      unrecordedTrips: { type: Number }, // rides without a recorded payment
+      unrecordedAmount: { type: Number },
+      derivedAt: { type: Date }
+    },
+
     // Additional metadata
     notes: {
       type: String,
@@ -286,12 +347,12 @@ driverReportSchema.statics.findByDriverAndDateRange = function(driverId, startDa
     .sort({ date: -1 });
 };
 
-// Static method to get pending reports for admin
+// Static method to get pending reports for admin (flagged reports first)
 driverReportSchema.statics.findPendingReports = function() {
   return this.find({
     status: 'submitted'
   }).populate('driver', 'fullName username phone')
-    .sort({ submittedAt: 1 });
+    .sort({ 'reconciliationFlag.flagged': -1, submittedAt: 1 });
 };
 
 // Method to check if report can be edited
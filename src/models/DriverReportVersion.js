@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+const VERSION_ACTIONS = ["reopened", "amended"];
+
+// Append-only: a report's state as it was before it was reopened or amended
+const driverReportVersionSchema = new mongoose.Schema(
+  {
+    report: { type: mongoose.Schema.Types.ObjectId, ref: "DriverReport", required: true },
+    reportId: { type: String, trim: true },
+    version: { type: Number, required: true, min: 1 },
+    // What replaced this version, by whom and why
+    action: { type: String, enum: VERSION_ACTIONS, required: true },
+    reason: { type: String, trim: true, maxlength: 1000 },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    // Report fields, calculations, photos and review (services/reportVersionService)
+    snapshot: { type: mongoose.Schema.Types.Mixed, required: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+driverReportVersionSchema.index({ report: 1, version: 1 }, { unique: true });
+
+function rejectUpdate(next) {
+  next(new Error("DriverReportVersion entries are append-only"));
+}
+driverReportVersionSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"],
+  rejectUpdate
+);
+driverReportVersionSchema.pre("save", function (next) {
+  if (!this.isNew) return rejectUpdate(next);
+  next();
+});
+
+module.exports = mongoose.model("DriverReportVersion", driverReportVersionSchema);
+module.exports.VERSION_ACTIONS = VERSION_ACTIONS;
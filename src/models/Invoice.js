@@ -0,0 +1,83 @@
+const mongoose = require("mongoose");
+
+const INVOICE_STATUS = {
+  DRAFT: "draft",
+  SENT: "sent",
+  PAID: "paid",
+  OVERDUE: "overdue", // sent and past its due date
+  VOID: "void", // released; its rides can be invoiced again
+};
+
+const invoiceLineSchema = new mongoose.Schema(
+  {
+    ride: { type: mongoose.Schema.Types.ObjectId, ref: "Ride", required: true },
+    rideId: { type: String, required: true },
+    date: { type: Date, required: true },
+    client: { type: mongoose.Schema.Types.ObjectId, ref: "Client", required: true },
+    clientName: { type: String, trim: true },
+    description: { type: String, trim: true },
+    amountExGst: { type: Number, required: true, min: 0 },
+    gst: { type: Number, required: true, min: 0 },
+    total: { type: Number, required: true, min: 0 }, // incl. GST
+  },
+  { _id: false }
+);
+
+/**
+ * Monthly tax invoice to a plan manager for its clients' rides.
+ * Each invoiced fare line on the Ride points back here (fareLines.invoice),
+ * so a ride is only billed once per client while the invoice is not void.
+ * Seller and buyer details are copied in so a sent invoice never changes.
+ */
+const invoiceSchema = new mongoose.Schema(
+  {
+    invoiceNumber: { type: String, required: true, unique: true },
+    planManager: { type: mongoose.Schema.Types.ObjectId, ref: "PlanManager", required: true },
+    month: { type: String, required: true }, // "YYYY-MM"
+    status: {
+      type: String,
+      enum: Object.values(INVOICE_STATUS),
+      default: INVOICE_STATUS.DRAFT,
+      index: true,
+    },
+    issuer: {
+      name: { type: String, trim: true },
+      abn: { type: String, trim: true },
+      address: { type: String, trim: true },
+    },
+    billTo: {
+      name: { type: String, trim: true },
+      email: { type: String, trim: true },
+      abn: { type: String, trim: true },
+      billingAddress: { type: String, trim: true },
+    },
+    lines: { type: [invoiceLineSchema], default: [] },
+    totals: {
+      amountExGst: { type: Number, default: 0 },
+      gst: { type: Number, default: 0 },
+      total: { type: Number, default: 0 },
+    },
+    issueDate: { type: Date, required: true },
+    dueDate: { type: Date, required: true },
+    revision: { type: Number, default: 1 }, // bumped on each regenerate
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    regeneratedAt: { type: Date },
+    regeneratedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    sentAt: { type: Date },
+    sentBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    paidAt: { type: Date },
+    paidBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    paymentReference: { type: String, trim: true },
+    voidedAt: { type: Date },
+    voidedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    voidReason: { type: String, trim: true },
+  },
+  { timestamps: true }
+);
+
+invoiceSchema.index({ planManager: 1, month: 1 });
+invoiceSchema.index({ status: 1, dueDate: 1 });
+
+module.exports = mongoose.model("Invoice", invoiceSchema);
+module.exports.INVOICE_STATUS = INVOICE_STATUS;
@@ -0,0 +1,14 @@
+const mongoose = require("mongoose");
+
+// Failed-login counter per username (progressive lockout)
+const loginThrottleSchema = new mongoose.Schema(
+  {
+    username: { type: String, required: true, unique: true, trim: true },
+    failedCount: { type: Number, default: 0, min: 0 },
+    lastFailedAt: { type: Date, default: null },
+    lockedUntil: { type: Date, default: null, index: true },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("LoginThrottle", loginThrottleSchema);
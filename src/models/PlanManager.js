@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+/**
+ * NDIS plan manager: pays the fares of the clients it manages and is
+ * invoiced monthly for them (see invoiceService).
+ */
+const planManagerSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    email: { type: String, trim: true, lowercase: true },
+    phone: { type: String, trim: true },
+    abn: {
+      type: String,
+      trim: true,
+      match: [/^\d{11}$/, "ABN must be 11 digits"],
+    },
+    billingAddress: { type: String, trim: true },
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  },
+  { timestamps: true }
+);
+
+planManagerSchema.index({ name: 1 });
+
+module.exports = mongoose.model("PlanManager", planManagerSchema);
@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+const RECURRING_STATUS = {
+  ACTIVE: "active",
+  PAUSED: "paused",
+  ENDED: "ended",
+};
+
+/**
+ * A standing booking (e.g. every weekday at 08:30) that the recurring booking
+ * job turns into individual scheduled Rides a few days ahead.
+ * Dates are calendar days ("YYYY-MM-DD") in the server's local time zone.
+ */
+const recurringBookingSchema = new mongoose.Schema(
+  {
+    clients: [
+      { type: mongoose.Schema.Types.ObjectId, ref: "Client", required: true },
+    ],
+    from: { type: mongoose.Schema.Types.ObjectId, ref: "Destination", required: true },
+    to: { type: mongoose.Schema.Types.ObjectId, ref: "Destination", required: true },
+    notes: { type: String, trim: true },
+    autoAssign: { type: Boolean, default: false }, // copied to generated rides
+
+    // Recurrence rule
+    daysOfWeek: {
+      type: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday
+      validate: [(v) => v.length > 0, "daysOfWeek must not be empty"],
+    },
+    time: {
+      type: String,
+      required: true,
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, "time must be HH:mm"],
+    },
+    startDate: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ },
+    endDate: { type: String, default: null, match: /^\d{4}-\d{2}-\d{2}$/ },
+    exceptions: [{ type: String, match: /^\d{4}-\d{2}-\d{2}$/ }], // skipped dates
+
+    status: {
+      type: String,
+      enum: Object.values(RECURRING_STATUS),
+      default: RECURRING_STATUS.ACTIVE,
+      index: true,
+    },
+    pausedAt: { type: Date },
+    // Last day for which rides have been generated
+    materializedThrough: { type: String, default: null },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("RecurringBooking", recurringBookingSchema);
+module.exports.RECURRING_STATUS = RECURRING_STATUS;
@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // Only the SHA-256 hash is stored; the raw token lives on the device
+    tokenHash: { type: String, required: true, unique: true },
+    // Every rotation of one login shares a family id (used for reuse detection)
+    family: { type: String, required: true, index: true },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RefreshToken",
+      default: null,
+    },
+    createdByIp: { type: String, trim: true },
+    userAgent: { type: String, trim: true },
+  },
+  { timestamps: true }
+);
+
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB purge expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { RIDE_STATUS, PAYMENT_METHOD, SPLIT_PAYMENT } = require("../utils/constants");
 
 const rideSchema = new mongoose.Schema(
   {
@@ -10,6 +11,22 @@ const rideSchema = new mongoose.Schema(
       default: "immediate",
       index: true,
     },
+    // Set when the ride was generated from a standing (recurring) booking
+    recurringBooking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RecurringBooking",
+      default: null,
+    },
+    occurrenceDate: { type: String }, // "YYYY-MM-DD" of the series occurrence
+    // Let the auto-assign job pick the best driver shortly before pickup
+    autoAssign: { type: Boolean, default: false },
+    autoAssignFailedAt: { type: Date, default: null }, // admins were told no driver was found
+    // Set when a manager assigned the driver despite overlapping rides (force)
+    conflictOverride: {
+      overriddenBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      overriddenAt: { type: Date },
+      conflicts: [{ type: String }], // rideIds of the overlapping rides
+    },
     // Quick trip flag - minimal details, driver completes later
     isQuickTrip: {
       type: Boolean,
@@ -46,12 +63,68 @@ const rideSchema = new mongoose.Schema(
       completedAt: { type: Date },
     },
     scheduledTime: { type: Date, required: true, index: true },
+    // Corporate account the ride is booked on (see Account)
+    account: { type: mongoose.Schema.Types.ObjectId, ref: "Account", default: null, index: true },
+    paymentMethod: {
+      type: String,
+      enum: [...Object.values(PAYMENT_METHOD), SPLIT_PAYMENT, null],
+      default: null,
+    },
+    // What was collected at drop-off, by method (fare + surcharge + tip);
+    // empty until the driver records it (services/ridePaymentService)
+    payments: [
+      {
+        _id: false,
+        method: { type: String, enum: Object.values(PAYMENT_METHOD), required: true },
+        amount: { type: Number, required: true, min: 0 },
+      },
+    ],
+    // Account statement the ride was billed on (paymentMethod "account")
+    accountStatement: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AccountStatement",
+      default: null,
+    },
     passengers: { type: Number, required: true, min: 1, default: 1 },
     fare: {
       total: { type: Number, required: true, min: 0 },
       perPerson: { type: Number, required: true, min: 0 },
       halfFare: { type: Number, required: true, min: 0 },
+      // What the clients pay themselves: fare lines' clientPaid summed
+      clientPaidTotal: { type: Number, default: 0, min: 0 },
       gst: { type: Number, default: 0, min: 0 },
+      // Collected on top of the fare: not split between clients or subsidised
+      surcharge: { type: Number, default: 0, min: 0 },
+      tip: { type: Number, default: 0, min: 0 },
+    },
+    // One line per client; MPTP subsidy applied (services/fareSplitService)
+    fareLines: [
+      {
+        _id: false,
+        client: { type: mongoose.Schema.Types.ObjectId, ref: "Client" },
+        mptpCardNumber: { type: String, default: null },
+        share: { type: Number, min: 0 },
+        subsidy: { type: Number, min: 0, default: 0 },
+        clientPaid: { type: Number, min: 0 },
+        claimable: { type: Number, min: 0, default: 0 },
+        // Claim batch the subsidy was lodged in (see ClaimBatch)
+        claimBatch: { type: mongoose.Schema.Types.ObjectId, ref: "ClaimBatch", default: null },
+        // Plan-manager invoice the client's part was billed on (see Invoice)
+        invoice: { type: mongoose.Schema.Types.ObjectId, ref: "Invoice", default: null },
+      },
+    ],
+    // Tariff estimate (services/tariffService) and how the entered fare compares
+    fareEstimate: {
+      total: { type: Number },
+      breakdown: { type: mongoose.Schema.Types.Mixed },
+      estimatedAt: { type: Date },
+    },
+    fareCheck: {
+      flagged: { type: Boolean, default: false, index: true },
+      enteredTotal: { type: Number },
+      estimateTotal: { type: Number },
+      deviationPercent: { type: Number },
+      thresholdPercent: { type: Number },
     },
     // Driver is optional for scheduled bookings (assigned later)
     driver: {
@@ -72,8 +145,9 @@ const rideSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["scheduled", "assigned", "accepted", "started", "rejected", "cancelled", "aborted", "completed"],
-      default: "assigned",
+      // Transitions are enforced by services/rideLifecycleService
+      enum: Object.values(RIDE_STATUS),
+      default: RIDE_STATUS.ASSIGNED,
       index: true,
     },
     notes: { type: String, trim: true },
@@ -120,11 +194,19 @@ const rideSchema = new mongoose.Schema(
     },
     abortNote: { type: String, trim: true },
   },
-  { timestamps: true }
+  // Concurrent saves of the same ride fail with a VersionError instead of
+  // silently overwriting each other (see rideLifecycleService)
+  { timestamps: true, optimisticConcurrency: true }
 );
 
 rideSchema.index({ driver: 1, status: 1, scheduledTime: -1 });
 rideSchema.index({ driver: 1, shift: 1, status: 1 });
 rideSchema.index({ createdAt: -1 });
+rideSchema.index({ status: 1, autoAssign: 1, scheduledTime: 1 });
+// One ride per series occurrence, so materialising twice is harmless
+rideSchema.index(
+  { recurringBooking: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { recurringBooking: { $type: "objectId" } } }
+);
 
 module.exports = mongoose.model("Ride", rideSchema);
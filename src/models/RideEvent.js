@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+
+const RIDE_EVENTS = [
+  "created",
+  "status_changed",
+  "reassigned",
+  "fare_changed",
+  "destinations_changed",
+  "clients_changed",
+  "details_changed",
+  "payment_changed",
+  "deleted",
+];
+
+const changeSchema = new mongoose.Schema(
+  {
+    field: { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  { _id: false }
+);
+
+// Append-only: entries are inserted and never edited
+const rideEventSchema = new mongoose.Schema(
+  {
+    ride: { type: mongoose.Schema.Types.ObjectId, ref: "Ride", required: true },
+    rideId: { type: String, trim: true }, // human id, survives ride deletion
+    event: { type: String, enum: RIDE_EVENTS, required: true, index: true },
+    action: { type: String, trim: true }, // lifecycle action, e.g. accept | abort
+    fromStatus: { type: String, default: null },
+    toStatus: { type: String, default: null },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    actorRole: { type: String, trim: true },
+    changes: { type: [changeSchema], default: [] },
+    metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+rideEventSchema.index({ ride: 1, createdAt: 1 });
+
+function rejectUpdate(next) {
+  next(new Error("RideEvent entries are append-only"));
+}
+rideEventSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"],
+  rejectUpdate
+);
+rideEventSchema.pre("save", function (next) {
+  if (!this.isNew) return rejectUpdate(next);
+  next();
+});
+
+module.exports = mongoose.model("RideEvent", rideEventSchema);
+module.exports.RIDE_EVENTS = RIDE_EVENTS;
@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+const { ROLES } = require("../utils/constants");
+
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      enum: Object.values(ROLES),
+    },
+    description: { type: String, trim: true },
+    permissions: [{ type: String, trim: true }],
+    // Defaults already applied once; lets new catalog permissions reach
+    // existing roles without re-adding ones an admin removed on purpose
+    seededPermissions: [{ type: String, trim: true }],
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Role", roleSchema);
@@ -9,6 +9,13 @@ const shiftSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    // Registered vehicle (see Vehicle); taxiNumber is its taxi number.
+    // Older shifts only have the free-text taxiNumber.
+    vehicle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Vehicle',
+      index: true,
+    },
     taxiNumber: {
       type: String,
       required: true,
@@ -24,6 +31,24 @@ const shiftSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    // Set when the shift ends (endMeter >= startMeter)
+    endMeter: {
+      type: Number,
+      min: 0,
+    },
+    endMeterPhoto: {
+      type: String,
+      trim: true,
+    },
+    // Odometer readings in km (endOdometer >= startOdometer)
+    startOdometer: {
+      type: Number,
+      min: 0,
+    },
+    endOdometer: {
+      type: Number,
+      min: 0,
+    },
     startTime: {
       type: Date,
       default: Date.now,
@@ -43,5 +68,10 @@ const shiftSchema = new mongoose.Schema(
 
 // one active shift per driver
 shiftSchema.index({ driver: 1, isActive: 1 }, { unique: true, partialFilterExpression: { isActive: true } });
+// one active shift per vehicle
+shiftSchema.index(
+  { vehicle: 1 },
+  { unique: true, partialFilterExpression: { isActive: true, vehicle: { $exists: true } } }
+);
 
 module.exports = mongoose.model('Shift', shiftSchema);
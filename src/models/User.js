@@ -39,11 +39,22 @@ const userSchema = new mongoose.Schema(
       default: false 
     },
     agreementAcceptedAt: Date,
+    // Bumped to invalidate every access token issued before it
+    tokenVersion: { type: Number, default: 0 },
+    // Set when an admin creates or resets the account; cleared once the user picks their own
+    mustChangePassword: { type: Boolean, default: false },
+    passwordChangedAt: { type: Date, default: null },
+    // One-time "forgot password" token (hash only)
+    passwordResetTokenHash: { type: String, default: null },
+    passwordResetExpiresAt: { type: Date, default: null },
+    // Held while a ride is being assigned to the driver (rideLifecycleService)
+    scheduleLockedUntil: { type: Date, default: null },
   },
   { timestamps: true }
 );
 
 userSchema.index({ role: 1, status: 1 });
+userSchema.index({ passwordResetTokenHash: 1 });
 
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
@@ -63,6 +74,9 @@ userSchema.methods.comparePassword = function (candidate) {
 userSchema.methods.toJSON = function () {
   const obj = this.toObject();
   delete obj.password;
+  delete obj.passwordResetTokenHash;
+  delete obj.passwordResetExpiresAt;
+  delete obj.scheduleLockedUntil;
   return obj;
 };
 
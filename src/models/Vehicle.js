@@ -0,0 +1,106 @@
+const mongoose = require("mongoose");
+
+const partySchema = new mongoose.Schema(
+  {
+    name: { type: String, trim: true },
+    phone: { type: String, trim: true },
+    email: { type: String, trim: true, lowercase: true },
+  },
+  { _id: false }
+);
+
+const COMPLIANCE_TYPES = {
+  REGISTRATION: "registration",
+  CTP_INSURANCE: "ctp_insurance",
+  TAXI_LICENCE: "taxi_licence",
+  SAFETY_INSPECTION: "safety_inspection",
+};
+
+// Vehicle fields kept equal to the expiry of a compliance item
+const EXPIRY_FIELDS = {
+  registrationExpiry: COMPLIANCE_TYPES.REGISTRATION,
+  insuranceExpiry: COMPLIANCE_TYPES.CTP_INSURANCE,
+};
+
+// One dated item per type (services/vehicleComplianceService)
+const complianceItemSchema = new mongoose.Schema({
+  type: { type: String, enum: Object.values(COMPLIANCE_TYPES), required: true },
+  expiresAt: { type: Date, required: true },
+  reference: { type: String, trim: true }, // e.g. rego or plate licence number
+  documentUrl: { type: String, trim: true },
+  notes: { type: String, trim: true },
+  // Days-before-expiry alerts already sent for this expiry
+  alertsSent: { type: [Number], default: [] },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// A renewed item gets its alerts again
+complianceItemSchema.pre("validate", function (next) {
+  if (!this.isNew && this.isModified("expiresAt")) this.alertsSent = [];
+  next();
+});
+
+/**
+ * Taxi in the fleet. Shifts (and so driver reports) are driven in a
+ * registered, active vehicle; its taxiNumber is the one they record.
+ */
+const vehicleSchema = new mongoose.Schema(
+  {
+    // Stored upper case, so "t12" and "T12" are the same cab
+    taxiNumber: { type: String, required: true, trim: true, uppercase: true, unique: true },
+    plate: { type: String, trim: true, uppercase: true },
+    make: { type: String, trim: true },
+    model: { type: String, trim: true },
+    owner: { type: partySchema, default: () => ({}) },
+    operator: { type: partySchema, default: () => ({}) },
+    registrationExpiry: { type: Date, default: null },
+    insuranceExpiry: { type: Date, default: null },
+    compliance: { type: [complianceItemSchema], default: [] },
+    isActive: { type: Boolean, default: true, index: true },
+    notes: { type: String, trim: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  },
+  { timestamps: true }
+);
+
+vehicleSchema.index(
+  { plate: 1 },
+  { unique: true, partialFilterExpression: { plate: { $type: "string" } } }
+);
+
+// registrationExpiry/insuranceExpiry set directly update their item (or
+// remove it when cleared); otherwise they follow the item. Removing such an
+// item means clearing its field too.
+vehicleSchema.pre("validate", function (next) {
+  for (const [field, type] of Object.entries(EXPIRY_FIELDS)) {
+    const item = this.compliance.find((i) => i.type === type);
+    if (this.isModified(field)) {
+      if (!this[field]) {
+        if (item) this.compliance.pull(item._id);
+      } else if (item) {
+        if (+item.expiresAt !== +this[field]) item.expiresAt = this[field];
+      } else {
+        this.compliance.push({ type, expiresAt: this[field] });
+      }
+    } else if (item) {
+      this[field] = item.expiresAt;
+    } else if (this[field]) {
+      // Set before compliance items existed
+      this.compliance.push({ type, expiresAt: this[field] });
+    }
+  }
+  next();
+});
+
+/**
+ * Canonical form of a taxi number, as stored
+ */
+function normalizeTaxiNumber(taxiNumber) {
+  return String(taxiNumber || "").trim().toUpperCase();
+}
+
+module.exports = mongoose.model("Vehicle", vehicleSchema);
+module.exports.normalizeTaxiNumber = normalizeTaxiNumber;
+module.exports.COMPLIANCE_TYPES = COMPLIANCE_TYPES;
+module.exports.EXPIRY_FIELDS = EXPIRY_FIELDS;
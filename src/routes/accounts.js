@@ -0,0 +1,32 @@
+const router = require("express").Router();
+const { requirePermission } = require("../middleware/auth");
+const { PERMISSIONS } = require("../utils/permissions");
+const {
+  listAccounts,
+  createAccount,
+  getAccount,
+  updateAccount,
+  listStatements,
+  createStatement,
+  getStatement,
+  payStatement,
+  cancelStatement,
+} = require("../controllers/accountController");
+
+// Corporate accounts and their monthly statements
+router.use(requirePermission(PERMISSIONS.ACCOUNTS_MANAGE));
+
+router.get("/", listAccounts);
+router.post("/", createAccount);
+
+// Statements (before /:id so "statements" is not taken for an id)
+router.get("/statements/:statementId", getStatement);
+router.post("/statements/:statementId/paid", payStatement);
+router.post("/statements/:statementId/void", cancelStatement);
+
+router.get("/:id", getAccount);
+router.patch("/:id", updateAccount);
+router.get("/:id/statements", listStatements);
+router.post("/:id/statements", createStatement); // issue now
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const router = require("express").Router();
+const { authenticateToken, requirePermission } = require("../middleware/auth");
+const { PERMISSIONS } = require("../utils/permissions");
+const {
+  getTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  publish,
+  removeTemplate,
+} = require("../controllers/agreementTemplateController");
+
+// Versions of the driver agreement text
+router.use(authenticateToken, requirePermission(PERMISSIONS.AGREEMENTS_TEMPLATES));
+
+router.get("/", getTemplates);
+router.post("/", createTemplate);
+router.get("/:id", getTemplate);
+router.patch("/:id", updateTemplate);
+router.post("/:id/publish", publish);
+router.delete("/:id", removeTemplate);
+
+module.exports = router;
@@ -1,12 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const adminAgreementController = require('../controllers/adminAgreementController');
-const { authenticateToken, isAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+
+const canReview = requirePermission(PERMISSIONS.AGREEMENTS_REVIEW);
 
 // Admin agreement routes
-router.get('/', authenticateToken, isAdmin, adminAgreementController.getAgreements);
-router.put('/:id/status', authenticateToken, isAdmin, adminAgreementController.updateStatus);
-router.post('/:id/reset', authenticateToken, isAdmin, adminAgreementController.resetAgreement);
-router.delete('/:id', authenticateToken, isAdmin, adminAgreementController.deleteAgreement);
+router.get('/', authenticateToken, canReview, adminAgreementController.getAgreements);
+router.put('/:id/status', authenticateToken, canReview, adminAgreementController.updateStatus);
+router.post('/:id/reset', authenticateToken, canReview, adminAgreementController.resetAgreement);
+router.delete('/:id', authenticateToken, canReview, adminAgreementController.deleteAgreement);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,17 @@
+const router = require("express").Router();
+const { authenticateToken, requirePermission } = require("../middleware/auth");
+const { PERMISSIONS } = require("../utils/permissions");
+const {
+  listAuthEvents,
+  listLockedAccounts,
+  unlockLogin,
+} = require("../controllers/adminAuthController");
+
+// Login audit & lockout management
+router.use(authenticateToken, requirePermission(PERMISSIONS.AUTH_AUDIT));
+
+router.get("/events", listAuthEvents);
+router.get("/locks", listLockedAccounts);
+router.post("/unlock", unlockLogin);
+
+module.exports = router;
@@ -8,6 +8,8 @@ const { getUploadMiddleware, handleUploadError } = require('../services/photoUpl
 router.get('/status', authenticateToken, agreementController.getStatus);
 router.get('/text', authenticateToken, agreementController.getAgreementText);
 router.post('/', authenticateToken, agreementController.submitAgreement);
+router.post('/renewal', authenticateToken, agreementController.submitRenewal);
+router.post('/accept', authenticateToken, agreementController.acceptAgreementText);
 
 // Photo upload route
 router.post('/upload-photo', 
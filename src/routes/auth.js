@@ -1,8 +1,21 @@
 const router = require("express").Router();
-const { login, acceptTerms } = require("../controllers/authController");
+const {
+  login,
+  acceptTerms,
+  refresh,
+  logout,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+} = require("../controllers/authController");
 const { authenticateToken } = require("../middleware/auth");
 
 router.post("/login", login);
 router.post("/accept-terms", acceptTerms);
+router.post("/refresh", refresh);
+router.post("/logout", logout);
+router.post("/forgot-password", forgotPassword);
+router.post("/reset-password", resetPassword);
+router.post("/change-password", authenticateToken, changePassword);
 
 module.exports = router;
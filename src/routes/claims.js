@@ -0,0 +1,25 @@
+const router = require("express").Router();
+const { requirePermission } = require("../middleware/auth");
+const { PERMISSIONS } = require("../utils/permissions");
+const {
+  createBatch,
+  listBatches,
+  getBatch,
+  exportBatch,
+  lodgeClaimBatch,
+  markClaimBatchPaid,
+  voidClaimBatch,
+} = require("../controllers/claimController");
+
+// MPTP subsidy claim batches
+router.use(requirePermission(PERMISSIONS.CLAIMS_MANAGE));
+
+router.post("/batches", createBatch); // body.dryRun for a preview
+router.get("/batches", listBatches);
+router.get("/batches/:id", getBatch);
+router.get("/batches/:id/export", exportBatch); // ?format=csv|txt
+router.post("/batches/:id/lodge", lodgeClaimBatch);
+router.post("/batches/:id/paid", markClaimBatchPaid);
+router.post("/batches/:id/void", voidClaimBatch);
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const router = require("express").Router();
-const { authenticateToken, isAdminOrManager } = require("../middleware/auth");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
+const { PERMISSIONS } = require("../utils/permissions");
 const {
   listClients,
   createClient,
@@ -9,10 +10,10 @@ const {
 } = require("../controllers/clientController");
 
 router.use(authenticateToken);
-router.get("/", isAdminOrManager, listClients);
+router.get("/", requirePermission(PERMISSIONS.CLIENTS_READ), listClients);
 router.get("/admin-created", getAdminClients); // Available to all authenticated users (drivers need this)
-router.post("/", isAdminOrManager, createClient);
-router.patch("/:id", isAdminOrManager, updateClient);
-router.delete("/:id", isAdminOrManager, deleteClient);
+router.post("/", requirePermission(PERMISSIONS.CLIENTS_WRITE), createClient);
+router.patch("/:id", requirePermission(PERMISSIONS.CLIENTS_WRITE), updateClient);
+router.delete("/:id", requirePermission(PERMISSIONS.CLIENTS_WRITE), deleteClient);
 
 module.exports = router;
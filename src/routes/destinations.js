@@ -1,5 +1,6 @@
 const router = require("express").Router();
-const { authenticateToken, isAdminOrManager } = require("../middleware/auth");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
+const { PERMISSIONS } = require("../utils/permissions");
 const {
   listDestinations,
   createDestination,
@@ -10,9 +11,10 @@ const {
 router.use(authenticateToken);
 // Allow all authenticated users (including drivers) to read destinations
 router.get("/", listDestinations);
-// Only admin/manager can create, update, delete destinations
-router.post("/", isAdminOrManager, createDestination);
-router.patch("/:id", isAdminOrManager, updateDestination);
-router.delete("/:id", isAdminOrManager, deleteDestination);
+// Creating, updating and deleting destinations needs destinations.write
+const canWrite = requirePermission(PERMISSIONS.DESTINATIONS_WRITE);
+router.post("/", canWrite, createDestination);
+router.patch("/:id", canWrite, updateDestination);
+router.delete("/:id", canWrite, deleteDestination);
 
 module.exports = router;
@@ -4,39 +4,51 @@
  */
 const express = require("express");
 const router = express.Router();
-const { authenticateToken, requireRole } = require("../middleware/auth");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
+const { PERMISSIONS } = require("../utils/permissions");
 const { getUploadMiddleware, handleUploadError } = require("../services/photoUploadService");
 const {
   listReports,            // <-- added
   createDriverReport,
   getMyReports,
   getReportById,
+  getReportReconciliation,
   updateDriverReport,
+  refreshShiftFigures,
   submitReport,
   uploadReportPhoto,
   updateReportPhotoUrl,
   getPendingReports,
   reviewReport,
+  reopenReport,
+  amendReport,
+  listReportVersions,
+  diffReportVersions,
   deleteReport
 } = require("../controllers/driverReportController");
 
 // Apply authentication to all routes
 router.use(authenticateToken);
 
+const canSubmit = requirePermission(PERMISSIONS.REPORTS_SUBMIT);
+const canReview = requirePermission(PERMISSIONS.REPORTS_REVIEW);
+
 // Admin list route MUST be before "/:reportId"
-router.get("/", requireRole(["admin", "manager"]), listReports);
+router.get("/", canReview, listReports);
 
 // Driver routes
-router.post("/", requireRole(["driver"]), createDriverReport);
-router.get("/my-reports", requireRole(["driver"]), getMyReports);
-router.put("/:reportId", requireRole(["driver"]), updateDriverReport);
-router.post("/:reportId/submit", requireRole(["driver"]), submitReport);
-router.delete("/:reportId", requireRole(["driver"]), deleteReport);
+router.post("/", canSubmit, createDriverReport);
+router.get("/my-reports", canSubmit, getMyReports);
+router.put("/:reportId", canSubmit, updateDriverReport);
+router.post("/:reportId/shift-figures", canSubmit, refreshShiftFigures);
+router.post("/:reportId/submit", canSubmit, submitReport);
+router.post("/:reportId/reopen", canSubmit, reopenReport);
+router.delete("/:reportId", canSubmit, deleteReport);
 
 // Photo upload route with multer middleware (legacy)
 router.post(
   "/:reportId/photos",
-  requireRole(["driver"]),
+  canSubmit,
   getUploadMiddleware(),
   handleUploadError,
   uploadReportPhoto
@@ -45,15 +57,19 @@ router.post(
 // Photo URL update route for Supabase (new)
 router.patch(
   "/:reportId/photos",
-  requireRole(["driver"]),
+  canSubmit,
   updateReportPhotoUrl
 );
 
 // Admin review routes
-router.get("/admin/pending", requireRole(["admin", "manager"]), getPendingReports);
-router.put("/:reportId/review", requireRole(["admin", "manager"]), reviewReport);
+router.get("/admin/pending", canReview, getPendingReports);
+router.get("/:reportId/reconciliation", canReview, getReportReconciliation);
+router.put("/:reportId/review", canReview, reviewReport);
+router.post("/:reportId/amend", canReview, amendReport);
 
 // Shared: view a report by public reportId
 router.get("/:reportId", getReportById);
+router.get("/:reportId/versions", listReportVersions);
+router.get("/:reportId/versions/diff", diffReportVersions);
 
 module.exports = router;
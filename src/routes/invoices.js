@@ -0,0 +1,29 @@
+const router = require("express").Router();
+const { requirePermission } = require("../middleware/auth");
+const { PERMISSIONS } = require("../utils/permissions");
+const {
+  generateInvoices,
+  listInvoices,
+  getInvoice,
+  downloadInvoicePdf,
+  downloadInvoiceExcel,
+  regenerateInvoice,
+  sendInvoice,
+  markInvoicePaid,
+  voidInvoice,
+} = require("../controllers/invoiceController");
+
+// Plan-manager invoices
+router.use(requirePermission(PERMISSIONS.INVOICES_MANAGE));
+
+router.post("/generate", generateInvoices); // body.month = "YYYY-MM"
+router.get("/", listInvoices);
+router.get("/:id", getInvoice);
+router.get("/:id/pdf", downloadInvoicePdf);
+router.get("/:id/excel", downloadInvoiceExcel);
+router.post("/:id/regenerate", regenerateInvoice);
+router.post("/:id/send", sendInvoice);
+router.post("/:id/paid", markInvoicePaid);
+router.post("/:id/void", voidInvoice);
+
+module.exports = router;
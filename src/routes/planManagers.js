@@ -0,0 +1,19 @@
+const router = require("express").Router();
+const { requirePermission } = require("../middleware/auth");
+const { PERMISSIONS } = require("../utils/permissions");
+const {
+  listPlanManagers,
+  createPlanManager,
+  getPlanManager,
+  updatePlanManager,
+  deletePlanManager,
+} = require("../controllers/planManagerController");
+
+// Plan managers are client records: same permissions as clients
+router.get("/", requirePermission(PERMISSIONS.CLIENTS_READ), listPlanManagers);
+router.get("/:id", requirePermission(PERMISSIONS.CLIENTS_READ), getPlanManager);
+router.post("/", requirePermission(PERMISSIONS.CLIENTS_WRITE), createPlanManager);
+router.patch("/:id", requirePermission(PERMISSIONS.CLIENTS_WRITE), updatePlanManager);
+router.delete("/:id", requirePermission(PERMISSIONS.CLIENTS_WRITE), deletePlanManager);
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const router = require("express").Router();
-const { authenticateToken, isAdminOrManager } = require("../middleware/auth");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
+const { PERMISSIONS } = require("../utils/permissions");
 const { 
   getDriverEarnings, 
   downloadDriverEarnings,
@@ -8,11 +9,13 @@ const {
   downloadMonthlyReport,
   downloadMonthlyReportExcel,
   getClientTrips,
-  downloadClientTrips
+  downloadClientTrips,
+  getMptpClaimsByClient,
+  getMptpClaimsByMonth,
 } = require("../controllers/reportController");
 
-// All report routes require auth and admin/manager role
-router.use(authenticateToken, isAdminOrManager);
+// All report routes require auth and reports.view
+router.use(authenticateToken, requirePermission(PERMISSIONS.REPORTS_VIEW));
 
 // Driver-specific reports
 router.get("/driver-earnings/:driverId", getDriverEarnings);
@@ -28,4 +31,8 @@ router.get("/monthly/:month/download-excel", downloadMonthlyReportExcel); // Exc
 router.get("/client-trips/:clientId", getClientTrips);
 router.get("/client-trips/:clientId/download", downloadClientTrips); // Excel only
 
+// MPTP subsidy claims
+router.get("/mptp/client/:clientId", getMptpClaimsByMonth); // per month, ?year=YYYY
+router.get("/mptp/:month", getMptpClaimsByClient); // per client
+
 module.exports = router;
@@ -1,5 +1,6 @@
 const router = require("express").Router();
-const { authenticateToken, isAdminOrManager } = require("../middleware/auth");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
+const { PERMISSIONS } = require("../utils/permissions");
 const {
   assignRide,
   listRides,
@@ -18,33 +19,61 @@ const {
   createScheduledBooking,
   listScheduledBookings,
   assignScheduledBooking,
+  getSuggestedDrivers,
   deleteScheduledBooking,
   updateScheduledBooking,
   abortRide,
+  getRideHistory,
+  estimateFare,
   createQuickTrip,
   completeQuickTripDetails,
   createSelfAssignedRide,
 } = require("../controllers/rideController");
+const {
+  createRecurringBooking,
+  listRecurringBookings,
+  getRecurringBooking,
+  updateRecurringBooking,
+  pauseRecurringBooking,
+  resumeRecurringBooking,
+  skipRecurringOccurrence,
+  endRecurringBooking,
+} = require("../controllers/recurringBookingController");
 
 router.use(authenticateToken);
 
-// List/filter rides (admin/manager)
-router.get("/", isAdminOrManager, listRides);
+const canRead = requirePermission(PERMISSIONS.RIDES_READ);
+const canAssign = requirePermission(PERMISSIONS.RIDES_ASSIGN);
+const canSchedule = requirePermission(PERMISSIONS.RIDES_SCHEDULE);
+
+// List/filter rides
+router.get("/", canRead, listRides);
+
+// Assign
+router.post("/assign", canAssign, assignRide);
 
-// Manager/admin: assign
-router.post("/assign", isAdminOrManager, assignRide);
+// Scheduled bookings
+router.post("/scheduled", canSchedule, createScheduledBooking);
+router.get("/scheduled", canSchedule, listScheduledBookings);
+router.get("/scheduled/:id/suggested-drivers", canSchedule, canAssign, getSuggestedDrivers);
+router.post("/scheduled/:id/assign", canSchedule, canAssign, assignScheduledBooking);
+router.put("/scheduled/:id", canSchedule, updateScheduledBooking);
+router.delete("/scheduled/:id", canSchedule, deleteScheduledBooking);
 
-// Scheduled bookings (manager/admin only)
-router.post("/scheduled", isAdminOrManager, createScheduledBooking);
-router.get("/scheduled", isAdminOrManager, listScheduledBookings);
-router.post("/scheduled/:id/assign", isAdminOrManager, assignScheduledBooking);
-router.put("/scheduled/:id", isAdminOrManager, updateScheduledBooking);
-router.delete("/scheduled/:id", isAdminOrManager, deleteScheduledBooking);
+// Recurring bookings (generate scheduled bookings ahead of time)
+router.post("/recurring", canSchedule, createRecurringBooking);
+router.get("/recurring", canSchedule, listRecurringBookings);
+router.get("/recurring/:id", canSchedule, getRecurringBooking);
+router.put("/recurring/:id", canSchedule, updateRecurringBooking);
+router.delete("/recurring/:id", canSchedule, endRecurringBooking);
+router.post("/recurring/:id/pause", canSchedule, pauseRecurringBooking);
+router.post("/recurring/:id/resume", canSchedule, resumeRecurringBooking);
+router.post("/recurring/:id/skip", canSchedule, skipRecurringOccurrence);
 
 // For manager assignment - get available resources
-router.get("/available/clients", isAdminOrManager, getAvailableClients);
-router.get("/available/drivers", isAdminOrManager, getAvailableDrivers);
-router.get("/available/destinations", isAdminOrManager, getAllDestinations);
+router.get("/available/clients", canAssign, getAvailableClients);
+router.get("/available/drivers", canAssign, getAvailableDrivers);
+router.get("/available/destinations", canAssign, getAllDestinations);
 
 // Driver actions
 router.patch("/:id/accept", acceptRide);
@@ -60,14 +89,20 @@ router.get("/driver/:driverId", getDriverRides);
 // Driver: update ride status (accept/cancel/complete)
 router.put("/:id/status", updateRideStatus);
 
-// Manager/admin: reassign ride to another driver
-router.post("/:id/reassign", isAdminOrManager, reassignRide);
+// Reassign ride to another driver
+router.post("/:id/reassign", canAssign, reassignRide);
+
+// Abort ride (managers by default)
+router.post("/:id/abort", requirePermission(PERMISSIONS.RIDES_ABORT), abortRide);
+
+// Status changes and edits, for settling disputes
+router.get("/:id/history", canRead, getRideHistory);
 
-// Manager: abort ride
-router.post("/:id/abort", isAdminOrManager, abortRide);
+// Tariff estimate (dispatchers, or the ride's own driver)
+router.post("/:id/fare-estimate", estimateFare);
 
 // Quick trips
-router.post("/quick-trip", isAdminOrManager, createQuickTrip);
+router.post("/quick-trip", canAssign, createQuickTrip);
 router.post("/:id/complete-quick-trip", completeQuickTripDetails);
 
 // Self-assigned rides (driver only)
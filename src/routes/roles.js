@@ -0,0 +1,17 @@
+const router = require("express").Router();
+const { authenticateToken, requirePermission } = require("../middleware/auth");
+const { PERMISSIONS } = require("../utils/permissions");
+const {
+  listRoles,
+  listPermissions,
+  updateRole,
+} = require("../controllers/roleController");
+
+// Role/permission management
+router.use(authenticateToken, requirePermission(PERMISSIONS.ROLES_MANAGE));
+
+router.get("/", listRoles);
+router.get("/permissions", listPermissions);
+router.put("/:name", updateRole);
+
+module.exports = router;
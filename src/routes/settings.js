@@ -1,11 +1,7 @@
 const express = require("express");
 const router = express.Router();
-const {
-  authenticateToken,
-  requireRole,
-  isAdminOrManager,
-  isAdmin,
-} = require("../middleware/auth");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
+const { PERMISSIONS } = require("../utils/permissions");
 const Settings = require("../models/Settings");
 const {
   getDriverReportSettings,
@@ -16,13 +12,14 @@ const {
   getGSTSettings,
   updateGSTSettings,
 } = require("../controllers/settingsController");
+const { getTariff, updateTariff } = require("../services/tariffService");
 
 // All settings routes require authentication
 router.use(authenticateToken);
 
 // ---------- GST settings ----------
-router.get("/gst", isAdminOrManager, getGSTSettings);
-router.put("/gst", isAdmin, updateGSTSettings);
+router.get("/gst", requirePermission(PERMISSIONS.SETTINGS_GST_READ), getGSTSettings);
+router.put("/gst", requirePermission(PERMISSIONS.SETTINGS_GST_WRITE), updateGSTSettings);
 
 // ---------- Driver Report Settings (admin/manager UX) ----------
 /**
@@ -31,7 +28,7 @@ router.put("/gst", isAdmin, updateGSTSettings);
  */
 router.get(
   "/driver-report",
-  requireRole(["admin", "manager"]),
+  requirePermission(PERMISSIONS.SETTINGS_DRIVER_REPORT_READ),
   async (req, res, next) => {
     try {
       const settings = await getDriverReportSettings();
@@ -50,7 +47,7 @@ router.get(
   }
 );
 
-router.put("/driver-report", requireRole(["admin"]), async (req, res, next) => {
+router.put("/driver-report", requirePermission(PERMISSIONS.SETTINGS_DRIVER_REPORT_WRITE), async (req, res, next) => {
   try {
     const result = await updateDriverReportSettings(
       req.body || {},
@@ -65,7 +62,7 @@ router.put("/driver-report", requireRole(["admin"]), async (req, res, next) => {
 // ---------- NEW: Read-only endpoint for all authenticated users (mobile app) ----------
 /**
  * GET /api/settings/driver-report/current
- * Returns only the values the mobile app needs, no special role required.
+ * Returns only the values the mobile app needs, no special permission required.
  */
 router.get("/driver-report/current", async (req, res, next) => {
   try {
@@ -84,4 +81,28 @@ router.get("/driver-report/current", async (req, res, next) => {
   }
 });
 
+// ---------- Fare tariff ----------
+/**
+ * GET  /api/settings/tariff
+ * PUT  /api/settings/tariff  (partial: omitted keys keep their value)
+ */
+router.get("/tariff", requirePermission(PERMISSIONS.SETTINGS_TARIFF_READ), async (req, res, next) => {
+  try {
+    const tariff = await getTariff();
+    const doc = await Settings.findOne({ key: "tariff" }).lean();
+    res.json({ success: true, tariff, lastUpdated: doc?.updatedAt ?? null });
+  } catch (e) {
+    next(e);
+  }
+});
+
+router.put("/tariff", requirePermission(PERMISSIONS.SETTINGS_TARIFF_WRITE), async (req, res, next) => {
+  try {
+    const result = await updateTariff(req.body || {}, req.user.id);
+    res.json({ success: true, ...result });
+  } catch (e) {
+    next(e);
+  }
+});
+
 module.exports = router;
@@ -2,39 +2,52 @@
 const express = require('express');
 const router = express.Router();
 
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission, requireApprovedDriver } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
 const { getShiftUploadMiddleware, handleShiftUploadError } = require('../services/shiftPhotoUploadService');
 const shiftController = require('../controllers/shiftController');
 
 // All shift routes require auth
 router.use(authenticateToken);
 
-// Start a new shift (driver only) with start meter photo
+const ownShift = requirePermission(PERMISSIONS.SHIFTS_OWN);
+const viewShifts = requirePermission(PERMISSIONS.SHIFTS_VIEW);
+
+// Start a new shift (driver only) with start meter photo. Needs an approved
+// agreement with current documents; the other shift routes stay open so a
+// driver whose documents expire mid-shift can still end it.
 router.post(
   '/start',
-  requireRole(['driver']),
+  ownShift,
+  requireApprovedDriver,
   ...getShiftUploadMiddleware(),
   handleShiftUploadError,
   shiftController.startShift
 );
 
 // Update shift (e.g., photo URL from Supabase)
-router.patch('/:shiftId', requireRole(['driver']), shiftController.updateShift);
+router.patch('/:shiftId', ownShift, shiftController.updateShift);
 
-// End the current shift (driver only)
-router.post('/:shiftId/end', requireRole(['driver']), shiftController.endShift);
+// End the current shift (driver only) with end meter photo
+router.post(
+  '/:shiftId/end',
+  ownShift,
+  ...getShiftUploadMiddleware('endMeterPhoto'),
+  handleShiftUploadError,
+  shiftController.endShift
+);
 
 // Get current active shift (driver only)
-router.get('/current', requireRole(['driver']), shiftController.getCurrentShift);
+router.get('/current', ownShift, shiftController.getCurrentShift);
 
 // Get ride statistics for a specific shift (driver only)
-router.get('/:shiftId/ride-statistics', requireRole(['driver']), shiftController.getShiftRideStatistics);
+router.get('/:shiftId/ride-statistics', ownShift, shiftController.getShiftRideStatistics);
 
 // Admin/Manager routes
 // Get shift timeline (filter by driver and/or date)
-router.get('/timeline', requireRole(['admin', 'manager']), shiftController.getShiftTimeline);
+router.get('/timeline', viewShifts, shiftController.getShiftTimeline);
 
 // Get shift history for a specific driver
-router.get('/driver/:driverId/history', requireRole(['admin', 'manager']), shiftController.getDriverShiftHistory);
+router.get('/driver/:driverId/history', viewShifts, shiftController.getDriverShiftHistory);
 
 module.exports = router;
@@ -1,32 +1,37 @@
 const router = require("express").Router();
-const {
-  authenticateToken,
-  isAdminOrManager,
-  isAdmin,
-} = require("../middleware/auth");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
+const { PERMISSIONS } = require("../utils/permissions");
 const {
   listUsers,
   createUser,
   getUser,
   updateUser,
   deleteUser,
+  revokeUserSessions,
 } = require("../controllers/userController");
 
 router.use(authenticateToken);
 
-// List users (admin or manager - managers need to see drivers for dashboard)
-router.get("/", isAdminOrManager, listUsers);
+// List users (managers need to see drivers for dashboard)
+router.get("/", requirePermission(PERMISSIONS.USERS_LIST), listUsers);
+
+// Create user (creating an admin additionally needs users.roles.assign)
+router.post("/", requirePermission(PERMISSIONS.USERS_CREATE), createUser);
 
-// Create user (admin or manager; manager can’t create admin)
-router.post("/", isAdminOrManager, createUser);
+// Get user by id
+router.get("/:id", requirePermission(PERMISSIONS.USERS_VIEW), getUser);
 
-// Get user by id (admin)
-router.get("/:id", isAdmin, getUser);
+// Update user (changing role additionally needs users.roles.assign)
+router.patch("/:id", requirePermission(PERMISSIONS.USERS_UPDATE), updateUser);
 
-// Update user (admin only for now)
-router.patch("/:id", isAdmin, updateUser);
+// Delete user
+router.delete("/:id", requirePermission(PERMISSIONS.USERS_DELETE), deleteUser);
 
-// Delete user (admin only)
-router.delete("/:id", isAdmin, deleteUser);
+// Sign a user out of every device
+router.post(
+  "/:id/revoke-sessions",
+  requirePermission(PERMISSIONS.USERS_SESSIONS_REVOKE),
+  revokeUserSessions
+);
 
 module.exports = router;
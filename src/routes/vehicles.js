@@ -0,0 +1,36 @@
+const router = require("express").Router();
+const { requirePermission } = require("../middleware/auth");
+const { PERMISSIONS } = require("../utils/permissions");
+const { getUploadMiddleware, handleUploadError } = require("../services/photoUploadService");
+const {
+  listVehicles,
+  createVehicle,
+  getVehicle,
+  updateVehicle,
+  deleteVehicle,
+  listExpiringCompliance,
+  getCompliance,
+  putComplianceItem,
+  deleteComplianceItem,
+} = require("../controllers/vehicleController");
+
+const canRead = requirePermission(PERMISSIONS.VEHICLES_READ);
+const canManage = requirePermission(PERMISSIONS.VEHICLES_MANAGE);
+
+// Fleet register; drivers can look vehicles up to start a shift
+router.get("/", canRead, listVehicles);
+router.post("/", canManage, createVehicle);
+
+// Before /:id so "compliance" is not taken for an id
+router.get("/compliance/expiring", canManage, listExpiringCompliance);
+
+router.get("/:id", canRead, getVehicle);
+router.patch("/:id", canManage, updateVehicle);
+router.delete("/:id", canManage, deleteVehicle);
+
+// Compliance items, with an optional document photo (field "photo")
+router.get("/:id/compliance", canRead, getCompliance);
+router.put("/:id/compliance/:type", canManage, getUploadMiddleware(), handleUploadError, putComplianceItem);
+router.delete("/:id/compliance/:type", canManage, deleteComplianceItem);
+
+module.exports = router;
@@ -4,6 +4,14 @@ const { connectDB } = require("./config/db");
 const Settings = require("./models/Settings");
 const { initializeLocalStorage } = require("./services/photoUploadService");
 const { getDriverReportSettings } = require("./services/driverReportSettingsService");
+const { ensureDefaultRoles } = require("./services/permissionService");
+const { ensureDefaultTemplate } = require("./services/agreementTemplateService");
+const { startRecurringBookingJob } = require("./services/recurringBookingService");
+const { startAutoAssignJob } = require("./services/driverSuggestionService");
+const { startInvoiceOverdueJob } = require("./services/invoiceService");
+const { startAccountStatementJob } = require("./services/accountStatementService");
+const { startVehicleComplianceJob } = require("./services/vehicleComplianceService");
+const { startDriverDocumentJob } = require("./services/driverDocumentService");
 
 const port = process.env.PORT || 8080;
 
@@ -30,6 +38,12 @@ async function initializeDefaultSettings() {
 
     // Initialize driver report settings
     await getDriverReportSettings();
+
+    // Seed roles and their default permissions
+    await ensureDefaultRoles();
+
+    // Publish the original agreement text as version 1
+    await ensureDefaultTemplate();
     
   } catch (error) {
     throw error;
@@ -40,6 +54,24 @@ async function initializeServices() {
   try {
     // Initialize Local Photo Storage
     initializeLocalStorage();
+
+    // Generate upcoming rides for recurring bookings
+    startRecurringBookingJob();
+
+    // Assign drivers to auto-assign bookings shortly before pickup
+    startAutoAssignJob();
+
+    // Flag sent invoices past their due date
+    startInvoiceOverdueJob();
+
+    // Issue account statements once their period closes
+    startAccountStatementJob();
+
+    // Alert admins and managers to vehicle registration, CTP, licence and inspection expiries
+    startVehicleComplianceJob();
+
+    // Warn drivers and admins before driver licences and accreditations expire
+    startDriverDocumentJob();
     
   } catch (error) {
     throw error;
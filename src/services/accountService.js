@@ -0,0 +1,223 @@
+/**
+ * Account Service
+ * Payment details of rides booked on corporate accounts, and the credit
+ * check that blocks bookings once an account reaches its limit.
+ *
+ * An account's outstanding amount is what it owes or will owe:
+ * - charges of issued (unpaid) statements
+ * - the account part of completed rides not yet on a statement
+ * - open bookings on the account (scheduled to started), at the fare
+ *   estimate stored when they were booked; bookings without one (no
+ *   coordinates, quick trips) at the median fare of the account's recent
+ *   rides, or ACCOUNT_DEFAULT_BOOKING_FARE without history
+ *
+ * The credit check is not atomic with the booking it guards: bookings made
+ * on the same account at the same moment can each pass it and together go
+ * over the limit by their own amounts.
+ */
+
+const mongoose = require("mongoose");
+const Account = require("../models/Account");
+const { ACCOUNT_STATUS } = require("../models/Account");
+const AccountStatement = require("../models/AccountStatement");
+const { STATEMENT_STATUS } = require("../models/AccountStatement");
+const Ride = require("../models/Ride");
+const { RIDE_STATUS, PAYMENT_METHOD } = require("../utils/constants");
+
+const DEFAULT_BOOKING_FARE = Number(process.env.ACCOUNT_DEFAULT_BOOKING_FARE || 50);
+const FARE_HISTORY_SIZE = 20;
+
+const OPEN_RIDE_STATUSES = [
+  RIDE_STATUS.SCHEDULED,
+  RIDE_STATUS.ASSIGNED,
+  RIDE_STATUS.ACCEPTED,
+  RIDE_STATUS.STARTED,
+];
+
+function serviceError(status, code, message, details) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Validate the account/payment method given for a ride.
+ * An account without a method means "account"; "account" needs an account.
+ * @param {Object} input - { account, paymentMethod } (undefined = keep `current`)
+ * @param {Object} current - the ride's current { account, paymentMethod }
+ * @returns {Object} { account, paymentMethod }
+ */
+async function resolvePayment({ account, paymentMethod }, current = {}) {
+  const accountId = account !== undefined ? account || null : current.account || null;
+  let method = paymentMethod !== undefined ? paymentMethod || null : current.paymentMethod || null;
+
+  if (method && !Object.values(PAYMENT_METHOD).includes(method)) {
+    throw serviceError(
+      400,
+      "VALIDATION_ERROR",
+      `paymentMethod must be one of: ${Object.values(PAYMENT_METHOD).join(", ")}`
+    );
+  }
+  if (accountId) {
+    const exists =
+      mongoose.Types.ObjectId.isValid(accountId) && (await Account.exists({ _id: accountId }));
+    if (!exists) throw serviceError(400, "INVALID_ACCOUNT", "Account not found");
+    if (!method) method = PAYMENT_METHOD.ACCOUNT;
+  }
+  if (method === PAYMENT_METHOD.ACCOUNT && !accountId) {
+    throw serviceError(400, "VALIDATION_ERROR", "paymentMethod 'account' requires an account");
+  }
+  return { account: accountId, paymentMethod: method };
+}
+
+/**
+ * The part of a completed ride billed to its account (Ride.payments)
+ */
+function accountCharge(ride) {
+  if (ride.payments?.length) {
+    return round2(
+      ride.payments
+        .filter((p) => p.method === PAYMENT_METHOD.ACCOUNT)
+        .reduce((sum, p) => sum + p.amount, 0)
+    );
+  }
+  // Completed before payments were recorded
+  return ride.paymentMethod === PAYMENT_METHOD.ACCOUNT ? ride.fare?.total || 0 : 0;
+}
+
+/**
+ * Completed rides on the account with an unbilled account part
+ */
+function unbilledAccountRides(accountId, extra = {}) {
+  return {
+    account: accountId,
+    status: RIDE_STATUS.COMPLETED,
+    accountStatement: null,
+    $or: [{ paymentMethod: PAYMENT_METHOD.ACCOUNT }, { "payments.method": PAYMENT_METHOD.ACCOUNT }],
+    ...extra,
+  };
+}
+
+/**
+ * What an open booking without a fare estimate is counted at: the median
+ * fare of the account's last completed rides, or DEFAULT_BOOKING_FARE
+ */
+async function typicalFare(accountId) {
+  const rides = await Ride.find({
+    account: accountId,
+    status: RIDE_STATUS.COMPLETED,
+    "fare.total": { $gt: 0 },
+  })
+    .sort({ droppedAt: -1 })
+    .limit(FARE_HISTORY_SIZE)
+    .select("fare.total")
+    .lean();
+  if (!rides.length) return DEFAULT_BOOKING_FARE;
+  const totals = rides.map((r) => r.fare.total).sort((a, b) => a - b);
+  const mid = Math.floor(totals.length / 2);
+  return round2(totals.length % 2 ? totals[mid] : (totals[mid - 1] + totals[mid]) / 2);
+}
+
+/**
+ * What the account owes or has committed, and what is left of its limit
+ * @param {Object} opts - { excludeRideId } - leave a ride out (when re-checking it)
+ * @returns {Object} { statements, unbilled, booked, outstanding, creditLimit, available }
+ */
+async function getAccountBalance(accountId, { excludeRideId } = {}) {
+  const account = await Account.findById(accountId).select("creditLimit").lean();
+  if (!account) throw serviceError(404, "NOT_FOUND", "Account not found");
+  const id = account._id;
+  // Aggregation $match does not cast, so ids must be ObjectIds
+  const notThisRide = excludeRideId
+    ? { _id: { $ne: new mongoose.Types.ObjectId(String(excludeRideId)) } }
+    : {};
+
+  const [statements, unbilledRides, booked] = await Promise.all([
+    AccountStatement.aggregate([
+      { $match: { account: id, status: STATEMENT_STATUS.ISSUED } },
+      { $group: { _id: null, sum: { $sum: "$charges" } } },
+    ]),
+    Ride.find(unbilledAccountRides(id, notThisRide)).select("fare payments paymentMethod").lean(),
+    Ride.aggregate([
+      { $match: { account: id, status: { $in: OPEN_RIDE_STATUSES }, ...notThisRide } },
+      { $project: { estimate: { $ifNull: ["$fareEstimate.total", 0] } } },
+      {
+        $group: {
+          _id: null,
+          sum: { $sum: "$estimate" },
+          unestimated: { $sum: { $cond: [{ $gt: ["$estimate", 0] }, 0, 1] } },
+        },
+      },
+    ]),
+  ]);
+
+  const unestimated = booked[0]?.unestimated || 0;
+  const fallback = unestimated ? await typicalFare(id) : 0;
+  const totals = {
+    statements: round2(statements[0]?.sum || 0),
+    unbilled: round2(unbilledRides.reduce((sum, r) => sum + accountCharge(r), 0)),
+    booked: round2((booked[0]?.sum || 0) + unestimated * fallback),
+  };
+  const outstanding = round2(totals.statements + totals.unbilled + totals.booked);
+  return {
+    ...totals,
+    outstanding,
+    creditLimit: account.creditLimit,
+    available: account.creditLimit == null ? null : round2(account.creditLimit - outstanding),
+  };
+}
+
+/**
+ * Throw unless a new booking can be made on the account:
+ * 409 ACCOUNT_SUSPENDED when it is not active,
+ * 409 ACCOUNT_OVER_LIMIT (details: balance) when it has reached its limit.
+ */
+async function assertAccountCanBook(accountId, { excludeRideId } = {}) {
+  const account = await Account.findById(accountId).select("name status creditLimit").lean();
+  if (!account) throw serviceError(400, "INVALID_ACCOUNT", "Account not found");
+  if (account.status !== ACCOUNT_STATUS.ACTIVE) {
+    throw serviceError(409, "ACCOUNT_SUSPENDED", `Account ${account.name} is ${account.status}`);
+  }
+  if (account.creditLimit == null) return;
+
+  const balance = await getAccountBalance(account._id, { excludeRideId });
+  if (balance.available <= 0) {
+    throw serviceError(
+      409,
+      "ACCOUNT_OVER_LIMIT",
+      `Account ${account.name} has reached its credit limit of $${account.creditLimit.toFixed(2)}`,
+      { balance }
+    );
+  }
+}
+
+/**
+ * Resolve a booking's account/payment method and run the credit check when
+ * the booking is (newly) put on an account.
+ * @param {Object} input - request body fields { account, paymentMethod }
+ * @param {Object} ride - existing ride when editing (its account is not re-checked)
+ * @returns {Object} { account, paymentMethod }
+ */
+async function paymentForBooking(input, ride = null) {
+  const payment = await resolvePayment(input, ride || {});
+  const accountChanged = String(payment.account) !== String(ride?.account || null);
+  if (payment.account && accountChanged) {
+    await assertAccountCanBook(payment.account, { excludeRideId: ride?._id });
+  }
+  return payment;
+}
+
+module.exports = {
+  resolvePayment,
+  accountCharge,
+  unbilledAccountRides,
+  getAccountBalance,
+  assertAccountCanBook,
+  paymentForBooking,
+};
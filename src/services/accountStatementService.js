@@ -0,0 +1,223 @@
+/**
+ * Account Statement Service
+ * Monthly statements for corporate accounts.
+ *
+ * An account's statement period closes on `billingCycle.closingDay` each
+ * month. A statement bills the account part (see Ride.payments) of every
+ * completed ride that is not on a statement yet and was picked up before the period end (so rides
+ * entered late go on the next statement), and carries forward the charges
+ * of earlier statements still unpaid. Billed rides point at their statement
+ * (Ride.accountStatement); voiding a statement releases them.
+ *
+ * The job issues each account's statement once its period has closed;
+ * suspended accounts are still billed.
+ */
+
+const Account = require("../models/Account");
+const { ACCOUNT_STATUS } = require("../models/Account");
+const AccountStatement = require("../models/AccountStatement");
+const { STATEMENT_STATUS } = require("../models/AccountStatement");
+const Ride = require("../models/Ride");
+const { nextSequence } = require("../models/Counter");
+const { calculateGST } = require("../controllers/settingsController");
+const { accountCharge, unbilledAccountRides } = require("./accountService");
+
+const STATEMENT_JOB_INTERVAL_MINUTES = Number(
+  process.env.ACCOUNT_STATEMENT_JOB_INTERVAL_MINUTES || 60
+);
+
+function serviceError(status, code, message) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * The most recent period close on or before `date` (local midnight)
+ */
+function lastClosingDate(closingDay, date = new Date()) {
+  const close = new Date(date.getFullYear(), date.getMonth(), closingDay);
+  if (close > date) close.setMonth(close.getMonth() - 1);
+  return close;
+}
+
+function previousClosingDate(close) {
+  const prev = new Date(close);
+  prev.setMonth(prev.getMonth() - 1);
+  return prev;
+}
+
+function clientNames(ride) {
+  const names = (ride.clients || []).map((c) => c?.name).filter(Boolean);
+  return names.join(", ") || ride.quickTripDetails?.clientName || "";
+}
+
+async function nextStatementNumber() {
+  const seq = await nextSequence("accountStatement");
+  return `STM-${String(seq).padStart(6, "0")}`;
+}
+
+/**
+ * Issue the statement for the period ending `periodEnd` (default: the
+ * latest closed period). Returns null when there is nothing new to bill.
+ * @param {Object} account - Account document
+ * @param {Object} opts - { periodEnd }
+ * @param {string|null} userId - null when issued by the job
+ */
+async function issueStatement(account, { periodEnd } = {}, userId = null) {
+  const end = periodEnd ? new Date(periodEnd) : lastClosingDate(account.billingCycle.closingDay);
+  const start = previousClosingDate(end);
+
+  const rides = await Ride.find(unbilledAccountRides(account._id, { scheduledTime: { $lt: end } }))
+    .sort({ scheduledTime: 1 })
+    .populate("clients", "name")
+    .populate("from to", "name")
+    .lean();
+  if (!rides.length) return null;
+
+  const statement = new AccountStatement({ account: account._id });
+
+  // Rides taken by a statement issued at the same time are dropped
+  const billed = [];
+  for (const ride of rides) {
+    const result = await Ride.updateOne(
+      { _id: ride._id, accountStatement: null },
+      { $set: { accountStatement: statement._id } }
+    );
+    if (result.modifiedCount === 1) billed.push(ride);
+  }
+  if (!billed.length) return null;
+
+  const previous = await AccountStatement.aggregate([
+    { $match: { account: account._id, status: STATEMENT_STATUS.ISSUED } },
+    { $group: { _id: null, sum: { $sum: "$charges" } } },
+  ]);
+
+  const now = new Date();
+  const lines = [];
+  for (const ride of billed) {
+    const amount = accountCharge(ride);
+    lines.push({
+      ride: ride._id,
+      rideId: ride.rideId,
+      date: ride.startedAt || ride.scheduledTime,
+      passengers: clientNames(ride),
+      from: ride.from?.name || ride.quickTripDetails?.pickupLocation || "",
+      to: ride.to?.name || ride.quickTripDetails?.dropoffLocation || "",
+      amount,
+      gst: await calculateGST(amount),
+    });
+  }
+  const charges = round2(lines.reduce((sum, l) => sum + l.amount, 0));
+  const previousBalance = round2(previous[0]?.sum || 0);
+
+  statement.set({
+    periodStart: start,
+    periodEnd: end,
+    lines,
+    previousBalance,
+    charges,
+    gst: round2(lines.reduce((sum, l) => sum + l.gst, 0)),
+    amountDue: round2(previousBalance + charges),
+    issueDate: now,
+    dueDate: new Date(now.getTime() + account.billingCycle.paymentTermsDays * 86400000),
+    createdBy: userId,
+  });
+  try {
+    statement.statementNumber = await nextStatementNumber();
+    await statement.save();
+  } catch (e) {
+    await Ride.updateMany(
+      { accountStatement: statement._id },
+      { $set: { accountStatement: null } }
+    );
+    throw e;
+  }
+  return statement;
+}
+
+/**
+ * issued → paid
+ * @param {Object} opts - { reference }
+ */
+async function markStatementPaid(statement, { reference } = {}, userId) {
+  if (statement.status !== STATEMENT_STATUS.ISSUED) {
+    throw serviceError(409, "INVALID_STATUS", `Cannot mark a ${statement.status} statement as paid`);
+  }
+  statement.status = STATEMENT_STATUS.PAID;
+  statement.paidAt = new Date();
+  statement.paidBy = userId;
+  if (reference) statement.paymentReference = reference;
+  await statement.save();
+  return statement;
+}
+
+/**
+ * issued → void. Its rides go on the next statement.
+ */
+async function voidStatement(statement, userId) {
+  if (statement.status !== STATEMENT_STATUS.ISSUED) {
+    throw serviceError(409, "INVALID_STATUS", `Cannot void a ${statement.status} statement`);
+  }
+  statement.status = STATEMENT_STATUS.VOID;
+  statement.voidedAt = new Date();
+  statement.voidedBy = userId;
+  await statement.save();
+  await Ride.updateMany({ accountStatement: statement._id }, { $set: { accountStatement: null } });
+  return statement;
+}
+
+/**
+ * Job entry point: issue statements for accounts (not closed) whose latest
+ * period has closed and has no statement yet.
+ * @returns {number} statements issued
+ */
+async function runStatementJob(now = new Date()) {
+  const accounts = await Account.find({ status: { $ne: ACCOUNT_STATUS.CLOSED } });
+  let issued = 0;
+  for (const account of accounts) {
+    const periodEnd = lastClosingDate(account.billingCycle.closingDay, now);
+    // A voided statement is not re-issued: its rides wait for the next period
+    if (await AccountStatement.exists({ account: account._id, periodEnd })) continue;
+    try {
+      if (await issueStatement(account, { periodEnd })) issued++;
+    } catch (e) {
+      console.warn(`Statement for account ${account.name} failed:`, e?.message || e);
+    }
+  }
+  return issued;
+}
+
+let jobTimer = null;
+
+/**
+ * Start the periodic statement job
+ */
+function startAccountStatementJob() {
+  if (jobTimer) return jobTimer;
+  const run = () =>
+    runStatementJob()
+      .then((issued) => {
+        if (issued) console.log(`📄 Issued ${issued} account statement(s)`);
+      })
+      .catch((e) => console.warn("Account statement job failed:", e?.message || e));
+
+  run();
+  jobTimer = setInterval(run, STATEMENT_JOB_INTERVAL_MINUTES * 60 * 1000);
+  return jobTimer;
+}
+
+module.exports = {
+  STATEMENT_STATUS,
+  lastClosingDate,
+  issueStatement,
+  markStatementPaid,
+  voidStatement,
+  runStatementJob,
+  startAccountStatementJob,
+};
@@ -0,0 +1,323 @@
+/**
+ * Agreement Template Service
+ * Versions of the driver agreement text and which one drivers accepted.
+ *
+ * Admins edit drafts and publish them with an effective date; publishing
+ * numbers the version and stores a sha256 of its title and body. The current
+ * text is the latest published version in effect. Submissions record the
+ * version and hash accepted (version 1, the original text, for earlier
+ * submissions).
+ *
+ * Once a mandatory version is in effect, approved drivers who accepted an
+ * older one must accept it (POST /api/agreements/accept) before using the
+ * app again; their agreement stays approved.
+ */
+
+const crypto = require("crypto");
+const AgreementTemplate = require("../models/AgreementTemplate");
+const { TEMPLATE_STATUS } = require("../models/AgreementTemplate");
+const DriverAgreement = require("../models/DriverAgreement");
+const User = require("../models/User");
+const { nextSequence } = require("../models/Counter");
+const { sendNotification } = require("./notificationService");
+const { ROLES } = require("../utils/constants");
+
+const CACHE_TTL_MS = 30 * 1000;
+let cache = null; // { current, required, loadedAt }
+
+// Version 1: the text drivers accepted before templates existed
+const DEFAULT_TEMPLATE = {
+  title: "Driver Services Agreement",
+  body: `<h1>Driver Services Agreement</h1>
+      <p>This Driver Services Agreement ("Agreement") is entered into between Taxiologists ("Company") and the undersigned Driver ("Driver").</p>
+      <p>1. <strong>Services.</strong> Driver agrees to provide transportation services using the Company's platform.</p>
+      <p>2. <strong>Compliance.</strong> Driver agrees to comply with all applicable laws, regulations, and Company policies.</p>
+      <p>3. <strong>Independent Contractor.</strong> Driver acknowledges that they are an independent contractor and not an employee of the Company.</p>
+      <p>4. <strong>Term.</strong> This Agreement shall commence on the date of acceptance and continue until terminated by either party.</p>
+      <p>5. <strong>Termination.</strong> Either party may terminate this Agreement with written notice.</p>
+      <p>By submitting this form, Driver acknowledges that they have read, understood, and agree to be bound by the terms of this Agreement.</p>`,
+};
+
+function serviceError(status, code, message, details) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+/**
+ * sha256 (hex) of a template's title and body
+ */
+function hashContent({ title, body }) {
+  return crypto.createHash("sha256").update(`${title}\n${body}`).digest("hex");
+}
+
+function invalidateTemplateCache() {
+  cache = null;
+}
+
+/**
+ * Publish the original text as version 1 when there are no templates yet
+ */
+async function ensureDefaultTemplate() {
+  if (await AgreementTemplate.exists({ status: TEMPLATE_STATUS.PUBLISHED })) return;
+  await AgreementTemplate.create({
+    ...DEFAULT_TEMPLATE,
+    version: await nextSequence("agreementTemplate"),
+    status: TEMPLATE_STATUS.PUBLISHED,
+    mandatory: true,
+    effectiveFrom: new Date(0),
+    contentHash: hashContent(DEFAULT_TEMPLATE),
+    publishedAt: new Date(),
+  });
+  invalidateTemplateCache();
+}
+
+/**
+ * The current text and the latest mandatory version in effect (cached)
+ * @returns {Object} { current, required } - lean templates, null when none
+ */
+async function getEffectiveTemplates() {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache;
+  const inEffect = {
+    status: TEMPLATE_STATUS.PUBLISHED,
+    effectiveFrom: { $lte: new Date() },
+  };
+  const [current, required] = await Promise.all([
+    AgreementTemplate.findOne(inEffect).sort({ version: -1 }).lean(),
+    AgreementTemplate.findOne({ ...inEffect, mandatory: true }).sort({ version: -1 }).lean(),
+  ]);
+  cache = { current, required, loadedAt: Date.now() };
+  return cache;
+}
+
+/**
+ * The latest published version not yet in effect, if any
+ */
+async function getUpcomingTemplate() {
+  return AgreementTemplate.findOne({
+    status: TEMPLATE_STATUS.PUBLISHED,
+    effectiveFrom: { $gt: new Date() },
+  })
+    .sort({ version: -1 })
+    .lean();
+}
+
+/**
+ * Version of the agreement text accepted on a submission
+ */
+function acceptedVersion(agreement) {
+  return agreement?.templateVersion || 1;
+}
+
+/**
+ * Whether an approved agreement predates the mandatory version in effect
+ * @param {Object} required - from getEffectiveTemplates (loaded when omitted)
+ */
+async function needsReacceptance(agreement, required) {
+  if (required === undefined) ({ required } = await getEffectiveTemplates());
+  return !!required && acceptedVersion(agreement) < required.version;
+}
+
+/**
+ * The published template a driver accepts: the version they were shown
+ * (the current one when not given). Throws when it is unknown, older than
+ * the current text, or its hash does not match.
+ * @param {Object} input - { templateVersion?, contentHash? }
+ */
+async function findAcceptedTemplate({ templateVersion, contentHash } = {}) {
+  const { current } = await getEffectiveTemplates();
+  if (!current) throw serviceError(503, "NO_AGREEMENT_TEXT", "No agreement text is published");
+
+  let template = current;
+  if (templateVersion !== undefined && templateVersion !== null && templateVersion !== "") {
+    template = await AgreementTemplate.findOne({
+      version: Number(templateVersion),
+      status: TEMPLATE_STATUS.PUBLISHED,
+    }).lean();
+    if (!template) {
+      throw serviceError(400, "UNKNOWN_VERSION", `Agreement version ${templateVersion} does not exist`);
+    }
+    if (template.version < current.version) {
+      throw serviceError(
+        409,
+        "AGREEMENT_OUTDATED",
+        `Agreement version ${template.version} has been replaced by version ${current.version}`,
+        { currentVersion: current.version }
+      );
+    }
+  }
+  if (contentHash && contentHash !== template.contentHash) {
+    throw serviceError(
+      409,
+      "AGREEMENT_CHANGED",
+      "The agreement text does not match the published version. Reload it and try again.",
+      { version: template.version }
+    );
+  }
+  return template;
+}
+
+/**
+ * Acceptance entry for a submission
+ * @param {Object} meta - { ipAddress, userAgent }
+ */
+function acceptanceOf(template, meta = {}) {
+  return {
+    template: template._id,
+    version: template.version,
+    contentHash: template.contentHash,
+    acceptedAt: new Date(),
+    ipAddress: meta.ipAddress,
+    userAgent: meta.userAgent,
+  };
+}
+
+/**
+ * Record an approved driver's acceptance of a newer version on their
+ * agreement (and on renewals of it awaiting review)
+ */
+async function recordAcceptance(agreement, template, meta = {}) {
+  if (!agreement || agreement.status !== "approved") {
+    throw serviceError(409, "NOT_APPROVED", "Only an approved agreement can accept a new version");
+  }
+  if (acceptedVersion(agreement) >= template.version) {
+    throw serviceError(
+      409,
+      "ALREADY_ACCEPTED",
+      `Agreement version ${acceptedVersion(agreement)} is already accepted`
+    );
+  }
+
+  const update = {
+    $set: { template: template._id, templateVersion: template.version, contentHash: template.contentHash },
+    $push: { acceptances: acceptanceOf(template, meta) },
+  };
+  await DriverAgreement.updateMany(
+    { $or: [{ _id: agreement._id }, { renewalOf: agreement._id, status: "pending" }] },
+    update
+  );
+  return DriverAgreement.findById(agreement._id);
+}
+
+/**
+ * Templates, newest first
+ */
+async function listTemplates({ status } = {}) {
+  const filter = status ? { status } : {};
+  return AgreementTemplate.find(filter)
+    .sort({ version: -1, createdAt: -1 })
+    .populate("publishedBy", "fullName")
+    .lean();
+}
+
+function pickContent(data) {
+  const out = {};
+  for (const field of ["title", "body", "changeSummary", "mandatory", "effectiveFrom"]) {
+    if (data[field] !== undefined) out[field] = data[field];
+  }
+  if (out.mandatory !== undefined) out.mandatory = out.mandatory === true || out.mandatory === "true";
+  if (out.effectiveFrom === "") out.effectiveFrom = null;
+  if (out.effectiveFrom != null && isNaN(new Date(out.effectiveFrom))) {
+    throw serviceError(400, "VALIDATION_ERROR", "effectiveFrom must be a date");
+  }
+  return out;
+}
+
+/**
+ * New draft; title and body default to the latest published text
+ */
+async function createDraft(data, userId) {
+  const content = pickContent(data);
+  if (content.title === undefined || content.body === undefined) {
+    const latest = await AgreementTemplate.findOne({ status: TEMPLATE_STATUS.PUBLISHED })
+      .sort({ version: -1 })
+      .lean();
+    const base = latest || DEFAULT_TEMPLATE;
+    if (content.title === undefined) content.title = base.title;
+    if (content.body === undefined) content.body = base.body;
+  }
+  return AgreementTemplate.create({ ...content, createdBy: userId, updatedBy: userId });
+}
+
+function assertDraft(template, action) {
+  if (template.status !== TEMPLATE_STATUS.DRAFT) {
+    throw serviceError(
+      409,
+      "TEMPLATE_PUBLISHED",
+      `Published versions cannot be ${action}; create a new draft instead`
+    );
+  }
+}
+
+async function updateDraft(template, data, userId) {
+  assertDraft(template, "edited");
+  template.set({ ...pickContent(data), updatedBy: userId });
+  await template.save();
+  return template;
+}
+
+async function deleteDraft(template) {
+  assertDraft(template, "deleted");
+  await template.deleteOne();
+}
+
+/**
+ * Publish a draft as the next version. A mandatory version notifies the
+ * approved drivers who will have to accept it.
+ * @param {Object} options - { effectiveFrom? (default: now), mandatory? }
+ */
+async function publishTemplate(template, options, userId) {
+  assertDraft(template, "published again");
+  const { effectiveFrom, mandatory } = pickContent(options || {});
+  const now = new Date();
+  const from = effectiveFrom ? new Date(effectiveFrom) : template.effectiveFrom || now;
+  if (from < new Date(now.getTime() - 60 * 1000)) {
+    throw serviceError(400, "VALIDATION_ERROR", "effectiveFrom cannot be in the past");
+  }
+
+  template.set({
+    version: await nextSequence("agreementTemplate"),
+    status: TEMPLATE_STATUS.PUBLISHED,
+    effectiveFrom: from,
+    contentHash: hashContent(template),
+    publishedAt: now,
+    publishedBy: userId,
+  });
+  if (mandatory !== undefined) template.mandatory = mandatory;
+  await template.save();
+  invalidateTemplateCache();
+
+  if (template.mandatory) {
+    const drivers = await User.find({ role: ROLES.DRIVER, agreementAccepted: true }).select("_id");
+    const when = from <= now ? "now" : `on ${from.toISOString().slice(0, 10)}`;
+    for (const driver of drivers) {
+      await sendNotification(driver._id, "agreement_update", {
+        message: `A new version of the driver agreement takes effect ${when}. Please review and accept it to keep using the app.`,
+        status: `template_${template.version}`,
+        templateVersion: template.version,
+        effectiveFrom: from.toISOString(),
+      }).catch((e) => console.warn("Agreement update notification failed:", e?.message || e));
+    }
+  }
+  return template;
+}
+
+module.exports = {
+  TEMPLATE_STATUS,
+  hashContent,
+  ensureDefaultTemplate,
+  getEffectiveTemplates,
+  getUpcomingTemplate,
+  acceptedVersion,
+  needsReacceptance,
+  findAcceptedTemplate,
+  acceptanceOf,
+  recordAcceptance,
+  listTemplates,
+  createDraft,
+  updateDraft,
+  deleteDraft,
+  publishTemplate,
+};
@@ -0,0 +1,154 @@
+/**
+ * Booking Conflict Service
+ * Detects when a driver would be booked on two rides at once.
+ *
+ * Each ride occupies [pickup, pickup + estimated duration]. The duration is
+ * the median startedAt→droppedAt of recent completed rides on the same
+ * from/to pair, or DEFAULT_RIDE_DURATION_MINUTES when there is no history.
+ * Rides already started are measured from their actual start.
+ */
+
+const mongoose = require("mongoose");
+const Ride = require("../models/Ride");
+const { RIDE_STATUS } = require("../utils/constants");
+
+const DEFAULT_RIDE_DURATION_MINUTES = Number(process.env.DEFAULT_RIDE_DURATION_MINUTES || 45);
+const HISTORY_SAMPLE_SIZE = 20;
+// Longest ride we expect; bounds how far back to look for rides still running
+const MAX_RIDE_HOURS = 12;
+
+const ACTIVE_RIDE_STATUSES = [RIDE_STATUS.ASSIGNED, RIDE_STATUS.ACCEPTED, RIDE_STATUS.STARTED];
+
+function idOf(ref) {
+  return ref?._id || ref || null;
+}
+
+// Aggregation $match does not cast, so ids must be ObjectIds
+function objectIdOf(ref) {
+  const id = idOf(ref);
+  return id instanceof mongoose.Types.ObjectId ? id : new mongoose.Types.ObjectId(String(id));
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Expected ride duration in minutes for a from/to pair
+ * @returns {Object} { minutes, basedOn } - basedOn: number of past rides (0 = default)
+ */
+async function estimateDuration(from, to) {
+  if (!idOf(from) || !idOf(to)) {
+    return { minutes: DEFAULT_RIDE_DURATION_MINUTES, basedOn: 0 };
+  }
+  const samples = await Ride.aggregate([
+    {
+      $match: {
+        from: objectIdOf(from),
+        to: objectIdOf(to),
+        status: RIDE_STATUS.COMPLETED,
+        startedAt: { $ne: null },
+        droppedAt: { $ne: null },
+      },
+    },
+    { $sort: { droppedAt: -1 } },
+    { $limit: HISTORY_SAMPLE_SIZE },
+    { $project: { ms: { $subtract: ["$droppedAt", "$startedAt"] } } },
+    { $match: { ms: { $gt: 0, $lt: MAX_RIDE_HOURS * 60 * 60 * 1000 } } },
+  ]);
+  if (!samples.length) return { minutes: DEFAULT_RIDE_DURATION_MINUTES, basedOn: 0 };
+  return {
+    minutes: Math.ceil(median(samples.map((s) => s.ms)) / 60000),
+    basedOn: samples.length,
+  };
+}
+
+/**
+ * Active rides of the given drivers whose estimated time overlaps `ride`
+ * @param {Array} driverIds
+ * @param {Object} ride - { _id?, from, to, scheduledTime }
+ * @returns {Object} { estimatedMinutes, byDriver: Map(driverId -> [conflict]) }
+ *   conflict: { _id, rideId, status, scheduledTime, estimatedEnd }
+ */
+async function findConflicts(driverIds, ride) {
+  const start = new Date(ride.scheduledTime);
+  const { minutes } = await estimateDuration(ride.from, ride.to);
+  const end = new Date(start.getTime() + minutes * 60000);
+
+  const filter = {
+    driver: { $in: driverIds },
+    status: { $in: ACTIVE_RIDE_STATUSES },
+    scheduledTime: {
+      $gt: new Date(start.getTime() - MAX_RIDE_HOURS * 60 * 60 * 1000),
+      $lt: end,
+    },
+  };
+  if (ride._id) filter._id = { $ne: ride._id };
+  const others = await Ride.find(filter)
+    .select("rideId driver status scheduledTime startedAt from to")
+    .lean();
+
+  // One estimate per from/to pair
+  const estimates = new Map();
+  const byDriver = new Map();
+  for (const other of others) {
+    const key = `${other.from}:${other.to}`;
+    if (!estimates.has(key)) estimates.set(key, estimateDuration(other.from, other.to));
+    const { minutes: otherMinutes } = await estimates.get(key);
+
+    const otherStart = other.startedAt || other.scheduledTime;
+    const otherEnd = new Date(otherStart.getTime() + otherMinutes * 60000);
+    if (!(otherStart < end && start < otherEnd)) continue;
+
+    const driverId = String(other.driver);
+    if (!byDriver.has(driverId)) byDriver.set(driverId, []);
+    byDriver.get(driverId).push({
+      _id: other._id,
+      rideId: other.rideId,
+      status: other.status,
+      scheduledTime: other.scheduledTime,
+      estimatedEnd: otherEnd,
+    });
+  }
+  return { estimatedMinutes: minutes, byDriver };
+}
+
+/**
+ * Check a driver for `ride` before assigning it.
+ * Throws 409 BOOKING_CONFLICT (details.conflicts) unless `force` is set.
+ * @returns {Array} conflicts that were overridden (empty when none)
+ */
+async function assertNoConflicts(driverId, ride, { force = false } = {}) {
+  const { estimatedMinutes, byDriver } = await findConflicts([idOf(driverId)], ride);
+  const conflicts = byDriver.get(String(idOf(driverId))) || [];
+  if (!conflicts.length || force) return conflicts;
+
+  const err = new Error(
+    `Driver already has ${conflicts.length} ride(s) overlapping this booking. Pass force: true to assign anyway.`
+  );
+  err.status = 409;
+  err.code = "BOOKING_CONFLICT";
+  err.details = { estimatedMinutes, conflicts };
+  throw err;
+}
+
+/**
+ * Value for Ride.conflictOverride when a manager forced an overlapping assignment
+ */
+function conflictOverrideFor(conflicts, actor) {
+  return {
+    overriddenBy: actor.id,
+    overriddenAt: new Date(),
+    conflicts: conflicts.map((c) => c.rideId),
+  };
+}
+
+module.exports = {
+  DEFAULT_RIDE_DURATION_MINUTES,
+  estimateDuration,
+  findConflicts,
+  assertNoConflicts,
+  conflictOverrideFor,
+};
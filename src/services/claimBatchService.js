@@ -0,0 +1,382 @@
+/**
+ * Claim Batch Service
+ * Builds MPTP subsidy claim batches from completed rides and exports them
+ * for lodgement with the scheme.
+ *
+ * A batch takes every unclaimed fare line with a subsidy on rides completed
+ * in a date range (by pickup date). Lines missing something the scheme needs
+ * (card number, pickup/drop-off times, fare, taxi number of the ride's shift)
+ * are left out and reported, so they can be fixed and claimed in a later
+ * batch. Claimed lines point at their batch (Ride.fareLines.claimBatch),
+ * which is what stops a trip being claimed twice; voiding a batch releases
+ * them.
+ *
+ *   generated → lodged → paid
+ *   generated → void
+ *
+ * Fixed-width export (one record per line, amounts in cents, zero padded):
+ *   H  batch number (20) operator id (10) period start (8) period end (8) created (8)
+ *   D  card (16) pickup date (8) pickup HHmm (4) drop-off HHmm (4) taxi (10)
+ *      ride id (24) fare (9) subsidy (9) client paid (9)
+ *   T  line count (6) fare total (11) claim total (11)
+ */
+
+const crypto = require("crypto");
+const { stringify } = require("csv-stringify");
+const Ride = require("../models/Ride");
+const ClaimBatch = require("../models/ClaimBatch");
+const { CLAIM_BATCH_STATUS } = require("../models/ClaimBatch");
+const { toDayKey, isDayKey } = require("./recurringBookingService");
+const { RIDE_STATUS } = require("../utils/constants");
+
+const MPTP_OPERATOR_ID = process.env.MPTP_OPERATOR_ID || "";
+const MPTP_CARD_PATTERN = /^\d{8,16}$/;
+const MAX_PERIOD_DAYS = 366;
+
+function serviceError(status, code, message, details) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function parseDayKey(key) {
+  const [y, m, d] = key.split("-").map(Number);
+  return new Date(y, m - 1, d);
+}
+
+/**
+ * Validate a "YYYY-MM-DD" period (inclusive, local time)
+ * @returns {Object} { start, end } - end is exclusive
+ */
+function parsePeriod(from, to) {
+  if (!isDayKey(from) || !isDayKey(to)) {
+    throw serviceError(400, "VALIDATION_ERROR", "from and to must be dates in format YYYY-MM-DD");
+  }
+  const start = parseDayKey(from);
+  const end = parseDayKey(to);
+  end.setDate(end.getDate() + 1);
+  if (end <= start) throw serviceError(400, "VALIDATION_ERROR", "from must not be after to");
+  if ((end - start) / 86400000 > MAX_PERIOD_DAYS) {
+    throw serviceError(400, "VALIDATION_ERROR", `A batch can cover at most ${MAX_PERIOD_DAYS} days`);
+  }
+  return { start, end };
+}
+
+/**
+ * Problems with a fare line that would get the claim rejected
+ * @returns {Array} messages (empty when the line can be claimed)
+ */
+function lineErrors(ride, line) {
+  const errors = [];
+  if (!MPTP_CARD_PATTERN.test((line.mptpCardNumber || "").replace(/\s/g, ""))) {
+    errors.push("MPTP card number is missing or invalid");
+  }
+  if (!ride.startedAt) errors.push("Pickup time is missing");
+  if (!ride.droppedAt) errors.push("Drop-off time is missing");
+  if (ride.startedAt && ride.droppedAt && ride.droppedAt <= ride.startedAt) {
+    errors.push("Drop-off time is not after pickup time");
+  }
+  if (!(ride.fare?.total > 0) || !(line.share > 0)) errors.push("Fare is missing");
+  if (!ride.shift) errors.push("Ride is not linked to a shift");
+  else if (!ride.shift.taxiNumber?.trim()) errors.push("Shift has no taxi number");
+  return errors;
+}
+
+/**
+ * Unclaimed subsidy lines in a period, split into claimable and excluded
+ * @returns {Object} { lines, excluded: [{ rideId, clientId, clientName, errors }] }
+ */
+async function collectLines(start, end) {
+  const rides = await Ride.find({
+    status: RIDE_STATUS.COMPLETED,
+    scheduledTime: { $gte: start, $lt: end },
+    fareLines: { $elemMatch: { subsidy: { $gt: 0 }, claimBatch: null } },
+  })
+    .sort({ scheduledTime: 1 })
+    .populate("shift", "taxiNumber")
+    .populate("driver", "fullName")
+    .populate("fareLines.client", "name")
+    .lean();
+
+  const lines = [];
+  const excluded = [];
+  for (const ride of rides) {
+    for (const line of ride.fareLines) {
+      if (!(line.subsidy > 0) || line.claimBatch) continue;
+      const clientId = line.client?._id || line.client;
+      const clientName = line.client?.name || "";
+
+      const errors = lineErrors(ride, line);
+      if (errors.length) {
+        excluded.push({ rideId: ride.rideId, clientId, clientName, errors });
+        continue;
+      }
+      lines.push({
+        ride: ride._id,
+        rideId: ride.rideId,
+        client: clientId,
+        clientName,
+        mptpCardNumber: line.mptpCardNumber.replace(/\s/g, ""),
+        pickupAt: ride.startedAt,
+        dropoffAt: ride.droppedAt,
+        taxiNumber: ride.shift.taxiNumber.trim(),
+        driverName: ride.driver?.fullName || "",
+        fare: line.share,
+        subsidy: line.subsidy,
+        clientPaid: line.clientPaid,
+        claimable: line.claimable,
+      });
+    }
+  }
+  return { lines, excluded };
+}
+
+function totalsOf(lines) {
+  return {
+    lines: lines.length,
+    fare: round2(lines.reduce((sum, l) => sum + l.fare, 0)),
+    claimable: round2(lines.reduce((sum, l) => sum + l.claimable, 0)),
+  };
+}
+
+function newBatchNumber(now) {
+  const date = toDayKey(now).replace(/-/g, "");
+  return `CLM-${date}-${crypto.randomBytes(2).toString("hex").toUpperCase()}`;
+}
+
+// Point the fare line at the batch unless another batch got it first
+async function claimLine(batchId, line) {
+  const result = await Ride.updateOne(
+    { _id: line.ride },
+    { $set: { "fareLines.$[l].claimBatch": batchId } },
+    { arrayFilters: [{ "l.client": line.client, "l.claimBatch": null }] }
+  );
+  return result.modifiedCount === 1;
+}
+
+async function releaseLines(batchId) {
+  await Ride.updateMany(
+    { "fareLines.claimBatch": batchId },
+    { $set: { "fareLines.$[l].claimBatch": null } },
+    { arrayFilters: [{ "l.claimBatch": batchId }] }
+  );
+}
+
+/**
+ * Create a claim batch for rides picked up between `from` and `to`
+ * (inclusive). With `dryRun` nothing is recorded and the lines are returned
+ * as a preview. Throws 400 NOTHING_TO_CLAIM when no line can be claimed.
+ * @param {Object} opts - { from, to, notes, dryRun }
+ * @param {string} userId
+ * @returns {Object} { batch, excluded } (batch is unsaved on a dry run)
+ */
+async function createClaimBatch({ from, to, notes, dryRun = false }, userId) {
+  const { start, end } = parsePeriod(from, to);
+  const { lines, excluded } = await collectLines(start, end);
+
+  const batch = new ClaimBatch({
+    batchNumber: newBatchNumber(new Date()),
+    periodStart: from,
+    periodEnd: to,
+    lines,
+    totals: totalsOf(lines),
+    notes,
+    createdBy: userId,
+  });
+  if (dryRun) return { batch, excluded };
+
+  if (!lines.length) {
+    throw serviceError(400, "NOTHING_TO_CLAIM", "No claimable MPTP trips in this period", {
+      excluded,
+    });
+  }
+
+  // Lines taken by a batch created at the same time are dropped
+  const claimed = [];
+  for (const line of lines) {
+    if (await claimLine(batch._id, line)) claimed.push(line);
+  }
+  if (!claimed.length) {
+    throw serviceError(409, "ALREADY_CLAIMED", "These trips were claimed by another batch");
+  }
+
+  batch.lines = claimed;
+  batch.totals = totalsOf(claimed);
+  try {
+    await batch.save();
+  } catch (e) {
+    await releaseLines(batch._id);
+    throw e;
+  }
+  return { batch, excluded };
+}
+
+function assertStatus(batch, expected, action) {
+  if (batch.status === expected) return;
+  throw serviceError(409, "INVALID_STATUS", `Cannot ${action} a batch that is ${batch.status}`);
+}
+
+/**
+ * generated → lodged
+ * @param {Object} opts - { reference }
+ */
+async function lodgeBatch(batch, { reference } = {}, userId) {
+  assertStatus(batch, CLAIM_BATCH_STATUS.GENERATED, "lodge");
+  batch.status = CLAIM_BATCH_STATUS.LODGED;
+  batch.lodgedAt = new Date();
+  batch.lodgedBy = userId;
+  if (reference) batch.lodgementReference = reference;
+  await batch.save();
+  return batch;
+}
+
+/**
+ * lodged → paid. `amount` defaults to the claimed total.
+ * @param {Object} opts - { amount, reference }
+ */
+async function markBatchPaid(batch, { amount, reference } = {}, userId) {
+  assertStatus(batch, CLAIM_BATCH_STATUS.LODGED, "mark as paid");
+  const paid = amount != null ? Number(amount) : batch.totals.claimable;
+  if (!Number.isFinite(paid) || paid < 0) {
+    throw serviceError(400, "VALIDATION_ERROR", "amount must be a non-negative number");
+  }
+  batch.status = CLAIM_BATCH_STATUS.PAID;
+  batch.paidAt = new Date();
+  batch.paidBy = userId;
+  batch.paidAmount = round2(paid);
+  if (reference) batch.paymentReference = reference;
+  await batch.save();
+  return batch;
+}
+
+/**
+ * generated → void. Its trips become claimable again.
+ */
+async function voidBatch(batch, userId) {
+  assertStatus(batch, CLAIM_BATCH_STATUS.GENERATED, "void");
+  batch.status = CLAIM_BATCH_STATUS.VOID;
+  batch.voidedAt = new Date();
+  batch.voidedBy = userId;
+  await batch.save();
+  await releaseLines(batch._id);
+  return batch;
+}
+
+// ---------- Export ----------
+
+const pad = (n) => String(n).padStart(2, "0");
+
+function fmtDate(date) {
+  return toDayKey(new Date(date)).replace(/-/g, "");
+}
+
+function fmtTime(date) {
+  const d = new Date(date);
+  return `${pad(d.getHours())}${pad(d.getMinutes())}`;
+}
+
+function fmtDateTime(date) {
+  const d = new Date(date);
+  return `${toDayKey(d)} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+// Left-aligned text field, cut to width
+function text(value, width) {
+  return String(value ?? "").slice(0, width).padEnd(width, " ");
+}
+
+// Right-aligned zero-padded number field
+function number(value, width) {
+  return String(Math.max(0, Math.round(value))).padStart(width, "0");
+}
+
+const cents = (amount) => Math.round(amount * 100);
+
+/**
+ * Batch as CSV
+ * @returns {Promise<string>}
+ */
+function toCsv(batch) {
+  const rows = [
+    [
+      "Batch",
+      "Ride ID",
+      "Client",
+      "MPTP Card",
+      "Pickup",
+      "Drop-off",
+      "Taxi",
+      "Driver",
+      "Fare",
+      "Subsidy",
+      "Client Paid",
+      "Claimable",
+    ],
+    ...batch.lines.map((l) => [
+      batch.batchNumber,
+      l.rideId,
+      l.clientName,
+      l.mptpCardNumber,
+      fmtDateTime(l.pickupAt),
+      fmtDateTime(l.dropoffAt),
+      l.taxiNumber,
+      l.driverName,
+      l.fare.toFixed(2),
+      l.subsidy.toFixed(2),
+      l.clientPaid.toFixed(2),
+      l.claimable.toFixed(2),
+    ]),
+  ];
+  return new Promise((resolve, reject) =>
+    stringify(rows, (err, csv) => (err ? reject(err) : resolve(csv)))
+  );
+}
+
+/**
+ * Batch in the fixed-width layout described at the top of this file
+ * @returns {string}
+ */
+function toFixedWidth(batch) {
+  const records = [
+    "H" +
+      text(batch.batchNumber, 20) +
+      text(MPTP_OPERATOR_ID, 10) +
+      text(batch.periodStart.replace(/-/g, ""), 8) +
+      text(batch.periodEnd.replace(/-/g, ""), 8) +
+      text(fmtDate(batch.createdAt || new Date()), 8),
+    ...batch.lines.map(
+      (l) =>
+        "D" +
+        text(l.mptpCardNumber, 16) +
+        text(fmtDate(l.pickupAt), 8) +
+        text(fmtTime(l.pickupAt), 4) +
+        text(fmtTime(l.dropoffAt), 4) +
+        text(l.taxiNumber, 10) +
+        text(l.rideId, 24) +
+        number(cents(l.fare), 9) +
+        number(cents(l.subsidy), 9) +
+        number(cents(l.clientPaid), 9)
+    ),
+    "T" +
+      number(batch.lines.length, 6) +
+      number(cents(batch.totals.fare), 11) +
+      number(cents(batch.totals.claimable), 11),
+  ];
+  return records.join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  CLAIM_BATCH_STATUS,
+  createClaimBatch,
+  lodgeBatch,
+  markBatchPaid,
+  voidBatch,
+  toCsv,
+  toFixedWidth,
+};
@@ -0,0 +1,316 @@
+/**
+ * Driver Document Service
+ * Driver licence and accreditation expiries of approved agreements.
+ *
+ * A driver's current agreement is their latest submission, except that
+ * renewed documents (DriverAgreement.renewalOf) only take over once
+ * approved: while a renewal is pending, or after it is rejected, the
+ * approved agreement it renews stays current. Earlier approved agreements
+ * are kept as history.
+ *
+ * An approved agreement stops giving access to the app the day after the
+ * licence (or the accreditation, when its expiry is known) expires. The
+ * daily job warns the driver and admins/managers 30 and 7 days before and
+ * on the day (ALERT_DAYS), once per agreement.
+ */
+
+const DriverAgreement = require("../models/DriverAgreement");
+const User = require("../models/User");
+const { sendNotification, notifyAdminsAndManagers } = require("./notificationService");
+const { getEffectiveTemplates, acceptedVersion } = require("./agreementTemplateService");
+
+const ALERT_DAYS = [30, 7, 0];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DOCUMENT_JOB_INTERVAL_MINUTES = Number(
+  process.env.DRIVER_DOCUMENT_JOB_INTERVAL_MINUTES || 24 * 60
+);
+
+// Documents with an expiry on personalInfo
+const DOCUMENTS = {
+  license: { label: "driver licence", expiryField: "licenseExpiry" },
+  accreditation: { label: "driver accreditation", expiryField: "driverAccreditationExpiry" },
+};
+
+// Pending and rejected renewals never replace the approved agreement
+const CURRENT_FILTER = { $or: [{ renewalOf: null }, { status: "approved" }] };
+
+function serviceError(status, code, message, details) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+function startOfDay(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+function daysUntil(date, now = new Date()) {
+  return Math.round((startOfDay(date) - startOfDay(now)) / DAY_MS);
+}
+
+function dateOnly(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * The agreement that decides a driver's access (null when none)
+ */
+async function findCurrentAgreement(driverId) {
+  return DriverAgreement.findOne({ driver: driverId, ...CURRENT_FILTER }).sort({ createdAt: -1 });
+}
+
+/**
+ * The driver's latest renewal, if any
+ */
+async function findLatestRenewal(driverId) {
+  return DriverAgreement.findOne({ driver: driverId, renewalOf: { $ne: null } }).sort({
+    createdAt: -1,
+  });
+}
+
+/**
+ * Expiries of an agreement's documents
+ * @returns {Array} [{ document, label, expiresAt, daysLeft, expired }]
+ */
+function documentExpiries(agreement, now = new Date()) {
+  return Object.entries(DOCUMENTS)
+    .map(([document, { label, expiryField }]) => {
+      const expiresAt = agreement?.personalInfo?.[expiryField];
+      if (!expiresAt) return null;
+      const daysLeft = daysUntil(expiresAt, now);
+      return { document, label, expiresAt, daysLeft, expired: daysLeft < 0 };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Documents of an agreement past their expiry date
+ */
+function expiredDocuments(agreement, now = new Date()) {
+  return documentExpiries(agreement, now).filter((d) => d.expired);
+}
+
+/**
+ * Of the given drivers, those with an approved current agreement, no
+ * expired document and the mandatory agreement version accepted
+ * @returns {Set} driver ids as strings
+ */
+async function eligibleDriverIds(driverIds, now = new Date()) {
+  const [latest, { required }] = await Promise.all([
+    DriverAgreement.aggregate([
+      { $match: { driver: { $in: driverIds }, ...CURRENT_FILTER } },
+      { $sort: { createdAt: -1 } },
+      { $group: { _id: "$driver", agreement: { $first: "$$ROOT" } } },
+    ]),
+    getEffectiveTemplates(),
+  ]);
+  return new Set(
+    latest
+      .filter(
+        ({ agreement }) =>
+          agreement.status === "approved" &&
+          !expiredDocuments(agreement, now).length &&
+          (!required || acceptedVersion(agreement) >= required.version)
+      )
+      .map((a) => String(a._id))
+  );
+}
+
+/**
+ * Submit renewed licence and/or accreditation details for review. The
+ * renewal copies the approved agreement with the new details.
+ * @param {Object} data - { licenseNumber?, licenseExpiry?, driverAccreditationNumber?,
+ *   driverAccreditationExpiry?, photos: { driverLicenseFront, driverLicenseBack,
+ *   driverLicenseSelfie?, driverAccreditation } }
+ * @param {Object} meta - { ipAddress, userAgent }
+ */
+async function submitRenewal(driverId, data, meta = {}) {
+  const current = await findCurrentAgreement(driverId);
+  if (!current || current.status !== "approved") {
+    throw serviceError(409, "NOT_APPROVED", "Only an approved agreement can be renewed");
+  }
+  if (await DriverAgreement.exists({ renewalOf: current._id, status: "pending" })) {
+    throw serviceError(409, "RENEWAL_PENDING", "Your renewed documents are already awaiting review");
+  }
+
+  const { licenseNumber, licenseExpiry, driverAccreditationNumber, driverAccreditationExpiry } = data;
+  const photos = data.photos || {};
+  if (!licenseExpiry && !driverAccreditationExpiry) {
+    throw serviceError(
+      400,
+      "VALIDATION_ERROR",
+      "licenseExpiry or driverAccreditationExpiry is required"
+    );
+  }
+
+  const personalInfo = current.toObject().personalInfo;
+  const now = new Date();
+  for (const [field, value, document] of [
+    ["licenseExpiry", licenseExpiry, "license"],
+    ["driverAccreditationExpiry", driverAccreditationExpiry, "accreditation"],
+  ]) {
+    if (!value) continue;
+    const date = new Date(value);
+    if (isNaN(date) || daysUntil(date, now) < 0) {
+      throw serviceError(400, "VALIDATION_ERROR", `${field} must be a date that has not passed`);
+    }
+    if (personalInfo[field] && date <= personalInfo[field]) {
+      throw serviceError(
+        400,
+        "VALIDATION_ERROR",
+        `${field} must be later than the current ${DOCUMENTS[document].label} expiry`
+      );
+    }
+    personalInfo[field] = date;
+  }
+  if (licenseExpiry && (!photos.driverLicenseFront || !photos.driverLicenseBack)) {
+    throw serviceError(
+      400,
+      "VALIDATION_ERROR",
+      "Photos of the front and back of the renewed licence are required"
+    );
+  }
+  if (driverAccreditationExpiry && !photos.driverAccreditation) {
+    throw serviceError(400, "VALIDATION_ERROR", "A photo of the renewed accreditation is required");
+  }
+  if (licenseNumber) personalInfo.licenseNumber = licenseNumber;
+  if (driverAccreditationNumber) personalInfo.driverAccreditationNumber = driverAccreditationNumber;
+
+  const renewal = await DriverAgreement.create({
+    driver: driverId,
+    renewalOf: current._id,
+    personalInfo,
+    photos: {
+      ...current.toObject().photos,
+      ...Object.fromEntries(Object.entries(photos).filter(([, url]) => url)),
+    },
+    // Same agreement text accepted
+    template: current.template,
+    templateVersion: current.templateVersion,
+    contentHash: current.contentHash,
+    acceptances: current.toObject().acceptances,
+    ipAddress: meta.ipAddress,
+    userAgent: meta.userAgent,
+    metadata: { ...(current.metadata || {}), renewal: true },
+  });
+
+  await notifyAdminsAndManagers("agreement_renewal_submitted", {
+    message: `Renewed documents submitted by ${personalInfo.fullName}`,
+    agreementId: renewal._id,
+    driverName: personalInfo.fullName,
+    submittedAt: renewal.submittedAt.toISOString(),
+  });
+  return renewal;
+}
+
+function alertMessages(agreement, doc) {
+  const when =
+    doc.daysLeft < 0
+      ? `expired on ${dateOnly(doc.expiresAt)}`
+      : doc.daysLeft === 0
+        ? "expires today"
+        : `expires in ${doc.daysLeft} day(s) (${dateOnly(doc.expiresAt)})`;
+  return {
+    driver: `Your ${doc.label} ${when}. Upload your renewed ${doc.label} to keep driving.`,
+    admins: `${agreement.personalInfo.fullName}'s ${doc.label} ${when}`,
+  };
+}
+
+/**
+ * Job entry point: warn drivers and admins/managers of documents expiring
+ * on current approved agreements
+ * @returns {number} warnings sent
+ */
+async function runDocumentExpiryJob(now = new Date()) {
+  const cutoff = new Date(startOfDay(now).getTime() + (Math.max(...ALERT_DAYS) + 1) * DAY_MS);
+  const agreements = await DriverAgreement.find({
+    status: "approved",
+    $or: Object.values(DOCUMENTS).map(({ expiryField }) => ({
+      [`personalInfo.${expiryField}`]: { $lt: cutoff },
+    })),
+  });
+
+  let sent = 0;
+  for (const agreement of agreements) {
+    // Superseded by a later approved agreement, or the driver was deleted
+    const current = await findCurrentAgreement(agreement.driver);
+    if (!current || !current._id.equals(agreement._id)) continue;
+    if (!(await User.exists({ _id: agreement.driver }))) continue;
+
+    const keys = [];
+    for (const doc of documentExpiries(agreement, now)) {
+      const due = ALERT_DAYS.filter(
+        (d) => doc.daysLeft <= d && !agreement.expiryAlertsSent.includes(`${doc.document}_${d}`)
+      );
+      if (!due.length) continue;
+
+      const threshold = Math.min(...due);
+      const type = doc.daysLeft <= 0 ? "driver_document_expired" : "driver_document_expiring";
+      const messages = alertMessages(agreement, doc);
+      const payload = {
+        agreementId: agreement._id,
+        document: doc.document,
+        expiresAt: doc.expiresAt.toISOString(),
+        daysLeft: doc.daysLeft,
+        status: `${doc.document}_${threshold}d`,
+      };
+      try {
+        await sendNotification(agreement.driver, type, { ...payload, message: messages.driver });
+        await notifyAdminsAndManagers(type, {
+          ...payload,
+          driverId: agreement.driver,
+          message: messages.admins,
+        });
+      } catch (e) {
+        console.warn(`Document expiry warning for ${agreement.personalInfo.fullName} failed:`, e?.message || e);
+        continue;
+      }
+      // Less urgent warnings that were missed are not sent any more
+      keys.push(...due.map((d) => `${doc.document}_${d}`));
+      sent++;
+    }
+    if (keys.length) {
+      await DriverAgreement.updateOne(
+        { _id: agreement._id },
+        { $addToSet: { expiryAlertsSent: { $each: keys } } }
+      );
+    }
+  }
+  return sent;
+}
+
+let jobTimer = null;
+
+/**
+ * Start the daily document expiry job
+ */
+function startDriverDocumentJob() {
+  if (jobTimer) return jobTimer;
+  const run = () =>
+    runDocumentExpiryJob()
+      .then((sent) => {
+        if (sent) console.log(`🪪 Sent ${sent} driver document expiry warning(s)`);
+      })
+      .catch((e) => console.warn("Driver document job failed:", e?.message || e));
+
+  run();
+  jobTimer = setInterval(run, DOCUMENT_JOB_INTERVAL_MINUTES * 60 * 1000);
+  return jobTimer;
+}
+
+module.exports = {
+  ALERT_DAYS,
+  DOCUMENTS,
+  findCurrentAgreement,
+  findLatestRenewal,
+  documentExpiries,
+  expiredDocuments,
+  eligibleDriverIds,
+  submitRenewal,
+  runDocumentExpiryJob,
+  startDriverDocumentJob,
+};
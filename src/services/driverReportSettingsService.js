@@ -16,7 +16,13 @@ const DEFAULT_DRIVER_REPORT_SETTINGS = {
   autoApproveThreshold: 0,
   notifyAdminsOnSubmission: true,
   retentionPeriodDays: 2555, // 7 years for tax purposes
-  allowReportEditsAfterSubmission: false
+  allowReportEditsAfterSubmission: false,
+  // Reconciliation against the shift's rides (reportCalculationService)
+  fareVarianceFlag: 50,
+  fareVarianceReview: 100,
+  tripVarianceFlag: 2,
+  tripVarianceReview: 5,
+  paymentVarianceReview: 20
 };
 
 const SETTING_KEY = 'driverReportSettings';
@@ -129,6 +135,26 @@ function validateSettings(settings) {
     throw new Error('Auto-approve threshold must be a non-negative number');
   }
 
+  // Validate reconciliation thresholds (non-negative, flag <= review)
+  const thresholds = [
+    'fareVarianceFlag',
+    'fareVarianceReview',
+    'tripVarianceFlag',
+    'tripVarianceReview',
+    'paymentVarianceReview'
+  ];
+  for (const key of thresholds) {
+    if (typeof validated[key] !== 'number' || validated[key] < 0) {
+      throw new Error(`${key} must be a non-negative number`);
+    }
+  }
+  if (validated.fareVarianceFlag > validated.fareVarianceReview) {
+    throw new Error('Fare variance flag threshold cannot exceed the review threshold');
+  }
+  if (validated.tripVarianceFlag > validated.tripVarianceReview) {
+    throw new Error('Trip variance flag threshold cannot exceed the review threshold');
+  }
+
   // Ensure boolean settings are boolean
   validated.requirePhotoForEFTPOS = Boolean(validated.requirePhotoForEFTPOS);
   validated.requirePhotoForExpenses = Boolean(validated.requirePhotoForExpenses);
@@ -211,7 +237,7 @@ function getSettingsSchema() {
       min: 0,
       max: 10000,
       label: 'Auto-Approve Threshold ($)',
-      description: 'Reports with net pay below this amount are auto-approved (0 = disabled)'
+      description: 'Reports that reconcile with their rides, have every photo and net pay (either way) below this amount are auto-approved (0 = disabled)'
     },
     notifyAdminsOnSubmission: {
       type: 'boolean',
@@ -229,6 +255,41 @@ function getSettingsSchema() {
       type: 'boolean',
       label: 'Allow Edits After Submission',
       description: 'Allow drivers to edit reports after submission (not recommended)'
+    },
+    fareVarianceFlag: {
+      type: 'number',
+      min: 0,
+      max: 10000,
+      label: 'Fare Variance Flag ($)',
+      description: 'Meter fares this far from the recorded rides are highlighted'
+    },
+    fareVarianceReview: {
+      type: 'number',
+      min: 0,
+      max: 10000,
+      label: 'Fare Variance Review ($)',
+      description: 'Meter fares this far from the recorded rides flag the report for review'
+    },
+    tripVarianceFlag: {
+      type: 'number',
+      min: 0,
+      max: 100,
+      label: 'Trip Variance Flag (trips)',
+      description: 'A trip count this far from the recorded rides is highlighted'
+    },
+    tripVarianceReview: {
+      type: 'number',
+      min: 0,
+      max: 100,
+      label: 'Trip Variance Review (trips)',
+      description: 'A trip count this far from the recorded rides flags the report for review'
+    },
+    paymentVarianceReview: {
+      type: 'number',
+      min: 0,
+      max: 10000,
+      label: 'Payment Variance Review ($)',
+      description: 'Cash, EFTPOS or account totals this far from the recorded payments flag the report for review'
     }
   };
 }
@@ -0,0 +1,233 @@
+/**
+ * Driver Suggestion Service
+ * Ranks drivers for a scheduled booking and, for bookings with `autoAssign`
+ * set, assigns the best one shortly before pickup.
+ *
+ * A driver is a candidate when their agreement is approved, with no expired
+ * licence or accreditation and the current mandatory agreement version
+ * accepted. Whether they are free right now does not matter: a driver on a
+ * ride now may be free by pickup, which the overlap check decides; the
+ * free-driver claim happens on assignment (rideLifecycleService).
+ * Candidates are scored on:
+ * - an active shift started before the pickup time
+ * - no other assigned/accepted/started ride overlapping the booking's
+ *   estimated duration (see bookingConflictService; a clash makes the
+ *   driver ineligible)
+ * - fewest rides completed that day, to spread the work
+ * - distance from their last drop-off before the pickup (within
+ *   LAST_DROP_WINDOW_DAYS) to the pickup
+ */
+
+const User = require("../models/User");
+const Ride = require("../models/Ride");
+const Shift = require("../models/Shift");
+const Destination = require("../models/Destination");
+const { notifyAdmins } = require("./notificationService");
+const { transitionRide, withAssignableDriver, SYSTEM_ACTOR } = require("./rideLifecycleService");
+const { findConflicts } = require("./bookingConflictService");
+const { eligibleDriverIds } = require("./driverDocumentService");
+const { ROLES, DRIVER_STATUS, RIDE_STATUS } = require("../utils/constants");
+const { hasCoordinates, distanceKm } = require("../utils/geo");
+
+const AUTO_ASSIGN_LEAD_MINUTES = Number(process.env.AUTO_ASSIGN_LEAD_MINUTES || 30);
+const AUTO_ASSIGN_JOB_INTERVAL_MINUTES = Number(process.env.AUTO_ASSIGN_JOB_INTERVAL_MINUTES || 1);
+// How far back to look for a driver's last drop-off
+const LAST_DROP_WINDOW_DAYS = 7;
+
+// Score weights (higher score = better)
+const WEIGHTS = {
+  onShift: 40,
+  perCompletedRide: -5,
+  perKm: -2,
+  maxDistancePenalty: -50,
+  unknownDistance: -15, // no coordinates for the pickup or last drop-off
+};
+
+/**
+ * Ranked driver suggestions for a scheduled ride, best first
+ * @param {Object} ride - Ride document (from populated or not)
+ * @param {Object} opts - { limit }
+ * @returns {Array} [{ driver, score, eligible, free, onShift, conflicts, completedToday, distanceKm }]
+ */
+async function suggestDrivers(ride, { limit } = {}) {
+  const scheduledTime = new Date(ride.scheduledTime);
+  const all = await User.find({ role: ROLES.DRIVER })
+    .select("_id username fullName phone status")
+    .lean();
+  if (!all.length) return [];
+
+  const approved = await eligibleDriverIds(all.map((d) => d._id));
+  const drivers = all.filter((d) => approved.has(String(d._id)));
+  const ids = drivers.map((d) => d._id);
+
+  const dayStart = new Date(scheduledTime);
+  dayStart.setHours(0, 0, 0, 0);
+  const dayEnd = new Date(dayStart);
+  dayEnd.setDate(dayEnd.getDate() + 1);
+  const dropsSince = new Date(scheduledTime);
+  dropsSince.setDate(dropsSince.getDate() - LAST_DROP_WINDOW_DAYS);
+
+  const [onShift, { byDriver: conflictsBy }, completed, lastDrops, pickup] = await Promise.all([
+    Shift.find({ driver: { $in: ids }, isActive: true, startTime: { $lte: scheduledTime } })
+      .distinct("driver"),
+    findConflicts(ids, ride),
+    Ride.aggregate([
+      {
+        $match: {
+          driver: { $in: ids },
+          status: RIDE_STATUS.COMPLETED,
+          droppedAt: { $gte: dayStart, $lt: dayEnd },
+        },
+      },
+      { $group: { _id: "$driver", count: { $sum: 1 } } },
+    ]),
+    Ride.aggregate([
+      {
+        $match: {
+          driver: { $in: ids },
+          status: RIDE_STATUS.COMPLETED,
+          droppedAt: { $gte: dropsSince, $lte: scheduledTime },
+          to: { $ne: null },
+        },
+      },
+      { $sort: { droppedAt: -1 } },
+      { $group: { _id: "$driver", to: { $first: "$to" } } },
+    ]),
+    ride.from?.coordinates ? ride.from : Destination.findById(ride.from).lean(),
+  ]);
+
+  const dropDests = await Destination.find({ _id: { $in: lastDrops.map((d) => d.to) } })
+    .select("name coordinates")
+    .lean();
+  const destById = new Map(dropDests.map((d) => [String(d._id), d]));
+  const lastDropBy = new Map(lastDrops.map((d) => [String(d._id), destById.get(String(d.to))]));
+  const completedBy = new Map(completed.map((c) => [String(c._id), c.count]));
+  const shiftSet = new Set(onShift.map(String));
+
+  const suggestions = drivers.map((driver) => {
+    const id = String(driver._id);
+    const conflicts = (conflictsBy.get(id) || []).map((c) => c.rideId);
+    const completedToday = completedBy.get(id) || 0;
+    const lastDrop = lastDropBy.get(id);
+    const km =
+      hasCoordinates(pickup) && hasCoordinates(lastDrop)
+        ? distanceKm(lastDrop.coordinates, pickup.coordinates)
+        : null;
+
+    let score = 0;
+    if (shiftSet.has(id)) score += WEIGHTS.onShift;
+    score += completedToday * WEIGHTS.perCompletedRide;
+    score +=
+      km == null
+        ? WEIGHTS.unknownDistance
+        : Math.max(km * WEIGHTS.perKm, WEIGHTS.maxDistancePenalty);
+
+    return {
+      driver,
+      score: Math.round(score * 10) / 10,
+      eligible: conflicts.length === 0,
+      free: driver.status === DRIVER_STATUS.FREE,
+      onShift: shiftSet.has(id),
+      conflicts,
+      completedToday,
+      lastDropoff: lastDrop ? { _id: lastDrop._id, name: lastDrop.name } : null,
+      distanceKm: km == null ? null : Math.round(km * 10) / 10,
+    };
+  });
+
+  suggestions.sort((a, b) => b.eligible - a.eligible || b.score - a.score);
+  return limit ? suggestions.slice(0, limit) : suggestions;
+}
+
+/**
+ * Assign the best eligible driver to a scheduled ride
+ * Tries the next suggestion when a driver was booked, claimed or is being
+ * assigned by someone else in the meantime.
+ * @returns {Object|null} the assigned driver, or null if none could be taken
+ */
+async function autoAssignRide(ride) {
+  const suggestions = await suggestDrivers(ride);
+  for (const { driver, eligible } of suggestions) {
+    if (!eligible) continue;
+    try {
+      await withAssignableDriver(ride, driver._id, () =>
+        transitionRide(ride, "assign", {
+          actor: SYSTEM_ACTOR,
+          changes: { driver: driver._id, bookingType: "immediate" },
+        })
+      );
+      return driver;
+    } catch (e) {
+      if (["DRIVER_NOT_FREE", "DRIVER_BUSY", "BOOKING_CONFLICT"].includes(e?.code)) continue;
+      throw e;
+    }
+  }
+  return null;
+}
+
+/**
+ * Job entry point: auto-assign bookings whose pickup is within
+ * AUTO_ASSIGN_LEAD_MINUTES. Admins are told once when no driver is found;
+ * the booking keeps being retried until pickup.
+ * @returns {number} rides assigned
+ */
+async function runAutoAssign(now = new Date()) {
+  const rides = await Ride.find({
+    status: RIDE_STATUS.SCHEDULED,
+    autoAssign: true,
+    driver: null,
+    scheduledTime: { $gt: now, $lte: new Date(now.getTime() + AUTO_ASSIGN_LEAD_MINUTES * 60 * 1000) },
+  })
+    .sort({ scheduledTime: 1 })
+    .populate("from to", "name address coordinates");
+
+  let assigned = 0;
+  for (const ride of rides) {
+    try {
+      if (await autoAssignRide(ride)) {
+        assigned++;
+        continue;
+      }
+      if (!ride.autoAssignFailedAt) {
+        await Ride.updateOne({ _id: ride._id }, { autoAssignFailedAt: now });
+        await notifyAdmins("auto_assign_failed", {
+          rideId: ride.rideId,
+          scheduledTime: ride.scheduledTime.toISOString(),
+          message: `No driver available to auto-assign ride ${ride.rideId} at ${ride.scheduledTime.toLocaleString()}`,
+        });
+      }
+    } catch (e) {
+      // Assigned by hand in the meantime, or edited concurrently: skip this run
+      if (e?.code !== "INVALID_TRANSITION") {
+        console.warn(`Auto-assign failed for ride ${ride.rideId}:`, e?.message || e);
+      }
+    }
+  }
+  return assigned;
+}
+
+let jobTimer = null;
+
+/**
+ * Start the periodic auto-assign job
+ */
+function startAutoAssignJob() {
+  if (jobTimer) return jobTimer;
+  const run = () =>
+    runAutoAssign()
+      .then((assigned) => {
+        if (assigned) console.log(`🤖 Auto-assigned ${assigned} scheduled ride(s)`);
+      })
+      .catch((e) => console.warn("Auto-assign job failed:", e?.message || e));
+
+  jobTimer = setInterval(run, AUTO_ASSIGN_JOB_INTERVAL_MINUTES * 60 * 1000);
+  return jobTimer;
+}
+
+module.exports = {
+  AUTO_ASSIGN_LEAD_MINUTES,
+  suggestDrivers,
+  autoAssignRide,
+  runAutoAssign,
+  startAutoAssignJob,
+};
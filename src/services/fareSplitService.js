@@ -0,0 +1,86 @@
+/**
+ * Fare Split Service
+ * Splits a ride's fare into one line per client and applies the MPTP
+ * (Multi Purpose Taxi Program) subsidy for cardholders.
+ *
+ * Each client's share is the fare divided equally between the clients.
+ * A cardholder's subsidy is `mptpSubsidyPercent` of their share, capped at
+ * `mptpCapPerTrip` (both from the tariff settings); the rest is paid by the
+ * client. The subsidy is what the operator claims from the scheme.
+ *
+ * The card number is copied onto the line so later card changes do not
+ * alter past claims.
+ */
+
+const Client = require("../models/Client");
+const { getTariff } = require("./tariffService");
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Pure split of `total` between `clients`
+ * @param {number} total
+ * @param {Array} clients - [{ _id, mptpCardNumber }]
+ * @param {Object} scheme - { mptpSubsidyPercent, mptpCapPerTrip }
+ * @returns {Array} [{ client, mptpCardNumber, share, subsidy, clientPaid, claimable }]
+ */
+function splitFare(total, clients, { mptpSubsidyPercent, mptpCapPerTrip }) {
+  if (!clients.length) return [];
+  const base = round2(total / clients.length);
+
+  return clients.map((client, i) => {
+    // Last line absorbs rounding so the shares add up to the total
+    const share = i === clients.length - 1 ? round2(total - base * (clients.length - 1)) : base;
+    const card = client.mptpCardNumber?.trim() || null;
+    const subsidy = card ? round2(Math.min((share * mptpSubsidyPercent) / 100, mptpCapPerTrip)) : 0;
+    return {
+      client: client._id,
+      mptpCardNumber: card,
+      share,
+      subsidy,
+      clientPaid: round2(share - subsidy),
+      claimable: subsidy,
+    };
+  });
+}
+
+/**
+ * Recompute `fareLines`, `fare.perPerson` (a line's share) and
+ * `fare.clientPaidTotal` (the total the clients pay themselves) from
+ * `fare.total` and `clients`. The ride is not saved here.
+ * @returns {Array} the fare lines
+ */
+async function applyFareSplit(ride) {
+  const ids = (ride.clients || []).map((c) => c?._id || c);
+  const [docs, tariff] = await Promise.all([
+    Client.find({ _id: { $in: ids } }).select("mptpCardNumber").lean(),
+    getTariff(),
+  ]);
+  const byId = new Map(docs.map((c) => [String(c._id), c]));
+  const clients = ids.map((id) => byId.get(String(id)) || { _id: id });
+
+  const total = ride.fare.total;
+  const lines = splitFare(total, clients, tariff);
+
+  // Keep the claim batch and invoice of lines already billed
+  const previous = new Map((ride.fareLines || []).map((l) => [String(l.client), l]));
+  for (const line of lines) {
+    const prev = previous.get(String(line.client));
+    line.claimBatch = prev?.claimBatch || null;
+    line.invoice = prev?.invoice || null;
+  }
+
+  ride.fareLines = lines;
+  ride.fare.perPerson = lines.length ? round2(total / lines.length) : 0;
+  ride.fare.clientPaidTotal = lines.length
+    ? round2(lines.reduce((sum, l) => sum + l.clientPaid, 0))
+    : total;
+  return lines;
+}
+
+module.exports = {
+  splitFare,
+  applyFareSplit,
+};
@@ -0,0 +1,205 @@
+/**
+ * Invoice Document Service
+ * Renders a plan-manager Invoice as a PDF tax invoice or an Excel workbook.
+ * Both show the seller's ABN, the invoice number and issue date, and the GST
+ * per line and in total, as a tax invoice requires.
+ */
+
+const PDFDocument = require("pdfkit");
+const ExcelJS = require("exceljs");
+const { INVOICE_STATUS } = require("../models/Invoice");
+
+const money = (n) => `$${Number(n || 0).toFixed(2)}`;
+
+function fmtDate(date) {
+  if (!date) return "";
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${pad(d.getDate())}/${pad(d.getMonth() + 1)}/${d.getFullYear()}`;
+}
+
+function titleOf(invoice) {
+  return invoice.status === INVOICE_STATUS.VOID ? "TAX INVOICE (VOID)" : "TAX INVOICE";
+}
+
+// Table columns: [header, key, width, align]
+const PDF_COLUMNS = [
+  ["Date", "date", 60, "left"],
+  ["Ride", "rideId", 70, "left"],
+  ["Client", "clientName", 90, "left"],
+  ["Description", "description", 135, "left"],
+  ["Ex GST", "amountExGst", 50, "right"],
+  ["GST", "gst", 45, "right"],
+  ["Total", "total", 50, "right"],
+];
+
+function pdfCell(line, key) {
+  if (key === "date") return fmtDate(line.date);
+  if (["amountExGst", "gst", "total"].includes(key)) return money(line[key]);
+  return line[key] || "";
+}
+
+/**
+ * A4 PDF tax invoice
+ * @returns {Promise<Buffer>}
+ */
+function renderInvoicePdf(invoice) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 40 });
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+
+    // Seller
+    doc.fontSize(18).font("Helvetica-Bold").text(titleOf(invoice), left, 40);
+    doc.fontSize(10).font("Helvetica");
+    if (invoice.issuer?.name) doc.text(invoice.issuer.name);
+    if (invoice.issuer?.abn) doc.text(`ABN ${invoice.issuer.abn}`);
+    if (invoice.issuer?.address) doc.text(invoice.issuer.address);
+
+    // Invoice details, top right
+    doc.text(`Invoice: ${invoice.invoiceNumber}`, 350, 45, { width: right - 350, align: "right" });
+    doc.text(`Issued: ${fmtDate(invoice.issueDate)}`, { width: right - 350, align: "right" });
+    doc.text(`Due: ${fmtDate(invoice.dueDate)}`, { width: right - 350, align: "right" });
+    doc.text(`Period: ${invoice.month}`, { width: right - 350, align: "right" });
+
+    // Buyer
+    doc.moveDown(3);
+    doc.x = left;
+    doc.font("Helvetica-Bold").text("Bill to");
+    doc.font("Helvetica").text(invoice.billTo?.name || "");
+    if (invoice.billTo?.abn) doc.text(`ABN ${invoice.billTo.abn}`);
+    if (invoice.billTo?.billingAddress) doc.text(invoice.billTo.billingAddress);
+    if (invoice.billTo?.email) doc.text(invoice.billTo.email);
+    doc.moveDown();
+
+    // Lines
+    const drawRow = (values, bold) => {
+      if (doc.y > doc.page.height - 100) doc.addPage();
+      const y = doc.y;
+      let x = left;
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+      let height = 0;
+      PDF_COLUMNS.forEach(([, , width, align], i) => {
+        doc.text(String(values[i]), x, y, { width: width - 4, align });
+        height = Math.max(height, doc.y - y);
+        x += width;
+      });
+      doc.y = y + height + 4;
+    };
+    drawRow(PDF_COLUMNS.map(([header]) => header), true);
+    doc.moveTo(left, doc.y - 2).lineTo(right, doc.y - 2).stroke();
+    for (const line of invoice.lines) {
+      drawRow(PDF_COLUMNS.map(([, key]) => pdfCell(line, key)));
+    }
+
+    // Totals
+    if (doc.y > doc.page.height - 120) doc.addPage();
+    doc.moveTo(left, doc.y).lineTo(right, doc.y).stroke();
+    doc.moveDown(0.5);
+    doc.fontSize(10);
+    const totalsX = right - 200;
+    for (const [label, value, bold] of [
+      ["Total ex GST", invoice.totals.amountExGst],
+      ["GST", invoice.totals.gst],
+      ["Total incl. GST", invoice.totals.total, true],
+    ]) {
+      const y = doc.y;
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica");
+      doc.text(label, totalsX, y, { width: 110 });
+      doc.text(money(value), totalsX + 110, y, { width: 90, align: "right" });
+    }
+
+    doc.end();
+  });
+}
+
+/**
+ * Excel workbook with the same content as the PDF
+ * @returns {ExcelJS.Workbook}
+ */
+function buildInvoiceWorkbook(invoice) {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet(invoice.invoiceNumber);
+
+  worksheet.columns = [
+    { width: 12 },
+    { width: 16 },
+    { width: 24 },
+    { width: 40 },
+    { width: 12 },
+    { width: 10 },
+    { width: 12 },
+  ];
+
+  worksheet.mergeCells("A1:G1");
+  const titleCell = worksheet.getCell("A1");
+  titleCell.value = titleOf(invoice);
+  titleCell.font = { size: 16, bold: true };
+
+  const details = [
+    ["From:", invoice.issuer?.name],
+    ["ABN:", invoice.issuer?.abn],
+    ["Invoice:", invoice.invoiceNumber],
+    ["Issued:", fmtDate(invoice.issueDate)],
+    ["Due:", fmtDate(invoice.dueDate)],
+    ["Period:", invoice.month],
+    ["Bill to:", invoice.billTo?.name],
+    ["Bill to ABN:", invoice.billTo?.abn],
+    ["Address:", invoice.billTo?.billingAddress],
+  ];
+  details.forEach(([label, value], i) => {
+    worksheet.getCell(`A${i + 2}`).value = label;
+    worksheet.getCell(`B${i + 2}`).value = value || "";
+    worksheet.getCell(`B${i + 2}`).font = { bold: true };
+  });
+
+  const headerRowNumber = details.length + 3;
+  const headerRow = worksheet.getRow(headerRowNumber);
+  headerRow.values = ["Date", "Ride", "Client", "Description", "Ex GST", "GST", "Total"];
+  headerRow.font = { bold: true };
+  headerRow.fill = {
+    type: "pattern",
+    pattern: "solid",
+    fgColor: { argb: "FFD3D3D3" },
+  };
+
+  invoice.lines.forEach((line, index) => {
+    worksheet.getRow(headerRowNumber + 1 + index).values = [
+      fmtDate(line.date),
+      line.rideId,
+      line.clientName,
+      line.description,
+      line.amountExGst,
+      line.gst,
+      line.total,
+    ];
+  });
+
+  const totalsStart = headerRowNumber + invoice.lines.length + 2;
+  [
+    ["Total ex GST", invoice.totals.amountExGst],
+    ["GST", invoice.totals.gst],
+    ["Total incl. GST", invoice.totals.total],
+  ].forEach(([label, value], i) => {
+    const row = worksheet.getRow(totalsStart + i);
+    row.getCell(6).value = label;
+    row.getCell(7).value = value;
+    row.font = { bold: true };
+  });
+
+  for (let r = headerRowNumber + 1; r < totalsStart + 3; r++) {
+    for (const c of [5, 6, 7]) worksheet.getRow(r).getCell(c).numFmt = '"$"#,##0.00';
+  }
+
+  return workbook;
+}
+
+module.exports = {
+  renderInvoicePdf,
+  buildInvoiceWorkbook,
+};
@@ -0,0 +1,360 @@
+/**
+ * Invoice Service
+ * Monthly tax invoices to NDIS plan managers for the rides of the clients
+ * they manage (Client.planManager).
+ *
+ * Generating a month creates one draft invoice per plan manager with every
+ * completed ride in that month (by pickup date) not yet invoiced for that
+ * client. Each line bills the client's part of the fare (the fare line's
+ * `clientPaid`, i.e. after any MPTP subsidy) with the GST of `fare.gst`
+ * (GST on the per-person fare) scaled to that amount. Invoiced fare lines
+ * point at their invoice (Ride.fareLines.invoice), so a ride is never billed
+ * twice; voiding an invoice releases them.
+ *
+ *   draft → sent → paid
+ *                → overdue → paid   (job, once past the due date)
+ *   draft | sent | overdue → void
+ */
+
+const Ride = require("../models/Ride");
+const Client = require("../models/Client");
+const PlanManager = require("../models/PlanManager");
+const Invoice = require("../models/Invoice");
+const { INVOICE_STATUS } = require("../models/Invoice");
+const { nextSequence } = require("../models/Counter");
+const { RIDE_STATUS } = require("../utils/constants");
+
+const PAYMENT_TERMS_DAYS = Number(process.env.INVOICE_PAYMENT_TERMS_DAYS || 14);
+const OVERDUE_JOB_INTERVAL_MINUTES = Number(process.env.INVOICE_OVERDUE_JOB_INTERVAL_MINUTES || 60);
+
+function serviceError(status, code, message) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function addDays(date, days) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+}
+
+/**
+ * "YYYY-MM" -> { start, end } in local time (end exclusive)
+ */
+function parseMonth(month) {
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month || "")) {
+    throw serviceError(400, "VALIDATION_ERROR", "month must be in format YYYY-MM");
+  }
+  const [y, m] = month.split("-").map(Number);
+  return { start: new Date(y, m - 1, 1), end: new Date(y, m, 1) };
+}
+
+function issuerDetails() {
+  return {
+    name: process.env.INVOICE_BUSINESS_NAME || "",
+    abn: process.env.INVOICE_BUSINESS_ABN || "",
+    address: process.env.INVOICE_BUSINESS_ADDRESS || "",
+  };
+}
+
+function billToOf(pm) {
+  return {
+    name: pm.name,
+    email: pm.email,
+    abn: pm.abn,
+    billingAddress: pm.billingAddress,
+  };
+}
+
+function totalsOf(lines) {
+  const sum = (key) => round2(lines.reduce((s, l) => s + l[key], 0));
+  return { amountExGst: sum("amountExGst"), gst: sum("gst"), total: sum("total") };
+}
+
+const lineKey = (rideId, clientId) => `${rideId}:${clientId}`;
+
+/**
+ * Billable fare lines for a month, grouped by plan manager
+ * @param {Object} period - { start, end }
+ * @param {Object} opts - { planManagerId, invoiceId } - limit to one plan
+ *   manager; lines already on `invoiceId` count as billable (regenerate)
+ * @returns {Map} planManagerId -> [line]
+ */
+async function collectLines({ start, end }, { planManagerId, invoiceId } = {}) {
+  const clientFilter = planManagerId ? { planManager: planManagerId } : { planManager: { $ne: null } };
+  const clients = await Client.find(clientFilter).select("name planManager").lean();
+  if (!clients.length) return new Map();
+  const clientById = new Map(clients.map((c) => [String(c._id), c]));
+
+  const invoiceIn = invoiceId ? [null, invoiceId] : [null];
+  const rides = await Ride.find({
+    status: RIDE_STATUS.COMPLETED,
+    scheduledTime: { $gte: start, $lt: end },
+    fareLines: {
+      $elemMatch: { client: { $in: clients.map((c) => c._id) }, invoice: { $in: invoiceIn } },
+    },
+  })
+    .sort({ scheduledTime: 1 })
+    .populate("from to", "name")
+    .lean();
+
+  const byPlanManager = new Map();
+  for (const ride of rides) {
+    for (const fl of ride.fareLines) {
+      const client = clientById.get(String(fl.client));
+      if (!client) continue;
+      if (fl.invoice && String(fl.invoice) !== String(invoiceId)) continue;
+      if (!(fl.clientPaid > 0)) continue; // fully subsidised: nothing to bill
+
+      const perPerson = ride.fare?.perPerson || 0;
+      const gst = perPerson > 0 ? round2(((ride.fare.gst || 0) * fl.clientPaid) / perPerson) : 0;
+      const line = {
+        ride: ride._id,
+        rideId: ride.rideId,
+        date: ride.startedAt || ride.scheduledTime,
+        client: client._id,
+        clientName: client.name,
+        description: `Taxi fare: ${ride.from?.name || "?"} to ${ride.to?.name || "?"}`,
+        amountExGst: round2(fl.clientPaid - gst),
+        gst,
+        total: fl.clientPaid,
+      };
+      const pmId = String(client.planManager);
+      if (!byPlanManager.has(pmId)) byPlanManager.set(pmId, []);
+      byPlanManager.get(pmId).push(line);
+    }
+  }
+  return byPlanManager;
+}
+
+// Point the fare line at the invoice unless another invoice got it first.
+// With `keepOwn`, a line already on this invoice counts as claimed.
+async function claimLine(invoiceId, line, keepOwn) {
+  const invoiceIn = keepOwn ? [null, invoiceId] : [null];
+  const result = await Ride.updateOne(
+    { _id: line.ride },
+    { $set: { "fareLines.$[l].invoice": invoiceId } },
+    { arrayFilters: [{ "l.client": line.client, "l.invoice": { $in: invoiceIn } }] }
+  );
+  if (result.modifiedCount === 1) return true;
+  return (
+    keepOwn &&
+    Boolean(
+      await Ride.exists({
+        _id: line.ride,
+        fareLines: { $elemMatch: { client: line.client, invoice: invoiceId } },
+      })
+    )
+  );
+}
+
+async function claimLines(invoiceId, lines, { keepOwn = false } = {}) {
+  const claimed = [];
+  for (const line of lines) {
+    if (await claimLine(invoiceId, line, keepOwn)) claimed.push(line);
+  }
+  return claimed;
+}
+
+// Release the invoice's fare lines, except those in `keep` (line keys)
+async function releaseLines(invoiceId, keep = new Set()) {
+  const rides = await Ride.find({ "fareLines.invoice": invoiceId }).select("fareLines").lean();
+  for (const ride of rides) {
+    const clients = ride.fareLines
+      .filter((l) => String(l.invoice) === String(invoiceId))
+      .filter((l) => !keep.has(lineKey(ride._id, l.client)))
+      .map((l) => l.client);
+    if (!clients.length) continue;
+    await Ride.updateOne(
+      { _id: ride._id },
+      { $set: { "fareLines.$[l].invoice": null } },
+      { arrayFilters: [{ "l.invoice": invoiceId, "l.client": { $in: clients } }] }
+    );
+  }
+}
+
+async function nextInvoiceNumber() {
+  const seq = await nextSequence("invoice");
+  return `INV-${String(seq).padStart(6, "0")}`;
+}
+
+/**
+ * Create draft invoices for every plan manager with uninvoiced rides in `month`
+ * @param {string} month - "YYYY-MM"
+ * @param {string} userId
+ * @returns {Array} the created invoices
+ */
+async function generateMonthlyInvoices(month, userId) {
+  const period = parseMonth(month);
+  const byPlanManager = await collectLines(period);
+  if (!byPlanManager.size) return [];
+
+  const planManagers = await PlanManager.find({ _id: { $in: [...byPlanManager.keys()] } }).lean();
+  const now = new Date();
+  const created = [];
+
+  for (const pm of planManagers) {
+    const invoice = new Invoice({
+      planManager: pm._id,
+      month,
+      issuer: issuerDetails(),
+      billTo: billToOf(pm),
+      issueDate: now,
+      dueDate: addDays(now, PAYMENT_TERMS_DAYS),
+      createdBy: userId,
+    });
+
+    // Lines taken by an invoice generated at the same time are dropped
+    const lines = await claimLines(invoice._id, byPlanManager.get(String(pm._id)));
+    if (!lines.length) continue;
+
+    invoice.lines = lines;
+    invoice.totals = totalsOf(lines);
+    try {
+      invoice.invoiceNumber = await nextInvoiceNumber();
+      await invoice.save();
+    } catch (e) {
+      await releaseLines(invoice._id);
+      throw e;
+    }
+    created.push(invoice);
+  }
+  return created;
+}
+
+function assertStatus(invoice, allowed, action) {
+  if (allowed.includes(invoice.status)) return;
+  throw serviceError(409, "INVALID_STATUS", `Cannot ${action} an invoice that is ${invoice.status}`);
+}
+
+/**
+ * Rebuild a draft invoice from the current rides, fares and plan manager
+ * details: picks up rides completed or amended since, drops lines no longer
+ * billable to this plan manager. Keeps the invoice number.
+ */
+async function regenerateInvoice(invoice, userId) {
+  assertStatus(invoice, [INVOICE_STATUS.DRAFT], "regenerate");
+  const pm = await PlanManager.findById(invoice.planManager).lean();
+  if (!pm) throw serviceError(409, "PLAN_MANAGER_MISSING", "The invoice's plan manager no longer exists");
+
+  const byPlanManager = await collectLines(parseMonth(invoice.month), {
+    planManagerId: pm._id,
+    invoiceId: invoice._id,
+  });
+  const candidates = byPlanManager.get(String(pm._id)) || [];
+  if (!candidates.length) {
+    throw serviceError(400, "NOTHING_TO_INVOICE", "No billable rides left; void this invoice instead");
+  }
+
+  const lines = await claimLines(invoice._id, candidates, { keepOwn: true });
+  await releaseLines(invoice._id, new Set(lines.map((l) => lineKey(l.ride, l.client))));
+
+  const now = new Date();
+  invoice.lines = lines;
+  invoice.totals = totalsOf(lines);
+  invoice.issuer = issuerDetails();
+  invoice.billTo = billToOf(pm);
+  invoice.issueDate = now;
+  invoice.dueDate = addDays(now, PAYMENT_TERMS_DAYS);
+  invoice.revision += 1;
+  invoice.regeneratedAt = now;
+  invoice.regeneratedBy = userId;
+  await invoice.save();
+  return invoice;
+}
+
+/**
+ * draft → sent. The issue date becomes today and the due date follows it.
+ */
+async function markInvoiceSent(invoice, userId) {
+  assertStatus(invoice, [INVOICE_STATUS.DRAFT], "send");
+  const now = new Date();
+  invoice.status = INVOICE_STATUS.SENT;
+  invoice.issueDate = now;
+  invoice.dueDate = addDays(now, PAYMENT_TERMS_DAYS);
+  invoice.sentAt = now;
+  invoice.sentBy = userId;
+  await invoice.save();
+  return invoice;
+}
+
+/**
+ * sent | overdue → paid
+ * @param {Object} opts - { reference }
+ */
+async function markInvoicePaid(invoice, { reference } = {}, userId) {
+  assertStatus(invoice, [INVOICE_STATUS.SENT, INVOICE_STATUS.OVERDUE], "mark as paid");
+  invoice.status = INVOICE_STATUS.PAID;
+  invoice.paidAt = new Date();
+  invoice.paidBy = userId;
+  if (reference) invoice.paymentReference = reference;
+  await invoice.save();
+  return invoice;
+}
+
+/**
+ * Void an unpaid invoice. Its rides can be invoiced again.
+ * @param {Object} opts - { reason }
+ */
+async function voidInvoice(invoice, { reason } = {}, userId) {
+  assertStatus(
+    invoice,
+    [INVOICE_STATUS.DRAFT, INVOICE_STATUS.SENT, INVOICE_STATUS.OVERDUE],
+    "void"
+  );
+  invoice.status = INVOICE_STATUS.VOID;
+  invoice.voidedAt = new Date();
+  invoice.voidedBy = userId;
+  if (reason) invoice.voidReason = reason;
+  await invoice.save();
+  await releaseLines(invoice._id);
+  return invoice;
+}
+
+/**
+ * Job entry point: sent invoices past their due date become overdue
+ * @returns {number} invoices marked overdue
+ */
+async function markOverdueInvoices(now = new Date()) {
+  const result = await Invoice.updateMany(
+    { status: INVOICE_STATUS.SENT, dueDate: { $lt: now } },
+    { $set: { status: INVOICE_STATUS.OVERDUE } }
+  );
+  return result.modifiedCount;
+}
+
+let jobTimer = null;
+
+/**
+ * Start the periodic overdue-invoice job
+ */
+function startInvoiceOverdueJob() {
+  if (jobTimer) return jobTimer;
+  const run = () =>
+    markOverdueInvoices()
+      .then((count) => {
+        if (count) console.log(`🧾 Marked ${count} invoice(s) overdue`);
+      })
+      .catch((e) => console.warn("Invoice overdue job failed:", e?.message || e));
+
+  run();
+  jobTimer = setInterval(run, OVERDUE_JOB_INTERVAL_MINUTES * 60 * 1000);
+  return jobTimer;
+}
+
+module.exports = {
+  INVOICE_STATUS,
+  generateMonthlyInvoices,
+  regenerateInvoice,
+  markInvoiceSent,
+  markInvoicePaid,
+  voidInvoice,
+  markOverdueInvoices,
+  startInvoiceOverdueJob,
+};
@@ -0,0 +1,122 @@
+/**
+ * Login Guard Service
+ * Per-username failed-login counters with progressive lockout, plus the
+ * AuthEvent audit trail (successes, failures, blocked attempts, unlocks).
+ *
+ * Counters are keyed by the username as typed, so unknown usernames are
+ * throttled exactly like real ones and cannot be told apart.
+ */
+
+const AuthEvent = require("../models/AuthEvent");
+const LoginThrottle = require("../models/LoginThrottle");
+
+const LOGIN_MAX_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS || 5);
+const LOCKOUT_BASE_MINUTES = Number(process.env.LOGIN_LOCKOUT_BASE_MINUTES || 1);
+const LOCKOUT_MAX_MINUTES = Number(process.env.LOGIN_LOCKOUT_MAX_MINUTES || 60);
+// Failures older than this no longer count towards a lockout
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+function normalizeUsername(username) {
+  return String(username || "").trim();
+}
+
+/**
+ * Lock duration after `failedCount` failures: 1, 2, 4, 8... minutes (capped)
+ */
+function lockoutMinutes(failedCount) {
+  if (failedCount < LOGIN_MAX_ATTEMPTS) return 0;
+  const steps = failedCount - LOGIN_MAX_ATTEMPTS;
+  return Math.min(LOCKOUT_BASE_MINUTES * 2 ** steps, LOCKOUT_MAX_MINUTES);
+}
+
+/**
+ * Return the active lock for a username, or null
+ * @returns {Object|null} { lockedUntil, retryAfterSeconds }
+ */
+async function getActiveLock(username) {
+  const doc = await LoginThrottle.findOne({
+    username: normalizeUsername(username),
+    lockedUntil: { $gt: new Date() },
+  }).lean();
+  if (!doc) return null;
+  return {
+    lockedUntil: doc.lockedUntil,
+    retryAfterSeconds: Math.ceil((doc.lockedUntil - Date.now()) / 1000),
+  };
+}
+
+/**
+ * Count a failed attempt and lock the username once the limit is reached
+ * @returns {Object} { failedCount, lockedUntil }
+ */
+async function registerFailedLogin(username) {
+  const key = normalizeUsername(username);
+  const now = new Date();
+
+  const existing = await LoginThrottle.findOne({ username: key }).lean();
+  if (existing?.lastFailedAt && now - existing.lastFailedAt > FAILURE_WINDOW_MS) {
+    await LoginThrottle.updateOne({ username: key }, { failedCount: 0, lockedUntil: null });
+  }
+
+  const doc = await LoginThrottle.findOneAndUpdate(
+    { username: key },
+    { $inc: { failedCount: 1 }, $set: { lastFailedAt: now } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  const minutes = lockoutMinutes(doc.failedCount);
+  if (minutes > 0) {
+    doc.lockedUntil = new Date(now.getTime() + minutes * 60 * 1000);
+    await doc.save();
+  }
+
+  return { failedCount: doc.failedCount, lockedUntil: doc.lockedUntil };
+}
+
+/**
+ * Reset the counter after a successful login
+ */
+async function clearFailedLogins(username) {
+  await LoginThrottle.deleteOne({ username: normalizeUsername(username) });
+}
+
+/**
+ * Admin unlock: clears the counter and any active lock
+ * @returns {boolean} whether there was anything to clear
+ */
+async function unlockAccount(username) {
+  const r = await LoginThrottle.deleteOne({ username: normalizeUsername(username) });
+  return (r.deletedCount || 0) > 0;
+}
+
+/**
+ * Append an entry to the auth audit trail
+ * Never throws: auditing must not break authentication itself.
+ */
+async function recordAuthEvent(event, { username, user, req, reason, actor, metadata } = {}) {
+  try {
+    await AuthEvent.create({
+      event,
+      username: username != null ? normalizeUsername(username) : undefined,
+      user: user?._id || user || null,
+      success: event === "login_success" || event === "password_reset" || event === "account_unlocked",
+      reason,
+      ip: req?.ip,
+      userAgent: req?.headers?.["user-agent"],
+      actor: actor || null,
+      metadata: metadata || {},
+    });
+  } catch (error) {
+    console.warn("Failed to record auth event:", error?.message || error);
+  }
+}
+
+module.exports = {
+  getActiveLock,
+  registerFailedLogin,
+  clearFailedLogins,
+  unlockAccount,
+  recordAuthEvent,
+  lockoutMinutes,
+  LOGIN_MAX_ATTEMPTS,
+};
@@ -0,0 +1,60 @@
+/**
+ * Message Service
+ * Delivers out-of-band messages (e.g. password reset links) by email or SMS.
+ *
+ * The transport is pluggable: register a provider with `setMessageAdapter`.
+ * An adapter is any object with `async send({ channel, to, subject, text })`.
+ * Until a real provider is wired up, the console adapter just logs messages.
+ */
+
+const CHANNELS = {
+  EMAIL: "email",
+  SMS: "sms",
+};
+
+const consoleAdapter = {
+  name: "console",
+  async send({ channel, to, subject, text }) {
+    console.log(
+      `📨 [${channel}] to ${to}${subject ? ` - ${subject}` : ""}\n${text}`
+    );
+    return { delivered: true, adapter: "console" };
+  },
+};
+
+let activeAdapter = consoleAdapter;
+
+/**
+ * Replace the transport used by `sendMessage`
+ * @param {Object} adapter - { name, send({ channel, to, subject, text }) }
+ */
+function setMessageAdapter(adapter) {
+  if (!adapter || typeof adapter.send !== "function") {
+    throw new Error("Message adapter must implement send()");
+  }
+  activeAdapter = adapter;
+}
+
+function getMessageAdapter() {
+  return activeAdapter;
+}
+
+/**
+ * Send a message through the active adapter
+ * @param {Object} message - { channel: 'email' | 'sms', to, subject?, text }
+ */
+async function sendMessage({ channel, to, subject, text }) {
+  if (!Object.values(CHANNELS).includes(channel)) {
+    throw new Error(`Unsupported message channel: ${channel}`);
+  }
+  if (!to) throw new Error("Message recipient is required");
+  return activeAdapter.send({ channel, to, subject, text });
+}
+
+module.exports = {
+  CHANNELS,
+  consoleAdapter,
+  setMessageAdapter,
+  getMessageAdapter,
+  sendMessage,
+};
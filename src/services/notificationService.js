@@ -57,21 +57,38 @@ async function sendNotification(userId, type, payload = {}) {
     agreement_rejected: "Agreement Rejected",
     shift_started: "Shift Started",
     shift_ended: "Shift Ended",
+    vehicle_compliance_expiring: "Vehicle Compliance Expiring",
+    vehicle_compliance_expired: "Vehicle Compliance Expired",
+    agreement_renewal_submitted: "Renewed Driver Documents Submitted",
+    agreement_update: "Driver Agreement Updated",
+    driver_document_expiring: "Driver Document Expiring",
+    driver_document_expired: "Driver Document Expired",
   };
   const title = titleMap[type] || "Notification";
   const message = payload.message || "";
   const rideId = payload.rideId || null; // required for de-dup key
   const agreementId = payload.agreementId || null; // for agreement notifications
   const shiftId = payload.shiftId || null; // for shift notifications
+  const vehicleId = payload.vehicleId || null; // for vehicle compliance notifications
   const status = payload.status || null; // accepted | canceled | completed | assigned | etc.
 
   // Upsert key: one row per (user, type, rideId/agreementId/shiftId, status)
   let filter;
   if (agreementId) {
-    filter = { user: userId, type, "data.agreementId": agreementId };
+    // status tells apart the expiry warnings of one agreement
+    filter = { user: userId, type, "data.agreementId": agreementId, "data.status": status };
   } else if (shiftId) {
     // For shifts, always create new notifications (no dedup) by including timestamp
     filter = { user: userId, type, "data.shiftId": shiftId, "data.timestamp": payload.timestamp };
+  } else if (vehicleId) {
+    // One per (vehicle, item and alert, expiry date)
+    filter = {
+      user: userId,
+      type,
+      "data.vehicleId": vehicleId,
+      "data.status": status,
+      "data.expiresAt": payload.expiresAt,
+    };
   } else {
     filter = { user: userId, type, "data.rideId": rideId, "data.status": status };
   }
@@ -134,6 +151,19 @@ async function notifyAdminsAndManagers(type, payload = {}) {
   }
 }
 
+/**
+ * Send notification to all admins
+ */
+async function notifyAdmins(type, payload = {}) {
+  const User = require('../models/User');
+  const { ROLES } = require('../utils/constants');
+
+  const admins = await User.find({ role: ROLES.ADMIN }).select('_id');
+  await Promise.all(
+    admins.map((admin) => sendNotification(admin._id, type, payload))
+  );
+}
+
 /** Optional: periodic keepalive to prevent proxies closing idle connections */
 setInterval(() => {
   for (const [, set] of sseClients.entries()) {
@@ -149,6 +179,7 @@ module.exports = {
   // storage + streaming
   sendNotification,
   notifyAdminsAndManagers,
+  notifyAdmins,
   // SSE hub
   sseAddClient,
   ssePush,
@@ -0,0 +1,104 @@
+/**
+ * Password Reset Service
+ * Issues one-time reset tokens, delivers them through the message service
+ * and consumes them to set a new password.
+ */
+
+const crypto = require("crypto");
+const User = require("../models/User");
+const { sendMessage, CHANNELS } = require("./messageService");
+const { revokeAllSessions } = require("./tokenService");
+
+const RESET_TOKEN_TTL_MINUTES = Number(
+  process.env.PASSWORD_RESET_TTL_MINUTES || 30
+);
+
+function hashResetToken(raw) {
+  return crypto.createHash("sha256").update(String(raw)).digest("hex");
+}
+
+function buildResetText(user, token) {
+  const base = process.env.PASSWORD_RESET_URL;
+  const link = base ? `${base}${base.includes("?") ? "&" : "?"}token=${token}` : null;
+  return [
+    `Hi ${user.fullName},`,
+    "A password reset was requested for your Taxiologists account.",
+    link ? `Reset it here: ${link}` : `Your reset code: ${token}`,
+    `This code expires in ${RESET_TOKEN_TTL_MINUTES} minutes. If you did not ask for it, ignore this message.`,
+  ].join("\n");
+}
+
+/**
+ * Generate a reset token for the user and send it
+ * @param {Object} user - User document
+ * @param {string} [channel] - 'email' | 'sms' (defaults to email when available)
+ * @returns {Object} { channel, expiresAt }
+ */
+async function requestPasswordReset(user, channel) {
+  const useChannel =
+    channel === CHANNELS.SMS || (!user.email && user.phone)
+      ? CHANNELS.SMS
+      : CHANNELS.EMAIL;
+  const to = useChannel === CHANNELS.SMS ? user.phone : user.email;
+
+  const token = crypto.randomBytes(24).toString("base64url");
+  const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+
+  // Only the latest token is valid; issuing a new one replaces the old hash
+  await User.updateOne(
+    { _id: user._id },
+    { passwordResetTokenHash: hashResetToken(token), passwordResetExpiresAt: expiresAt }
+  );
+
+  await sendMessage({
+    channel: useChannel,
+    to,
+    subject: "Reset your password",
+    text: buildResetText(user, token),
+  });
+
+  return { channel: useChannel, expiresAt };
+}
+
+/**
+ * Consume a reset token and set the new password
+ * The caller is responsible for validating password strength.
+ * @returns {Object} the updated user
+ */
+async function resetPasswordWithToken(token, newPassword) {
+  // Clearing the hash in the same update that matches it means two requests
+  // with the same token cannot both get through
+  const user = token
+    ? await User.findOneAndUpdate(
+      {
+        passwordResetTokenHash: hashResetToken(token),
+        passwordResetExpiresAt: { $gt: new Date() },
+      },
+      { passwordResetTokenHash: null, passwordResetExpiresAt: null },
+      { new: true }
+    )
+    : null;
+
+  if (!user) {
+    const err = new Error("Reset token is invalid or has expired");
+    err.status = 400;
+    err.code = "INVALID_RESET_TOKEN";
+    throw err;
+  }
+
+  user.password = newPassword; // hashed by the pre-save hook
+  user.mustChangePassword = false;
+  user.passwordChangedAt = new Date();
+  await user.save();
+
+  // Anyone holding the old password may still have sessions
+  await revokeAllSessions(user._id);
+
+  return user;
+}
+
+module.exports = {
+  requestPasswordReset,
+  resetPasswordWithToken,
+  RESET_TOKEN_TTL_MINUTES,
+};
@@ -0,0 +1,120 @@
+/**
+ * Permission Service
+ * Resolves role -> permissions from the Role collection (with a short cache)
+ * and seeds the default roles on startup.
+ */
+
+const Role = require("../models/Role");
+const { ROLES } = require("../utils/constants");
+const {
+  DEFAULT_ROLE_PERMISSIONS,
+  LOCKED_ROLE_PERMISSIONS,
+  isKnownPermission,
+} = require("../utils/permissions");
+
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map(); // role -> { permissions: Set, loadedAt }
+
+function invalidatePermissionCache(role) {
+  if (role) cache.delete(role);
+  else cache.clear();
+}
+
+/**
+ * Get the permission set for a role
+ * Falls back to the built-in defaults when the role has not been seeded yet.
+ * @returns {Set<string>}
+ */
+async function getRolePermissions(role) {
+  const hit = cache.get(role);
+  if (hit && Date.now() - hit.loadedAt < CACHE_TTL_MS) return hit.permissions;
+
+  const doc = await Role.findOne({ name: role }).lean();
+  const permissions = new Set(
+    doc ? doc.permissions : DEFAULT_ROLE_PERMISSIONS[role] || []
+  );
+  cache.set(role, { permissions, loadedAt: Date.now() });
+  return permissions;
+}
+
+async function hasPermission(role, permission) {
+  const permissions = await getRolePermissions(role);
+  return permissions.has(permission);
+}
+
+/**
+ * Create missing roles and hand out newly introduced default permissions.
+ * Permissions an admin removed stay removed.
+ */
+async function ensureDefaultRoles() {
+  for (const name of Object.values(ROLES)) {
+    const defaults = DEFAULT_ROLE_PERMISSIONS[name] || [];
+    const doc = await Role.findOne({ name });
+
+    if (!doc) {
+      await Role.create({
+        name,
+        description: `Built-in ${name} role`,
+        permissions: defaults,
+        seededPermissions: defaults,
+      });
+      continue;
+    }
+
+    const seeded = new Set(doc.seededPermissions || []);
+    const fresh = defaults.filter((p) => !seeded.has(p));
+    if (fresh.length) {
+      doc.permissions = [...new Set([...doc.permissions, ...fresh])];
+      doc.seededPermissions = [...new Set([...seeded, ...defaults])];
+      await doc.save();
+    }
+  }
+  invalidatePermissionCache();
+}
+
+/**
+ * Replace the permissions of a role
+ * @param {string} name - role name
+ * @param {string[]} permissions
+ * @param {string} updatedBy - admin user id
+ */
+async function updateRolePermissions(name, permissions, updatedBy) {
+  if (!Object.values(ROLES).includes(name)) {
+    const err = new Error("Role not found");
+    err.status = 404;
+    err.code = "NOT_FOUND";
+    throw err;
+  }
+
+  const unknown = permissions.filter((p) => !isKnownPermission(p));
+  if (unknown.length) {
+    const err = new Error(`Unknown permission(s): ${unknown.join(", ")}`);
+    err.status = 400;
+    err.code = "VALIDATION_ERROR";
+    throw err;
+  }
+
+  const locked = LOCKED_ROLE_PERMISSIONS[name] || [];
+  const next = [...new Set([...permissions, ...locked])];
+
+  const doc = await Role.findOneAndUpdate(
+    { name },
+    {
+      $set: { permissions: next, updatedBy },
+      // Treat the current defaults as seeded so startup does not re-add them
+      $addToSet: { seededPermissions: { $each: DEFAULT_ROLE_PERMISSIONS[name] || [] } },
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  invalidatePermissionCache(name);
+  return doc;
+}
+
+module.exports = {
+  getRolePermissions,
+  hasPermission,
+  ensureDefaultRoles,
+  updateRolePermissions,
+  invalidatePermissionCache,
+};
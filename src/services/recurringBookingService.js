@@ -0,0 +1,370 @@
+/**
+ * Recurring Booking Service
+ * Expands standing bookings (RecurringBooking) into individual scheduled
+ * Rides a configurable number of days ahead, and keeps those rides in step
+ * when a series is paused, skipped, edited or ended.
+ *
+ * - Days are "YYYY-MM-DD" keys in the server's local time zone.
+ * - Only rides still in `scheduled` status (no driver yet) are touched by
+ *   series changes; assigned rides are left for a manager to abort.
+ * - Ride has a unique (recurringBooking, occurrenceDate) index, so running
+ *   the job twice never creates duplicates.
+ */
+
+const Ride = require("../models/Ride");
+const RecurringBooking = require("../models/RecurringBooking");
+const { RECURRING_STATUS } = require("../models/RecurringBooking");
+const { genRideId } = require("../utils/id");
+const { RIDE_STATUS } = require("../utils/constants");
+const {
+  snapshotRide,
+  diffSnapshots,
+  recordRideEvent,
+  recordRideEdits,
+} = require("./rideEventService");
+
+const HORIZON_DAYS = Number(process.env.RECURRING_BOOKING_HORIZON_DAYS || 14);
+const JOB_INTERVAL_MINUTES = Number(process.env.RECURRING_BOOKING_JOB_INTERVAL_MINUTES || 60);
+
+const DAY_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+function toDayKey(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function parseDayKey(key) {
+  const [y, m, d] = key.split("-").map(Number);
+  return new Date(y, m - 1, d);
+}
+
+function isDayKey(key) {
+  return typeof key === "string" && DAY_KEY.test(key) && toDayKey(parseDayKey(key)) === key;
+}
+
+function addDays(key, days) {
+  const date = parseDayKey(key);
+  date.setDate(date.getDate() + days);
+  return toDayKey(date);
+}
+
+// Local date + "HH:mm" -> Date
+function occurrenceTime(dayKey, time) {
+  const [h, m] = time.split(":").map(Number);
+  const date = parseDayKey(dayKey);
+  date.setHours(h, m, 0, 0);
+  return date;
+}
+
+function badRequest(message, code = "VALIDATION_ERROR") {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = code;
+  return err;
+}
+
+/**
+ * Whether the series has an occurrence on `dayKey` (ignores exceptions)
+ */
+function matchesRule(series, dayKey) {
+  if (dayKey < series.startDate) return false;
+  if (series.endDate && dayKey > series.endDate) return false;
+  return series.daysOfWeek.includes(parseDayKey(dayKey).getDay());
+}
+
+/**
+ * Occurrence days of the series in [fromKey, toKey], minus skipped dates
+ */
+function occurrenceDates(series, fromKey, toKey) {
+  const skipped = new Set(series.exceptions || []);
+  const dates = [];
+  for (let day = fromKey; day <= toKey; day = addDays(day, 1)) {
+    if (matchesRule(series, day) && !skipped.has(day)) dates.push(day);
+  }
+  return dates;
+}
+
+function rideFieldsFor(series, dayKey) {
+  return {
+    clients: series.clients,
+    from: series.from,
+    to: series.to,
+    passengers: series.clients.length,
+    notes: series.notes || "",
+    autoAssign: Boolean(series.autoAssign),
+    scheduledTime: occurrenceTime(dayKey, series.time),
+  };
+}
+
+/**
+ * Create the missing rides of one series up to the horizon
+ * @returns {number} rides created
+ */
+async function materializeSeries(series, { now = new Date(), actor = null } = {}) {
+  if (series.status !== RECURRING_STATUS.ACTIVE) return 0;
+
+  const fromKey = toDayKey(now);
+  const toKey = addDays(fromKey, HORIZON_DAYS);
+  const dates = occurrenceDates(series, fromKey, toKey).filter(
+    (day) => occurrenceTime(day, series.time) > now
+  );
+
+  const existing = new Set(
+    await Ride.find({ recurringBooking: series._id, occurrenceDate: { $in: dates } }).distinct(
+      "occurrenceDate"
+    )
+  );
+
+  let created = 0;
+  for (const day of dates.filter((d) => !existing.has(d))) {
+    try {
+      const ride = await Ride.create({
+        rideId: genRideId(),
+        bookingType: "scheduled",
+        ...rideFieldsFor(series, day),
+        fare: { total: 0, perPerson: 0, halfFare: 0, gst: 0 },
+        driver: null,
+        assignedBy: series.createdBy,
+        status: RIDE_STATUS.SCHEDULED,
+        recurringBooking: series._id,
+        occurrenceDate: day,
+      });
+      await recordRideEvent(ride, "created", {
+        actor,
+        toStatus: ride.status,
+        metadata: { recurringBooking: String(series._id), occurrenceDate: day },
+      });
+      created++;
+    } catch (e) {
+      // Another run created it first
+      if (e?.code !== 11000) throw e;
+    }
+  }
+
+  await RecurringBooking.updateOne({ _id: series._id }, { materializedThrough: toKey });
+  return created;
+}
+
+/**
+ * Job entry point: materialise every active series
+ * @returns {number} rides created
+ */
+async function materializeUpcoming(now = new Date()) {
+  const series = await RecurringBooking.find({ status: RECURRING_STATUS.ACTIVE });
+  let created = 0;
+  for (const s of series) {
+    try {
+      created += await materializeSeries(s, { now });
+    } catch (e) {
+      console.warn(`Failed to materialise recurring booking ${s._id}:`, e?.message || e);
+    }
+  }
+  return created;
+}
+
+/**
+ * Delete not-yet-assigned rides of the series from `fromKey` on
+ * (or only on `onlyDates`). Assigned rides are kept and returned.
+ * @returns {Object} { removed, keptAssigned: [rideId] }
+ */
+async function removeFutureOccurrences(series, { fromKey, onlyDates, actor } = {}) {
+  const filter = { recurringBooking: series._id };
+  if (onlyDates) filter.occurrenceDate = { $in: onlyDates };
+  else filter.occurrenceDate = { $gte: fromKey || toDayKey(new Date()) };
+
+  const rides = await Ride.find(filter);
+  let removed = 0;
+  const keptAssigned = [];
+  for (const ride of rides) {
+    if (ride.status !== RIDE_STATUS.SCHEDULED) {
+      if ([RIDE_STATUS.ASSIGNED, RIDE_STATUS.ACCEPTED].includes(ride.status)) {
+        keptAssigned.push(ride.rideId);
+      }
+      continue;
+    }
+    const r = await Ride.deleteOne({ _id: ride._id, status: RIDE_STATUS.SCHEDULED });
+    if (r.deletedCount) {
+      removed++;
+      await recordRideEvent(ride, "deleted", {
+        actor,
+        fromStatus: ride.status,
+        metadata: { recurringBooking: String(series._id) },
+      });
+    }
+  }
+  return { removed, keptAssigned };
+}
+
+/**
+ * Validate and normalise the recurrence fields of a create/update body
+ * @returns {Object} only the fields present in `body`
+ */
+function parseRule(body, current = {}) {
+  const rule = {};
+
+  if (body.daysOfWeek !== undefined) {
+    const days = Array.isArray(body.daysOfWeek) ? body.daysOfWeek.map(Number) : [];
+    if (!days.length || days.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) {
+      throw badRequest("daysOfWeek must be a non-empty array of 0-6 (0 = Sunday)");
+    }
+    rule.daysOfWeek = [...new Set(days)].sort();
+  }
+  if (body.time !== undefined) {
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(String(body.time))) {
+      throw badRequest("time must be HH:mm");
+    }
+    rule.time = String(body.time);
+  }
+  for (const field of ["startDate", "endDate"]) {
+    if (body[field] === undefined) continue;
+    if (field === "endDate" && body[field] === null) {
+      rule.endDate = null;
+      continue;
+    }
+    if (!isDayKey(body[field])) throw badRequest(`${field} must be YYYY-MM-DD`);
+    rule[field] = body[field];
+  }
+
+  const startDate = rule.startDate ?? current.startDate;
+  const endDate = rule.endDate !== undefined ? rule.endDate : current.endDate;
+  if (startDate && endDate && endDate < startDate) {
+    throw badRequest("endDate must not be before startDate");
+  }
+  return rule;
+}
+
+/**
+ * Skip a single date of the series
+ */
+async function skipOccurrence(series, dayKey, actor) {
+  if (!isDayKey(dayKey) || !matchesRule(series, dayKey)) {
+    throw badRequest("date is not an occurrence of this series");
+  }
+
+  const ride = await Ride.findOne({ recurringBooking: series._id, occurrenceDate: dayKey });
+  if (ride && ride.status !== RIDE_STATUS.SCHEDULED) {
+    const err = new Error(
+      `The ride for ${dayKey} is already ${ride.status}. Abort or cancel it instead.`
+    );
+    err.status = 409;
+    err.code = "OCCURRENCE_IN_PROGRESS";
+    throw err;
+  }
+
+  await RecurringBooking.updateOne(
+    { _id: series._id },
+    { $addToSet: { exceptions: dayKey }, updatedBy: actor?.id }
+  );
+  return removeFutureOccurrences(series, { onlyDates: [dayKey], actor });
+}
+
+async function pauseSeries(series, actor) {
+  series.status = RECURRING_STATUS.PAUSED;
+  series.pausedAt = new Date();
+  series.updatedBy = actor?.id;
+  await series.save();
+  return removeFutureOccurrences(series, { actor });
+}
+
+async function resumeSeries(series, actor) {
+  series.status = RECURRING_STATUS.ACTIVE;
+  series.pausedAt = null;
+  series.updatedBy = actor?.id;
+  await series.save();
+  return { created: await materializeSeries(series, { actor }) };
+}
+
+async function endSeries(series, actor) {
+  series.status = RECURRING_STATUS.ENDED;
+  series.updatedBy = actor?.id;
+  await series.save();
+  return removeFutureOccurrences(series, { actor });
+}
+
+/**
+ * Apply changes to the series and every future occurrence that has no
+ * driver yet. Occurrences that no longer match the rule are removed,
+ * missing ones are created.
+ * @param {Object} changes - validated fields (clients, from, to, notes, rule fields)
+ */
+async function updateFutureOccurrences(series, changes, actor) {
+  Object.assign(series, changes, { updatedBy: actor?.id });
+  await series.save();
+
+  const today = toDayKey(new Date());
+  const rides = await Ride.find({
+    recurringBooking: series._id,
+    occurrenceDate: { $gte: today },
+    status: RIDE_STATUS.SCHEDULED,
+  });
+
+  let updated = 0;
+  const stale = [];
+  const skipped = new Set(series.exceptions || []);
+  for (const ride of rides) {
+    if (!matchesRule(series, ride.occurrenceDate) || skipped.has(ride.occurrenceDate)) {
+      stale.push(ride.occurrenceDate);
+      continue;
+    }
+    const before = snapshotRide(ride);
+    const autoAssignChanged = ride.autoAssign !== Boolean(series.autoAssign);
+    Object.assign(ride, rideFieldsFor(series, ride.occurrenceDate));
+    if (!diffSnapshots(before, snapshotRide(ride)).length && !autoAssignChanged) continue;
+    await ride.save();
+    await recordRideEdits(ride, before, actor, { recurringBooking: String(series._id) });
+    updated++;
+  }
+
+  const { removed, keptAssigned } = await removeFutureOccurrences(series, {
+    onlyDates: stale,
+    actor,
+  });
+  const created = await materializeSeries(series, { actor });
+
+  // Assigned rides are not edited automatically
+  const assigned = await Ride.find({
+    recurringBooking: series._id,
+    occurrenceDate: { $gte: today },
+    status: { $in: [RIDE_STATUS.ASSIGNED, RIDE_STATUS.ACCEPTED] },
+  }).distinct("rideId");
+
+  return { updated, removed, created, keptAssigned: [...new Set([...keptAssigned, ...assigned])] };
+}
+
+let jobTimer = null;
+
+/**
+ * Start the periodic materialisation job (runs once immediately)
+ */
+function startRecurringBookingJob() {
+  if (jobTimer) return jobTimer;
+  const run = () =>
+    materializeUpcoming()
+      .then((created) => {
+        if (created) console.log(`🔁 Materialised ${created} recurring ride(s)`);
+      })
+      .catch((e) => console.warn("Recurring booking job failed:", e?.message || e));
+
+  run();
+  jobTimer = setInterval(run, JOB_INTERVAL_MINUTES * 60 * 1000);
+  return jobTimer;
+}
+
+module.exports = {
+  HORIZON_DAYS,
+  toDayKey,
+  isDayKey,
+  occurrenceDates,
+  parseRule,
+  materializeSeries,
+  materializeUpcoming,
+  skipOccurrence,
+  pauseSeries,
+  resumeSeries,
+  endSeries,
+  updateFutureOccurrences,
+  startRecurringBookingJob,
+};
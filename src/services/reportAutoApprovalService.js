@@ -0,0 +1,101 @@
+/**
+ * Report Auto-Approval Service
+ * Rule-based approval of low-risk driver reports on submission.
+ *
+ * A report is approved without a reviewer when (rule "low_risk"):
+ * - `autoApproveThreshold` (driver report settings) is above 0,
+ * - it reconciles with its shift's rides: no variance above the "flag"
+ *   thresholds and nothing that needs review,
+ * - every photo is present: both meters, and EFTPOS/expenses when not $0,
+ * - the driver's net pay is under the threshold (either way).
+ *
+ * Auto-approved reports are reviewed by SYSTEM_REVIEWER (reviewedBy null,
+ * reviewedByRole "system"); `autoApproval` records the rule and the figures
+ * it was checked against. An admin can still reject one
+ * (or confirm it) through the normal review.
+ */
+
+const { getDriverReportSettings } = require("./driverReportSettingsService");
+const { formatCurrency } = require("./reportCalculationService");
+
+const AUTO_APPROVE_RULE = "low_risk";
+
+// Reviewer recorded on auto-approved reports, like SYSTEM_ACTOR on ride events
+const SYSTEM_REVIEWER = Object.freeze({ id: null, role: "system", fullName: "Auto-approval" });
+
+/**
+ * Which checks a submitted report passes
+ * @param {Object} report - DriverReport with calculations set
+ * @param {Object} reconciliation - from shiftReportService.reconcileReport
+ * @param {Object} settings - driver report settings (loaded when omitted)
+ * @returns {Object} { approve, rule, failed: [reason], checks }
+ */
+async function evaluateAutoApproval(report, reconciliation, settings = null) {
+  const s = settings || (await getDriverReportSettings());
+  const threshold = Number(s.autoApproveThreshold) || 0;
+  const netPay = report.calculations?.driverNetPay || 0;
+  const failed = [];
+
+  if (threshold <= 0) failed.push("Auto-approval is disabled");
+
+  const flags = reconciliation?.flags || {};
+  if (!reconciliation?.hasSystemData) {
+    failed.push("No ride data to reconcile with");
+  } else if (flags.requiresReview || flags.significantFareVariance || flags.significantTripVariance) {
+    failed.push("Reconciliation variances are above the flag thresholds");
+  }
+
+  const missingPhotos = [];
+  if (!report.shiftStartTotal?.photoUrl) missingPhotos.push("start meter");
+  if (!report.shiftEndTotal?.photoUrl) missingPhotos.push("end meter");
+  if ((report.totalEFTPOS?.amount || 0) > 0 && !report.totalEFTPOS?.photoUrl) {
+    missingPhotos.push("EFTPOS");
+  }
+  if ((report.cashExpenses?.amount || 0) > 0 && !report.cashExpenses?.photoUrl) {
+    missingPhotos.push("expenses");
+  }
+  if (missingPhotos.length) failed.push(`Missing photos: ${missingPhotos.join(", ")}`);
+
+  if (threshold > 0 && Math.abs(netPay) >= threshold) {
+    failed.push(`Net pay of ${formatCurrency(netPay)} is not under ${formatCurrency(threshold)}`);
+  }
+
+  return {
+    approve: failed.length === 0,
+    rule: AUTO_APPROVE_RULE,
+    failed,
+    checks: {
+      netPay,
+      threshold,
+      fareVariance: reconciliation?.variances?.fareVariance ?? null,
+      tripVariance: reconciliation?.variances?.tripVariance ?? null,
+    },
+  };
+}
+
+/**
+ * Approve a submitted report as the system
+ * @param {Object} report - DriverReport document (modified, not saved)
+ * @param {Object} evaluation - a passing evaluateAutoApproval result
+ */
+function applyAutoApproval(report, evaluation) {
+  const now = new Date();
+  report.status = "approved";
+  report.reviewedBy = SYSTEM_REVIEWER.id;
+  report.reviewedByRole = SYSTEM_REVIEWER.role;
+  report.reviewedAt = now;
+  report.reviewNotes = `Auto-approved (rule: ${evaluation.rule})`;
+  report.autoApproval = {
+    rule: evaluation.rule,
+    approvedAt: now,
+    checks: evaluation.checks,
+  };
+  return report;
+}
+
+module.exports = {
+  AUTO_APPROVE_RULE,
+  SYSTEM_REVIEWER,
+  evaluateAutoApproval,
+  applyAutoApproval,
+};
@@ -11,6 +11,7 @@
 
 const {
   getDriverReportSettings: loadDriverReportSettings,
+  DEFAULT_DRIVER_REPORT_SETTINGS,
 } = require("../services/driverReportSettingsService");
 
 /**
@@ -50,6 +51,36 @@ async function getCalculationSettings() {
   }
 }
 
+/**
+ * Reconciliation thresholds from the driver report settings.
+ * Differences above a "flag" threshold are highlighted; above a "review"
+ * threshold the report needs review.
+ */
+async function getReconciliationThresholds() {
+  const keys = [
+    "fareVarianceFlag",
+    "fareVarianceReview",
+    "tripVarianceFlag",
+    "tripVarianceReview",
+    "paymentVarianceReview",
+  ];
+  let s = null;
+  try {
+    s = await loadDriverReportSettings();
+  } catch (error) {
+    console.warn(
+      "Failed to fetch reconciliation thresholds, using defaults:",
+      error?.message || error
+    );
+  }
+  return Object.fromEntries(
+    keys.map((key) => [
+      key,
+      typeof s?.[key] === "number" ? s[key] : DEFAULT_DRIVER_REPORT_SETTINGS[key],
+    ])
+  );
+}
+
 /**
  * Determine if we have enough inputs to run full calculations
  * @param {Object} reportData
@@ -302,8 +333,9 @@ function calculateRealtimePreview(
 /**
  * Calculate expected vs actual reconciliation
  * Compare reported figures with system ride data
+ * @param {Object|null} thresholds - see getReconciliationThresholds (loaded when null)
  */
-async function calculateReconciliation(reportData, associatedRides) {
+async function calculateReconciliation(reportData, associatedRides, thresholds = null) {
   try {
     if (!associatedRides || !Array.isArray(associatedRides)) {
       return {
@@ -336,6 +368,21 @@ async function calculateReconciliation(reportData, associatedRides) {
     const fareVariance = reportedTotalFares - systemTotals.totalSystemFares;
     const tripVariance = reportedTrips - systemTotals.totalSystemTrips;
 
+    const limits = thresholds || (await getReconciliationThresholds());
+    const reasons = [];
+    if (Math.abs(fareVariance) > limits.fareVarianceReview) {
+      reasons.push(
+        `Meter fares differ from recorded rides by ${formatCurrency(round2(fareVariance))} ` +
+          `(review above ${formatCurrency(limits.fareVarianceReview)})`
+      );
+    }
+    if (Math.abs(tripVariance) > limits.tripVarianceReview) {
+      reasons.push(
+        `Trip count differs from recorded rides by ${tripVariance} ` +
+          `(review above ${limits.tripVarianceReview})`
+      );
+    }
+
     return {
       hasSystemData: true,
       system: systemTotals,
@@ -351,11 +398,12 @@ async function calculateReconciliation(reportData, associatedRides) {
             ? round2((fareVariance / systemTotals.totalSystemFares) * 100)
             : 0,
       },
+      thresholds: limits,
       flags: {
-        significantFareVariance: Math.abs(fareVariance) > 50,
-        significantTripVariance: Math.abs(tripVariance) > 2,
-        requiresReview:
-          Math.abs(fareVariance) > 100 || Math.abs(tripVariance) > 5,
+        significantFareVariance: Math.abs(fareVariance) > limits.fareVarianceFlag,
+        significantTripVariance: Math.abs(tripVariance) > limits.tripVarianceFlag,
+        requiresReview: reasons.length > 0,
+        reasons,
       },
     };
   } catch (error) {
@@ -387,6 +435,7 @@ module.exports = {
   calculateRealtimePreview,
   calculateReconciliation,
   getCalculationSettings,
+  getReconciliationThresholds,
   canCalculateTotals,
   formatCurrency,
   DEFAULT_SETTINGS,
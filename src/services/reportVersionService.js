@@ -0,0 +1,269 @@
+/**
+ * Report Version Service
+ * Reopening and amending driver reports, keeping every prior version.
+ *
+ * - reopen: rejected → draft, by the driver. Submitted → draft too when the
+ *   `allowReportEditsAfterSubmission` setting is on (not once reviewed).
+ * - amend: an admin corrects the figures of an approved report; it stays
+ *   approved and its calculations are redone.
+ *
+ * Before either change the report's current state (figures, calculations,
+ * photo URLs, review) is stored as a DriverReportVersion and
+ * `report.version` goes up by one. Photos of earlier versions are never
+ * deleted (see isPhotoInVersions).
+ */
+
+const mongoose = require("mongoose");
+const DriverReportVersion = require("../models/DriverReportVersion");
+const { getSettingValue } = require("./driverReportSettingsService");
+const { calculateReportTotals, validateCalculations } = require("./reportCalculationService");
+
+// Fields kept in a version and compared by diffSnapshots
+const SNAPSHOT_FIELDS = [
+  "status",
+  "taxiNumber",
+  "shiftStartTotal",
+  "shiftEndTotal",
+  "liftings",
+  "cashFares",
+  "totalEFTPOS",
+  "totalAccountTrips",
+  "cashExpenses",
+  "totalTripsCount",
+  "notes",
+  "calculations",
+  "systemFigures",
+  "reconciliationFlag",
+  "autoApproval",
+  "submittedAt",
+  "reviewedBy",
+  "reviewedByRole",
+  "reviewedAt",
+  "reviewNotes",
+  "rejectionReason",
+];
+
+// What an admin can correct on an approved report
+const AMENDABLE_FIELDS = [
+  "taxiNumber",
+  "shiftStartTotal",
+  "shiftEndTotal",
+  "liftings",
+  "cashFares",
+  "totalEFTPOS",
+  "totalAccountTrips",
+  "cashExpenses",
+  "totalTripsCount",
+  "notes",
+];
+
+const PHOTO_PATHS = [
+  "shiftStartTotal.photoUrl",
+  "shiftEndTotal.photoUrl",
+  "totalEFTPOS.photoUrl",
+  "cashExpenses.photoUrl",
+];
+
+function serviceError(status, code, message, details) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+function plain(value) {
+  if (value == null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object" && value.toHexString) return String(value);
+  if (Array.isArray(value)) return value.map(plain);
+  if (typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, plain(v)]));
+  }
+  return value;
+}
+
+/**
+ * Plain copy of the versioned fields of a report
+ */
+function snapshotReport(report) {
+  const obj = report.toObject({ depopulate: true, virtuals: false });
+  return Object.fromEntries(SNAPSHOT_FIELDS.map((f) => [f, plain(obj[f] ?? null)]));
+}
+
+function flatten(value, prefix, out) {
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    for (const [k, v] of Object.entries(value)) flatten(v, prefix ? `${prefix}.${k}` : k, out);
+  } else {
+    out[prefix] = value ?? null;
+  }
+  return out;
+}
+
+/**
+ * Field-level differences between two snapshots (nested fields as paths)
+ * @returns {Array} [{ field, before, after }]
+ */
+function diffSnapshots(before, after) {
+  const a = flatten(before, "", {});
+  const b = flatten(after, "", {});
+  const fields = [...new Set([...Object.keys(a), ...Object.keys(b)])];
+  return fields
+    .filter((f) => JSON.stringify(a[f] ?? null) !== JSON.stringify(b[f] ?? null))
+    .map((f) => ({ field: f, before: a[f] ?? null, after: b[f] ?? null }));
+}
+
+/**
+ * Bump report.version and save the report, then store `snapshot` (its state
+ * before the change) as the version it replaced. The save only goes through
+ * while the stored version is still the one loaded, so of two concurrent
+ * reopens/amends the second gets a 409 REPORT_CHANGED and nothing is lost.
+ */
+async function saveWithVersion(report, { action, reason, userId, snapshot }) {
+  const version = report.version || 1;
+  report.version = version + 1;
+  // Reports saved before versioning have no version field
+  report.$where = { version: version === 1 ? { $in: [1, null] } : version };
+  try {
+    await report.save();
+  } catch (e) {
+    if (e instanceof mongoose.Error.DocumentNotFoundError) {
+      throw serviceError(
+        409,
+        "REPORT_CHANGED",
+        "The report was changed by another request. Reload it and try again."
+      );
+    }
+    throw e;
+  } finally {
+    report.$where = undefined;
+  }
+  await DriverReportVersion.create({
+    report: report._id,
+    reportId: report.reportId,
+    version,
+    action,
+    reason,
+    createdBy: userId,
+    snapshot,
+  });
+}
+
+/**
+ * Reopen a report as a draft for the driver
+ * @param {Object} report - DriverReport document (saved here)
+ */
+async function reopenReport(report, { reason } = {}, userId) {
+  const canReopen =
+    report.status === "rejected" ||
+    (report.status === "submitted" && (await getSettingValue("allowReportEditsAfterSubmission")));
+  if (!canReopen) {
+    throw serviceError(409, "INVALID_STATUS", `Cannot reopen a ${report.status} report`);
+  }
+
+  const before = snapshotReport(report);
+  report.status = "draft";
+  report.submittedAt = undefined;
+  report.reviewedBy = undefined;
+  report.reviewedByRole = undefined;
+  report.reviewedAt = undefined;
+  report.reviewNotes = undefined;
+  report.rejectionReason = undefined;
+  report.reconciliationFlag = { flagged: false, reasons: [] };
+  report.autoApproval = { rule: null };
+  await saveWithVersion(report, { action: "reopened", reason, userId, snapshot: before });
+  return report;
+}
+
+/**
+ * Correct an approved report (admin). Throws 400 CALCULATION_ERROR when the
+ * new figures do not add up.
+ * @param {Object} changes - any of AMENDABLE_FIELDS
+ */
+async function amendReport(report, changes, { reason } = {}, userId) {
+  if (report.status !== "approved") {
+    throw serviceError(409, "INVALID_STATUS", `Cannot amend a ${report.status} report`);
+  }
+  if (!reason || !String(reason).trim()) {
+    throw serviceError(400, "VALIDATION_ERROR", "reason is required");
+  }
+  const fields = AMENDABLE_FIELDS.filter((f) => changes[f] !== undefined);
+  if (!fields.length) {
+    throw serviceError(400, "VALIDATION_ERROR", `Nothing to amend (fields: ${AMENDABLE_FIELDS.join(", ")})`);
+  }
+
+  const before = snapshotReport(report);
+  for (const field of fields) report.set(field, changes[field]);
+  let calculations;
+  try {
+    calculations = await calculateReportTotals(report);
+  } catch (e) {
+    throw serviceError(400, "CALCULATION_ERROR", e.message);
+  }
+  const validation = validateCalculations(calculations, report);
+  if (!validation.isValid) {
+    throw serviceError(400, "CALCULATION_ERROR", "Invalid calculation data", {
+      errors: validation.errors,
+    });
+  }
+  report.calculations = calculations;
+
+  report.reviewNotes = `Amended: ${String(reason).trim()}`;
+  // The version keeps the state before the amendment
+  await saveWithVersion(report, { action: "amended", reason: String(reason).trim(), userId, snapshot: before });
+  return report;
+}
+
+/**
+ * Versions of a report, oldest first, followed by the current one
+ * @returns {Array} [{ version, action, reason, createdBy, createdAt, snapshot, current? }]
+ */
+async function listVersions(report) {
+  const versions = await DriverReportVersion.find({ report: report._id })
+    .sort({ version: 1 })
+    .populate("createdBy", "fullName")
+    .lean();
+  return [
+    ...versions,
+    { version: report.version || 1, current: true, snapshot: snapshotReport(report) },
+  ];
+}
+
+/**
+ * Differences between two versions of a report (the current version
+ * included)
+ * @returns {Object} { from, to, changes: [{ field, before, after }] }
+ */
+async function diffVersions(report, from, to) {
+  const current = report.version || 1;
+  const load = async (v) => {
+    if (v === current) return snapshotReport(report);
+    const doc = await DriverReportVersion.findOne({ report: report._id, version: v }).lean();
+    if (!doc) throw serviceError(404, "NOT_FOUND", `Version ${v} not found`);
+    return doc.snapshot;
+  };
+  const [a, b] = await Promise.all([load(from), load(to)]);
+  return { from, to, changes: diffSnapshots(a, b) };
+}
+
+/**
+ * Whether a photo URL belongs to an earlier version (and must be kept)
+ */
+async function isPhotoInVersions(report, url) {
+  if (!url) return false;
+  return !!(await DriverReportVersion.exists({
+    report: report._id,
+    $or: PHOTO_PATHS.map((p) => ({ [`snapshot.${p}`]: url })),
+  }));
+}
+
+module.exports = {
+  AMENDABLE_FIELDS,
+  snapshotReport,
+  diffSnapshots,
+  reopenReport,
+  amendReport,
+  listVersions,
+  diffVersions,
+  isPhotoInVersions,
+};
@@ -0,0 +1,126 @@
+/**
+ * Ride Event Service
+ * Append-only history of every ride: lifecycle transitions, reassignments
+ * and edits to fare, payment, destinations, clients or booking details, each with
+ * the actor and before/after values.
+ *
+ * Edits are captured by snapshotting the ride before a controller touches it
+ * and diffing afterwards (`snapshotRide` + `recordRideEdits`).
+ */
+
+const RideEvent = require("../models/RideEvent");
+
+// Tracked ride fields, grouped by the event they produce when edited
+const FIELD_EVENTS = {
+  "fare.total": "fare_changed",
+  "fare.perPerson": "fare_changed",
+  "fare.halfFare": "fare_changed",
+  "fare.clientPaidTotal": "fare_changed",
+  "fare.gst": "fare_changed",
+  from: "destinations_changed",
+  to: "destinations_changed",
+  clients: "clients_changed",
+  passengers: "clients_changed",
+  scheduledTime: "details_changed",
+  notes: "details_changed",
+  driverNotes: "details_changed",
+  account: "payment_changed",
+  paymentMethod: "payment_changed",
+  payments: "payment_changed",
+  "fare.surcharge": "payment_changed",
+  "fare.tip": "payment_changed",
+};
+
+function plain(value) {
+  if (value == null) return null;
+  if (Array.isArray(value)) return value.map(plain);
+  if (value instanceof Date) return value.toISOString();
+  if (value._id) return String(value._id);
+  if (typeof value === "object" && value.toHexString) return String(value);
+  // Embedded docs without an _id (e.g. payments)
+  if (typeof value.toObject === "function") return value.toObject();
+  return value;
+}
+
+function readPath(doc, path) {
+  return path.split(".").reduce((v, key) => (v == null ? v : v[key]), doc);
+}
+
+/**
+ * Plain copy of the tracked fields, taken before a controller edits the ride
+ */
+function snapshotRide(ride) {
+  const snap = {};
+  for (const field of Object.keys(FIELD_EVENTS)) {
+    snap[field] = plain(readPath(ride, field));
+  }
+  return snap;
+}
+
+/**
+ * Field-level differences between two snapshots
+ * @returns {Array} [{ field, before, after }]
+ */
+function diffSnapshots(before, after, fields = Object.keys(after)) {
+  return fields
+    .filter((f) => JSON.stringify(before[f] ?? null) !== JSON.stringify(after[f] ?? null))
+    .map((f) => ({ field: f, before: before[f] ?? null, after: after[f] ?? null }));
+}
+
+/**
+ * Append an entry to a ride's history
+ * Never throws: the history must not break the ride action itself.
+ */
+async function recordRideEvent(ride, event, { actor, action, fromStatus, toStatus, changes, metadata } = {}) {
+  try {
+    await RideEvent.create({
+      ride: ride._id,
+      rideId: ride.rideId,
+      event,
+      action,
+      fromStatus: fromStatus ?? null,
+      toStatus: toStatus ?? null,
+      actor: actor?.id || actor?._id || null,
+      actorRole: actor?.role,
+      changes: changes || [],
+      metadata: metadata || {},
+    });
+  } catch (error) {
+    console.warn("Failed to record ride event:", error?.message || error);
+  }
+}
+
+/**
+ * Record what changed since `before` (from `snapshotRide`), one event per group
+ */
+async function recordRideEdits(ride, before, actor, metadata) {
+  const changes = diffSnapshots(before, snapshotRide(ride));
+  const byEvent = new Map();
+  for (const change of changes) {
+    const event = FIELD_EVENTS[change.field];
+    if (!byEvent.has(event)) byEvent.set(event, []);
+    byEvent.get(event).push(change);
+  }
+  for (const [event, list] of byEvent) {
+    await recordRideEvent(ride, event, { actor, changes: list, metadata });
+  }
+  return changes;
+}
+
+/**
+ * Full history of a ride, oldest first
+ */
+async function getRideHistory(rideObjectId) {
+  return RideEvent.find({ ride: rideObjectId })
+    .sort({ createdAt: 1, _id: 1 })
+    .populate("actor", "fullName username role")
+    .lean();
+}
+
+module.exports = {
+  snapshotRide,
+  diffSnapshots,
+  recordRideEvent,
+  recordRideEdits,
+  getRideHistory,
+};
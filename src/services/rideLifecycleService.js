@@ -0,0 +1,514 @@
+/**
+ * Ride Lifecycle Service
+ * Single source of truth for Ride.status changes: which transitions are
+ * legal, who may trigger them, and what happens as a side effect (timestamps,
+ * driver availability, notifications).
+ *
+ *   scheduled --assign--> assigned --accept--> accepted --start--> started --complete--> completed
+ *                         assigned --reject--> rejected
+ *        assigned | accepted | started --cancel--> cancelled
+ *                 assigned | accepted --abort--> aborted
+ *                         assigned --reassign--> assigned (new driver)
+ *
+ * Controllers load the ride, apply their own field edits, then call
+ * `transitionRide`. Illegal transitions throw a 409 INVALID_TRANSITION.
+ * Every transition is appended to the ride's RideEvent history.
+ *
+ * Concurrency: Ride uses optimistic concurrency, so two requests that load
+ * the same ride cannot both save a transition (the loser gets a 409).
+ * Drivers are taken with `claimDriver`, a single conditional update, so two
+ * assignments can never both flip the same driver from free to on_ride.
+ *
+ * Future-dated bookings (pickup more than DRIVER_CLAIM_LEAD_MINUTES away) do
+ * not take the driver: their availability is the driver's schedule
+ * (bookingConflictService), not the live status flag. Every assignment runs
+ * under the driver's schedule lock (`withDriverSchedule`), so the conflict
+ * check and the ride write of two assignments never interleave. The driver goes
+ * on_ride when such a ride is started, and is only set free again when no
+ * other current ride of theirs holds them.
+ */
+
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Ride = require("../models/Ride");
+const { sendNotification, notifyAdmins } = require("./notificationService");
+const { hasPermission } = require("./permissionService");
+const { recordRideEvent } = require("./rideEventService");
+const { assertNoConflicts } = require("./bookingConflictService");
+const { ROLES, DRIVER_STATUS, RIDE_STATUS: S } = require("../utils/constants");
+const { PERMISSIONS } = require("../utils/permissions");
+
+const DRIVER_CLAIM_LEAD_MINUTES = Number(process.env.DRIVER_CLAIM_LEAD_MINUTES || 15);
+// A schedule lock left behind by a crashed request expires after this
+const SCHEDULE_LOCK_MS = 30 * 1000;
+
+// Who may trigger a transition
+const ACTORS = {
+  DRIVER: "driver", // the driver the ride is assigned to
+  DISPATCHER: "dispatcher", // anyone whose role holds the transition's permission
+  SYSTEM: "system", // background jobs acting as SYSTEM_ACTOR
+};
+
+// Actor used by background jobs (e.g. auto-assign); never comes from a request
+const SYSTEM_ACTOR = Object.freeze({ id: null, role: ACTORS.SYSTEM, fullName: "Auto-assign" });
+
+function idOf(ref) {
+  return ref?._id || ref || null;
+}
+
+function humanize(value) {
+  return String(value)
+    .replace(/_/g, " ")
+    .replace(/\b\w/g, (l) => l.toUpperCase());
+}
+
+// " (A → B)" when the ride's destinations are populated
+function routeLabel(ride) {
+  return ride.from?.name && ride.to?.name ? ` (${ride.from.name} → ${ride.to.name})` : "";
+}
+
+function reasonSuffix(ctx) {
+  if (!ctx.reason) return "";
+  return ` - Reason: ${humanize(ctx.reason)}${ctx.note ? ` (${ctx.note})` : ""}`;
+}
+
+const TRANSITIONS = {
+  assign: {
+    from: [S.SCHEDULED],
+    to: S.ASSIGNED,
+    actors: [ACTORS.DISPATCHER, ACTORS.SYSTEM],
+    permission: PERMISSIONS.RIDES_ASSIGN,
+    driverStatus: DRIVER_STATUS.ON_RIDE,
+    notify: (ride) => [
+      {
+        to: "driver",
+        type: "ride_assigned",
+        message: `Scheduled ride assigned${routeLabel(ride)}`,
+      },
+      {
+        to: "admins",
+        type: "ride_assigned",
+        message: `Scheduled ride ${ride.rideId} assigned${routeLabel(ride)}`,
+      },
+    ],
+  },
+  reassign: {
+    from: [S.ASSIGNED],
+    to: S.ASSIGNED,
+    actors: [ACTORS.DISPATCHER],
+    permission: PERMISSIONS.RIDES_ASSIGN,
+    driverStatus: DRIVER_STATUS.ON_RIDE,
+    notify: (ride) => [
+      {
+        to: "driver",
+        type: "ride_reassigned",
+        message: `Ride reassigned to you${routeLabel(ride)}`,
+      },
+      {
+        to: "previousDriver",
+        type: "ride_status",
+        status: "reassigned",
+        message: "Ride reassigned away from you",
+      },
+    ],
+  },
+  accept: {
+    from: [S.ASSIGNED],
+    to: S.ACCEPTED,
+    actors: [ACTORS.DRIVER, ACTORS.DISPATCHER],
+    permission: PERMISSIONS.RIDES_ASSIGN,
+    timestamp: "acceptedAt",
+    driverStatus: DRIVER_STATUS.ON_RIDE,
+    notify: (ride, ctx) => [
+      {
+        to: ["assigner", "admins"],
+        type: "ride_accepted",
+        message: `${ctx.actorName} accepted ride ${ride.rideId}`,
+      },
+    ],
+  },
+  reject: {
+    from: [S.ASSIGNED],
+    to: S.REJECTED,
+    actors: [ACTORS.DRIVER],
+    timestamp: "rejectedAt",
+    driverStatus: DRIVER_STATUS.FREE,
+    notify: (ride, ctx) => [
+      {
+        to: ["assigner", "admins"],
+        type: "ride_rejected",
+        message: `${ctx.actorName} rejected ride ${ride.rideId}`,
+      },
+    ],
+  },
+  start: {
+    from: [S.ACCEPTED],
+    to: S.STARTED,
+    actors: [ACTORS.DRIVER],
+    timestamp: "startedAt",
+    driverStatus: DRIVER_STATUS.ON_RIDE,
+    notify: (ride, ctx) => [
+      {
+        to: ["assigner", "admins"],
+        type: "ride_started",
+        message: `${ctx.actorName} started ride ${ride.rideId} (client picked up)`,
+      },
+    ],
+  },
+  complete: {
+    from: [S.STARTED],
+    to: S.COMPLETED,
+    actors: [ACTORS.DRIVER, ACTORS.DISPATCHER],
+    permission: PERMISSIONS.RIDES_ASSIGN,
+    timestamp: "droppedAt",
+    driverStatus: DRIVER_STATUS.FREE,
+    guard: (ride) =>
+      ride.startedAt ? null : "Ride must be started (pickup recorded) before completion",
+    notify: (ride) => [
+      {
+        to: ["assigner", "admins"],
+        type: "ride_completed",
+        message: ride.isQuickTrip
+          ? `Quick trip ${ride.rideId} completed by driver`
+          : `Ride ${ride.rideId} completed successfully`,
+      },
+    ],
+  },
+  cancel: {
+    from: [S.ASSIGNED, S.ACCEPTED, S.STARTED],
+    to: S.CANCELLED,
+    actors: [ACTORS.DRIVER, ACTORS.DISPATCHER],
+    permission: PERMISSIONS.RIDES_ASSIGN,
+    timestamp: "cancelledAt",
+    driverStatus: DRIVER_STATUS.FREE,
+    notify: (ride, ctx) => [
+      {
+        to: ["assigner", "admins"],
+        type: "ride_cancelled",
+        message: `${ctx.actorName} cancelled ride ${ride.rideId}${reasonSuffix(ctx)}`,
+      },
+    ],
+  },
+  abort: {
+    from: [S.ASSIGNED, S.ACCEPTED],
+    to: S.ABORTED,
+    actors: [ACTORS.DISPATCHER],
+    permission: PERMISSIONS.RIDES_ABORT,
+    timestamp: "abortedAt",
+    driverStatus: DRIVER_STATUS.FREE,
+    notify: (ride, ctx) => [
+      {
+        to: ["driver", "admins"],
+        type: "ride_aborted",
+        message: `${ctx.actorName} aborted ride ${ride.rideId}${reasonSuffix(ctx)}`,
+      },
+    ],
+  },
+};
+
+/**
+ * Atomically mark a free driver as on_ride
+ * Throws INVALID_DRIVER / DRIVER_NOT_FREE (400) when the driver cannot be taken.
+ * Callers must `releaseDriver` if the ride write that follows fails.
+ * @returns {Object} the driver document
+ */
+async function claimDriver(driverId) {
+  const claimed = await User.findOneAndUpdate(
+    { _id: driverId, role: ROLES.DRIVER, status: DRIVER_STATUS.FREE },
+    { status: DRIVER_STATUS.ON_RIDE },
+    { new: true }
+  );
+  if (claimed) return claimed;
+
+  const exists = await User.exists({ _id: driverId, role: ROLES.DRIVER });
+  const err = new Error(exists ? "Driver is not available" : "Invalid driver selected");
+  err.status = 400;
+  err.code = exists ? "DRIVER_NOT_FREE" : "INVALID_DRIVER";
+  throw err;
+}
+
+/**
+ * Undo a `claimDriver` after the ride write failed
+ */
+async function releaseDriver(driverId) {
+  await User.updateOne(
+    { _id: driverId, status: DRIVER_STATUS.ON_RIDE },
+    { status: DRIVER_STATUS.FREE }
+  );
+}
+
+/**
+ * Claim the driver, run `write`, and give the driver back if `write` throws
+ */
+async function withClaimedDriver(driverId, write) {
+  const driver = await claimDriver(driverId);
+  try {
+    return await write(driver);
+  } catch (e) {
+    await releaseDriver(driverId);
+    throw e;
+  }
+}
+
+/**
+ * Whether the ride's pickup is far enough away that assigning it does not
+ * take the driver off the free list
+ */
+function isFutureBooking(ride, now = new Date()) {
+  return (
+    !!ride.scheduledTime &&
+    new Date(ride.scheduledTime) > new Date(now.getTime() + DRIVER_CLAIM_LEAD_MINUTES * 60 * 1000)
+  );
+}
+
+/**
+ * Run `fn` holding the driver's schedule lock, taken with a conditional
+ * update on User.scheduleLockedUntil. Throws INVALID_DRIVER (400), or
+ * DRIVER_BUSY (409) while another assignment of the driver is running.
+ */
+async function withDriverSchedule(driverId, fn) {
+  const now = new Date();
+  const until = new Date(now.getTime() + SCHEDULE_LOCK_MS);
+  const valid = mongoose.Types.ObjectId.isValid(driverId);
+  const driver = valid
+    ? await User.findOneAndUpdate(
+      {
+        _id: driverId,
+        role: ROLES.DRIVER,
+        $or: [{ scheduleLockedUntil: null }, { scheduleLockedUntil: { $lte: now } }],
+      },
+      { scheduleLockedUntil: until },
+      { new: true }
+    )
+    : null;
+  if (!driver) {
+    const exists = valid && (await User.exists({ _id: driverId, role: ROLES.DRIVER }));
+    const err = new Error(
+      exists
+        ? "Driver is being assigned by another request. Try again."
+        : "Invalid driver selected"
+    );
+    err.status = exists ? 409 : 400;
+    err.code = exists ? "DRIVER_BUSY" : "INVALID_DRIVER";
+    throw err;
+  }
+
+  try {
+    return await fn(driver);
+  } finally {
+    await User.updateOne({ _id: driverId, scheduleLockedUntil: until }, { scheduleLockedUntil: null });
+  }
+}
+
+/**
+ * Assign `driverId` to the ride: under the driver's schedule lock, check
+ * for overlapping rides (409 BOOKING_CONFLICT unless `force`), then run
+ * `write(overridden)`. Rides due soon also claim the driver (see
+ * withClaimedDriver); future-dated bookings, and assignments forced over a
+ * conflict (the driver is busy by definition), do not.
+ * @param {Object} ride - the ride, or { from, to, scheduledTime } of one not created yet
+ * @param {Object} options - { force }
+ * @returns the result of `write`
+ */
+async function withAssignableDriver(ride, driverId, write, { force = false } = {}) {
+  return withDriverSchedule(driverId, async () => {
+    const overridden = await assertNoConflicts(driverId, ride, { force });
+    if (overridden.length || isFutureBooking(ride)) return write(overridden);
+    return withClaimedDriver(driverId, () => write(overridden));
+  });
+}
+
+/**
+ * Set the driver free unless another of their current rides (started, or
+ * assigned/accepted and not future-dated) still holds them
+ */
+async function releaseUnlessBusy(driverId, exceptRideId, now = new Date()) {
+  const busy = await Ride.exists({
+    _id: { $ne: exceptRideId },
+    driver: driverId,
+    $or: [
+      { status: S.STARTED },
+      {
+        status: { $in: [S.ASSIGNED, S.ACCEPTED] },
+        scheduledTime: { $lte: new Date(now.getTime() + DRIVER_CLAIM_LEAD_MINUTES * 60 * 1000) },
+      },
+    ],
+  });
+  if (!busy) await User.findByIdAndUpdate(driverId, { status: DRIVER_STATUS.FREE });
+}
+
+function transitionError(ride, action, message) {
+  const err = new Error(
+    message || `Cannot ${action} a ride that is ${ride.status}`
+  );
+  err.status = 409;
+  err.code = "INVALID_TRANSITION";
+  err.details = {
+    action,
+    status: ride.status,
+    allowedFrom: TRANSITIONS[action]?.from || [],
+  };
+  return err;
+}
+
+function forbiddenError(action) {
+  const err = new Error(`Not authorized to ${action} this ride`);
+  err.status = 403;
+  err.code = "FORBIDDEN";
+  return err;
+}
+
+/**
+ * Whether `action` is legal from the ride's current status (ignores the actor)
+ */
+function canTransition(ride, action) {
+  const t = TRANSITIONS[action];
+  return Boolean(t && t.from.includes(ride.status) && !(t.guard && t.guard(ride)));
+}
+
+/**
+ * Throw unless `actor` may perform `action` on the ride right now
+ * @param {Object} ride - Ride document
+ * @param {string} action - key of TRANSITIONS
+ * @param {Object} actor - req.user ({ id, role }) or SYSTEM_ACTOR
+ */
+async function assertTransition(ride, action, actor) {
+  const t = TRANSITIONS[action];
+  if (!t) throw new Error(`Unknown ride action: ${action}`);
+
+  const isSystem = actor === SYSTEM_ACTOR && t.actors.includes(ACTORS.SYSTEM);
+  const isDriver =
+    t.actors.includes(ACTORS.DRIVER) &&
+    idOf(ride.driver) != null &&
+    String(idOf(ride.driver)) === String(actor?.id);
+  const isDispatcher =
+    !isSystem &&
+    !isDriver &&
+    t.actors.includes(ACTORS.DISPATCHER) &&
+    actor?.role &&
+    (await hasPermission(actor.role, t.permission));
+  if (!isSystem && !isDriver && !isDispatcher) throw forbiddenError(action);
+
+  if (!t.from.includes(ride.status)) throw transitionError(ride, action);
+  const blocked = t.guard && t.guard(ride);
+  if (blocked) throw transitionError(ride, action, blocked);
+}
+
+async function deliver(ride, notice, ctx, previousDriver) {
+  const payload = {
+    rideId: ride.rideId,
+    status: notice.status || ride.status,
+    message: notice.message,
+  };
+  if (ctx.reason) payload.reason = humanize(ctx.reason);
+
+  const recipients = [].concat(notice.to);
+  for (const to of recipients) {
+    if (to === "admins") {
+      await notifyAdmins(notice.type, payload);
+      continue;
+    }
+    const userId =
+      to === "driver"
+        ? idOf(ride.driver)
+        : to === "assigner"
+          ? idOf(ride.assignedBy)
+          : previousDriver;
+    if (userId) await sendNotification(userId, notice.type, payload);
+  }
+}
+
+/**
+ * Apply a lifecycle transition and its side effects, then save the ride.
+ * @param {Object} ride - Ride document (field edits already applied)
+ * @param {string} action - key of TRANSITIONS
+ * @param {Object} ctx - { actor: req.user, changes?, reason?, note?, metadata?, notify? }
+ *   changes: extra fields to set together with the status (e.g. { driver })
+ *   metadata: extra details for the history entry
+ *   notify: false to skip notifications
+ * @returns {Object} the saved ride
+ */
+async function transitionRide(ride, action, ctx = {}) {
+  const t = TRANSITIONS[action];
+  await assertTransition(ride, action, ctx.actor);
+
+  const now = new Date();
+  const previousDriver = idOf(ride.driver);
+  const fromStatus = ride.status;
+  const changes = Object.keys(ctx.changes || {}).map((field) => ({
+    field,
+    before: idOf(ride[field]) == null ? null : String(idOf(ride[field])),
+    after: idOf(ctx.changes[field]) == null ? null : String(idOf(ctx.changes[field])),
+  }));
+
+  Object.assign(ride, ctx.changes || {});
+  ride.status = t.to;
+  if (t.timestamp) ride[t.timestamp] = now;
+  try {
+    await ride.save();
+  } catch (e) {
+    // Someone else changed the ride since it was loaded
+    if (e instanceof mongoose.Error.VersionError) {
+      throw transitionError(
+        { status: fromStatus },
+        action,
+        "Ride was changed by another request. Reload and try again."
+      );
+    }
+    throw e;
+  }
+
+  await recordRideEvent(ride, action === "reassign" ? "reassigned" : "status_changed", {
+    actor: ctx.actor,
+    action,
+    fromStatus,
+    toStatus: t.to,
+    changes: changes.filter((c) => c.before !== c.after),
+    metadata: {
+      ...(ctx.reason ? { reason: ctx.reason, note: ctx.note || null } : {}),
+      ...ctx.metadata,
+    },
+  });
+
+  const driverId = idOf(ride.driver);
+  if (t.driverStatus === DRIVER_STATUS.FREE && driverId) {
+    await releaseUnlessBusy(driverId, ride._id, now);
+  } else if (t.driverStatus && driverId && (action === "start" || !isFutureBooking(ride, now))) {
+    await User.findByIdAndUpdate(driverId, { status: t.driverStatus });
+  }
+  // Reassignment hands the ride to someone else: the old driver is free again
+  const driverChanged =
+    previousDriver && driverId && String(previousDriver) !== String(driverId);
+  if (driverChanged) {
+    await releaseUnlessBusy(previousDriver, ride._id, now);
+  }
+
+  if (ctx.notify !== false && t.notify) {
+    const name = ctx.actor?.fullName || ctx.actor?.username || "";
+    const notifyCtx = {
+      ...ctx,
+      actorName: `${humanize(ctx.actor?.role || "user")} ${name}`.trim(),
+    };
+    for (const notice of t.notify(ride, notifyCtx)) {
+      await deliver(ride, notice, notifyCtx, driverChanged ? previousDriver : null);
+    }
+  }
+
+  return ride;
+}
+
+module.exports = {
+  ACTORS,
+  SYSTEM_ACTOR,
+  DRIVER_CLAIM_LEAD_MINUTES,
+  TRANSITIONS,
+  canTransition,
+  assertTransition,
+  transitionRide,
+  claimDriver,
+  releaseDriver,
+  withClaimedDriver,
+  isFutureBooking,
+  withDriverSchedule,
+  withAssignableDriver,
+};
@@ -0,0 +1,158 @@
+/**
+ * Ride Payment Service
+ * How a completed ride was paid: the payment method(s), surcharge and tip
+ * recorded by the driver at drop-off, and per-method totals for a shift.
+ *
+ * The amount collected is fare.total + fare.surcharge + fare.tip. It is
+ * recorded in Ride.payments, one entry per method, and must add up to that
+ * amount. A single method can be given as `paymentMethod` alone (the whole
+ * amount); Ride.paymentMethod is "split" when more than one method was used.
+ * Only the "account" part of a ride is billed on the account's statement.
+ */
+
+const { PAYMENT_METHOD, SPLIT_PAYMENT } = require("../utils/constants");
+const { resolvePayment } = require("./accountService");
+
+function serviceError(status, code, message, details) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function parseExtra(value, name) {
+  if (value === undefined) return undefined;
+  if (value === null || value === "") return 0;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) {
+    throw serviceError(400, "VALIDATION_ERROR", `${name} must be a non-negative number`);
+  }
+  return round2(n);
+}
+
+/**
+ * Fare + surcharge + tip
+ */
+function amountCollected(ride) {
+  const fare = ride.fare || {};
+  return round2((fare.total || 0) + (fare.surcharge || 0) + (fare.tip || 0));
+}
+
+/**
+ * Record how a ride was paid. Call once the fare is final.
+ * @param {Object} ride - Ride document (modified, not saved)
+ * @param {Object} input - request body fields { paymentMethod, payments, surcharge, tip }
+ *   (undefined = keep what the ride has; with neither paymentMethod nor
+ *   payments, a single method already on the ride gets the whole amount)
+ */
+async function recordRidePayment(ride, { paymentMethod, payments, surcharge, tip } = {}) {
+  const parsedSurcharge = parseExtra(surcharge, "surcharge");
+  const parsedTip = parseExtra(tip, "tip");
+  if (parsedSurcharge !== undefined) ride.fare.surcharge = parsedSurcharge;
+  if (parsedTip !== undefined) ride.fare.tip = parsedTip;
+  const collected = amountCollected(ride);
+
+  if (payments !== undefined && payments !== null) {
+    if (!Array.isArray(payments) || !payments.length) {
+      throw serviceError(400, "VALIDATION_ERROR", "payments must be a non-empty array");
+    }
+    // One entry per method
+    const byMethod = new Map();
+    for (const p of payments) {
+      const amount = Number(p?.amount);
+      if (!Number.isFinite(amount) || amount < 0) {
+        throw serviceError(400, "VALIDATION_ERROR", "Payment amounts must be non-negative numbers");
+      }
+      // resolvePayment would default a missing method, so check it here
+      if (!Object.values(PAYMENT_METHOD).includes(p?.method)) {
+        throw serviceError(
+          400,
+          "VALIDATION_ERROR",
+          `Each payment needs a method: one of ${Object.values(PAYMENT_METHOD).join(", ")}`
+        );
+      }
+      // Checks that "account" is only used on account rides
+      await resolvePayment({ paymentMethod: p.method }, { account: ride.account });
+      byMethod.set(p.method, round2((byMethod.get(p.method) || 0) + amount));
+    }
+    const entries = [...byMethod].map(([method, amount]) => ({ method, amount }));
+    const paid = round2(entries.reduce((sum, p) => sum + p.amount, 0));
+    if (Math.abs(paid - collected) > 0.005) {
+      throw serviceError(
+        400,
+        "PAYMENT_MISMATCH",
+        `Payments add up to $${paid.toFixed(2)} but $${collected.toFixed(2)} was collected (fare + surcharge + tip)`,
+        { paid, collected }
+      );
+    }
+    ride.payments = entries;
+    ride.paymentMethod = entries.length === 1 ? entries[0].method : SPLIT_PAYMENT;
+    return ride;
+  }
+
+  // A split stays as recorded while it still adds up; a single method set
+  // earlier takes the whole (possibly changed) amount
+  if (paymentMethod === undefined && ride.paymentMethod === SPLIT_PAYMENT) {
+    const paid = round2(ride.payments.reduce((sum, p) => sum + p.amount, 0));
+    if (Math.abs(paid - collected) > 0.005) {
+      throw serviceError(
+        400,
+        "PAYMENT_MISMATCH",
+        `The split payment adds up to $${paid.toFixed(2)} but $${collected.toFixed(2)} was collected; send payments again`,
+        { paid, collected }
+      );
+    }
+    return ride;
+  }
+  const { paymentMethod: method } = await resolvePayment(
+    { paymentMethod },
+    { account: ride.account, paymentMethod: ride.paymentMethod === SPLIT_PAYMENT ? null : ride.paymentMethod }
+  );
+  ride.paymentMethod = method;
+  ride.payments = method ? [{ method, amount: collected }] : [];
+  return ride;
+}
+
+/**
+ * Totals of completed rides by payment method
+ * @param {Array} rides - lean rides with fare, payments and paymentMethod
+ * @returns {Object} { fares, surcharges, tips, collected, byMethod, unrecorded: { count, amount } }
+ */
+function summarisePayments(rides) {
+  const byMethod = Object.fromEntries(Object.values(PAYMENT_METHOD).map((m) => [m, 0]));
+  const totals = { fares: 0, surcharges: 0, tips: 0, collected: 0 };
+  const unrecorded = { count: 0, amount: 0 };
+
+  for (const ride of rides) {
+    const collected = amountCollected(ride);
+    totals.fares += ride.fare?.total || 0;
+    totals.surcharges += ride.fare?.surcharge || 0;
+    totals.tips += ride.fare?.tip || 0;
+    totals.collected += collected;
+
+    if (ride.payments?.length) {
+      for (const p of ride.payments) byMethod[p.method] += p.amount;
+    } else if (byMethod[ride.paymentMethod] !== undefined) {
+      byMethod[ride.paymentMethod] += collected;
+    } else {
+      unrecorded.count++;
+      unrecorded.amount += collected;
+    }
+  }
+
+  for (const key of Object.keys(totals)) totals[key] = round2(totals[key]);
+  for (const key of Object.keys(byMethod)) byMethod[key] = round2(byMethod[key]);
+  unrecorded.amount = round2(unrecorded.amount);
+  return { ...totals, byMethod, unrecorded };
+}
+
+module.exports = {
+  amountCollected,
+  recordRidePayment,
+  summarisePayments,
+};
@@ -1,6 +1,6 @@
 // src/services/shiftPhotoUploadService.js
 /**
- * Photo upload service for Shift (start meter photo)
+ * Photo upload service for Shift (start and end meter photos)
  * - Uses multer memory storage
  * - Compresses with sharp
  * - Saves under /uploads/shifts/<driverId>/<YYYY-MM-DD>/
@@ -50,13 +50,19 @@ const upload = multer({
   },
 });
 
+// Upload field -> file name prefix
+const PHOTO_FIELDS = {
+  startMeterPhoto: 'start_meter',
+  endMeterPhoto: 'end_meter',
+};
+
 // Compress & save, then attach .url to file (for controller)
-async function finalizeShiftUpload(req, res, next) {
+const finalizeShiftUpload = (field) => async (req, res, next) => {
   try {
     // if no files, just continue—controller will validate
-    if (!req.files?.startMeterPhoto?.[0]) return next();
+    if (!req.files?.[field]?.[0]) return next();
 
-    const file = req.files.startMeterPhoto[0];
+    const file = req.files[field][0];
     const driverId = req.user?.id;
     if (!driverId) throw new Error('Missing authenticated user id for shift upload');
 
@@ -69,7 +75,7 @@ async function finalizeShiftUpload(req, res, next) {
     // Destination path
     const destDir = await ensureShiftDir(driverId, new Date());
     const unique = uuidv4().slice(0, 8);
-    const filename = `start_meter_${unique}.jpg`;
+    const filename = `${PHOTO_FIELDS[field]}_${unique}.jpg`;
     const filepath = path.join(destDir, filename);
 
     await fs.writeFile(filepath, processed);
@@ -90,11 +96,14 @@ async function finalizeShiftUpload(req, res, next) {
   } catch (err) {
     return next(err);
   }
-}
+};
 
-function getShiftUploadMiddleware() {
-  // Expect field "startMeterPhoto"
-  return [upload.fields([{ name: 'startMeterPhoto', maxCount: 1 }]), finalizeShiftUpload];
+/**
+ * @param {string} field - 'startMeterPhoto' (shift start) or 'endMeterPhoto' (shift end)
+ */
+function getShiftUploadMiddleware(field = 'startMeterPhoto') {
+  if (!PHOTO_FIELDS[field]) throw new Error(`Unknown shift photo field: ${field}`);
+  return [upload.fields([{ name: field, maxCount: 1 }]), finalizeShiftUpload(field)];
 }
 
 function handleShiftUploadError(err, req, res, next) {
@@ -0,0 +1,171 @@
+/**
+ * Shift Report Service
+ * Drafts a driver report from the rides of its shift.
+ *
+ * A report drafted from a shift is linked to the completed rides with
+ * `ride.shift == report.shift` (not every ride of the calendar day), and its
+ * money fields are pre-filled from what drivers recorded at drop-off
+ * (see ridePaymentService). The derived values are kept in
+ * `report.systemFigures`, so the driver can still correct the report
+ * fields and both sets of figures stay visible side by side.
+ *
+ * Reconciliation compares a report with its shift's rides; a submitted
+ * report that needs review is flagged with the reasons why.
+ */
+
+const Ride = require("../models/Ride");
+const { RIDE_STATUS } = require("../utils/constants");
+const { summarisePayments } = require("./ridePaymentService");
+const {
+  calculateReconciliation,
+  getReconciliationThresholds,
+  formatCurrency,
+} = require("./reportCalculationService");
+
+// Report fields pre-filled from (and compared with) the systemFigures of the
+// same name; each reads the value from a report or a request body
+const REPORT_FIELDS = {
+  cashFares: (report) => report.cashFares,
+  totalEFTPOS: (report) => report.totalEFTPOS?.amount,
+  totalAccountTrips: (report) => report.totalAccountTrips,
+  totalTripsCount: (report) => report.totalTripsCount,
+};
+
+const FIELD_LABELS = {
+  cashFares: "Cash fares",
+  totalEFTPOS: "EFTPOS takings",
+  totalAccountTrips: "Account trips",
+};
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Completed rides of the shift
+ */
+function findShiftRides(shift) {
+  return Ride.find({
+    shift: shift._id,
+    driver: shift.driver,
+    status: RIDE_STATUS.COMPLETED,
+  })
+    .select("fare payments paymentMethod")
+    .lean();
+}
+
+/**
+ * System figures for a set of completed rides
+ * @returns {Object} the shape of DriverReport.systemFigures
+ */
+function deriveShiftFigures(rides) {
+  const summary = summarisePayments(rides);
+  return {
+    cashFares: summary.byMethod.cash,
+    totalEFTPOS: summary.byMethod.eftpos,
+    // Both are paid to the operator later, not collected by the driver
+    totalAccountTrips: round2(summary.byMethod.account + summary.byMethod.voucher),
+    totalTripsCount: rides.length,
+    totalFares: summary.fares,
+    surcharges: summary.surcharges,
+    tips: summary.tips,
+    unrecordedTrips: summary.unrecorded.count,
+    unrecordedAmount: summary.unrecorded.amount,
+    derivedAt: new Date(),
+  };
+}
+
+function setReportField(report, field, value) {
+  if (field === "totalEFTPOS") report.set("totalEFTPOS.amount", value);
+  else report.set(field, value);
+}
+
+/**
+ * Link the shift's rides to the report and (re)derive its system figures.
+ * Report fields are filled from the new figures unless the driver changed
+ * them: set in `provided`, or no longer equal to the previous system value.
+ * @param {Object} report - DriverReport document (modified, not saved)
+ * @param {Object} shift - the report's Shift
+ * @param {Object} provided - fields the driver is sending in this request
+ */
+async function applyShiftFigures(report, shift, provided = {}) {
+  const rides = await findShiftRides(shift);
+  const previous = report.systemFigures?.derivedAt ? report.systemFigures : null;
+  const figures = deriveShiftFigures(rides);
+
+  for (const [field, read] of Object.entries(REPORT_FIELDS)) {
+    if (read(provided) !== undefined) continue;
+    const current = read(report);
+    const untouched = !previous || current == null || current === previous[field];
+    if (untouched) setReportField(report, field, figures[field]);
+  }
+
+  report.associatedRides = rides.map((r) => r._id);
+  report.systemFigures = figures;
+  report.source = "shift";
+  return report;
+}
+
+/**
+ * Driver-entered vs system figures, for reports drafted from a shift
+ * @param {Object} figures - defaults to the report's stored systemFigures
+ * @returns {Object|null} { [field]: { reported, system, difference } }
+ */
+function figureDifferences(report, figures = report.systemFigures) {
+  const system = figures;
+  if (!system?.derivedAt) return null;
+
+  const differences = {};
+  for (const [field, read] of Object.entries(REPORT_FIELDS)) {
+    const reported = read(report) || 0;
+    const expected = system[field] || 0;
+    differences[field] = {
+      reported,
+      system: expected,
+      difference: round2(reported - expected),
+    };
+  }
+  return differences;
+}
+
+/**
+ * Reconcile a report with the rides of its shift (the rides associated with
+ * it for reports without a shift): meter fares and trip count, and the
+ * per-method totals against the payments drivers recorded.
+ * @returns {Object} calculateReconciliation's result, plus `differences`
+ *   (per-method, when there is a shift); flags.reasons lists why it needs review
+ */
+async function reconcileReport(report) {
+  const rides = report.shift
+    ? await Ride.find({ shift: report.shift, driver: report.driver, status: RIDE_STATUS.COMPLETED })
+        .select("rideId status fare payments paymentMethod")
+        .lean()
+    : await Ride.find({ _id: { $in: report.associatedRides || [] } })
+        .select("rideId status fare payments paymentMethod")
+        .lean();
+
+  const thresholds = await getReconciliationThresholds();
+  const reconciliation = await calculateReconciliation(report, rides, thresholds);
+  if (!reconciliation.hasSystemData || !report.shift) return reconciliation;
+
+  const differences = figureDifferences(report, deriveShiftFigures(rides));
+  for (const [field, diff] of Object.entries(differences)) {
+    if (field === "totalTripsCount") continue; // covered by the trip variance
+    if (Math.abs(diff.difference) > thresholds.paymentVarianceReview) {
+      reconciliation.flags.reasons.push(
+        `${FIELD_LABELS[field]} differ from recorded payments by ${formatCurrency(diff.difference)} ` +
+          `(review above ${formatCurrency(thresholds.paymentVarianceReview)})`
+      );
+    }
+  }
+  reconciliation.flags.requiresReview = reconciliation.flags.reasons.length > 0;
+  return { ...reconciliation, differences };
+}
+
+module.exports = {
+  reconcileReport,
+  findShiftRides,
+  deriveShiftFigures,
+  applyShiftFigures,
+  figureDifferences,
+};
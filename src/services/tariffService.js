@@ -0,0 +1,344 @@
+/**
+ * Tariff Service
+ * Configurable fare tariff (stored in Settings under "tariff") and the fare
+ * engine built on it.
+ *
+ *   fare = flag fall
+ *        + (distance × perKm + minutes × perMinute) × band multiplier
+ *        + booking fee (dispatched rides) + airport fee (either end is an airport)
+ *   raised to the minimum fare
+ *
+ * The band is the highest-multiplier band matching the pickup time: a
+ * time-of-day window on given weekdays, or any time on a public holiday.
+ * Drivers still enter the metered fare; `priceRide` compares it with the
+ * estimate and flags it when it deviates by more than the threshold.
+ */
+
+const Settings = require("../models/Settings");
+const Destination = require("../models/Destination");
+const { estimateDuration } = require("./bookingConflictService");
+const { hasCoordinates, distanceKm } = require("../utils/geo");
+
+const SETTING_KEY = "tariff";
+
+const DEFAULT_TARIFF = {
+  flagFall: 3.6,
+  perKm: 2.19,
+  perMinute: 0.94,
+  bookingFee: 2.5,
+  airportFee: 5.45,
+  minimumFare: 0,
+  // Straight-line distance × this ≈ road distance, when no distance is given
+  roadDistanceFactor: 1.3,
+  // Used for the duration when a route has no ride history
+  averageSpeedKmh: 40,
+  // Flag a fare that differs from the estimate by more than this
+  deviationThresholdPercent: 25,
+  // MPTP cardholders: share of their fare paid by the scheme, capped per trip
+  mptpSubsidyPercent: 50,
+  mptpCapPerTrip: 60,
+  bands: [
+    { name: "night", days: [0, 1, 2, 3, 4, 5, 6], start: "22:00", end: "06:00", multiplier: 1.2 },
+    { name: "weekend", days: [0, 6], start: "00:00", end: "00:00", multiplier: 1.1 },
+    { name: "public_holiday", publicHoliday: true, multiplier: 1.2 },
+  ],
+  publicHolidays: [], // "YYYY-MM-DD"
+};
+
+// Fields a band may have; anything else is dropped on update
+const BAND_FIELDS = ["name", "days", "start", "end", "multiplier", "publicHoliday"];
+
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DAY_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+function validationError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = "VALIDATION_ERROR";
+  return err;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+}
+
+function dayKeyOf(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Current tariff (defaults merged with stored values)
+ */
+async function getTariff() {
+  const setting = await Settings.findOne({ key: SETTING_KEY }).lean();
+  return { ...DEFAULT_TARIFF, ...(setting?.value || {}) };
+}
+
+function pick(source, fields) {
+  return Object.fromEntries(
+    fields.filter((f) => source[f] !== undefined).map((f) => [f, source[f]])
+  );
+}
+
+/**
+ * Validate a full tariff
+ * @returns {Object} the tariff with only known fields (DEFAULT_TARIFF keys)
+ */
+function validateTariff(input) {
+  const tariff = pick(input, Object.keys(DEFAULT_TARIFF));
+  const numbers = [
+    "flagFall",
+    "perKm",
+    "perMinute",
+    "bookingFee",
+    "airportFee",
+    "minimumFare",
+    "deviationThresholdPercent",
+    "mptpCapPerTrip",
+  ];
+  for (const key of numbers) {
+    if (typeof tariff[key] !== "number" || !(tariff[key] >= 0)) {
+      throw validationError(`${key} must be a non-negative number`);
+    }
+  }
+  if (
+    typeof tariff.mptpSubsidyPercent !== "number" ||
+    !(tariff.mptpSubsidyPercent >= 0 && tariff.mptpSubsidyPercent <= 100)
+  ) {
+    throw validationError("mptpSubsidyPercent must be between 0 and 100");
+  }
+  for (const key of ["roadDistanceFactor", "averageSpeedKmh"]) {
+    if (typeof tariff[key] !== "number" || !(tariff[key] > 0)) {
+      throw validationError(`${key} must be a positive number`);
+    }
+  }
+
+  if (!Array.isArray(tariff.bands)) throw validationError("bands must be an array");
+  tariff.bands = tariff.bands.map((band) => (band && typeof band === "object" ? pick(band, BAND_FIELDS) : band));
+  tariff.bands.forEach((band, i) => {
+    if (!band || typeof band.name !== "string" || !band.name.trim()) {
+      throw validationError(`bands[${i}].name is required`);
+    }
+    if (typeof band.multiplier !== "number" || !(band.multiplier > 0)) {
+      throw validationError(`bands[${i}].multiplier must be a positive number`);
+    }
+    if (band.publicHoliday) return;
+    if (!TIME.test(band.start || "") || !TIME.test(band.end || "")) {
+      throw validationError(`bands[${i}].start and end must be HH:mm`);
+    }
+    const days = band.days || [];
+    if (!Array.isArray(days) || days.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) {
+      throw validationError(`bands[${i}].days must be 0-6 (0 = Sunday)`);
+    }
+  });
+
+  if (
+    !Array.isArray(tariff.publicHolidays) ||
+    tariff.publicHolidays.some((d) => typeof d !== "string" || !DAY_KEY.test(d))
+  ) {
+    throw validationError("publicHolidays must be a list of YYYY-MM-DD dates");
+  }
+  return tariff;
+}
+
+/**
+ * Replace tariff values (unspecified keys keep their current value)
+ * @param {Object} changes
+ * @param {string} updatedBy - user id
+ */
+async function updateTariff(changes, updatedBy) {
+  const current = await getTariff();
+  const tariff = validateTariff({ ...current, ...changes });
+  const doc = await Settings.findOneAndUpdate(
+    { key: SETTING_KEY },
+    {
+      key: SETTING_KEY,
+      value: tariff,
+      description: "Fare tariff used for estimates and fare checks",
+      updatedBy,
+    },
+    { upsert: true, new: true }
+  );
+  return { tariff: doc.value, updatedAt: doc.updatedAt };
+}
+
+/**
+ * Band that applies at `time` (highest multiplier wins), or null
+ */
+function bandFor(tariff, time) {
+  const day = time.getDay();
+  const minutes = time.getHours() * 60 + time.getMinutes();
+  const holiday = (tariff.publicHolidays || []).includes(dayKeyOf(time));
+
+  const matching = (tariff.bands || []).filter((band) => {
+    if (band.publicHoliday) return holiday;
+    if (band.days?.length && !band.days.includes(day)) return false;
+    const start = toMinutes(band.start);
+    const end = toMinutes(band.end);
+    if (start === end) return true; // all day
+    return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+  });
+  return matching.reduce((best, b) => (!best || b.multiplier > best.multiplier ? b : best), null);
+}
+
+/**
+ * Price a trip under a tariff
+ * @param {Object} tariff
+ * @param {Object} trip - { distanceKm, durationMinutes, pickupTime, booked, airport }
+ * @returns {Object} { total, breakdown }
+ */
+function calculateFare(tariff, { distanceKm: km, durationMinutes, pickupTime, booked, airport }) {
+  const band = bandFor(tariff, new Date(pickupTime));
+  const multiplier = band ? band.multiplier : 1;
+
+  const distanceCharge = round2(km * tariff.perKm * multiplier);
+  const timeCharge = round2(durationMinutes * tariff.perMinute * multiplier);
+  const bookingFee = booked ? tariff.bookingFee : 0;
+  const airportFee = airport ? tariff.airportFee : 0;
+
+  const subtotal = round2(tariff.flagFall + distanceCharge + timeCharge + bookingFee + airportFee);
+  const total = Math.max(subtotal, tariff.minimumFare);
+
+  return {
+    total: round2(total),
+    breakdown: {
+      flagFall: tariff.flagFall,
+      distanceKm: round2(km),
+      durationMinutes: Math.round(durationMinutes),
+      distanceCharge,
+      timeCharge,
+      band: band ? band.name : null,
+      multiplier,
+      bookingFee,
+      airportFee,
+      minimumFareApplied: total > subtotal,
+    },
+  };
+}
+
+async function loadDestination(ref) {
+  if (!ref) return null;
+  if (ref.coordinates !== undefined && ref.isAirport !== undefined) return ref;
+  return Destination.findById(ref._id || ref).select("name coordinates isAirport").lean();
+}
+
+/**
+ * Estimate the fare of a ride from its destinations.
+ * Distance: `distanceKm`, else straight line × roadDistanceFactor.
+ * Duration: `durationMinutes`, else the actual startedAt→now for a ride in
+ * progress, else the route's history, else distance ÷ averageSpeedKmh.
+ * Throws 400 ESTIMATE_UNAVAILABLE when the distance cannot be worked out.
+ * @param {Object} ride - Ride document
+ * @param {Object} overrides - { distanceKm, durationMinutes, pickupTime }
+ */
+async function estimateRideFare(ride, overrides = {}) {
+  const tariff = await getTariff();
+  const [from, to] = await Promise.all([loadDestination(ride.from), loadDestination(ride.to)]);
+
+  let km = overrides.distanceKm != null ? Number(overrides.distanceKm) : null;
+  if (km == null && hasCoordinates(from) && hasCoordinates(to)) {
+    km = distanceKm(from.coordinates, to.coordinates) * tariff.roadDistanceFactor;
+  }
+  if (km == null || !Number.isFinite(km) || km < 0) {
+    const err = new Error(
+      "Cannot estimate this fare: pickup and drop-off need coordinates, or pass distanceKm"
+    );
+    err.status = 400;
+    err.code = "ESTIMATE_UNAVAILABLE";
+    throw err;
+  }
+
+  let minutes = overrides.durationMinutes != null ? Number(overrides.durationMinutes) : null;
+  if (minutes == null && ride.startedAt) {
+    minutes = (Date.now() - new Date(ride.startedAt).getTime()) / 60000;
+  }
+  if (minutes == null && from && to) {
+    const history = await estimateDuration(from, to);
+    if (history.basedOn) minutes = history.minutes;
+  }
+  if (minutes == null || !Number.isFinite(minutes) || minutes < 0) {
+    minutes = (km / tariff.averageSpeedKmh) * 60;
+  }
+
+  const estimate = calculateFare(tariff, {
+    distanceKm: km,
+    durationMinutes: minutes,
+    pickupTime: overrides.pickupTime || ride.startedAt || ride.scheduledTime || new Date(),
+    booked: !ride.isSelfAssigned,
+    airport: Boolean(from?.isAirport || to?.isAirport),
+  });
+  return { ...estimate, thresholdPercent: tariff.deviationThresholdPercent };
+}
+
+/**
+ * Value for `fareEstimate` on a booking when it is made or its route or time
+ * changes; undefined when the route cannot be estimated. Open account
+ * bookings count against the credit limit at this estimate (accountService).
+ * @param {Object} ride - { from, to, scheduledTime }
+ */
+async function bookingEstimate(ride) {
+  try {
+    const estimate = await estimateRideFare(ride);
+    return { total: estimate.total, breakdown: estimate.breakdown, estimatedAt: new Date() };
+  } catch (e) {
+    if (e.code !== "ESTIMATE_UNAVAILABLE") throw e;
+    return undefined;
+  }
+}
+
+/**
+ * Settle the fare of a ride at drop-off/creation.
+ * Stores the tariff estimate on the ride (`fareEstimate`) and flags the
+ * entered fare (`fareCheck`) when it deviates beyond the threshold. Without
+ * an entered fare the estimate is used. Never throws for a missing estimate.
+ * @param {Object} ride - Ride document (not saved here)
+ * @param {number|null} fareTotal - fare entered by the driver
+ * @param {Object} overrides - passed to estimateRideFare
+ * @returns {Object} { total, estimate, flagged }
+ */
+async function priceRide(ride, fareTotal, overrides = {}) {
+  let estimate = null;
+  try {
+    estimate = await estimateRideFare(ride, overrides);
+  } catch (e) {
+    if (e.code !== "ESTIMATE_UNAVAILABLE") throw e;
+  }
+  if (!estimate) return { total: fareTotal, estimate: null, flagged: false };
+
+  const total = fareTotal != null ? fareTotal : estimate.total;
+  const deviationPercent = estimate.total
+    ? round2((Math.abs(total - estimate.total) / estimate.total) * 100)
+    : 0;
+  const flagged = fareTotal != null && deviationPercent > estimate.thresholdPercent;
+
+  ride.fareEstimate = {
+    total: estimate.total,
+    breakdown: estimate.breakdown,
+    estimatedAt: new Date(),
+  };
+  ride.fareCheck = {
+    flagged,
+    enteredTotal: total,
+    estimateTotal: estimate.total,
+    deviationPercent,
+    thresholdPercent: estimate.thresholdPercent,
+  };
+  return { total, estimate, flagged };
+}
+
+module.exports = {
+  DEFAULT_TARIFF,
+  getTariff,
+  updateTariff,
+  bandFor,
+  calculateFare,
+  estimateRideFare,
+  bookingEstimate,
+  priceRide,
+};
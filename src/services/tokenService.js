@@ -0,0 +1,154 @@
+/**
+ * Token Service
+ * Issues short-lived access tokens (JWT) and rotating refresh tokens.
+ *
+ * - Refresh tokens are opaque random strings; only their hash is stored.
+ * - Each refresh rotates the token; presenting an already-rotated token
+ *   revokes the whole family (likely theft).
+ * - `revokeAllSessions` bumps User.tokenVersion so outstanding access
+ *   tokens are rejected by `authenticateToken` as well.
+ */
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const RefreshToken = require("../models/RefreshToken");
+const User = require("../models/User");
+
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+function hashToken(raw) {
+  return crypto.createHash("sha256").update(String(raw)).digest("hex");
+}
+
+function authError(message, code = "INVALID_REFRESH_TOKEN") {
+  const err = new Error(message);
+  err.status = 401;
+  err.code = code;
+  return err;
+}
+
+function signAccessToken(user) {
+  const payload = {
+    id: user._id.toString(),
+    role: user.role,
+    fullName: user.fullName,
+    tv: user.tokenVersion || 0,
+  };
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+}
+
+async function createRefreshToken(user, meta = {}, family = crypto.randomUUID()) {
+  const raw = crypto.randomBytes(48).toString("hex");
+  const doc = await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(raw),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: meta.ip,
+    userAgent: meta.userAgent,
+  });
+  return { raw, doc };
+}
+
+/**
+ * Issue a fresh access + refresh token pair for a login
+ * @param {Object} user - User document
+ * @param {Object} meta - { ip, userAgent }
+ */
+async function issueTokens(user, meta = {}) {
+  const { raw } = await createRefreshToken(user, meta);
+  return {
+    token: signAccessToken(user),
+    refreshToken: raw,
+    expiresIn: ACCESS_TOKEN_TTL,
+  };
+}
+
+/**
+ * Exchange a refresh token for a new pair (the old one is revoked)
+ * @param {string} raw - Refresh token presented by the client
+ * @param {Object} meta - { ip, userAgent }
+ */
+async function rotateRefreshToken(raw, meta = {}) {
+  if (!raw) throw authError("Refresh token is required");
+
+  const now = new Date();
+  const tokenHash = hashToken(raw);
+
+  // Atomically claim the token so two concurrent refreshes cannot both win
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null },
+    { revokedAt: now },
+    { new: false }
+  );
+
+  if (!current) {
+    const known = await RefreshToken.findOne({ tokenHash });
+    if (known?.replacedBy) {
+      // A rotated token was replayed: revoke every token in this login chain
+      await RefreshToken.updateMany(
+        { family: known.family, revokedAt: null },
+        { revokedAt: now }
+      );
+    }
+    throw authError("Refresh token has been revoked");
+  }
+
+  if (current.expiresAt <= now) {
+    throw authError("Refresh token has expired");
+  }
+
+  const user = await User.findById(current.user);
+  if (!user) throw authError("Account no longer exists");
+
+  const { raw: nextRaw, doc: next } = await createRefreshToken(
+    user,
+    meta,
+    current.family
+  );
+  await RefreshToken.updateOne({ _id: current._id }, { replacedBy: next._id });
+
+  return {
+    user,
+    token: signAccessToken(user),
+    refreshToken: nextRaw,
+    expiresIn: ACCESS_TOKEN_TTL,
+  };
+}
+
+/**
+ * Revoke a single refresh token (logout on one device)
+ * @returns {boolean} whether an active token was revoked
+ */
+async function revokeRefreshToken(raw) {
+  if (!raw) return false;
+  const r = await RefreshToken.updateOne(
+    { tokenHash: hashToken(raw), revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return (r.modifiedCount || 0) > 0;
+}
+
+/**
+ * Revoke every session of a user: refresh tokens and outstanding access tokens
+ * @returns {number} number of refresh tokens revoked
+ */
+async function revokeAllSessions(userId) {
+  await User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } });
+  const r = await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return r.modifiedCount || 0;
+}
+
+module.exports = {
+  signAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+};
@@ -0,0 +1,253 @@
+/**
+ * Vehicle Compliance Service
+ * Registration, CTP insurance, taxi licence and safety inspection expiries.
+ *
+ * Each vehicle has at most one item per type (Vehicle.compliance), with its
+ * expiry date, a reference and a document photo. An item is valid through
+ * its expiry date; from the next day the vehicle cannot start a shift (see
+ * vehicleService.resolveShiftVehicle).
+ *
+ * The daily job notifies admins and managers when an active vehicle's item
+ * is 30 and 7 days from expiry and on the day it expires (ALERT_DAYS). Each
+ * alert is sent once per expiry date; an item first seen closer to its
+ * expiry gets only the most urgent alert due.
+ */
+
+const Vehicle = require("../models/Vehicle");
+const { COMPLIANCE_TYPES, EXPIRY_FIELDS } = require("../models/Vehicle");
+const { notifyAdminsAndManagers } = require("./notificationService");
+const { uploadPhoto } = require("./photoUploadService");
+
+const ALERT_DAYS = [30, 7, 0];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const COMPLIANCE_JOB_INTERVAL_MINUTES = Number(
+  process.env.VEHICLE_COMPLIANCE_JOB_INTERVAL_MINUTES || 24 * 60
+);
+
+const COMPLIANCE_LABELS = {
+  [COMPLIANCE_TYPES.REGISTRATION]: "Registration",
+  [COMPLIANCE_TYPES.CTP_INSURANCE]: "CTP insurance",
+  [COMPLIANCE_TYPES.TAXI_LICENCE]: "Taxi licence plates",
+  [COMPLIANCE_TYPES.SAFETY_INSPECTION]: "Safety inspection",
+};
+
+function serviceError(status, code, message, details) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+function startOfDay(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+function dateOnly(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Whole days from today to the expiry date (0 on the day, negative once
+ * expired)
+ */
+function daysUntil(expiresAt, now = new Date()) {
+  return Math.round((startOfDay(expiresAt) - startOfDay(now)) / DAY_MS);
+}
+
+/**
+ * A vehicle's items with how long they have left
+ * @returns {Array} [{ type, label, expiresAt, daysLeft, status: valid | expiring | expired, ... }]
+ */
+function complianceStatus(vehicle, now = new Date()) {
+  const warnDays = Math.max(...ALERT_DAYS);
+  return vehicle.compliance.map((item) => {
+    const daysLeft = daysUntil(item.expiresAt, now);
+    return {
+      _id: item._id,
+      type: item.type,
+      label: COMPLIANCE_LABELS[item.type],
+      expiresAt: item.expiresAt,
+      daysLeft,
+      status: daysLeft < 0 ? "expired" : daysLeft <= warnDays ? "expiring" : "valid",
+      reference: item.reference,
+      documentUrl: item.documentUrl,
+      notes: item.notes,
+      updatedBy: item.updatedBy,
+      updatedAt: item.updatedAt,
+    };
+  });
+}
+
+/**
+ * Items past their expiry date
+ */
+function expiredItems(vehicle, now = new Date()) {
+  return complianceStatus(vehicle, now).filter((i) => i.status === "expired");
+}
+
+function assertType(type) {
+  if (!Object.values(COMPLIANCE_TYPES).includes(type)) {
+    throw serviceError(
+      400,
+      "VALIDATION_ERROR",
+      `type must be one of: ${Object.values(COMPLIANCE_TYPES).join(", ")}`
+    );
+  }
+}
+
+/**
+ * Add or renew a compliance item
+ * @param {Object} vehicle - Vehicle document (saved here)
+ * @param {Object} data - { expiresAt, reference?, notes?, documentUrl? }
+ * @param {Object} file - optional uploaded document photo (multer)
+ */
+async function setComplianceItem(vehicle, type, data, file, userId) {
+  assertType(type);
+  let item = vehicle.compliance.find((i) => i.type === type);
+  const { expiresAt, reference, notes, documentUrl } = data;
+
+  if (expiresAt !== undefined || !item) {
+    if (!expiresAt || isNaN(new Date(expiresAt))) {
+      throw serviceError(400, "VALIDATION_ERROR", "expiresAt must be a date");
+    }
+  }
+
+  const changes = { updatedBy: userId, updatedAt: new Date() };
+  if (expiresAt !== undefined) changes.expiresAt = new Date(expiresAt);
+  if (reference !== undefined) changes.reference = reference;
+  if (notes !== undefined) changes.notes = notes;
+  if (documentUrl !== undefined) changes.documentUrl = documentUrl;
+  if (file) {
+    changes.documentUrl = await uploadPhoto(file, `vehicles/${vehicle._id}/${type}-${Date.now()}`);
+  }
+
+  if (item) {
+    item.set(changes);
+  } else {
+    vehicle.compliance.push({ type, ...changes });
+    item = vehicle.compliance[vehicle.compliance.length - 1];
+  }
+  await vehicle.save();
+  return item;
+}
+
+/**
+ * Remove a vehicle's item of a type
+ */
+async function removeComplianceItem(vehicle, type) {
+  assertType(type);
+  const item = vehicle.compliance.find((i) => i.type === type);
+  if (!item) throw serviceError(404, "NOT_FOUND", `No ${COMPLIANCE_LABELS[type]} item`);
+
+  vehicle.compliance.pull(item._id);
+  // The vehicle field would otherwise bring the item back
+  const field = Object.keys(EXPIRY_FIELDS).find((f) => EXPIRY_FIELDS[f] === type);
+  if (field) vehicle[field] = null;
+  await vehicle.save();
+  return vehicle;
+}
+
+/**
+ * Active vehicles with an item expired or expiring within `days`
+ * @returns {Array} [{ vehicle: { _id, taxiNumber, plate }, items }]
+ */
+async function findExpiringVehicles(days = Math.max(...ALERT_DAYS), now = new Date()) {
+  const cutoff = new Date(startOfDay(now).getTime() + (days + 1) * DAY_MS);
+  const vehicles = await Vehicle.find({
+    isActive: true,
+    "compliance.expiresAt": { $lt: cutoff },
+  }).sort({ taxiNumber: 1 });
+
+  return vehicles.map((vehicle) => ({
+    vehicle: { _id: vehicle._id, taxiNumber: vehicle.taxiNumber, plate: vehicle.plate },
+    items: complianceStatus(vehicle, now).filter((i) => i.daysLeft <= days),
+  }));
+}
+
+function alertMessage(vehicle, item, daysLeft) {
+  const what = `Taxi ${vehicle.taxiNumber} ${COMPLIANCE_LABELS[item.type].toLowerCase()}`;
+  if (daysLeft < 0) return `${what} expired on ${dateOnly(item.expiresAt)}`;
+  if (daysLeft === 0) return `${what} expires today`;
+  return `${what} expires in ${daysLeft} day(s) (${dateOnly(item.expiresAt)})`;
+}
+
+/**
+ * Job entry point: send the expiry alerts that are due
+ * @returns {number} alerts sent
+ */
+async function runComplianceAlertJob(now = new Date()) {
+  const expiring = await findExpiringVehicles(Math.max(...ALERT_DAYS), now);
+  let sent = 0;
+  for (const { vehicle: { _id } } of expiring) {
+    const vehicle = await Vehicle.findById(_id);
+    if (!vehicle) continue;
+    let changed = false;
+
+    for (const item of vehicle.compliance) {
+      const daysLeft = daysUntil(item.expiresAt, now);
+      const due = ALERT_DAYS.filter((d) => daysLeft <= d && !item.alertsSent.includes(d));
+      if (!due.length) continue;
+
+      const threshold = Math.min(...due);
+      try {
+        await notifyAdminsAndManagers(
+          daysLeft <= 0 ? "vehicle_compliance_expired" : "vehicle_compliance_expiring",
+          {
+            message: alertMessage(vehicle, item, daysLeft),
+            vehicleId: String(vehicle._id),
+            taxiNumber: vehicle.taxiNumber,
+            complianceType: item.type,
+            expiresAt: item.expiresAt.toISOString(),
+            daysLeft,
+            status: `${item.type}_${threshold}d`,
+          }
+        );
+      } catch (e) {
+        console.warn(`Compliance alert for taxi ${vehicle.taxiNumber} failed:`, e?.message || e);
+        continue;
+      }
+      // Less urgent alerts that were missed are not sent any more
+      item.alertsSent.push(...due);
+      changed = true;
+      sent++;
+    }
+    if (changed) await vehicle.save();
+  }
+  return sent;
+}
+
+let jobTimer = null;
+
+/**
+ * Start the daily compliance alert job
+ */
+function startVehicleComplianceJob() {
+  if (jobTimer) return jobTimer;
+  const run = () =>
+    runComplianceAlertJob()
+      .then((sent) => {
+        if (sent) console.log(`🚖 Sent ${sent} vehicle compliance alert(s)`);
+      })
+      .catch((e) => console.warn("Vehicle compliance job failed:", e?.message || e));
+
+  run();
+  jobTimer = setInterval(run, COMPLIANCE_JOB_INTERVAL_MINUTES * 60 * 1000);
+  return jobTimer;
+}
+
+module.exports = {
+  ALERT_DAYS,
+  COMPLIANCE_TYPES,
+  COMPLIANCE_LABELS,
+  daysUntil,
+  complianceStatus,
+  expiredItems,
+  setComplianceItem,
+  removeComplianceItem,
+  findExpiringVehicles,
+  runComplianceAlertJob,
+  startVehicleComplianceJob,
+};
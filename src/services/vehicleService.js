@@ -0,0 +1,88 @@
+/**
+ * Vehicle Service
+ * Which vehicle a shift is driven in.
+ *
+ * A shift can only start in a registered, active vehicle (looked up by id or
+ * by taxi number, case-insensitive) with no expired compliance item, that is
+ * not in another driver's active shift. Shifts record the vehicle and its canonical taxi number.
+ */
+
+const mongoose = require("mongoose");
+const Vehicle = require("../models/Vehicle");
+const { normalizeTaxiNumber } = require("../models/Vehicle");
+const Shift = require("../models/Shift");
+const { expiredItems } = require("./vehicleComplianceService");
+
+function serviceError(status, code, message, details) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+/**
+ * Find a vehicle by id or taxi number
+ * @param {Object} input - { vehicle, taxiNumber }
+ */
+async function findVehicle({ vehicle, taxiNumber }) {
+  if (vehicle) {
+    return mongoose.Types.ObjectId.isValid(vehicle) ? Vehicle.findById(vehicle) : null;
+  }
+  const number = normalizeTaxiNumber(taxiNumber);
+  return number ? Vehicle.findOne({ taxiNumber: number }) : null;
+}
+
+/**
+ * The vehicle a driver may start a shift in. Throws 400 UNKNOWN_VEHICLE,
+ * 400 VEHICLE_INACTIVE, 400 VEHICLE_NOT_COMPLIANT (an expired compliance
+ * item) or 409 VEHICLE_IN_USE.
+ * @param {Object} input - { vehicle, taxiNumber }
+ */
+async function resolveShiftVehicle(input, driverId) {
+  if (!input.vehicle && !normalizeTaxiNumber(input.taxiNumber)) {
+    throw serviceError(400, "VALIDATION_ERROR", "taxiNumber or vehicle is required");
+  }
+  const vehicle = await findVehicle(input);
+  if (!vehicle) {
+    throw serviceError(
+      400,
+      "UNKNOWN_VEHICLE",
+      `Taxi ${normalizeTaxiNumber(input.taxiNumber) || input.vehicle} is not a registered vehicle`
+    );
+  }
+  if (!vehicle.isActive) {
+    throw serviceError(400, "VEHICLE_INACTIVE", `Taxi ${vehicle.taxiNumber} is not in service`);
+  }
+  const expired = expiredItems(vehicle);
+  if (expired.length) {
+    throw serviceError(
+      400,
+      "VEHICLE_NOT_COMPLIANT",
+      `Taxi ${vehicle.taxiNumber} cannot be driven: ${expired
+        .map((i) => `${i.label.toLowerCase()} expired`)
+        .join(", ")}`,
+      { expired: expired.map(({ type, expiresAt }) => ({ type, expiresAt })) }
+    );
+  }
+
+  const inUse = await Shift.findOne({
+    vehicle: vehicle._id,
+    isActive: true,
+    driver: { $ne: driverId },
+  }).populate("driver", "fullName");
+  if (inUse) {
+    throw serviceError(
+      409,
+      "VEHICLE_IN_USE",
+      `Taxi ${vehicle.taxiNumber} is in an active shift of ${inUse.driver?.fullName || "another driver"}`,
+      { shiftId: inUse._id }
+    );
+  }
+  return vehicle;
+}
+
+module.exports = {
+  findVehicle,
+  resolveShiftVehicle,
+};
@@ -10,4 +10,25 @@ const DRIVER_STATUS = {
   DROPPED: "dropped", // historical, won’t be set directly in v1
 };
 
-module.exports = { ROLES, DRIVER_STATUS };
+const RIDE_STATUS = {
+  SCHEDULED: "scheduled", // future booking, no driver yet
+  ASSIGNED: "assigned",
+  ACCEPTED: "accepted",
+  STARTED: "started", // client picked up
+  REJECTED: "rejected",
+  CANCELLED: "cancelled",
+  ABORTED: "aborted",
+  COMPLETED: "completed",
+};
+
+const PAYMENT_METHOD = {
+  CASH: "cash",
+  EFTPOS: "eftpos",
+  ACCOUNT: "account", // billed to the ride's Account on its monthly statement
+  VOUCHER: "voucher",
+};
+
+// Ride.paymentMethod when a ride was paid by more than one method (see Ride.payments)
+const SPLIT_PAYMENT = "split";
+
+module.exports = { ROLES, DRIVER_STATUS, RIDE_STATUS, PAYMENT_METHOD, SPLIT_PAYMENT };
@@ -0,0 +1,21 @@
+function toRad(deg) {
+  return (deg * Math.PI) / 180;
+}
+
+function hasCoordinates(dest) {
+  return Number.isFinite(dest?.coordinates?.lat) && Number.isFinite(dest?.coordinates?.lng);
+}
+
+/**
+ * Great-circle distance in km between two { lat, lng }
+ */
+function distanceKm(a, b) {
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+module.exports = { hasCoordinates, distanceKm };
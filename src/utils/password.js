@@ -0,0 +1,22 @@
+// Password strength rules shared by user creation, profile and reset flows
+const PASSWORD_MIN_LENGTH = 8;
+
+/**
+ * Check a candidate password against the strength rules
+ * @param {string} password
+ * @returns {string[]} list of unmet rules (empty when the password is acceptable)
+ */
+function validatePasswordStrength(password) {
+  const errors = [];
+  if (typeof password !== "string" || password.length < PASSWORD_MIN_LENGTH) {
+    errors.push(`Password must be at least ${PASSWORD_MIN_LENGTH} characters`);
+    if (typeof password !== "string") return errors;
+  }
+  if (!/[a-z]/.test(password)) errors.push("Password must contain a lowercase letter");
+  if (!/[A-Z]/.test(password)) errors.push("Password must contain an uppercase letter");
+  if (!/[0-9]/.test(password)) errors.push("Password must contain a number");
+  if (/\s/.test(password)) errors.push("Password must not contain spaces");
+  return errors;
+}
+
+module.exports = { validatePasswordStrength, PASSWORD_MIN_LENGTH };
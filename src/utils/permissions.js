@@ -0,0 +1,167 @@
+const { ROLES } = require("./constants");
+
+/**
+ * Permission catalog.
+ * Routers guard endpoints with `requirePermission(PERMISSIONS.X)`; which roles
+ * hold which permission is stored in the Role collection and editable by admins.
+ */
+const PERMISSIONS = {
+  USERS_LIST: "users.list",
+  USERS_VIEW: "users.view",
+  USERS_CREATE: "users.create",
+  USERS_UPDATE: "users.update",
+  USERS_DELETE: "users.delete",
+  USERS_ROLES_ASSIGN: "users.roles.assign",
+  USERS_SESSIONS_REVOKE: "users.sessions.revoke",
+  ROLES_MANAGE: "roles.manage",
+  AUTH_AUDIT: "auth.audit",
+
+  CLIENTS_READ: "clients.read",
+  CLIENTS_WRITE: "clients.write",
+  DESTINATIONS_WRITE: "destinations.write",
+
+  RIDES_READ: "rides.read",
+  RIDES_ASSIGN: "rides.assign",
+  RIDES_SCHEDULE: "rides.schedule",
+  RIDES_ABORT: "rides.abort",
+
+  REPORTS_VIEW: "reports.view",
+  REPORTS_SUBMIT: "reports.submit",
+  REPORTS_REVIEW: "reports.review",
+
+  CLAIMS_MANAGE: "claims.manage",
+  INVOICES_MANAGE: "invoices.manage",
+  ACCOUNTS_MANAGE: "accounts.manage",
+
+  VEHICLES_READ: "vehicles.read",
+  VEHICLES_MANAGE: "vehicles.manage",
+
+  SHIFTS_OWN: "shifts.own",
+  SHIFTS_VIEW: "shifts.view",
+
+  SETTINGS_GST_READ: "settings.gst.read",
+  SETTINGS_GST_WRITE: "settings.gst.write",
+  SETTINGS_DRIVER_REPORT_READ: "settings.driverReport.read",
+  SETTINGS_DRIVER_REPORT_WRITE: "settings.driverReport.write",
+  SETTINGS_TARIFF_READ: "settings.tariff.read",
+  SETTINGS_TARIFF_WRITE: "settings.tariff.write",
+
+  AGREEMENTS_REVIEW: "agreements.review",
+  AGREEMENTS_TEMPLATES: "agreements.templates",
+};
+
+const PERMISSION_DESCRIPTIONS = {
+  [PERMISSIONS.USERS_LIST]: "List users",
+  [PERMISSIONS.USERS_VIEW]: "View a single user",
+  [PERMISSIONS.USERS_CREATE]: "Create users",
+  [PERMISSIONS.USERS_UPDATE]: "Edit users and reset their passwords",
+  [PERMISSIONS.USERS_DELETE]: "Delete users",
+  [PERMISSIONS.USERS_ROLES_ASSIGN]: "Change user roles and create admins",
+  [PERMISSIONS.USERS_SESSIONS_REVOKE]: "Sign users out of every device",
+  [PERMISSIONS.ROLES_MANAGE]: "Edit role permissions",
+  [PERMISSIONS.AUTH_AUDIT]: "View login attempts and unlock accounts",
+  [PERMISSIONS.CLIENTS_READ]: "List clients",
+  [PERMISSIONS.CLIENTS_WRITE]: "Create, edit and delete clients",
+  [PERMISSIONS.DESTINATIONS_WRITE]: "Create, edit and delete destinations",
+  [PERMISSIONS.RIDES_READ]: "List and filter all rides",
+  [PERMISSIONS.RIDES_ASSIGN]: "Assign, reassign and create quick trips",
+  [PERMISSIONS.RIDES_SCHEDULE]: "Manage scheduled bookings",
+  [PERMISSIONS.RIDES_ABORT]: "Abort assigned or accepted rides",
+  [PERMISSIONS.REPORTS_VIEW]: "View and export earnings reports",
+  [PERMISSIONS.REPORTS_SUBMIT]: "Create and submit own driver reports",
+  [PERMISSIONS.REPORTS_REVIEW]: "List and review driver reports",
+  [PERMISSIONS.CLAIMS_MANAGE]: "Create, export and lodge MPTP claim batches",
+  [PERMISSIONS.INVOICES_MANAGE]: "Generate, send and void plan-manager invoices",
+  [PERMISSIONS.ACCOUNTS_MANAGE]: "Manage corporate accounts and their statements",
+  [PERMISSIONS.VEHICLES_READ]: "List vehicles",
+  [PERMISSIONS.VEHICLES_MANAGE]: "Add, edit and deactivate vehicles",
+  [PERMISSIONS.SHIFTS_OWN]: "Start, update and end own shifts",
+  [PERMISSIONS.SHIFTS_VIEW]: "View shift timeline and history",
+  [PERMISSIONS.SETTINGS_GST_READ]: "View GST settings",
+  [PERMISSIONS.SETTINGS_GST_WRITE]: "Change GST settings",
+  [PERMISSIONS.SETTINGS_DRIVER_REPORT_READ]: "View driver report settings",
+  [PERMISSIONS.SETTINGS_DRIVER_REPORT_WRITE]: "Change driver report settings",
+  [PERMISSIONS.SETTINGS_TARIFF_READ]: "View the fare tariff",
+  [PERMISSIONS.SETTINGS_TARIFF_WRITE]: "Change the fare tariff",
+  [PERMISSIONS.AGREEMENTS_REVIEW]: "Review, reset and delete driver agreements",
+  [PERMISSIONS.AGREEMENTS_TEMPLATES]: "Edit and publish the driver agreement text",
+};
+
+const P = PERMISSIONS;
+
+// Defaults mirror the role guards the routers used before permissions existed
+const DEFAULT_ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: [
+    P.USERS_LIST,
+    P.USERS_VIEW,
+    P.USERS_CREATE,
+    P.USERS_UPDATE,
+    P.USERS_DELETE,
+    P.USERS_ROLES_ASSIGN,
+    P.USERS_SESSIONS_REVOKE,
+    P.ROLES_MANAGE,
+    P.AUTH_AUDIT,
+    P.CLIENTS_READ,
+    P.CLIENTS_WRITE,
+    P.DESTINATIONS_WRITE,
+    P.RIDES_READ,
+    P.RIDES_ASSIGN,
+    P.RIDES_SCHEDULE,
+    P.REPORTS_VIEW,
+    P.REPORTS_REVIEW,
+    P.CLAIMS_MANAGE,
+    P.INVOICES_MANAGE,
+    P.ACCOUNTS_MANAGE,
+    P.VEHICLES_READ,
+    P.VEHICLES_MANAGE,
+    P.SHIFTS_VIEW,
+    P.SETTINGS_GST_READ,
+    P.SETTINGS_GST_WRITE,
+    P.SETTINGS_DRIVER_REPORT_READ,
+    P.SETTINGS_DRIVER_REPORT_WRITE,
+    P.SETTINGS_TARIFF_READ,
+    P.SETTINGS_TARIFF_WRITE,
+    P.AGREEMENTS_REVIEW,
+    P.AGREEMENTS_TEMPLATES,
+  ],
+  [ROLES.MANAGER]: [
+    P.USERS_LIST,
+    P.USERS_CREATE,
+    P.CLIENTS_READ,
+    P.CLIENTS_WRITE,
+    P.DESTINATIONS_WRITE,
+    P.RIDES_READ,
+    P.RIDES_ASSIGN,
+    P.RIDES_SCHEDULE,
+    P.RIDES_ABORT,
+    P.REPORTS_VIEW,
+    P.REPORTS_REVIEW,
+    P.CLAIMS_MANAGE,
+    P.INVOICES_MANAGE,
+    P.ACCOUNTS_MANAGE,
+    P.VEHICLES_READ,
+    P.VEHICLES_MANAGE,
+    P.SHIFTS_VIEW,
+    P.SETTINGS_GST_READ,
+    P.SETTINGS_DRIVER_REPORT_READ,
+    P.SETTINGS_TARIFF_READ,
+  ],
+  [ROLES.DRIVER]: [P.REPORTS_SUBMIT, P.SHIFTS_OWN, P.VEHICLES_READ],
+};
+
+// Permissions a role can never lose (prevents admins locking themselves out)
+const LOCKED_ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: [P.ROLES_MANAGE],
+};
+
+function isKnownPermission(permission) {
+  return Object.values(PERMISSIONS).includes(permission);
+}
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_DESCRIPTIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  LOCKED_ROLE_PERMISSIONS,
+  isKnownPermission,
+};
@@ -0,0 +1,109 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+/**
+ * POST /api/agreements/accept (acceptAgreementText) against stubbed
+ * services, so it runs without a database.
+ */
+
+const src = path.join(__dirname, "..", "src");
+
+// Put `exports` in the require cache in place of a module
+function stubModule(relative, exports) {
+  const filename = require.resolve(path.join(src, relative));
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+}
+
+const calls = [];
+const current = { _id: "agreement-1", status: "approved", templateVersion: 1 };
+const template = { _id: "template-2", version: 2, contentHash: "hash-2" };
+
+stubModule("services/photoUploadService.js", { uploadPhoto: async () => null });
+stubModule("services/driverDocumentService.js", {
+  findCurrentAgreement: async (driverId) => {
+    calls.push(["findCurrentAgreement", driverId]);
+    return current;
+  },
+  findLatestRenewal: async () => null,
+  documentExpiries: () => [],
+  submitRenewal: async () => null,
+});
+stubModule("services/agreementTemplateService.js", {
+  getEffectiveTemplates: async () => ({ current: template, required: template }),
+  getUpcomingTemplate: async () => null,
+  acceptedVersion: (agreement) => agreement?.templateVersion || 1,
+  needsReacceptance: async () => true,
+  findAcceptedTemplate: async (input) => {
+    calls.push(["findAcceptedTemplate", input]);
+    return template;
+  },
+  acceptanceOf: () => ({}),
+  recordAcceptance: async (agreement, accepted, meta) => {
+    calls.push(["recordAcceptance", agreement._id, accepted.version, meta]);
+    if (agreement.templateVersion >= accepted.version) {
+      const err = new Error(`Agreement version ${agreement.templateVersion} is already accepted`);
+      err.status = 409;
+      err.code = "ALREADY_ACCEPTED";
+      throw err;
+    }
+    return { ...agreement, templateVersion: accepted.version };
+  },
+});
+
+const { acceptAgreementText } = require(path.join(src, "controllers/agreementController"));
+
+function run(handler, req) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+      },
+    };
+    Promise.resolve(handler(req, res)).catch(reject);
+  });
+}
+
+const driverReq = (body) => ({
+  user: { id: "driver-1" },
+  body,
+  ip: "127.0.0.1",
+  headers: { "user-agent": "test" },
+});
+
+test("accepting the current version records it on the driver's agreement", async () => {
+  calls.length = 0;
+  const { status, body } = await run(
+    acceptAgreementText,
+    driverReq({ templateVersion: 2, contentHash: "hash-2" })
+  );
+
+  assert.equal(status, 200);
+  assert.deepEqual(body, { success: true, agreementId: "agreement-1", acceptedVersion: 2 });
+  assert.deepEqual(calls, [
+    ["findAcceptedTemplate", { templateVersion: 2, contentHash: "hash-2" }],
+    ["findCurrentAgreement", "driver-1"],
+    ["recordAcceptance", "agreement-1", 2, { ipAddress: "127.0.0.1", userAgent: "test" }],
+  ]);
+});
+
+test("service errors keep their status and code", async () => {
+  current.templateVersion = 2;
+  try {
+    const { status, body } = await run(acceptAgreementText, driverReq({}));
+    assert.equal(status, 409);
+    assert.equal(body.code, "ALREADY_ACCEPTED");
+  } finally {
+    current.templateVersion = 1;
+  }
+});
+
+test("requests without a user are rejected", async () => {
+  const { status } = await run(acceptAgreementText, { body: {}, headers: {} });
+  assert.equal(status, 401);
+});